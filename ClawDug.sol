@@ -17,6 +17,7 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 // ============================================================
 //  $DUG TOKEN
@@ -113,7 +114,7 @@ contract AgentRegistry is Ownable {
 // ============================================================
 //  MAIN GAME CONTRACT
 // ============================================================
-contract ClawDugGame is Ownable, ReentrancyGuard {
+contract ClawDugGame is Ownable, ReentrancyGuard, EIP712 {
     using ECDSA for bytes32;
     using MessageHashUtils for bytes32;
 
@@ -121,8 +122,19 @@ contract ClawDugGame is Ownable, ReentrancyGuard {
     DugToken      public dugToken;
     AgentRegistry public registry;
 
-    // ---- Score signer (server-side key to prevent spoofed scores) ----
-    address public scoreSigner;
+    // ---- Score signers (server-side keys to prevent spoofed scores) ----
+    // A score needs `signerThreshold` of them. A retiring signer stays
+    // valid until its retiresAt, so scores it signed just before a key
+    // rotation can still be submitted.
+    address[] public scoreSigners;
+    mapping(address => bool)    public isScoreSigner;
+    mapping(address => uint256) public scoreSignerRetiresAt;  // 0 = not retiring
+    uint256 public signerThreshold = 1;
+
+    // ---- Gasless submission: the player's EIP-712 consent, sent by a relayer ----
+    bytes32 public constant SCORE_AUTH_TYPEHASH = keccak256(
+        "ScoreAuthorization(address player,uint256 score,uint256 round,uint256 kills,bytes32 sessionId,uint256 deadline)"
+    );
 
     // ---- Economics ----
     uint256 public humanEntryFee  = 10 * 10**18; // 10 DUG
@@ -202,17 +214,20 @@ contract ClawDugGame is Ownable, ReentrancyGuard {
     );
     event RewardMinted(address indexed player, uint256 amount, string reason);
     event EpochStarted(uint256 indexed epochId, uint256 startTime, uint256 endTime);
+    event ScoreSignerAdded(address indexed signer);
+    event ScoreSignerRetired(address indexed signer, uint256 retiresAt);
+    event SignerThresholdSet(uint256 threshold);
 
     constructor(
         address _dugToken,
         address _registry,
         address _scoreSigner,
         address _treasury
-    ) Ownable(msg.sender) {
+    ) Ownable(msg.sender) EIP712("ClawDugGame", "1") {
         dugToken    = DugToken(_dugToken);
         registry    = AgentRegistry(_registry);
-        scoreSigner = _scoreSigner;
         treasury    = _treasury;
+        _addScoreSigner(_scoreSigner);
         _startNewEpoch();
     }
 
@@ -303,44 +318,83 @@ contract ClawDugGame is Ownable, ReentrancyGuard {
         uint256 signedAt,
         bytes calldata signature
     ) external nonReentrant {
+        _submitScore(msg.sender, score, round, kills, sessionId, signedAt, signature);
+    }
+
+    // Gasless path: anyone (the API's relayer) may send it, but the
+    // player must have signed a ScoreAuthorization for this exact score
+    function submitScoreFor(
+        address player,
+        uint256 score,
+        uint256 round,
+        uint256 kills,
+        bytes32 sessionId,
+        uint256 signedAt,
+        bytes calldata signature,
+        uint256 deadline,
+        bytes calldata authorization
+    ) external nonReentrant {
+        require(block.timestamp <= deadline, "Game: authorization expired");
+        bytes32 structHash = keccak256(abi.encode(
+            SCORE_AUTH_TYPEHASH, player, score, round, kills, sessionId, deadline
+        ));
+        require(_hashTypedDataV4(structHash).recover(authorization) == player, "Game: invalid authorization");
+        _submitScore(player, score, round, kills, sessionId, signedAt, signature);
+    }
+
+    function _submitScore(
+        address player,
+        uint256 score,
+        uint256 round,
+        uint256 kills,
+        bytes32 sessionId,
+        uint256 signedAt,
+        bytes calldata signature
+    ) internal {
         // 1. Replay protection
         require(!usedSessions[sessionId], "Game: session already used");
         require(block.timestamp <= signedAt + 5 minutes, "Game: signature expired");
 
-        // 2. Verify server signature
+        // 2. Verify server signatures: signerThreshold of them, 65 bytes
+        //    each, ordered by signer address (ascending, so no repeats)
         bytes32 msgHash = keccak256(abi.encodePacked(
-            msg.sender, score, round, kills, sessionId, signedAt, block.chainid
+            player, score, round, kills, sessionId, signedAt, block.chainid
         ));
         bytes32 ethHash = msgHash.toEthSignedMessageHash();
-        address recovered = ethHash.recover(signature);
-        require(recovered == scoreSigner, "Game: invalid signature");
+        require(signature.length == signerThreshold * 65, "Game: invalid signature");
+        address last = address(0);
+        for (uint256 i = 0; i < signerThreshold; i++) {
+            address recovered = ethHash.recover(signature[i * 65:(i + 1) * 65]);
+            require(recovered > last && _activeSigner(recovered), "Game: invalid signature");
+            last = recovered;
+        }
 
         // 3. Mark session used
         usedSessions[sessionId] = true;
 
         // 4. Determine if agent
-        AgentRegistry.AgentProfile memory profile = registry.getProfile(msg.sender);
+        AgentRegistry.AgentProfile memory profile = registry.getProfile(player);
         bool isAgent = profile.isAgent;
 
         // 5. Entry fee burns into prize pool
         uint256 fee = isAgent ? agentEntryFee : humanEntryFee;
-        if (dugToken.allowance(msg.sender, address(this)) >= fee) {
-            dugToken.transferFrom(msg.sender, address(this), fee);
+        if (dugToken.allowance(player, address(this)) >= fee) {
+            dugToken.transferFrom(player, address(this), fee);
             _distributeEntryFee(fee);
         }
 
         // 6. Update registry
-        registry.recordGame(msg.sender, score);
+        registry.recordGame(player, score);
 
         // 7. Mint gameplay rewards
-        _mintGameplayRewards(msg.sender, kills, round);
+        _mintGameplayRewards(player, kills, round);
 
         // 8. Update leaderboard
         if (isAgent) {
-            _updateLeaderboard(agentLeaderboard, agentLBCount, msg.sender, score, round, kills, true, sessionId);
+            _updateLeaderboard(agentLeaderboard, agentLBCount, player, score, round, kills, true, sessionId);
             if (agentLBCount < LB_SIZE) agentLBCount++;
         } else {
-            _updateLeaderboard(humanLeaderboard, humanLBCount, msg.sender, score, round, kills, false, sessionId);
+            _updateLeaderboard(humanLeaderboard, humanLBCount, player, score, round, kills, false, sessionId);
             if (humanLBCount < LB_SIZE) humanLBCount++;
         }
 
@@ -348,14 +402,14 @@ contract ClawDugGame is Ownable, ReentrancyGuard {
         Epoch storage epoch = epochs[currentEpoch];
         if (isAgent && score > epoch.agentTopScore) {
             epoch.agentTopScore = score;
-            epoch.agentWinner   = msg.sender;
+            epoch.agentWinner   = player;
         }
         if (!isAgent && score > epoch.humanTopScore) {
             epoch.humanTopScore = score;
-            epoch.humanWinner   = msg.sender;
+            epoch.humanWinner   = player;
         }
 
-        emit ScoreSubmitted(msg.sender, score, round, kills, isAgent, currentEpoch, sessionId);
+        emit ScoreSubmitted(player, score, round, kills, isAgent, currentEpoch, sessionId);
     }
 
     function _distributeEntryFee(uint256 fee) internal {
@@ -446,11 +500,97 @@ contract ClawDugGame is Ownable, ReentrancyGuard {
         return epoch.endTime - block.timestamp;
     }
 
+    function getScoreSigners() external view returns (address[] memory) {
+        return scoreSigners;
+    }
+
+    // First signer — the only one on a single-signer deployment
+    function scoreSigner() external view returns (address) {
+        return scoreSigners.length > 0 ? scoreSigners[0] : address(0);
+    }
+
     // ============================================================
     //  ADMIN
     // ============================================================
+    // Replace every signer with one, threshold back to 1
     function setScoreSigner(address _signer) external onlyOwner {
-        scoreSigner = _signer;
+        while (scoreSigners.length > 0) _removeScoreSigner(scoreSigners[scoreSigners.length - 1]);
+        signerThreshold = 1;
+        emit SignerThresholdSet(1);
+        _addScoreSigner(_signer);
+    }
+
+    // Also takes back a scheduled retirement
+    function addScoreSigner(address _signer) external onlyOwner {
+        _addScoreSigner(_signer);
+    }
+
+    // Planned rotation: the old key keeps working until `retiresAt`
+    // (at least 5 minutes after the server stopped signing with it);
+    // 0 or a past time removes it now. The signers left once it has
+    // gone must still reach the threshold — add the new key first.
+    function retireScoreSigner(address _signer, uint256 retiresAt) external onlyOwner {
+        _pruneScoreSigners();
+        require(isScoreSigner[_signer], "Game: not a signer");
+        if (retiresAt <= block.timestamp) {
+            _removeScoreSigner(_signer);
+        } else {
+            scoreSignerRetiresAt[_signer] = retiresAt;
+        }
+        require(_lastingSignerCount() >= signerThreshold, "Game: below threshold");
+        emit ScoreSignerRetired(_signer, retiresAt);
+    }
+
+    // At most the signers that aren't retiring — retired ones can't sign
+    function setSignerThreshold(uint256 _threshold) external onlyOwner {
+        _pruneScoreSigners();
+        require(_threshold > 0 && _threshold <= _lastingSignerCount(), "Game: bad threshold");
+        signerThreshold = _threshold;
+        emit SignerThresholdSet(_threshold);
+    }
+
+    function _activeSigner(address _signer) internal view returns (bool) {
+        uint256 retiresAt = scoreSignerRetiresAt[_signer];
+        return isScoreSigner[_signer] && (retiresAt == 0 || block.timestamp < retiresAt);
+    }
+
+    function _addScoreSigner(address _signer) internal {
+        require(_signer != address(0), "Game: bad signer");
+        if (isScoreSigner[_signer]) {
+            require(scoreSignerRetiresAt[_signer] != 0, "Game: already a signer");
+            scoreSignerRetiresAt[_signer] = 0;
+        } else {
+            isScoreSigner[_signer] = true;
+            scoreSigners.push(_signer);
+        }
+        emit ScoreSignerAdded(_signer);
+    }
+
+    // Signers with no retirement scheduled
+    function _lastingSignerCount() internal view returns (uint256 count) {
+        for (uint256 i = 0; i < scoreSigners.length; i++) {
+            if (scoreSignerRetiresAt[scoreSigners[i]] == 0) count++;
+        }
+    }
+
+    // Drop signers whose retiresAt has passed
+    function _pruneScoreSigners() internal {
+        for (uint256 i = scoreSigners.length; i > 0; i--) {
+            address signer = scoreSigners[i - 1];
+            if (!_activeSigner(signer)) _removeScoreSigner(signer);
+        }
+    }
+
+    function _removeScoreSigner(address _signer) internal {
+        for (uint256 i = 0; i < scoreSigners.length; i++) {
+            if (scoreSigners[i] == _signer) {
+                scoreSigners[i] = scoreSigners[scoreSigners.length - 1];
+                scoreSigners.pop();
+                break;
+            }
+        }
+        isScoreSigner[_signer] = false;
+        scoreSignerRetiresAt[_signer] = 0;
     }
 
     function setFees(uint256 _humanFee, uint256 _agentFee) external onlyOwner {
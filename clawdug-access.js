@@ -0,0 +1,190 @@
+// ============================================================
+//  CLAWDUG ACCESS CONTROL
+//  Rate-limit policies, bans and throttles — what the admin API
+//  inspects and tunes at runtime.
+//
+//  Policies:  named fixed-window limits per client IP, attached to
+//             routes with access.limit('<name>'). Operators can
+//             change a policy's limit / window or switch it off;
+//             overrides persist in store.rateLimits.
+//  Bans:      a wallet or IP is refused everywhere (403) until the
+//             ban is lifted or runs out.
+//  Throttles: a wallet or IP gets its own request budget per window
+//             across every route, on top of the policies.
+//  Bans and throttles persist in store.restrictions, keyed by
+//  subject: "wallet:<lowercase address>" or "ip:<address>".
+// ============================================================
+
+const MAX_COUNTERS = 10000;    // live window counters before stale ones are swept
+const TOP_CONSUMERS = 10;      // per policy in policies()
+
+export const SUBJECT_KINDS = ['wallet', 'ip'];
+
+export function subjectOf(kind, value) {
+  return `${kind}:${kind === 'wallet' ? String(value).toLowerCase() : value}`;
+}
+
+export function createAccessControl({ store, policies: defaults, onLimited = null }) {
+  const counters = new Map();  // key -> { window, count }
+  const totals = Object.fromEntries(Object.keys(defaults).map(name => [name, { allowed: 0, limited: 0 }]));
+
+  const policy = (name) => ({ ...defaults[name], ...store.rateLimits.get(name)?.override, name });
+
+  // Fixed window, as before: count this request, say whether it fits
+  function hit(key, limit, windowMs, now = Date.now()) {
+    const window = Math.floor(now / windowMs);
+    let c = counters.get(key);
+    if (!c || c.window !== window) {
+      c = { window, windowMs, count: 0 };
+      counters.set(key, c);
+    }
+    c.count++;
+    if (counters.size > MAX_COUNTERS) {
+      for (const [k, v] of counters) {
+        if (v.window !== Math.floor(now / v.windowMs)) counters.delete(k);
+      }
+    }
+    return { ok: c.count <= limit, retryAfter: Math.ceil(((window + 1) * windowMs - now) / 1000) };
+  }
+
+  // ---- Restrictions ----
+  function restriction(subject) {
+    const r = store.restrictions.get(subject);
+    if (!r) return null;
+    if (r.expiresAt && r.expiresAt <= Date.now()) {
+      store.restrictions.delete(subject);
+      return null;
+    }
+    return r;
+  }
+
+  function restrictions() {
+    return store.restrictions.all()
+      .filter(r => restriction(r.subject))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  function restrict(mode, { kind, value, reason = null, durationMs = null, limit, windowMs, by = null }) {
+    const subject = subjectOf(kind, value);
+    const now = Date.now();
+    const record = {
+      subject, kind, value: subject.slice(kind.length + 1), mode, reason, by,
+      ...(mode === 'throttle' ? { limit, windowMs } : {}),
+      createdAt: now,
+      expiresAt: durationMs ? now + durationMs : null,
+    };
+    store.restrictions.put(subject, record);
+    return record;
+  }
+
+  function lift(subject) {
+    const existing = restriction(subject);
+    if (existing) store.restrictions.delete(subject);
+    return existing;
+  }
+
+  // null when the subject may go ahead, else { status, error, retryAfter? }
+  function check(subject) {
+    const r = restriction(subject);
+    if (!r) return null;
+    if (r.mode === 'ban') {
+      return { status: 403, error: `access denied: ${subject.split(':')[0]} is banned${r.reason ? ` (${r.reason})` : ''}` };
+    }
+    const result = hit(`throttle:${subject}`, r.limit, r.windowMs);
+    if (result.ok) return null;
+    onLimited?.('throttle');
+    return { status: 429, error: 'rate limit exceeded (throttled)', retryAfter: result.retryAfter };
+  }
+
+  const checkWallet = (wallet) => check(subjectOf('wallet', wallet));
+  const checkIp = (ip) => check(subjectOf('ip', ip));
+
+  function deny(res, denied) {
+    if (denied.retryAfter) res.set('Retry-After', String(denied.retryAfter));
+    return res.status(denied.status).json({ error: denied.error });
+  }
+
+  // ---- Policies ----
+  // Route middleware: the named policy, per client IP
+  function limit(name) {
+    if (!defaults[name]) throw new Error(`unknown rate-limit policy "${name}"`);
+    return (req, res, next) => {
+      const p = policy(name);
+      if (p.enabled === false) return next();
+      const result = hit(`policy:${name}:${req.ip}`, p.limit, p.windowMs);
+      if (result.ok) {
+        totals[name].allowed++;
+        return next();
+      }
+      totals[name].limited++;
+      onLimited?.(name);
+      res.set('Retry-After', String(result.retryAfter));
+      res.status(429).json({ error: 'rate limit exceeded' });
+    };
+  }
+
+  // App-wide middleware: banned / throttled IPs
+  function guard(req, res, next) {
+    const denied = checkIp(req.ip);
+    if (denied) return deny(res, denied);
+    next();
+  }
+
+  function describePolicy(name) {
+    const p = policy(name);
+    const window = Math.floor(Date.now() / p.windowMs);
+    const prefix = `policy:${name}:`;
+    const top = [...counters]
+      .filter(([key, c]) => key.startsWith(prefix) && c.window === window)
+      .map(([key, c]) => ({ ip: key.slice(prefix.length), count: c.count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_CONSUMERS);
+    return {
+      name,
+      routes:   p.routes,
+      limit:    p.limit,
+      windowMs: p.windowMs,
+      enabled:  p.enabled !== false,
+      overridden: !!store.rateLimits.get(name),
+      defaults: { limit: defaults[name].limit, windowMs: defaults[name].windowMs },
+      ...totals[name],
+      limitedNow: top.filter(t => t.count > p.limit).length,
+      top,
+    };
+  }
+
+  const policies = () => Object.keys(defaults).map(describePolicy);
+
+  // { limit?, windowMs?, enabled? } — persisted until reset
+  function setPolicy(name, changes) {
+    if (!defaults[name]) return { error: 'policy not found', status: 404 };
+    const { limit: max, windowMs, enabled } = changes;
+    if (max !== undefined && !(Number.isInteger(max) && max > 0)) return { error: 'limit must be a positive integer' };
+    if (windowMs !== undefined && !(Number.isInteger(windowMs) && windowMs >= 1000 && windowMs <= 24 * 60 * 60 * 1000)) {
+      return { error: 'windowMs must be an integer 1000-86400000' };
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    const override = {
+      ...store.rateLimits.get(name)?.override,
+      ...(max !== undefined ? { limit: max } : {}),
+      ...(windowMs !== undefined ? { windowMs } : {}),
+      ...(enabled !== undefined ? { enabled } : {}),
+    };
+    store.rateLimits.put(name, { name, override, updatedAt: Date.now() });
+    return { policy: describePolicy(name) };
+  }
+
+  function resetPolicy(name) {
+    if (!defaults[name]) return null;
+    store.rateLimits.delete(name);
+    return describePolicy(name);
+  }
+
+  return {
+    limit, guard, deny, check, checkWallet, checkIp,
+    ban:      (options) => restrict('ban', options),
+    throttle: (options) => restrict('throttle', options),
+    lift, restriction, restrictions,
+    policies, policy: (name) => (defaults[name] ? describePolicy(name) : null), setPolicy, resetPolicy,
+  };
+}
@@ -3,15 +3,84 @@
 //  Node.js / Express — runs alongside the game
 //
 //  Endpoints:
-//    POST /agent/register      — Register an OpenClaws agent
+//    GET  /auth/nonce          — Sign-in message for a wallet (SIWE / EIP-191)
+//    POST /auth/login          — Signed message → bearer token
+//    POST /auth/api-keys       — Create / GET list / DELETE /:id revoke agent API keys
+//    POST /agent/register      — Register an OpenClaws agent (signed message required)
+//    POST /agent/session       — Fresh seeded session for a registered wallet
 //    GET  /agent/state         — Full game state (JSON)
 //    POST /agent/action        — Send game action
-//    POST /agent/submit-score  — Sign & submit score on-chain
+//    POST /agent/step          — Gym step: action + frameSkip → {observation, reward, done, info}
+//    POST /agent/reset         — Restart a session (optionally at a chosen seed / round / modifiers)
+//    POST /agent/clock         — Session clock: realtime | lockstep | manual
+//                                 (sessions with "host":"browser" run in a clawdug.html page)
+//    POST /agent/submit-score  — Verify replay, sign & submit score on-chain
+//    POST /agent/relay-score   — Gasless: server sends a player-authorized score (GET /:sessionId status)
 //    GET  /leaderboard         — Combined leaderboard
 //    GET  /leaderboard/agents  — Agent-only board
 //    GET  /leaderboard/humans  — Human-only board
 //    GET  /epoch               — Current prize epoch info
+//    GET  /keeper/status       — Epoch settlement keeper: current epoch, last run
+//    GET  /epochs              — Past epochs (/epochs/:id with its scores)
+//    GET  /players/:address    — Registry profile + stats and recent sessions
+//    GET  /agents              — Registered agents (?type=human|all), paginated
+//    GET  /players/:address/scores  — A wallet's submitted scores
+//    GET  /players/:address/rewards — $DUG minted to a wallet and prizes won
+//    GET  /sessions/live       — Games in progress, highest score first (?type=agents|humans)
+//    GET  /replay/:sessionId   — Replay download (JSON or ?format=bin)
+//    GET  /replay/:sessionId/frames?from=&to= — Reconstructed states
+//    POST /arena               — Open a 2–4 player arena lobby (GET lists matches)
+//    POST /arena/:id/join      — Take a seat (also /leave, /start for the host)
+//    GET  /arena/:id/state     — Your view of the shared dungeon
+//    POST /arena/:id/action    — Send your seat's action for the next tick
+//    POST /tournaments         — Schedule a tournament (GET lists them, GET /:id standings)
+//    POST /tournaments/:id/register — Enter (also /withdraw, /start for the organiser)
+//    POST /tournaments/:id/attempt  — best-of: a session on the tournament seed
+//    POST /tournaments/:id/report   — Report an attempt (or a match, organiser)
+//    GET  /tournaments/:id/bracket  — Bracket / round-robin pairings and results
+//    GET  /tournaments/:id/results  — Final standings + signed payout digest
+//    GET  /challenge/today     — Daily challenge: rules, leaders (GET /challenges for past days)
+//    POST /challenge/attempt   — Today's one attempt: a session on the challenge seed
+//    POST /challenge/submit    — Replay-verify and rank the attempt
+//    GET  /challenge/:date/leaderboard — A day's results (?type=agents|humans)
+//    POST /webhooks            — Subscribe to events (GET lists yours; PATCH / DELETE /:id)
+//    GET  /webhooks/:id/deliveries — Delivery log (POST /:id/test, /:id/deliveries/:d/redeliver)
+//    POST /devchain/rpc        — CHAIN=dev: JSON-RPC to the in-process contracts (GET /devchain status, POST /devchain/faucet)
+//    GET  /metrics             — Prometheus metrics (METRICS_TOKEN if set)
+//    GET  /admin/sessions      — Operators: inspect (/:id) and DELETE /:id to kill sessions
+//    POST /admin/access/ban    — Ban (or /throttle) a wallet or IP; GET /admin/access, DELETE /:subject
+//    GET  /admin/rate-limits   — Rate-limit policies; PATCH / DELETE (reset) /:name
+//    POST /admin/signatures/expire — Revoke issued score signatures (GET /admin/signatures, /admin/log)
+//    GET  /admin/signers       — Score signer keys; POST /rotate, DELETE /rotation, GET /audit
+//    GET  /admin/verdicts      — Anti-cheat verdicts (/:sessionId, POST /:sessionId/review)
+//    GET  /admin/anticheat     — Anti-cheat mode and thresholds; PATCH, DELETE (reset)
 //    WS   /agent/stream        — Real-time game state stream (10Hz)
+//                                 ?format=ClawDugState/2.0 for deltas / tensors
+//                                 ?arena=<matchId> for an arena seat
+//                                 ?watch=top|<sessionId>,… to spectate (read-only)
+//                                 ?bridge=<sessionId> for the page hosting a browser session
+//
+//  Session routes and the WS stream require
+//  `Authorization: Bearer <token | API key>` for the session's wallet.
+//
+//  Sessions, players and (in mock mode) scores and epochs are
+//  persisted through clawdug-storage.js — STORAGE=file|memory.
+//  Ended epochs are settled by the keeper (clawdug-keeper.js).
+//  Contract events are indexed into the same store
+//  (clawdug-indexer.js) for the history routes.
+//  Session, score, leaderboard and epoch events go out to
+//  webhook subscribers (clawdug-webhooks.js).
+//  Daily challenges (clawdug-challenge.js) keep their own results.
+//  Rate limits, bans and throttles live in clawdug-access.js;
+//  /metrics is rendered by clawdug-metrics.js.
+//  Scores are signed through clawdug-signers.js — env key,
+//  keystore or signing daemon, M-of-N and planned rotation.
+//  CHAIN=dev swaps Base for in-process contracts
+//  (clawdug-devchain.js) — same code paths, no RPC or keys.
+//  Verified runs go through clawdug-anticheat.js before they're
+//  signed — allowed, held for an operator, or refused.
+//  Replays and their analysis run on worker threads
+//  (clawdug-verifier.js), off the request path.
 //
 //  Install:
 //    npm install express ethers ws cors dotenv
@@ -25,7 +94,35 @@ import { ethers }  from 'ethers';
 import cors        from 'cors';
 import crypto      from 'crypto';
 import { createServer } from 'http';
+import { isIP }    from 'net';
 import dotenv      from 'dotenv';
+import engine      from './clawdug-engine.cjs';
+import { createStore } from './clawdug-storage.js';
+import { createAuth }  from './clawdug-auth.js';
+import { createIndexer, fixtureSource } from './clawdug-indexer.js';
+import { createKeeper }  from './clawdug-keeper.js';
+import { createRelayer } from './clawdug-relayer.js';
+import { createWebhooks, WEBHOOK_EVENTS } from './clawdug-webhooks.js';
+import { createDevChain, DEV_CHAIN_ID, DEV_ADDRESSES } from './clawdug-devchain.js';
+import { createSignerSet, loadSigner, walletSigner } from './clawdug-signers.js';
+import { createMetrics, createRateMeter, instrumentContract, instrumentProvider } from './clawdug-metrics.js';
+import { createAccessControl, subjectOf, SUBJECT_KINDS } from './clawdug-access.js';
+import { createAntiCheat, checkCombination, VERDICTS } from './clawdug-anticheat.js';
+import { createVerifier } from './clawdug-verifier.js';
+import { createChallenges, parseDate, dayStart, BOARD_TYPES, DAY_MS } from './clawdug-challenge.js';
+import {
+  ArenaMatch, ARENA_MIN_PLAYERS, ARENA_MAX_PLAYERS, ARENA_ROUNDS, MAX_ARENA_ROUNDS,
+} from './clawdug-arena.js';
+import {
+  Tournament, TOURNAMENT_FORMATS, ENTRY_RULES, MAX_TOURNAMENT_ENTRANTS, MAX_TOURNAMENT_ATTEMPTS,
+} from './clawdug-tournament.js';
+
+const {
+  GameCore, AGENT_ACTIONS, STATE_GAMEOVER, actionToInput, decodeInput, randomSeed, InputLog,
+  REPLAY_FORMAT, ReplayPlayer, MAX_REPLAY_FRAMES, encodeReplay,
+  STATE_FORMAT, STATE_FORMAT_V2, TENSOR_CHANNELS, ROWS, COLS,
+  keyframeState, diffState, encodeObservation, resolveLevels, parseModifiers,
+} = engine;
 
 dotenv.config();
 
@@ -33,12 +130,83 @@ dotenv.config();
 //  CONFIG
 // ============================================================
 const PORT            = process.env.PORT || 3847;
-const CHAIN_ID        = 8453;                          // Base mainnet
+const DEV_CHAIN       = process.env.CHAIN === 'dev';   // in-process contracts (clawdug-devchain.js)
+const CHAIN_ID        = DEV_CHAIN ? DEV_CHAIN_ID : 8453;  // Base mainnet
 const RPC_URL         = process.env.RPC_URL || 'https://mainnet.base.org';
-const SCORE_SIGNER_PK = process.env.SCORE_SIGNER_PK;  // Server signing key
-const GAME_CONTRACT   = process.env.GAME_CONTRACT;
-const DUG_TOKEN       = process.env.DUG_TOKEN;
-const REGISTRY        = process.env.REGISTRY;
+const SCORE_SIGNER_PK = process.env.SCORE_SIGNER_PK;  // Server signing key (the `env` signer)
+const SCORE_SIGNERS   = (process.env.SCORE_SIGNERS || (SCORE_SIGNER_PK ? 'env' : ''))  // env[:NAME] | keystore:<file> | socket:<path>, comma-separated
+  .split(',').map(s => s.trim()).filter(Boolean);
+const SCORE_SIGNER_THRESHOLD = Number(process.env.SCORE_SIGNER_THRESHOLD || 1);  // signatures per score (on chain: the contract's)
+const SIGNER_OVERLAP_S= Number(process.env.SIGNER_OVERLAP_S || 15 * 60);  // old key stays valid this long after a rotation
+const GAME_CONTRACT   = DEV_CHAIN ? DEV_ADDRESSES.game : process.env.GAME_CONTRACT;
+const DUG_TOKEN       = DEV_CHAIN ? DEV_ADDRESSES.token : process.env.DUG_TOKEN;
+const REGISTRY        = DEV_CHAIN ? DEV_ADDRESSES.registry : process.env.REGISTRY;
+const DEV_SIGNER_PK   = process.env.DEV_SIGNER_PK;    // dev chain score signer (default: generated, kept in the store)
+const DEV_EPOCH_SECONDS = Number(process.env.DEV_EPOCH_SECONDS || 24 * 60 * 60);  // dev chain epochDuration
+const DEV_FAUCET_MAX  = 10_000;                        // DUG per /devchain/faucet call
+const AUTH_SECRET     = process.env.AUTH_SECRET;      // HMAC key for bearer tokens
+const STORAGE         = process.env.STORAGE || 'file';  // file | memory
+const DATA_DIR        = process.env.DATA_DIR || './data';
+const INDEXER_START_BLOCK = process.env.INDEXER_START_BLOCK ? Number(process.env.INDEXER_START_BLOCK) : null;
+const INDEXER_CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 3);  // blocks behind head
+const INDEXER_FIXTURE = process.env.INDEXER_FIXTURE;   // recorded log file instead of RPC
+const INDEXER_RECORD  = process.env.INDEXER_RECORD;    // write fetched logs out as a fixture
+const INDEXER_POLL_MS = 4000;
+const KEEPER_PK       = process.env.KEEPER_PK;           // wallet that calls settleEpoch — never the score signer
+const KEEPER_ENABLED  = process.env.KEEPER !== 'off';
+const KEEPER_POLL_MS  = 30000;                         // how often the epoch clock is checked
+const RELAYER_PK      = process.env.RELAYER_PK;          // pays gas for relayed scores — never the score signer
+const RELAY_ENABLED   = process.env.RELAY !== 'off';
+const RELAY_DAILY_QUOTA = Number(process.env.RELAY_DAILY_QUOTA || 20);  // relayed scores per wallet per day
+const RELAY_DEADLINE_S= 60 * 60;                       // how long a relay authorization stays valid
+const MAX_HISTORY_PAGE= 100;                           // entries per /epochs, /players/:address/* page
+const RECENT_SESSIONS = 10;                            // sessions listed on a player profile
+const REGISTRY_SYNC_MS= 30000;                         // how often /agents looks for new registrations
+const TOURNAMENT_ORGANISERS = (process.env.TOURNAMENT_ORGANISERS || '')  // wallets that may create tournaments (empty = anyone)
+  .split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+const MAX_TOURNAMENT_DAYS = 30;                        // longest startsAt → endsAt
+const CHALLENGE_SECRET = process.env.CHALLENGE_SECRET || undefined; // keys the daily challenge seeds (default: random per server)
+const MAX_WATCH       = 8;                             // sessions per spectator stream
+const SPECTATE_REFRESH_MS = 2000;                      // how often ?watch=top re-ranks live sessions
+const LIVE_IDLE_MS    = 60000;                         // no input for this long = not live
+const WEBHOOKS_ALLOW_PRIVATE = process.env.WEBHOOKS_ALLOW_PRIVATE === 'true';  // hooks may target localhost / LAN (dev)
+const MAX_WEBHOOKS    = 10;                            // subscriptions per wallet
+const ADMIN_TOKEN     = process.env.ADMIN_TOKEN;      // shared secret for /admin/* (Bearer)
+const ADMIN_WALLETS   = (process.env.ADMIN_WALLETS || '')  // wallets whose sign-in tokens may use /admin/*
+  .split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+const METRICS_TOKEN   = process.env.METRICS_TOKEN;    // if set, /metrics wants it as a Bearer token
+const ANTICHEAT       = process.env.ANTICHEAT || 'enforce';  // enforce | monitor (record verdicts, sign anyway) | off
+const REPLAY_WORKERS  = Number(process.env.REPLAY_WORKERS || 1);  // threads re-simulating submitted runs
+const SIGNATURE_TTL_S = 5 * 60;                        // mirrors ClawDugGame: valid until signedAt + 5 minutes
+const SIGNATURE_LOG_MS= 24 * 60 * 60 * 1000;           // how long issued signatures stay listed
+const MAX_BAN_DAYS    = 365;                           // longest timed ban / throttle
+const RATE_LIMIT_POLICIES = {                          // per client IP; tunable at /admin/rate-limits
+  'action':       { limit: 600, windowMs: 60000, routes: ['POST /agent/action'] },
+  'step':         { limit: 600, windowMs: 60000, routes: ['POST /agent/step'] },
+  'arena-action': { limit: 600, windowMs: 60000, routes: ['POST /arena/:matchId/action'] },
+  'auth':         { limit: 60,  windowMs: 60000, routes: ['GET /auth/nonce', 'POST /auth/login', 'POST /agent/register'] },
+};
+const FRAMES_PER_TICK = 6;                             // engine runs at 60fps, agents act at 10Hz
+const MAX_FRAME_SKIP  = 60;                            // frames per /agent/step call
+const TICK_MS         = 1000 / 60 * FRAMES_PER_TICK;   // session clock period (10Hz)
+const CLOCK_MODES     = ['realtime', 'lockstep', 'manual'];
+const SESSION_HOSTS   = ['server', 'browser'];         // where a session's engine runs — see BROWSER BRIDGE
+const BRIDGE_TIMEOUT_MS = 5000;                        // browser host: longest wait for a relayed command
+const MAX_BRIDGE_FRAMES = 600;                         // input frames per mirrored batch
+const TIME_LIMIT_ERROR  = `session reached the ${MAX_REPLAY_FRAMES / 3600}-minute replay limit — submit the score or reset`;
+const LOCKSTEP_TIMEOUT_MS = 1000;                      // lockstep: advance without input after this
+const MAX_LOCKSTEP_TIMEOUT_MS = 30000;
+const MAX_INPUT_DELAY = 60;                            // frames an input may be scheduled ahead
+const MAX_INPUT_LATENESS = 60;                         // inputs later than this (frames) are dropped
+const MAX_START_ROUND = 99;                            // highest round /agent/reset can start at
+const MAX_LEVEL_MAPS  = 50;                            // hand-made maps per level set (/agent/reset, /arena)
+const REWARD_PER_POINT= 0.01;                          // reward = score delta * this
+const REWARD_PER_KILL = 1;                             //        + kills * this
+const REWARD_LIFE_LOST= -10;                           //        + lives lost * this
+const MAX_FRAME_WINDOW= 300;                           // states per /replay/:id/frames request
+const SESSION_FLUSH_MS= 5000;                          // how often dirty sessions are persisted
+const LB_SIZE         = 20;                            // mirrors ClawDugGame.LB_SIZE
+const EPOCH_DURATION  = 24 * 60 * 60 * 1000;           // mirrors ClawDugGame.epochDuration
 
 // ============================================================
 //  ABI FRAGMENTS  (just what we need)
@@ -50,11 +218,18 @@ const GAME_ABI = [
   'function getCurrentEpoch() external view returns (tuple(uint256 id, uint256 startTime, uint256 endTime, uint256 prizePool, uint256 burnAmount, uint256 treasuryAmount, bool settled, address humanWinner, address agentWinner, uint256 humanTopScore, uint256 agentTopScore))',
   'function timeUntilEpochEnd() external view returns (uint256)',
   'event ScoreSubmitted(address indexed player, uint256 score, uint256 round, uint256 kills, bool isAgent, uint256 epochId, bytes32 sessionId)',
+  'function getScoreSigners() external view returns (address[])',
+  'function scoreSignerRetiresAt(address signer) external view returns (uint256)',
+  'function signerThreshold() external view returns (uint256)',
+  'function addScoreSigner(address signer) external',
+  'function retireScoreSigner(address signer, uint256 retiresAt) external',
 ];
 
 const REGISTRY_ABI = [
   'function register(bytes32 agentId, string calldata name, bool isAgent) external',
   'function getProfile(address wallet) external view returns (tuple(bytes32 agentId, string name, address wallet, bool isAgent, uint256 gamesPlayed, uint256 totalScore, uint256 bestScore, uint256 registeredAt))',
+  'function agentCount() external view returns (uint256)',
+  'function agentList(uint256 index) external view returns (address)',
 ];
 
 const DUG_ABI = [
@@ -63,30 +238,198 @@ const DUG_ABI = [
   'function approve(address spender, uint256 amount) external returns (bool)',
 ];
 
+// ============================================================
+//  STORAGE  (sessions, players, scores, epochs — see clawdug-storage.js)
+// ============================================================
+const store = createStore({ backend: STORAGE, dir: DATA_DIR });
+const auth  = createAuth({ store, secret: AUTH_SECRET, chainId: CHAIN_ID });
+
+// ============================================================
+//  METRICS  (GET /metrics, Prometheus — see clawdug-metrics.js)
+//  Gauges are read at scrape time; everything else is counted
+//  where it happens.
+// ============================================================
+const metrics = createMetrics();
+const stats = {
+  actions:       metrics.counter('actions_total', 'Agent actions received', ['source']),
+  actionRate:    createRateMeter(10),
+  signatures:    metrics.counter('score_signatures_total', 'Score signatures issued', ['kind']),
+  rejected:      metrics.counter('scores_rejected_total', 'Score submissions refused', ['reason']),
+  verdicts:      metrics.counter('anticheat_verdicts_total', 'Anti-cheat verdicts on submitted scores', ['verdict']),
+  rateLimited:   metrics.counter('rate_limited_total', 'Requests refused by a rate-limit policy or throttle', ['policy']),
+  tickLag:       metrics.histogram('tick_lag_seconds', 'How late the session clock fired', [], [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]),
+  tickDuration:  metrics.histogram('tick_duration_seconds', 'Time spent advancing sessions and arenas per tick', [], [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25]),
+  rpcDuration:   metrics.histogram('rpc_call_duration_seconds', 'Contract call latency', ['contract', 'method']),
+  rpcErrors:     metrics.counter('rpc_call_errors_total', 'Failed contract calls', ['contract', 'method']),
+  jsonRpcDuration: metrics.histogram('jsonrpc_request_duration_seconds', 'JSON-RPC latency by method (keeper, relayer and indexer included)', ['method']),
+  jsonRpcErrors: metrics.counter('jsonrpc_errors_total', 'Failed JSON-RPC requests by method', ['method']),
+};
+metrics.gauge('actions_per_second', 'Agent actions per second over the last 10s', [], () => stats.actionRate.rate());
+metrics.gauge('ws_clients', 'Open WebSocket connections', ['kind'], () => {
+  const counts = { player: 0, arena: 0, spectator: 0, bridge: 0 };
+  for (const ws of wss.clients) if (ws.kind) counts[ws.kind]++;
+  return counts;
+});
+metrics.gauge('sessions_active', 'Sessions in memory', [], () => activeSessions.size);
+metrics.gauge('sessions_live', 'Sessions being played right now', [], () => liveSessions().length);
+metrics.gauge('arenas_running', 'Arena matches in progress', [], () => [...arenas.values()].filter(m => m.status === 'running').length);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory', [], () => process.memoryUsage().rss);
+metrics.gauge('score_signers_usable', 'Score signers the server can sign with now', [], () => scoreSigners?.usable().length ?? 0);
+metrics.gauge('uptime_seconds', 'Seconds since the server started', [], () => Math.round(process.uptime()));
+
+function countAction(source) {
+  stats.actions.inc({ source });
+  stats.actionRate.mark();
+}
+
 // ============================================================
 //  BLOCKCHAIN SETUP
+//  CHAIN=dev runs the contracts in-process (clawdug-devchain.js)
+//  with the same code paths as Base: contract calls, keeper,
+//  relayer and indexer all go through its JSON-RPC provider.
 // ============================================================
-let provider, signer, gameContract, registryContract, dugContract;
+let provider, gameContract, registryContract, dugContract, scoreSigners = null, devChain = null;
+
+// SCORE_SIGNERS, skipping any that won't load (a daemon that is
+// down) as long as one does
+async function loadScoreSigners() {
+  const loaded = [];
+  for (const spec of SCORE_SIGNERS) {
+    try {
+      loaded.push(await loadSigner(spec));
+    } catch (err) {
+      console.warn(`[Signers] Could not load ${spec}:`, err.message);
+    }
+  }
+  if (SCORE_SIGNERS.length && !loaded.length) throw new Error('no score signer could be loaded (SCORE_SIGNERS)');
+  return loaded;
+}
+
+// The contract's signer set, for createSignerSet
+async function readSignerSet() {
+  const [addresses, threshold] = await Promise.all([gameContract.getScoreSigners(), gameContract.signerThreshold()]);
+  const retiresAt = await Promise.all(addresses.map(a => gameContract.scoreSignerRetiresAt(a)));
+  return { threshold: Number(threshold), signers: Object.fromEntries(addresses.map((a, i) => [a, Number(retiresAt[i])])) };
+}
 
-function initChain() {
-  if (!SCORE_SIGNER_PK || !GAME_CONTRACT) {
+async function connectChain() {
+  const signers = await loadScoreSigners();
+  if (DEV_CHAIN) {
+    devChain = createDevChain({
+      store, signerKey: DEV_SIGNER_PK, epochSeconds: DEV_EPOCH_SECONDS,
+      signers: signers.length ? signers.map(s => s.address) : null, threshold: SCORE_SIGNER_THRESHOLD,
+    });
+    provider = devChain.provider;
+    if (!signers.length) signers.push(walletSigner(new ethers.Wallet(devChain.signerKey), 'dev', 'store.devchain'));
+  } else if (!signers.length || !GAME_CONTRACT) {
     console.warn('[Chain] Missing env vars — running in mock mode');
     return false;
+  } else {
+    provider = new ethers.JsonRpcProvider(RPC_URL, CHAIN_ID);
   }
-  provider        = new ethers.JsonRpcProvider(RPC_URL, CHAIN_ID);
-  signer          = new ethers.Wallet(SCORE_SIGNER_PK, provider);
-  gameContract    = new ethers.Contract(GAME_CONTRACT, GAME_ABI, signer);
-  registryContract= new ethers.Contract(REGISTRY, REGISTRY_ABI, signer);
-  dugContract     = new ethers.Contract(DUG_TOKEN, DUG_ABI, provider);
-  console.log('[Chain] Connected to Base. Signer:', signer.address);
+  const timed = { duration: stats.rpcDuration, errors: stats.rpcErrors };
+  gameContract    = instrumentContract(new ethers.Contract(GAME_CONTRACT, GAME_ABI, provider), 'game', timed);
+  registryContract= instrumentContract(new ethers.Contract(REGISTRY, REGISTRY_ABI, provider), 'registry', timed);
+  dugContract     = instrumentContract(new ethers.Contract(DUG_TOKEN, DUG_ABI, provider), 'token', timed);
+  instrumentProvider(provider, { duration: stats.jsonRpcDuration, errors: stats.jsonRpcErrors });
+  scoreSigners = createSignerSet({ store, signers, threshold: SCORE_SIGNER_THRESHOLD, chainView: readSignerSet });
+  await scoreSigners.start();
+  console.log(`[Chain] Connected to ${DEV_CHAIN ? 'dev chain' : 'Base'}. Score signers: ${scoreSigners.usable().join(', ')} (${scoreSigners.threshold} needed)`);
   return true;
 }
 
-const chainReady = initChain();
+// A chain that can't be set up (unreadable keystore, signing daemon
+// down, …) leaves the server up in mock mode rather than not at all
+async function initChain() {
+  try {
+    return await connectChain();
+  } catch (err) {
+    console.error('[Chain] Setup failed — running in mock mode:', err.message);
+    scoreSigners?.stop();
+    provider?.destroy?.();
+    provider = gameContract = registryContract = dugContract = scoreSigners = devChain = null;
+    return false;
+  }
+}
+
+const chainReady = await initChain();
+
+// ============================================================
+//  WEBHOOKS  (event notifications — see clawdug-webhooks.js)
+//  session.ended / score.signed come from GameSession,
+//  leaderboard.updated / epoch.settled from the indexer (chain)
+//  or the mock leaderboard and keeper.
+// ============================================================
+const webhooks = createWebhooks({ store, maxPerOwner: MAX_WEBHOOKS, allowPrivate: WEBHOOKS_ALLOW_PRIVATE });
+
+function notifySessionEnded(session, reason) {
+  webhooks.emit('session.ended', {
+    sessionId:    session.sessionId,
+    wallet:       session.agentAddress.toLowerCase(),
+    agentId:      session.agentId,
+    isAgent:      session.isAgent,
+    reason,                                      // gameover | time_limit | expired | killed
+    score:        session.score,
+    kills:        session.kills,
+    round:        session.round,
+    frames:       session.game.frameCount,
+    ranked:       session.ranked,
+    tournamentId: session.tournamentId,
+  }, { owner: session.agentAddress });
+}
+
+// Confirmed contract events → webhook events (rank is 1-based)
+function notifyChainEvent(e) {
+  const a = e.args;
+  const chain = { txHash: e.txHash, block: e.blockNumber };
+  if (e.event === 'LeaderboardUpdated') {
+    webhooks.emit('leaderboard.updated', {
+      isAgent: a.isAgent, rank: Number(a.rank) + 1, player: a.player, score: Number(a.score), ...chain,
+    });
+  } else if (e.event === 'EpochSettled') {
+    webhooks.emit('epoch.settled', {
+      epochId:     Number(a.epochId),
+      humanWinner: a.humanWinner === ethers.ZeroAddress ? null : a.humanWinner,
+      humanPrize:  ethers.formatEther(a.humanPrize),
+      agentWinner: a.agentWinner === ethers.ZeroAddress ? null : a.agentWinner,
+      agentPrize:  ethers.formatEther(a.agentPrize),
+      ...chain,
+    });
+  }
+}
+
+// ============================================================
+//  CHAIN INDEXER  (contract events → store — see clawdug-indexer.js)
+//  Runs against the game contract when the chain is configured,
+//  or replays INDEXER_FIXTURE. Without either, history routes
+//  are served from mock-mode scores and epochs.
+// ============================================================
+function initIndexer() {
+  const options = {
+    store, startBlock: INDEXER_START_BLOCK, confirmations: INDEXER_CONFIRMATIONS,
+    pollMs: INDEXER_POLL_MS, record: INDEXER_RECORD, onEvent: notifyChainEvent,
+  };
+  if (INDEXER_FIXTURE) {
+    const source = fixtureSource(INDEXER_FIXTURE);
+    console.log(`[Indexer] Replaying ${INDEXER_FIXTURE}`);
+    return createIndexer({ ...options, source, address: source.address, startBlock: INDEXER_START_BLOCK ?? 0 });
+  }
+  if (!chainReady) return null;
+  if (DEV_CHAIN) {
+    // No reorgs, but the head block still takes transactions: index from genesis, one behind
+    return createIndexer({ ...options, source: provider, address: GAME_CONTRACT, startBlock: INDEXER_START_BLOCK ?? 0, confirmations: 1 });
+  }
+  return createIndexer({ ...options, source: provider, address: GAME_CONTRACT });
+}
+
+const indexer = initIndexer();
+indexer?.start();
 
 // ============================================================
-//  IN-MEMORY GAME STATE  (authoritative server state)
-//  In production, one instance per active game session
+//  GAME SESSIONS  (authoritative server state)
+//  Each session runs the shared engine (clawdug-engine.cjs)
+//  headless — the same rules the browser plays. Live sessions
+//  are kept here and persisted to store.sessions.
 // ============================================================
 const activeSessions = new Map();  // sessionId -> GameSession
 
@@ -96,75 +439,391 @@ class GameSession {
     this.agentAddress = agentAddress;
     this.agentId      = agentId;
     this.isAgent      = isAgent;
+    this.seed         = randomSeed();                  // server-issued, drives every RNG call in the run
     this.startTime    = Date.now();
     this.lastAction   = Date.now();
-    this.gameState    = this._initialState();
-    this.actionQueue  = [];
+    this.game         = new GameCore({ seed: this.seed });
+    this.pumpHeld     = false;
+    this.clock        = 'realtime';                    // realtime | lockstep | manual — see setClock()
+    this.host         = 'server';                      // server | browser (a clawdug.html page runs the game)
+    this.bridge       = null;                          // browser host's WS while it is connected
+    this.clockRunning = false;                         // starts with the first action / WS connection
+    this.lockstepTimeout = LOCKSTEP_TIMEOUT_MS;
+    this.inputDelay   = 0;                             // frames added to each input's frame
+    this.inputBuffer  = new Map();                     // target frame -> action
+    this.waitingSince = Date.now();                    // lockstep: when the current tick began waiting
+    this.lag          = 0;                             // moving average of input lateness (frames)
+    this.inputStats   = { received: 0, late: 0, dropped: 0, timeouts: 0 };
+    this.actionLog    = [];                            // [frame, action] as received
+    this.clientInputs = null;                          // uploaded input log (browser-played runs)
     this.score        = 0;
     this.kills        = 0;
     this.round        = 1;
     this.alive        = true;
     this.scoreVerified= false;
+    this.ranked       = true;                          // false after a reset to a chosen seed/round/level set
+    this.submitted    = false;                         // score recorded (mock mode) or relayed and mined
+    this.tournamentId = null;                          // set for a best-of tournament attempt
+    this.challenge    = null;                          // date of a daily challenge attempt
+    this.replay       = null;                          // outcome of the last replay verification
+    this.verifying    = false;                         // a verifyReplay() is waiting on the verifier
     this.wsClients    = new Set();
+    this.spectators   = new Set();                     // read-only WS clients (?watch=)
+    this.dirty        = true;                          // needs persisting
+    this.game.startGame();
   }
 
-  _initialState() {
+  // Persisted form — the engine state itself is rebuilt from seed + inputs
+  toRecord() {
     return {
-      frame:   0,
-      score:   0,
-      lives:   3,
-      round:   1,
-      player:  { x: 32, y: 32, tileR: 1, tileC: 1, dir: 1, alive: true, invincible: false, hasPump: false },
-      enemies: [
-        { type: 'POOKA', x: 384, y: 128, tileR: 4, tileC: 12, alive: true, ghost: false, pumped: false, inflate: 0 },
-        { type: 'POOKA', x: 320, y: 192, tileR: 6, tileC: 10, alive: true, ghost: false, pumped: false, inflate: 0 },
-        { type: 'FYGAR', x: 256, y: 256, tileR: 8, tileC: 8,  alive: true, ghost: false, pumped: false, inflate: 0 },
-        { type: 'POOKA', x: 352, y: 320, tileR: 10, tileC: 11,alive: true, ghost: false, pumped: false, inflate: 0 },
-        { type: 'FYGAR', x: 64,  y: 192, tileR: 6, tileC: 2,  alive: true, ghost: false, pumped: false, inflate: 0 },
-      ],
-      rocks: [
-        { r: 3, c: 5, x: 160, y: 96, falling: false, active: true },
-        { r: 5, c: 7, x: 224, y: 160, falling: false, active: true },
-        { r: 7, c: 2, x: 64,  y: 224, falling: false, active: true },
-      ],
-      grid: Array(17).fill(null).map((_, r) => Array(15).fill(r < 1 ? 0 : 1)),
-      actions: ['move_up','move_down','move_left','move_right','fire_pump','release_pump']
+      sessionId:    this.sessionId,
+      agentAddress: this.agentAddress,
+      agentId:      this.agentId,
+      isAgent:      this.isAgent,
+      seed:         this.seed,
+      startRound:   this.game.firstRound,
+      levels:       this.game.levels,
+      modifiers:    this.game.modifiers,
+      startTime:    this.startTime,
+      lastAction:   this.lastAction,
+      pumpHeld:     this.pumpHeld,
+      clock:        this.clock,
+      host:         this.host,
+      lockstepTimeout: this.lockstepTimeout,
+      inputDelay:   this.inputDelay,
+      inputs:       this.game.inputLog.toJSON(),
+      frame:        this.game.frameCount,
+      actionLog:    this.actionLog,
+      clientInputs: this.clientInputs,
+      score:        this.score,
+      kills:        this.kills,
+      round:        this.round,
+      alive:        this.alive,
+      scoreVerified:this.scoreVerified,
+      ranked:       this.ranked,
+      submitted:    this.submitted,
+      tournamentId: this.tournamentId,
+      challenge:    this.challenge,
     };
   }
 
-  // Simulate a tick of game state (simplified — real state lives in browser)
-  tick(action) {
-    this.gameState.frame++;
+  static fromRecord(record) {
+    const session = new GameSession(record.agentAddress, record.agentId, record.isAgent);
+    Object.assign(session, {
+      sessionId:    record.sessionId,
+      seed:         record.seed,
+      startTime:    record.startTime,
+      lastAction:   record.lastAction,
+      pumpHeld:     record.pumpHeld,
+      clock:        record.clock ?? 'realtime',
+      host:         record.host ?? 'server',
+      lockstepTimeout: record.lockstepTimeout ?? LOCKSTEP_TIMEOUT_MS,
+      inputDelay:   record.inputDelay ?? 0,
+      actionLog:    record.actionLog,
+      clientInputs: record.clientInputs,
+      score:        record.score,
+      kills:        record.kills,
+      round:        record.round,
+      alive:        record.alive,
+      scoreVerified:record.scoreVerified,
+      ranked:       record.ranked ?? true,
+      submitted:    record.submitted,
+      tournamentId: record.tournamentId ?? null,
+      challenge:    record.challenge ?? null,
+      dirty:        false,
+    });
+    // Deterministic engine: replaying the input log restores the exact game
+    // (records from before level sets were saved are classic)
+    session.game = new GameCore({ seed: record.seed });
+    const player = new ReplayPlayer({
+      seed: record.seed, startRound: record.startRound, levels: record.levels ?? 'classic',
+      modifiers: record.modifiers, inputs: record.inputs,
+    }, session.game);
+    while (player.step());
+    session.game.frameCount = record.frame;  // the clock keeps running after gameover
+    return session;
+  }
+
+  // ClawDugState/1.0 snapshot of the headless engine
+  get gameState() {
+    return this.game.getAgentState();
+  }
+
+  // The seed as clients see it — a daily challenge's stays hidden
+  // until the day is over
+  get publicSeed() {
+    return sealedChallenge(this.challenge) ? undefined : this.seed;
+  }
+
+  // Apply one agent action and advance the engine by one tick
+  // (FRAMES_PER_TICK frames). Movement is held for the whole tick;
+  // fire_pump stays held across ticks until release_pump.
+  tick(action, frames = FRAMES_PER_TICK) {
+    this.dirty = true;
+    if (action) {
+      this.lastAction = Date.now();
+      this.actionLog.push([this.game.frameCount, action]);
+    }
+
+    const input = actionToInput(action, this.pumpHeld);
+    this.pumpHeld = input.pump;
+    frames = Math.min(frames, this.framesLeft);
+    for (let i = 0; i < frames; i++) this.game.update(input);
+    this.settle();
+  }
+
+  // Browser-hosted: run the input frames the page played through
+  // this engine too — the mirror that is verified, recorded, replayed
+  // and streamed, exactly as if the server had run them
+  mirror(runs) {
+    let left = this.framesLeft;
+    for (const [mask, count] of runs) {
+      const input = decodeInput(mask);
+      for (let i = 0; i < count && left > 0; i++, left--) this.game.update(input);
+    }
+    this.pumpHeld = decodeInput(runs[runs.length - 1][0]).pump;
+    this.dirty = true;
+    this.settle();
+  }
+
+  // Input frames the run may still log: a replay longer than
+  // MAX_REPLAY_FRAMES couldn't be verified, so play stops there
+  get framesLeft() {
+    return Math.max(0, MAX_REPLAY_FRAMES - this.game.inputLog.frames);
+  }
+
+  // After frames ran: score, kills and round only go up, and an
+  // ended run stays ended until reset(). A run that reaches the
+  // replay limit ends there, with the score it has.
+  settle() {
+    const wasAlive = this.alive;
+    this.score = Math.max(this.score, this.game.score);
+    this.kills = Math.max(this.kills, this.game.kills);
+    this.round = Math.max(this.round, this.game.round);
+    this.alive = wasAlive && this.game.state !== STATE_GAMEOVER && this.framesLeft > 0;
+    if (!wasAlive || this.alive) return;
+    if (this.game.state === STATE_GAMEOVER) return notifySessionEnded(this, 'gameover');
+    notifySessionEnded(this, 'time_limit');
+    // the state alone doesn't say so — tell streaming agents
+    for (const ws of this.wsClients) {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type: 'ended', sessionId: this.sessionId, reason: 'time_limit', message: TIME_LIMIT_ERROR }));
+    }
+  }
+
+  // ---- Session clock ----
+  //  realtime — the server advances one tick every TICK_MS; inputs are
+  //             buffered by frame and applied at the first tick at or
+  //             after it
+  //  lockstep — the server waits for the tick's input (or
+  //             lockstepTimeout) before advancing
+  //  manual   — the caller's clock: every /agent/action or /agent/step
+  //             advances immediately (training)
+  setClock(mode, { timeoutMs = this.lockstepTimeout, inputDelay = this.inputDelay } = {}) {
+    this.clock = mode;
+    this.lockstepTimeout = timeoutMs;
+    this.inputDelay = inputDelay;
+    this.clockRunning = false;
+    this.inputBuffer.clear();
+    this.waitingSince = Date.now();
+    this.dirty = true;
+  }
+
+  // Buffer an action for `frame` (the frame the agent acted on;
+  // defaults to now). Returns the receipt echoed back to the agent.
+  queueAction(action, frame = this.game.frameCount) {
+    const now    = this.game.frameCount;
+    const target = frame + this.inputDelay;
+    const lateBy = Math.max(0, now - target);
+    this.lag = this.lag * 0.8 + (now - frame) * 0.2;
     this.lastAction = Date.now();
+    this.inputStats.received++;
+
+    const receipt = { requested: frame, frame: Math.max(target, now), serverFrame: now, late: lateBy > 0, lateBy };
+    if (lateBy > MAX_INPUT_LATENESS) {
+      this.inputStats.dropped++;
+      return { ...receipt, frame: null, dropped: true };
+    }
+    if (lateBy) this.inputStats.late++;
+    this.inputBuffer.set(receipt.frame, action);  // latest action for a frame wins
+    this.startClock();
+    return receipt;
+  }
 
-    if (!action) return;
+  // Browser-hosted sessions keep time in the page, never here
+  startClock() {
+    if (this.host === 'browser' || this.clock === 'manual' || !this.alive || this.clockRunning) return;
+    this.clockRunning = true;
+    this.waitingSince = Date.now();
+  }
 
-    const { player, enemies } = this.gameState;
+  // Lockstep: is there an input due for the next tick?
+  get inputDue() {
+    const now = this.game.frameCount;
+    for (const frame of this.inputBuffer.keys()) if (frame <= now) return true;
+    return false;
+  }
 
-    // Apply action effects
-    switch (action) {
-      case 'move_right': player.x = Math.min(player.x + 4, 448); player.dir = 1; break;
-      case 'move_left':  player.x = Math.max(player.x - 4, 0);   player.dir = 3; break;
-      case 'move_down':  player.y = Math.min(player.y + 4, 528);  player.dir = 2; break;
-      case 'move_up':    player.y = Math.max(player.y - 4, 0);    player.dir = 0; break;
-      case 'fire_pump':  player.hasPump = true; break;
-      case 'release_pump': player.hasPump = false; break;
+  // One clock tick: apply the newest buffered action that is due
+  advance() {
+    const now = this.game.frameCount;
+    let due = -1, action = null;
+    for (const [frame, a] of this.inputBuffer) {
+      if (frame > now) continue;
+      if (frame >= due) { due = frame; action = a; }
+      this.inputBuffer.delete(frame);
     }
+    this.tick(action);
+    this.waitingSince = Date.now();
+    if (!this.alive) this.clockRunning = false;
+    return action;
+  }
+
+  get clockInfo() {
+    return {
+      mode:       this.clock,
+      running:    this.clockRunning,
+      tickMs:     TICK_MS,
+      frame:      this.game.frameCount,
+      inputDelay: this.inputDelay,
+      lag:        Math.round(this.lag * 10) / 10,
+      buffered:   this.inputBuffer.size,
+      ...(this.clock === 'lockstep' ? { timeoutMs: this.lockstepTimeout } : {}),
+      ...(this.host === 'browser' ? { host: 'browser', bridge: !!this.bridge } : {}),
+      inputs:     this.inputStats,
+    };
+  }
+
+  // Gym-style step: hold one action for frameSkip frames and report
+  // the reward earned over them
+  step(action, frameSkip = FRAMES_PER_TICK) {
+    const before = this.progress;
+    this.tick(action, frameSkip);
+    return this.stepResult(before, frameSkip);
+  }
+
+  get progress() {
+    const g = this.game;
+    return { score: g.score, kills: g.kills, lives: g.lives, round: g.round };
+  }
+
+  // Reward and info for the frames run since `before` (a progress snapshot)
+  stepResult(before, frameSkip) {
+    const g = this.game;
+    const scoreDelta = g.score - before.score;
+    const killsDelta = g.kills - before.kills;
+    const livesLost  = Math.max(0, before.lives - g.lives);
+    return {
+      observation: g.getAgentState(),
+      reward: scoreDelta * REWARD_PER_POINT + killsDelta * REWARD_PER_KILL + livesLost * REWARD_LIFE_LOST,
+      done:   !this.alive,
+      info: {
+        frames:       frameSkip,
+        score:        g.score,
+        kills:        g.kills,
+        lives:        g.lives,
+        round:        g.round,
+        scoreDelta,
+        killsDelta,
+        livesLost,
+        roundCleared: g.round > before.round,
+        seed:         this.publicSeed,
+        ranked:       this.ranked,
+      },
+    };
+  }
+
+  // Start the session over. A chosen seed, start round, level set or
+  // modifiers make it a training run — it replays and verifies, but
+  // can't be ranked. `levels` and `modifiers` must already be resolved
+  // (resolveLevels, parseModifiers).
+  reset({ seed = null, round = 1, levels = 'procedural', modifiers = [] } = {}) {
+    this.setClock(this.clock);
+    this.ranked       = seed === null && round === 1 && levels === 'procedural' && !modifiers.length;
+    this.seed         = seed ?? randomSeed();
+    this.startTime    = Date.now();
+    this.lastAction   = Date.now();
+    this.pumpHeld     = false;
+    this.actionLog    = [];
+    this.clientInputs = null;
+    this.score        = 0;
+    this.kills        = 0;
+    this.round        = round;
+    this.alive        = true;
+    this.scoreVerified= false;
+    this.replay       = null;
+    this.dirty        = true;
+    this.game.seed = this.seed;
+    this.game.levels = levels;
+    this.game.modifiers = modifiers;
+    this.game.startGame(this.seed, round);
+  }
 
-    player.tileR = Math.round(player.y / 32);
-    player.tileC = Math.round(player.x / 32);
+  // Re-simulate the run from the session seed and check the claimed
+  // score / kills / round against it. Sessions driven through
+  // /agent/action or WS use the server's own input log; browser-played
+  // sessions must upload theirs. The replay runs on the verifier (a
+  // worker for long runs); a run that moved on meanwhile has to be
+  // submitted again.
+  async verifyReplay(inputs) {
+    const serverDriven = this.game.inputLog.frames > 0;
+    const log = serverDriven ? this.game.inputLog.toJSON() : inputs;
+    if (!log) return { ok: false, code: 'no_inputs', reason: 'input log required' };
+    if (this.verifying) return { ok: false, code: 'busy', status: 409, reason: 'this run is already being verified' };
+
+    const run = this.startTime, frames = this.game.inputLog.frames;
+    let replay;
+    this.verifying = true;
+    try {
+      replay = await verifier.replay(this.seed, log, { startRound: this.game.firstRound, levels: this.game.levels, modifiers: this.game.modifiers });
+    } catch (err) {
+      return { ok: false, code: 'busy', status: 503, reason: err.message };
+    } finally {
+      this.verifying = false;
+    }
+    if (this.startTime !== run || this.game.inputLog.frames !== frames) {
+      return { ok: false, code: 'busy', status: 409, reason: 'the run moved on while it was being verified — submit again' };
+    }
+    if (replay.error) return { ok: false, code: 'bad_inputs', reason: replay.error };
 
-    // Undig tile
-    if (player.tileR >= 1 && player.tileR < 17 && player.tileC >= 0 && player.tileC < 15) {
-      this.gameState.grid[player.tileR][player.tileC] = 0;
+    for (const field of ['score', 'kills', 'round']) {
+      if (replay[field] !== this[field]) {
+        return { ok: false, code: `${field}_mismatch`, reason: `${field} mismatch (claimed ${this[field]}, replay ${replay[field]})`, replay };
+      }
     }
+    if (!serverDriven) this.clientInputs = log;
+    this.replay = replay;
+    this.dirty = true;
+    return { ok: true, replay };
+  }
+
+  // Everything needed to play the run back (GET /replay/:sessionId)
+  toReplay() {
+    const inputs = this.game.inputLog.frames > 0 ? this.game.inputLog.toJSON() : (this.clientInputs || []);
+    return {
+      format:     REPLAY_FORMAT,
+      sessionId:  this.sessionId,
+      seed:       this.seed,
+      startRound: this.game.firstRound,
+      levels:     this.game.levels,
+      modifiers:  this.game.modifiers,
+      ...(this.challenge ? { challenge: this.challenge } : {}),
+      player:     this.agentAddress,
+      agentId:    this.agentId,
+      isAgent:    this.isAgent,
+      startedAt:  this.startTime,
+      frames:     inputs.reduce((n, [, count]) => n + count, 0),
+      inputs,
+      actions:    this.actionLog,
+      result:     { score: this.score, kills: this.kills, round: this.round },
+    };
   }
 
   // Sign the final score for on-chain submission
   async signScore() {
+    let signed;
     if (!chainReady) {
       // Mock signature in dev mode
-      return {
+      signed = {
         sessionId: this.sessionId,
         score:     this.score,
         round:     this.round,
@@ -173,224 +832,1556 @@ class GameSession {
         signature: '0x' + crypto.randomBytes(65).toString('hex'),
         mock:      true
       };
-    }
+      recordSignature(this.agentAddress, signed, 'mock');
+    } else {
+      const { signedAt, signature, signers } = await signScorePayload({
+        player: this.agentAddress, score: this.score, round: this.round, kills: this.kills, sessionId: this.sessionId,
+      });
+      this.scoreVerified = true;
+      this.dirty = true;
 
-    const signedAt = Math.floor(Date.now() / 1000);
-    const msgHash = ethers.solidityPackedKeccak256(
-      ['address', 'uint256', 'uint256', 'uint256', 'bytes32', 'uint256', 'uint256'],
-      [this.agentAddress, this.score, this.round, this.kills, this.sessionId, signedAt, CHAIN_ID]
-    );
-    const signature = await signer.signMessage(ethers.getBytes(msgHash));
-    this.scoreVerified = true;
+      signed = {
+        sessionId: this.sessionId,
+        score:     this.score,
+        round:     this.round,
+        kills:     this.kills,
+        signedAt,
+        signature,
+        signers,
+        mock:      false
+      };
+      recordSignature(this.agentAddress, signed, 'submit');
+    }
 
-    return {
-      sessionId: this.sessionId,
-      score:     this.score,
-      round:     this.round,
-      kills:     this.kills,
-      signedAt,
-      signature,
-      mock:      false
-    };
+    webhooks.emit('score.signed', { ...signed, wallet: this.agentAddress.toLowerCase(), isAgent: this.isAgent }, { owner: this.agentAddress });
+    return signed;
   }
 }
 
-// ============================================================
-//  MOCK LEADERBOARD  (used when chain not connected)
-// ============================================================
-const mockLeaderboard = {
-  agents: [
-    { player: '0xDEAD...BEEF', name: 'ClawBot-Prime', score: 48200, round: 9, kills: 47, timestamp: Date.now() - 3600000 },
-    { player: '0xC0DE...CAFE', name: 'Pooka-Hunter-7', score: 31500, round: 6, kills: 31, timestamp: Date.now() - 7200000 },
-    { player: '0xABCD...1234', name: 'RockMaster-AI', score: 22100, round: 4, kills: 22, timestamp: Date.now() - 10800000 },
-  ],
-  humans: [
-    { player: '0x1234...5678', name: 'dutchiono', score: 18500, round: 3, kills: 18, timestamp: Date.now() - 1800000 },
-    { player: '0x8765...4321', name: 'DugMaster', score: 12000, round: 2, kills: 12, timestamp: Date.now() - 5400000 },
-  ],
-};
+// What ClawDugGame._submitScore checks: valid for 5 minutes from
+// signedAt, signed by signerThreshold of its score signers
+async function signScorePayload({ player, score, round, kills, sessionId }, kind = 'submit') {
+  const signedAt = Math.floor(Date.now() / 1000);
+  const msgHash = ethers.solidityPackedKeccak256(
+    ['address', 'uint256', 'uint256', 'uint256', 'bytes32', 'uint256', 'uint256'],
+    [player, score, round, kills, sessionId, signedAt, CHAIN_ID]
+  );
+  const { signature, signers } = await scoreSigners.sign(msgHash, {
+    kind, sessionId, player: player.toLowerCase(), score: Number(score), round: Number(round), kills: Number(kills), signedAt,
+  });
+  return { signedAt, signature, signers };
+}
 
-// ============================================================
-//  EXPRESS APP
-// ============================================================
-const app    = express();
-const server = createServer(app);
-const wss    = new WebSocketServer({ server, path: '/agent/stream' });
+// ---- Issued signatures (listed and force-expired at /admin/signatures) ----
+// One record per session; re-signing updates it. Revoking only stops
+// this server from signing or relaying the session again — a signature
+// already handed out stays valid on chain until signedAt + 5 minutes.
+function recordSignature(player, { sessionId, score, round, kills, signedAt, signers = null }, kind) {
+  const existing = store.signatures.get(sessionId);
+  stats.signatures.inc({ kind });
+  return store.signatures.put(sessionId, {
+    sessionId,
+    wallet:    player.toLowerCase(),
+    score, round, kills, kind,
+    signers,
+    signedAt,
+    expiresAt: (signedAt + SIGNATURE_TTL_S) * 1000,
+    issued:    (existing?.issued ?? 0) + 1,
+    revokedAt: existing?.revokedAt ?? null,
+    revokedReason: existing?.revokedReason ?? null,
+  });
+}
 
-app.use(cors());
-app.use(express.json());
+const isRevoked = (sessionId) => !!store.signatures.get(sessionId)?.revokedAt;
 
-// ---- Rate limiter (simple) ----
-const rateLimits = new Map();
-function rateLimit(ip, limit = 30, windowMs = 60000) {
-  const now = Date.now();
-  const key = `${ip}:${Math.floor(now / windowMs)}`;
-  const count = (rateLimits.get(key) || 0) + 1;
-  rateLimits.set(key, count);
-  if (count > limit) return false;
-  // Cleanup old keys
-  if (rateLimits.size > 10000) {
-    for (const [k] of rateLimits) {
-      if (!k.includes(String(Math.floor(now / windowMs)))) rateLimits.delete(k);
-    }
+// ---- Observation protocol (per WS client) ----
+// ClawDugState/1.0 clients get the full state in every message.
+// ClawDugState/2.0 clients pick obs=delta (keyframe, then deltas)
+// or obs=tensor, and encoding=json|binary (binary: tensor only).
+function negotiate({ format = STATE_FORMAT, obs = 'delta', encoding = 'json' } = {}) {
+  if (format !== STATE_FORMAT && format !== STATE_FORMAT_V2) {
+    return { error: `unknown format. Valid: ${STATE_FORMAT}, ${STATE_FORMAT_V2}` };
   }
-  return true;
+  if (format === STATE_FORMAT) return { format };
+  if (obs !== 'delta' && obs !== 'tensor') return { error: 'obs must be delta or tensor' };
+  if (encoding !== 'json' && encoding !== 'binary') return { error: 'encoding must be json or binary' };
+  if (encoding === 'binary' && obs !== 'tensor') return { error: 'binary encoding requires obs=tensor' };
+  return { format, obs, encoding, last: null };
 }
 
-// ============================================================
-//  ROUTES
-// ============================================================
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    ok:          true,
-    service:     'ClawDug Agent API',
-    version:     '1.0.0',
-    chainReady,
-    activeSessions: activeSessions.size,
-    timestamp:   Date.now()
-  });
-});
+function describeProtocol(proto) {
+  return {
+    tickRate:    10,
+    stateFormat: proto.format,
+    formats:     [STATE_FORMAT, STATE_FORMAT_V2],
+    actions:     AGENT_ACTIONS,
+    ...(proto.obs ? { obs: proto.obs, encoding: proto.encoding } : {}),
+    ...(proto.obs === 'tensor' ? { channels: TENSOR_CHANNELS, shape: [TENSOR_CHANNELS.length, ROWS, COLS] } : {}),
+  };
+}
 
-// ---- Register agent ----
-app.post('/agent/register', async (req, res) => {
-  const { agentId, name, wallet, isAgent = true } = req.body;
-  if (!agentId || !name || !wallet) {
-    return res.status(400).json({ error: 'agentId, name, wallet required' });
+// One state message for one client; `event` is what produced it
+// (tick, state, ack, reset)
+function encodeState(proto, event, state, extra = {}) {
+  if (proto.format === STATE_FORMAT) {
+    return JSON.stringify({ type: event, frame: state.frame, ...extra, state });
   }
-  if (!ethers.isAddress(wallet)) {
-    return res.status(400).json({ error: 'invalid wallet address' });
+  if (proto.obs === 'tensor') {
+    const bytes = encodeObservation(state);
+    if (proto.encoding === 'binary') return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return JSON.stringify({ type: 'tensor', event, ...extra, data: Buffer.from(bytes).toString('base64') });
   }
+  const delta = proto.last && event !== 'reset' && diffState(proto.last, state);
+  proto.last = state;
+  if (delta) return JSON.stringify({ type: 'delta', event, ...extra, ...delta });
+  return JSON.stringify({ type: 'keyframe', event, ...extra, state: keyframeState(state) });
+}
 
-  try {
-    let txHash = null;
-    if (chainReady) {
-      // Register on-chain
-      const agentIdBytes = ethers.zeroPadBytes(
-        ethers.toUtf8Bytes(agentId.slice(0, 32)), 32
-      );
-      const tx = await registryContract.register(agentIdBytes, name, isAgent);
-      await tx.wait();
-      txHash = tx.hash;
-    }
-
-    // Create session
-    const session = new GameSession(wallet, agentId, isAgent);
-    activeSessions.set(session.sessionId, session);
-
-    res.json({
-      ok:        true,
-      sessionId: session.sessionId,
-      txHash,
-      message:   isAgent
-        ? `Agent "${name}" registered. Use sessionId for all subsequent calls.`
-        : `Human player "${name}" registered.`,
-      endpoints: {
-        state:       `GET  /agent/state?session=${session.sessionId}`,
-        action:      `POST /agent/action`,
-        submitScore: `POST /agent/submit-score`,
-        stream:      `WS   /agent/stream?session=${session.sessionId}`,
-      }
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+function broadcast(session, event, state, extra) {
+  for (const ws of session.wsClients) {
+    if (ws.readyState === 1) ws.send(encodeState(ws.proto, event, state, extra));
   }
-});
-
-// ---- Get game state ----
-app.get('/agent/state', (req, res) => {
-  const { session: sessionId } = req.query;
-  const session = activeSessions.get(sessionId);
-  if (!session) return res.status(404).json({ error: 'session not found' });
-
-  res.json({
-    ok:      true,
-    session: sessionId,
-    state:   session.gameState,
-    meta: {
-      score:     session.score,
-      kills:     session.kills,
-      round:     session.round,
-      alive:     session.alive,
-      elapsed:   Date.now() - session.startTime,
-    }
-  });
-});
-
-// ---- Send action ----
-app.post('/agent/action', (req, res) => {
-  const ip = req.ip;
-  if (!rateLimit(ip, 600, 60000)) {  // 600 actions/min max
-    return res.status(429).json({ error: 'rate limit exceeded' });
+  for (const ws of session.spectators) {
+    const proto = ws.watching.get(session.sessionId);
+    if (ws.readyState === 1) ws.send(encodeState(proto, event, state, { ...extra, sessionId: session.sessionId }));
   }
+}
 
-  const { sessionId, action, frame } = req.body;
-  if (!sessionId || !action) {
-    return res.status(400).json({ error: 'sessionId and action required' });
+// ---- Session clock ----
+function parseClock({ mode, timeoutMs, inputDelay } = {}) {
+  if (!CLOCK_MODES.includes(mode)) {
+    return { error: `clock mode must be one of: ${CLOCK_MODES.join(', ')}` };
   }
+  if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs >= TICK_MS && timeoutMs <= MAX_LOCKSTEP_TIMEOUT_MS)) {
+    return { error: `timeoutMs must be an integer ${Math.ceil(TICK_MS)}-${MAX_LOCKSTEP_TIMEOUT_MS}` };
+  }
+  if (inputDelay !== undefined && !(Number.isInteger(inputDelay) && inputDelay >= 0 && inputDelay <= MAX_INPUT_DELAY)) {
+    return { error: `inputDelay must be an integer 0-${MAX_INPUT_DELAY}` };
+  }
+  return { mode, options: { timeoutMs, inputDelay } };
+}
 
-  const VALID_ACTIONS = ['move_up','move_down','move_left','move_right','fire_pump','release_pump','noop'];
-  if (!VALID_ACTIONS.includes(action)) {
-    return res.status(400).json({ error: `invalid action. Valid: ${VALID_ACTIONS.join(', ')}` });
+// Route an agent action through the session clock and return the
+// input receipt. Manual sessions advance right away; lockstep ones
+// as soon as the tick's input is in.
+function submitAction(session, action, frame) {
+  if (!session.framesLeft) return { error: TIME_LIMIT_ERROR, status: 409 };
+  if (session.clock === 'manual') {
+    const serverFrame = session.game.frameCount;
+    session.tick(action);
+    broadcast(session, 'state', session.gameState, { action });
+    return { requested: frame ?? serverFrame, frame: serverFrame, serverFrame, late: false, lateBy: 0 };
+  }
+  const receipt = session.queueAction(action, frame);
+  if (session.clock === 'lockstep' && session.inputDue) {
+    session.advance();
+    broadcast(session, 'tick', session.gameState);
   }
+  return receipt;
+}
 
-  const session = activeSessions.get(sessionId);
-  if (!session) return res.status(404).json({ error: 'session not found' });
+const validFrame = (frame) => frame === undefined || (Number.isInteger(frame) && frame >= 0);
+
+function persistSession(session) {
+  session.dirty = false;
+  return store.sessions.put(session.sessionId, session.toRecord());
+}
 
-  session.tick(action);
+// Finished sessions move to the archive: replay + final result
+function archiveSession(session) {
+  activeSessions.delete(session.sessionId);
+  if (session.alive) notifySessionEnded(session, 'expired');
+  for (const ws of session.spectators) unwatchSession(ws, session.sessionId, 'archived');
+  session.bridge?.close(1000, 'session archived');
+  return Promise.all([
+    store.archive.put(session.sessionId, { ...session.toReplay(), submitted: session.submitted, archivedAt: Date.now() }),
+    store.sessions.delete(session.sessionId),
+  ]);
+}
 
-  // Broadcast updated state to WS clients
-  const stateMsg = JSON.stringify({ type: 'state', state: session.gameState, action });
+// Operator kill: end the game now, tell its clients, archive it
+function killSession(session, reason = null) {
   for (const ws of session.wsClients) {
-    if (ws.readyState === 1) ws.send(stateMsg);
+    if (ws.readyState !== ws.OPEN) continue;
+    ws.send(JSON.stringify({ type: 'ended', sessionId: session.sessionId, reason: 'killed', ...(reason ? { message: reason } : {}) }));
+    ws.close(4003, 'session killed');
   }
+  session.bridge?.close(4003, 'session killed');
+  if (session.alive) {
+    session.alive = false;
+    notifySessionEnded(session, 'killed');
+  }
+  return archiveSession(session);
+}
 
-  res.json({
-    ok:     true,
-    frame:  session.gameState.frame,
-    action,
-    state:  session.gameState,
-  });
-});
-
-// ---- Update score from browser (game reports back to server) ----
-app.post('/agent/update-score', (req, res) => {
-  const { sessionId, score, kills, round, alive } = req.body;
+function findReplay(sessionId) {
   const session = activeSessions.get(sessionId);
-  if (!session) return res.status(404).json({ error: 'session not found' });
+  return session ? session.toReplay() : store.archive.get(sessionId);
+}
 
-  // Anti-cheat: score can't jump unreasonably fast
-  const maxPossibleScore = (Date.now() - session.startTime) / 1000 * 500;
-  if (score > maxPossibleScore + 10000) {
-    return res.status(400).json({ error: 'score rejected: too high for elapsed time' });
+// Bring back every live session from the last run
+for (const record of store.sessions.all()) {
+  try {
+    const session = GameSession.fromRecord(record);
+    activeSessions.set(session.sessionId, session);
+  } catch (err) {
+    console.warn(`[Storage] Could not restore session ${record.sessionId}:`, err.message);
   }
+}
+console.log(`[Storage] ${store.backend} backend${store.dir ? ` at ${store.dir}` : ''} — restored ${activeSessions.size} sessions`);
 
-  session.score = Math.max(session.score, score || 0);
-  session.kills = Math.max(session.kills, kills || 0);
-  session.round = Math.max(session.round, round || 1);
-  session.alive = alive !== false;
+// ============================================================
+//  PLAYERS  (registered wallets, keyed by lowercase address)
+// ============================================================
+function getPlayer(wallet) {
+  return store.players.get(wallet.toLowerCase());
+}
 
-  res.json({ ok: true, score: session.score });
-});
+function savePlayer(profile) {
+  return store.players.put(profile.wallet.toLowerCase(), profile);
+}
 
-// ---- Sign and submit score on-chain ----
-app.post('/agent/submit-score', async (req, res) => {
-  const { sessionId } = req.body;
-  const session = activeSessions.get(sessionId);
-  if (!session) return res.status(404).json({ error: 'session not found' });
+// ---- On-chain registry (AgentRegistry) ----
+// Registrations are append-only and names/types never change, so
+// the list is cached and only new entries are fetched.
+const registryIndex = [];   // { wallet, name, agentId, isAgent } in registration order
+const registryNames = new Map();
+let registrySyncedAt = 0;
+let registrySyncing  = null;
+
+function decodeAgentId(bytes) {
+  try { return ethers.toUtf8String(bytes).replace(/\0+$/, ''); }
+  catch { return bytes; }
+}
 
-  if (session.score === 0) {
-    return res.status(400).json({ error: 'no score to submit' });
-  }
+function chainProfile(p) {
+  return {
+    wallet:       p.wallet.toLowerCase(),
+    agentId:      decodeAgentId(p.agentId),
+    name:         p.name,
+    isAgent:      p.isAgent,
+    gamesPlayed:  Number(p.gamesPlayed),
+    totalScore:   Number(p.totalScore),
+    bestScore:    Number(p.bestScore),
+    registeredAt: Number(p.registeredAt) * 1000,
+  };
+}
 
-  try {
-    const signed = await session.signScore();
+async function syncRegistry() {
+  if (Date.now() - registrySyncedAt < REGISTRY_SYNC_MS) return;
+  registrySyncing = registrySyncing || (async () => {
+    const count = Number(await registryContract.agentCount());
+    for (let i = registryIndex.length; i < count; i += 10) {
+      const batch = await Promise.all(
+        Array.from({ length: Math.min(10, count - i) }, async (_, j) => {
+          const wallet = await registryContract.agentList(i + j);
+          return chainProfile(await registryContract.getProfile(wallet));
+        })
+      );
+      for (const p of batch) {
+        registryIndex.push({ wallet: p.wallet, name: p.name, agentId: p.agentId, isAgent: p.isAgent });
+        registryNames.set(p.wallet, p.name);
+      }
+    }
+    registrySyncedAt = Date.now();
+  })().finally(() => { registrySyncing = null; });
+  return registrySyncing;
+}
 
-    if (chainReady && !signed.mock) {
-      // Player submits this themselves with their wallet
-      // We just return the signed payload for them to use
-      res.json({
+// Agent or human is the registry's call once a wallet is on chain —
+// the player sends register() from their own wallet, with whatever
+// isAgent they like. The local profile is brought in line, so
+// everything reading getPlayer() agrees; wallets not on chain (and
+// mock mode) keep the type they first registered with here.
+// Resolves { isAgent (null if unknown), onChain }, or null once it
+// has answered the route because the registry couldn't be read.
+const registryTypes = new Map();   // lowercase wallet -> isAgent, registered wallets only
+
+async function playerType(res, wallet) {
+  const key = wallet.toLowerCase();
+  const local = getPlayer(key);
+  if (!chainReady) return { isAgent: local?.isAgent ?? null, onChain: false };
+  if (!registryTypes.has(key)) {
+    let onChain;
+    try {
+      onChain = await registryContract.getProfile(wallet);
+    } catch (err) {
+      res.status(502).json({ error: `could not read the agent registry: ${err.shortMessage ?? err.message}` });
+      return null;
+    }
+    if (onChain.registeredAt === 0n) return { isAgent: local?.isAgent ?? null, onChain: false };
+    registryTypes.set(key, onChain.isAgent);   // registrations never change
+  }
+  const isAgent = registryTypes.get(key);
+  if (local && local.isAgent !== isAgent) await savePlayer({ ...local, isAgent });
+  return { isAgent, onChain: true };
+}
+
+// Registered name for a wallet, or null
+function displayName(wallet) {
+  const key = wallet.toLowerCase();
+  return getPlayer(key)?.name ?? registryNames.get(key) ?? null;
+}
+
+// Stats from sessions played on this server (live and archived)
+function sessionStats(wallet) {
+  const key = wallet.toLowerCase();
+  const runs = [
+    ...[...activeSessions.values()]
+      .filter(s => s.agentAddress.toLowerCase() === key)
+      .map(s => ({ sessionId: s.sessionId, score: s.score, round: s.round, kills: s.kills, startedAt: s.startTime, live: true, submitted: s.submitted })),
+    ...store.archive.all()
+      .filter(r => r.player.toLowerCase() === key)
+      .map(r => ({ sessionId: r.sessionId, ...r.result, startedAt: r.startedAt, live: false, submitted: r.submitted })),
+  ].sort((a, b) => b.startedAt - a.startedAt);
+  const played = runs.filter(r => r.score > 0 || r.round > 1);
+  const avg = (field) => (played.length ? Math.round(played.reduce((t, r) => t + r[field], 0) / played.length * 10) / 10 : 0);
+  return {
+    stats: {
+      sessions:     played.length,
+      averageScore: avg('score'),
+      bestScore:    played.reduce((best, r) => Math.max(best, r.score), 0),
+      averageRound: avg('round'),
+      bestRound:    played.reduce((best, r) => Math.max(best, r.round), 0),
+      totalKills:   played.reduce((t, r) => t + r.kills, 0),
+    },
+    recentSessions: runs.slice(0, RECENT_SESSIONS),
+  };
+}
+
+// Registry profile (chain, or the local one in mock mode) + session stats
+async function playerProfile(wallet) {
+  const key = wallet.toLowerCase();
+  const local = getPlayer(key);
+  let profile = local && {
+    wallet: key, agentId: local.agentId, name: local.name, isAgent: local.isAgent,
+    gamesPlayed: local.gamesPlayed, totalScore: local.totalScore, bestScore: local.bestScore,
+    registeredAt: local.registeredAt,
+  };
+  if (chainReady) {
+    const onChain = chainProfile(await registryContract.getProfile(wallet));
+    if (onChain.registeredAt) profile = onChain;
+  }
+  const { stats, recentSessions } = sessionStats(key);
+  if (!profile && !recentSessions.length) return null;
+  return {
+    wallet:     key,
+    name:       profile?.name ?? null,
+    agentId:    profile?.agentId ?? null,
+    isAgent:    profile?.isAgent ?? null,
+    registered: !!profile,
+    registeredAt: profile?.registeredAt ?? null,
+    // Submitted (ranked) games — what the registry counts
+    gamesPlayed: profile?.gamesPlayed ?? 0,
+    totalScore:  profile?.totalScore ?? 0,
+    bestScore:   profile?.bestScore ?? 0,
+    stats,
+    recentSessions,
+  };
+}
+
+// ============================================================
+//  ARENA MATCHES  (2–4 players in one dungeon — see clawdug-arena.js)
+// ============================================================
+const arenas = new Map();   // matchId -> ArenaMatch
+
+const ARENA_FINISHED_TTL = 10 * 60 * 1000;  // finished matches stay listed for 10 min
+const ARENA_LOBBY_TTL    = 30 * 60 * 1000;  // idle lobbies close after 30 min
+
+// Seat details come from the registered profile
+function arenaEntrant(wallet, agentId) {
+  const profile = getPlayer(wallet);
+  return {
+    wallet,
+    agentId: agentId ?? profile?.agentId ?? null,
+    name:    profile?.name ?? `${wallet.slice(0, 6)}…${wallet.slice(-4)}`,
+    isAgent: registryTypes.get(wallet.toLowerCase()) ?? profile?.isAgent ?? true,
+  };
+}
+
+function broadcastArena(match, event) {
+  match.seats.forEach((seat, i) => {
+    if (!seat.wsClients.size) return;
+    const state = match.view(i);
+    for (const ws of seat.wsClients) {
+      if (ws.readyState === 1) ws.send(encodeState(ws.proto, event, state, { matchId: match.matchId }));
+    }
+  });
+}
+
+function finishArena(match) {
+  broadcastArena(match, 'gameover');
+  for (const seat of match.seats) {
+    for (const ws of seat.wsClients) {
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'result', matchId: match.matchId, result: match.result }));
+    }
+  }
+  console.log(`[Arena] ${match.matchId.slice(0, 10)}... finished — winner ${match.result.standings[0]?.name}`);
+  if (match.tournament) reportTournamentMatch(match);
+  return store.arenas.put(match.matchId, match.summary());
+}
+
+function liveArena(req, res) {
+  const match = arenas.get(req.params.matchId);
+  if (!match) res.status(404).json({ error: 'arena match not found' });
+  return match;
+}
+
+// ============================================================
+//  TOURNAMENTS  (scheduled events — see clawdug-tournament.js)
+//  The sweeper starts them at startsAt and closes them at
+//  endsAt. Bracket / round-robin pairings are opened as 2-seat
+//  arena matches on the tournament seed as soon as both players
+//  are known; best-of attempts are ordinary sessions.
+// ============================================================
+const tournaments = new Map();   // id -> Tournament
+
+const saveTournament = (t) => store.tournaments.put(t.id, t.toRecord());
+
+function canOrganise(wallet) {
+  return !TOURNAMENT_ORGANISERS.length || TOURNAMENT_ORGANISERS.includes(wallet);
+}
+
+function spawnTournamentMatches(t) {
+  for (const m of t.readyMatches()) {
+    const [first, second] = m.players.map(w => arenaEntrant(w));
+    const match = new ArenaMatch(first, {
+      maxPlayers: 2, rounds: t.rounds, levels: t.levels, seed: t.seed, framesPerTick: FRAMES_PER_TICK,
+      tournament: { id: t.id, matchId: m.id },
+    });
+    match.join(second);
+    arenas.set(match.matchId, match);
+    m.arenaId = match.matchId;
+    console.log(`[Tournament] ${t.name}: ${m.id} → arena ${match.matchId.slice(0, 10)}...`);
+  }
+}
+
+function reportTournamentMatch(match) {
+  const t = tournaments.get(match.tournament.id);
+  if (!t) return;
+  const m = t.matches.find(x => x.id === match.tournament.matchId);
+  const scores = m.players.map(w => match.result.standings.find(s => s.wallet === w).score);
+  const reported = t.reportMatch(m.id, scores, { arenaId: match.matchId });
+  if (reported.error) return console.warn(`[Tournament] ${t.name}: ${m.id} not recorded — ${reported.error}`);
+  matchReported(t);
+}
+
+// Next pairings, or the end: the last result finishes the tournament
+function matchReported(t) {
+  spawnTournamentMatches(t);
+  if (t.status !== 'finished') return saveTournament(t);
+  console.log(`[Tournament] ${t.name} finished — winner ${t.standings()[0]?.name}`);
+  return saveTournament(t).then(() => signTournament(t));
+}
+
+// Called by the sweeper: open at startsAt, close at endsAt
+function advanceTournaments(now = Date.now()) {
+  for (const [, t] of tournaments) {
+    if (t.status === 'registration' && now >= t.startsAt) {
+      const started = t.start(now);
+      if (started.error) t.cancel(now);
+      else spawnTournamentMatches(t);
+      console.log(`[Tournament] ${t.name} ${t.status} with ${t.entrants.length} entrants`);
+      saveTournament(t);
+    } else if (t.status === 'running' && now >= t.endsAt) {
+      closeTournament(t, now);
+    }
+  }
+}
+
+function closeTournament(t, now = Date.now()) {
+  // Unstarted pairings are settled by finish(); running ones are too late
+  for (const m of t.matches) {
+    if (m.arenaId && arenas.get(m.arenaId)?.status === 'lobby') arenas.delete(m.arenaId);
+  }
+  t.finish(now);
+  console.log(`[Tournament] ${t.name} finished — winner ${t.standings()[0]?.name}`);
+  return saveTournament(t).then(() => signTournament(t));
+}
+
+// Payout digest, typed so a signature over it can't pass for a score
+// signature (or another chain's / contract's payout):
+// keccak256(abi.encode(PAYOUT_TYPEHASH, chainId, game, id, wallets, shareBps))
+const PAYOUT_TYPEHASH = ethers.id('ClawDugTournamentPayout(uint256 chainId,address game,bytes32 tournamentId,address[] wallets,uint256[] shareBps)');
+
+function payoutDigest(t, payout) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ['bytes32', 'uint256', 'address', 'bytes32', 'address[]', 'uint256[]'],
+    [PAYOUT_TYPEHASH, CHAIN_ID, GAME_CONTRACT ?? ethers.ZeroAddress, t.id, payout.map(p => p.wallet), payout.map(p => p.shareBps)],
+  ));
+}
+
+// Final results are signed once, with real keys, and kept on the
+// tournament; a failed attempt is retried by the next results request
+const signingTournaments = new Map();   // id -> in-flight signature
+
+function signTournament(t) {
+  if (t.status !== 'finished' || t.signedPayout || !chainReady) return Promise.resolve(t.signedPayout ?? null);
+  if (!signingTournaments.has(t.id)) {
+    const digest = payoutDigest(t, t.payout());
+    signingTournaments.set(t.id, scoreSigners.sign(digest, { kind: 'tournament', tournamentId: t.id })
+      .then(async (signed) => {
+        t.signedPayout = { digest, signers: signed.signers, signature: signed.signature, signedAt: Date.now() };
+        await saveTournament(t);
+        return t.signedPayout;
+      })
+      .catch((err) => {
+        console.warn(`[Tournament] ${t.name}: results not signed — ${err.message}`);
+        return null;
+      })
+      .finally(() => signingTournaments.delete(t.id)));
+  }
+  return signingTournaments.get(t.id);
+}
+
+// Standings and payout shares, plus the digest for an on-chain payout
+async function tournamentResults(t) {
+  const results = t.results();
+  const final = t.status === 'finished';
+  const signed = final && chainReady ? await signTournament(t) : null;
+  if (final && chainReady && !signed) throw new Error('results could not be signed — try again shortly');
+  return {
+    ...results,
+    final,
+    digest: signed?.digest ?? payoutDigest(t, results.payout),
+    ...(signed ? { signers: signed.signers, signature: signed.signature, signedAt: signed.signedAt } : { mock: !chainReady }),
+  };
+}
+
+// ============================================================
+//  DAILY CHALLENGE  (one run a day on a shared seed — see clawdug-challenge.js)
+//  Attempts are ordinary sessions reset to the day's seed and
+//  modifiers; results go to store.challenges, not the epoch board.
+// ============================================================
+const challenges = createChallenges({ store, secret: CHALLENGE_SECRET });
+
+// :date is YYYY-MM-DD (UTC) or "today"
+function findChallenge(req, res) {
+  const date = req.params.date === 'today' ? challenges.today() : parseDate(req.params.date);
+  if (!date) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD or today' });
+    return null;
+  }
+  const record = challenges.day(date);
+  if (!record) {
+    res.status(404).json({ error: date > challenges.today() ? 'that challenge has not started' : 'no challenge was played that day' });
+    return null;
+  }
+  return record;
+}
+
+// Everyone plays the same seed, so while a day is open its seed,
+// its runs (live or replayed) and their inputs stay private
+function sealedChallenge(date, now = Date.now()) {
+  return !!date && now < dayStart(date) + DAY_MS;
+}
+
+// Answers 403 (and returns true) for a sealed challenge replay
+function challengeSealed(res, replay) {
+  if (!sealedChallenge(replay.challenge)) return false;
+  res.status(403).json({ error: `daily challenge replays are published when the ${replay.challenge} challenge closes` });
+  return true;
+}
+
+// Summary and the top of the board — plus your attempt when the
+// request carries credentials
+function challengeView(req, record) {
+  const credential = credentialOf(req.headers);
+  const who = credential ? auth.authenticate(credential) : null;
+  const attempt = who && challenges.attemptOf(record.date, who.wallet);
+  return {
+    ...challenges.summary(record),
+    top: challenges.leaderboard(record.date).slice(0, 10),
+    ...(who ? { you: attempt ? { attempted: true, ...attempt } : { attempted: false } } : {}),
+  };
+}
+
+// ============================================================
+//  BROWSER BRIDGE  (sessions hosted by a clawdug.html page)
+//  A session created with "host":"browser" is played by the real
+//  browser game: clawdug.html?bridge=<sessionId> connects back on
+//  /agent/stream?bridge=, runs the engine in its animation loop and
+//  takes this session's actions and steps from here. Every input
+//  frame it runs is streamed back and mirrored into the session's
+//  own engine, so verification, replays, spectators and restarts
+//  work as for server-run sessions. A manual clock pauses the
+//  page's loop: it only advances when stepped.
+// ============================================================
+let bridgeCallId = 0;
+
+function bridgeInfo(session) {
+  return {
+    page:   `clawdug.html?bridge=${session.sessionId}`,
+    stream: `WS /agent/stream?bridge=${session.sessionId}`,
+    connected: !!session.bridge,
+  };
+}
+
+// `host` for a new session — browser hosts can't do lockstep
+function parseHost(host = 'server', clock = 'realtime') {
+  if (!SESSION_HOSTS.includes(host)) return { error: `host must be one of: ${SESSION_HOSTS.join(', ')}` };
+  if (host === 'browser' && clock === 'lockstep') return { error: 'browser-hosted sessions run a realtime or manual clock' };
+  return { host };
+}
+
+// The page rebuilds or carries on from this: the run (startTime
+// changes on reset), its seed and setup and the mirror's input log
+function syncBridge(session) {
+  const ws = session.bridge;
+  if (ws?.readyState !== 1) return;
+  ws.send(JSON.stringify({
+    type:       'sync',
+    sessionId:  session.sessionId,
+    run:        session.startTime,
+    seed:       session.seed,
+    startRound: session.game.firstRound,
+    levels:     session.game.levels,
+    modifiers:  session.game.modifiers,
+    clock:      session.clock,
+    framesPerTick: FRAMES_PER_TICK,
+    inputs:     session.game.inputLog.toJSON(),
+  }));
+}
+
+// Send a command to the page; resolves with its `done` reply or
+// { error, status } — never rejects
+function callBridge(session, command) {
+  const ws = session.bridge;
+  if (ws?.readyState !== 1) {
+    return Promise.resolve({ error: `browser host not connected — open clawdug.html?bridge=${session.sessionId}`, status: 409 });
+  }
+  const id = ++bridgeCallId;
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      ws.calls.delete(id);
+      resolve({ error: 'browser host did not answer', status: 504 });
+    }, BRIDGE_TIMEOUT_MS);
+    ws.calls.set(id, { resolve, timer });
+    ws.send(JSON.stringify({ type: 'command', id, ...command }));
+  });
+}
+
+// /agent/action and stream actions for a browser-hosted session.
+// Realtime: the page holds the action for its next tick; manual:
+// it runs the tick before answering (its frames arrive first).
+async function relayAction(session, action, frame) {
+  if (!session.framesLeft) return { error: TIME_LIMIT_ERROR, status: 409 };
+  const serverFrame = session.game.frameCount;
+  const done = await callBridge(session, { op: 'action', action });
+  if (done.error) return done;
+  session.lastAction = Date.now();
+  session.actionLog.push([done.frame, action]);
+  session.dirty = true;
+  return { requested: frame ?? serverFrame, frame: done.frame, serverFrame, late: false, lateBy: 0 };
+}
+
+function bridgeMessage(session, ws, msg) {
+  if (msg.type === 'done') {
+    const call = ws.calls.get(msg.id);
+    if (!call) return;
+    ws.calls.delete(msg.id);
+    clearTimeout(call.timer);
+    call.resolve(msg.error ? { error: msg.error, status: 409 } : msg);
+  } else if (msg.type === 'frames') {
+    if (ws !== session.bridge) return;
+    // Past the replay limit the run is over, whatever the page plays
+    if (!session.framesLeft) return;
+    // Frames from another run or with a gap: bring the page back in line
+    if (msg.run !== session.startTime || msg.from !== session.game.inputLog.frames) return syncBridge(session);
+    const invalid = InputLog.validate(msg.inputs, MAX_BRIDGE_FRAMES) ?? (msg.inputs.length ? null : 'no input frames');
+    if (invalid) {
+      ws.send(JSON.stringify({ error: invalid }));
+      return syncBridge(session);
+    }
+    session.mirror(msg.inputs);
+    if (msg.score !== session.game.score) {
+      console.warn(`[Bridge] ${session.sessionId.slice(0, 10)}... diverged at frame ${session.game.frameCount} (page ${msg.score}, mirror ${session.game.score}) — resyncing`);
+      syncBridge(session);
+    }
+    broadcast(session, 'tick', session.gameState);
+  }
+}
+
+// ============================================================
+//  SPECTATORS  (read-only streams — /agent/stream?watch=)
+//  A spectator follows a list of sessions, or the top `count`
+//  live ones re-ranked every SPECTATE_REFRESH_MS. It gets the
+//  controller's state messages tagged with `sessionId` (delta
+//  bases are kept per session) and can't act.
+// ============================================================
+const spectators = new Set();   // every ?watch= client
+
+function isLive(session, now = Date.now()) {
+  return session.alive && session.game.frameCount > 0
+    && (session.clockRunning || (session.bridge && session.clock === 'realtime') || now - session.lastAction < LIVE_IDLE_MS);
+}
+
+// Open challenge runs aren't listed or watchable (see DAILY CHALLENGE)
+function liveSessions(type = 'all') {
+  return [...activeSessions.values()]
+    .filter(s => isLive(s) && !sealedChallenge(s.challenge) && (type === 'all' || s.isAgent === (type === 'agents')))
+    .sort((a, b) => b.score - a.score || b.round - a.round || a.startTime - b.startTime);
+}
+
+function liveSummary(session) {
+  const player = session.agentAddress.toLowerCase();
+  return {
+    sessionId:  session.sessionId,
+    player,
+    name:       displayName(player),
+    agentId:    session.agentId,
+    isAgent:    session.isAgent,
+    score:      session.score,
+    round:      session.round,
+    kills:      session.kills,
+    lives:      session.game.lives,
+    alive:      session.alive,
+    frame:      session.game.frameCount,
+    clock:      session.clock,
+    host:       session.host,
+    ranked:     session.ranked,
+    tournamentId: session.tournamentId,
+    challenge:  session.challenge,
+    spectators: session.spectators.size,
+    startedAt:  session.startTime,
+  };
+}
+
+function watchSession(ws, session) {
+  ws.watching.set(session.sessionId, { ...ws.proto, last: null });
+  session.spectators.add(ws);
+  ws.send(encodeState(ws.watching.get(session.sessionId), 'init', session.gameState, { sessionId: session.sessionId }));
+}
+
+function unwatchSession(ws, sessionId, reason) {
+  ws.watching.delete(sessionId);
+  activeSessions.get(sessionId)?.spectators.delete(ws);
+  if (reason && ws.readyState === 1) ws.send(JSON.stringify({ type: 'ended', sessionId, reason }));
+}
+
+// The scoreboard for everything a spectator watches; ?watch=top
+// clients swap finished runs for whoever is live now
+function refreshSpectator(ws) {
+  if (ws.follow) {
+    const top = liveSessions(ws.follow.type).slice(0, ws.follow.count);
+    for (const id of ws.watching.keys()) {
+      if (!top.some(s => s.sessionId === id)) unwatchSession(ws, id, 'left top');
+    }
+    for (const session of top) if (!ws.watching.has(session.sessionId)) watchSession(ws, session);
+  }
+  const sessions = [...ws.watching.keys()].map(id => liveSummary(activeSessions.get(id)));
+  ws.send(JSON.stringify({ type: 'watching', sessions }));
+}
+
+// Arena matches don't survive a restart: open those pairings again
+for (const record of store.tournaments.all()) {
+  const t = Tournament.fromRecord(record);
+  tournaments.set(t.id, t);
+  if (t.status !== 'running') continue;
+  for (const m of t.matches) if (!m.result) m.arenaId = null;
+  spawnTournamentMatches(t);
+}
+
+// ============================================================
+//  MOCK LEADERBOARD & EPOCHS  (used when chain not connected)
+//  Built from scores submitted to this server, with the same
+//  rules as ClawDugGame: top LB_SIZE per category, daily epochs.
+// ============================================================
+function currentMockEpoch(now = Date.now()) {
+  let epoch = store.epochs.all().reduce((a, b) => (!a || b.id > a.id ? b : a), null);
+  if (epoch && now < epoch.endTime) return epoch;
+
+  if (epoch) {
+    epoch = { ...epoch, settled: true, settledAt: now };
+    store.epochs.put(String(epoch.id), epoch);
+  }
+  const next = {
+    id:            epoch ? epoch.id + 1 : 1,
+    startTime:     now,
+    endTime:       now + EPOCH_DURATION,
+    prizePool:     '0',
+    settled:       false,
+    humanWinner:   null,
+    agentWinner:   null,
+    humanTopScore: 0,
+    agentTopScore: 0,
+  };
+  store.epochs.put(String(next.id), next);
+  return next;
+}
+
+function formatMockEpoch(epoch) {
+  return {
+    id:            epoch.id,
+    prizePool:     epoch.prizePool,
+    endsIn:        Math.max(0, Math.floor((epoch.endTime - Date.now()) / 1000)),
+    humanWinner:   epoch.humanWinner,
+    agentWinner:   epoch.agentWinner,
+    humanTopScore: epoch.humanTopScore,
+    agentTopScore: epoch.agentTopScore,
+  };
+}
+
+function mockBoard(isAgent) {
+  return store.scores.all()
+    .filter(e => e.isAgent === isAgent)
+    .sort((a, b) => b.score - a.score || a.timestamp - b.timestamp)
+    .slice(0, LB_SIZE)
+    .map(e => ({ ...e, name: getPlayer(e.player)?.name ?? null }));
+}
+
+// What ClawDugGame.submitScore does on-chain, done locally
+function recordMockScore(session) {
+  const epoch = currentMockEpoch();
+  const entry = {
+    player:    session.agentAddress,
+    score:     session.score,
+    round:     session.round,
+    kills:     session.kills,
+    isAgent:   session.isAgent,
+    timestamp: Date.now(),
+    sessionId: session.sessionId,
+    epochId:   epoch.id,
+  };
+  store.scores.add(entry);
+
+  const profile = getPlayer(session.agentAddress);
+  if (profile) {
+    savePlayer({
+      ...profile,
+      gamesPlayed: profile.gamesPlayed + 1,
+      totalScore:  profile.totalScore + entry.score,
+      bestScore:   Math.max(profile.bestScore, entry.score),
+    });
+  }
+
+  const side = session.isAgent ? 'agent' : 'human';
+  if (entry.score > epoch[`${side}TopScore`]) {
+    store.epochs.put(String(epoch.id), {
+      ...epoch,
+      [`${side}TopScore`]: entry.score,
+      [`${side}Winner`]:   entry.player,
+    });
+  }
+
+  session.submitted = true;
+  session.dirty = true;
+
+  // What the contract's LeaderboardUpdated would announce
+  const rank = mockBoard(entry.isAgent).findIndex(e => e.sessionId === entry.sessionId);
+  if (rank !== -1) {
+    webhooks.emit('leaderboard.updated', {
+      isAgent: entry.isAgent, rank: rank + 1, player: entry.player.toLowerCase(), score: entry.score,
+      sessionId: entry.sessionId, epochId: entry.epochId, mock: true,
+    });
+  }
+  return entry;
+}
+
+// Mock-mode history in the indexer's shapes (times in seconds, like block timestamps)
+const seconds = (ms) => (ms == null ? null : Math.floor(ms / 1000));
+
+function mockScoreEntry(e) {
+  return {
+    player: e.player.toLowerCase(), score: e.score, round: e.round, kills: e.kills,
+    isAgent: e.isAgent, epochId: e.epochId, sessionId: e.sessionId, timestamp: seconds(e.timestamp),
+  };
+}
+
+function mockEpochs() {
+  currentMockEpoch();
+  return store.epochs.all()
+    .sort((a, b) => b.id - a.id)
+    .map(e => ({
+      id:            e.id,
+      startTime:     seconds(e.startTime),
+      endTime:       seconds(e.endTime),
+      settled:       e.settled,
+      scores:        store.scores.all().filter(s => s.epochId === e.id).length,
+      humanTopScore: e.humanTopScore,
+      agentTopScore: e.agentTopScore,
+      humanWinner:   e.humanWinner,
+      agentWinner:   e.agentWinner,
+      ...(e.settled ? { settledAt: seconds(e.settledAt), humanPrize: '0.0', agentPrize: '0.0' } : {}),
+    }));
+}
+
+function mockEpoch(id) {
+  const summary = mockEpochs().find(e => e.id === id);
+  if (!summary) return null;
+  const scores = store.scores.all().filter(s => s.epochId === id).map(mockScoreEntry)
+    .sort((a, b) => b.score - a.score || a.timestamp - b.timestamp);
+  return { ...summary, humans: scores.filter(s => !s.isAgent), agents: scores.filter(s => s.isAgent) };
+}
+
+function mockPlayerScores(player) {
+  player = player.toLowerCase();
+  return store.scores.all().map(mockScoreEntry).filter(s => s.player === player).reverse();
+}
+
+// ============================================================
+//  EPOCH KEEPER  (settles ended epochs — see clawdug-keeper.js)
+//  On chain it sends settleEpoch() from KEEPER_PK; in mock mode
+//  it rolls the mock epoch over on time. Either way connected
+//  WS clients get an `epoch` message when a new epoch starts.
+// ============================================================
+function broadcastEpoch({ epochId, next, settlement }) {
+  const msg = JSON.stringify({
+    type: 'epoch',
+    epochId,
+    settlement: settlement && {
+      status: settlement.status, txHash: settlement.txHash ?? null, result: settlement.result ?? null,
+    },
+    next: { id: next.id, startTime: next.startTime, endTime: next.endTime },
+  });
+  for (const ws of wss.clients) {
+    if (ws.readyState === 1) ws.send(msg);
+  }
+}
+
+function initKeeper() {
+  if (!KEEPER_ENABLED) return null;
+  if (chainReady) {
+    const key = KEEPER_PK || devChain?.signerKey;
+    if (!key) {
+      console.warn('[Keeper] KEEPER_PK not set — epochs are left for someone else to settle');
+      return null;
+    }
+    return createKeeper({
+      store,
+      wallet:     new ethers.Wallet(key, provider),
+      address:    GAME_CONTRACT,
+      pollMs:     KEEPER_POLL_MS,
+      onRollover: broadcastEpoch,
+    });
+  }
+  // Mock: settling is just closing the epoch record
+  let seen = store.epochs.all().reduce((id, e) => Math.max(id, e.id), 0) || null;
+  let lastCheck = null;
+  const lastRun = () => store.settlements.all().at(-1) ?? null;
+  function check() {
+    lastCheck = Date.now();
+    const epoch = currentMockEpoch();
+    if (seen !== null && epoch.id > seen) {
+      const settled = store.epochs.get(String(seen));
+      const run = {
+        epochId: seen, mock: true, status: 'settled', startedAt: lastCheck, finishedAt: lastCheck,
+        result: { humanWinner: settled.humanWinner, humanPrize: '0.0', agentWinner: settled.agentWinner, agentPrize: '0.0' },
+      };
+      store.settlements.add(run);
+      console.log(`[Keeper] Mock epoch ${seen} settled`);
+      webhooks.emit('epoch.settled', { epochId: seen, ...run.result, mock: true });
+      broadcastEpoch({ epochId: seen, next: { ...epoch, startTime: seconds(epoch.startTime), endTime: seconds(epoch.endTime) }, settlement: run });
+    }
+    seen = epoch.id;
+  }
+  let timer = null;
+  return {
+    check,
+    start() { check(); timer = setInterval(check, KEEPER_POLL_MS); },
+    stop()  { clearInterval(timer); },
+    status: () => ({
+      enabled: true, mock: true, pollMs: KEEPER_POLL_MS, lastCheck,
+      epoch: formatMockEpoch(currentMockEpoch()), lastRun: lastRun(),
+      settled: store.settlements.all().length,
+    }),
+  };
+}
+
+const keeper = initKeeper();
+
+// ============================================================
+//  ANTI-CHEAT  (behavioural checks before signing — see clawdug-anticheat.js)
+//  Runs after the replay check: an operator's review of a run
+//  stands, otherwise it's judged with the current thresholds.
+//  Both run on the verifier's worker threads (clawdug-verifier.js).
+// ============================================================
+const verifier  = createVerifier({ workers: REPLAY_WORKERS });
+const antiCheat = createAntiCheat({ store, mode: ANTICHEAT, analyse: verifier.analyse });
+
+async function assessRun(session) {
+  const replay = session.toReplay();
+  const record = await antiCheat.assess(session.sessionId, {
+    seed: replay.seed, startRound: replay.startRound, levels: replay.levels, modifiers: replay.modifiers,
+    inputs: replay.inputs, score: session.score, kills: session.kills, round: session.round,
+    isAgent:      session.isAgent,
+    // a browser host plays its own frames — only relayed actions are the API's
+    serverDriven: session.host === 'browser' ? session.actionLog.length > 0 : session.game.inputLog.frames > 0,
+    actions:      session.actionLog,
+    tickFrames:   FRAMES_PER_TICK,
+  }, { wallet: session.agentAddress.toLowerCase(), host: session.host });
+  stats.verdicts.inc({ verdict: antiCheat.outcome(record) });
+  return record;
+}
+
+// Answers for the route (and resolves true) when a verified run is
+// refused or held for review, or couldn't be analysed
+async function antiCheatBlocks(res, session) {
+  if (antiCheat.mode === 'off') return false;
+  let outcome;
+  try {
+    outcome = antiCheat.outcome(await assessRun(session));
+  } catch (err) {
+    rejectScore(res, 'busy', 503, { error: `score not checked: ${err.message}` });
+    return true;
+  }
+  if (antiCheat.mode !== 'enforce' || outcome === 'allow') return false;
+  if (outcome === 'refuse') rejectScore(res, 'anticheat', 403, { error: 'score refused by anti-cheat review' });
+  else rejectScore(res, 'anticheat_held', 409, { error: 'score held for operator review — submit again once it has been cleared', held: true });
+  return true;
+}
+
+// ============================================================
+//  SCORE RELAYER  (gasless submitScoreFor — see clawdug-relayer.js)
+//  Chain mode only: mock scores never need gas.
+// ============================================================
+// A relayed score landed on chain: the session is used up, whether
+// it's still live or archived by now
+function markSubmitted(sessionId) {
+  const session = activeSessions.get(sessionId);
+  if (session) {
+    session.submitted = true;
+    return persistSession(session);
+  }
+  const archived = store.archive.get(sessionId);
+  if (archived) return store.archive.put(sessionId, { ...archived, submitted: true });
+}
+
+const RELAYER_KEY = RELAYER_PK || devChain?.signerKey;
+if (chainReady && RELAY_ENABLED && !RELAYER_KEY) console.warn('[Relay] RELAYER_PK not set — gasless submission is off');
+const relayer = chainReady && RELAY_ENABLED && RELAYER_KEY
+  ? createRelayer({
+      store,
+      wallet:  new ethers.Wallet(RELAYER_KEY, provider),
+      address: GAME_CONTRACT,
+      chainId: CHAIN_ID,
+      sign:    async (job) => {
+        if (isRevoked(job.sessionId)) throw Object.assign(new Error('score signature revoked by operator'), { final: true });
+        const signed = await signScorePayload(job, 'relay');
+        recordSignature(job.player, { ...job, ...signed }, 'relay');
+        return signed;
+      },
+      onDone:  (job) => { if (job.status === 'mined') markSubmitted(job.id); },
+      quota:   RELAY_DAILY_QUOTA,
+    })
+  : null;
+
+// The ScoreAuthorization a player signs to have `session` relayed
+function relayAuthorization(session, deadline) {
+  return {
+    player:    session.agentAddress,
+    score:     session.score,
+    round:     session.round,
+    kills:     session.kills,
+    sessionId: session.sessionId,
+    deadline,
+  };
+}
+
+// ============================================================
+//  EXPRESS APP
+// ============================================================
+const app    = express();
+const server = createServer(app);
+const wss    = new WebSocketServer({ server, path: '/agent/stream' });
+
+app.use(cors());
+app.use(express.json({ limit: '1mb' }));  // input logs ride along with submit-score
+
+// ---- Rate limits, bans and throttles (see clawdug-access.js) ----
+const access = createAccessControl({
+  store,
+  policies:  RATE_LIMIT_POLICIES,
+  onLimited: (policy) => stats.rateLimited.inc({ policy }),
+});
+// Banned IPs are refused everywhere but /admin, so an operator
+// can't lock themselves out
+app.use((req, res, next) => (req.path.startsWith('/admin/') ? next() : access.guard(req, res, next)));
+
+// ============================================================
+//  AUTH  (see clawdug-auth.js)
+//  Session routes take `Authorization: Bearer <token | cdk_ API key>`
+// ============================================================
+function credentialOf(headers) {
+  const header = headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : headers['x-api-key'];
+}
+
+function requireAuth(req, res, next) {
+  const credential = credentialOf(req.headers);
+  if (!credential) return res.status(401).json({ error: 'authentication required' });
+  req.auth = auth.authenticate(credential);
+  if (!req.auth) return res.status(401).json({ error: 'invalid or expired credentials' });
+  const denied = access.checkWallet(req.auth.wallet);
+  if (denied) return access.deny(res, denied);
+  next();
+}
+
+// Operators: ADMIN_TOKEN as a Bearer token, or a sign-in token for
+// one of ADMIN_WALLETS (API keys never grant admin)
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN && !ADMIN_WALLETS.length) return res.status(503).json({ error: 'admin API disabled (set ADMIN_TOKEN or ADMIN_WALLETS)' });
+  const credential = credentialOf(req.headers);
+  if (!credential) return res.status(401).json({ error: 'authentication required' });
+  if (ADMIN_TOKEN && safeEqual(credential, ADMIN_TOKEN)) {
+    req.admin = 'token';
+    return next();
+  }
+  const who = auth.authenticate(credential);
+  if (!who) return res.status(401).json({ error: 'invalid or expired credentials' });
+  if (who.via !== 'token' || !ADMIN_WALLETS.includes(who.wallet)) return res.status(403).json({ error: 'not an operator' });
+  req.admin = who.wallet;
+  next();
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Every admin change goes in store.adminLog
+function adminLog(req, action, details = {}) {
+  console.log(`[Admin] ${req.admin}: ${action} ${JSON.stringify(details)}`);
+  return store.adminLog.add({ at: Date.now(), by: req.admin, ip: req.ip, action, ...details });
+}
+
+// The session, if it belongs to the authenticated wallet
+function ownSession(req, res, sessionId) {
+  const session = activeSessions.get(sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'session not found' });
+    return null;
+  }
+  if (session.agentAddress.toLowerCase() !== req.auth.wallet) {
+    res.status(403).json({ error: 'session belongs to another wallet' });
+    return null;
+  }
+  return session;
+}
+
+// ============================================================
+//  ROUTES
+// ============================================================
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({
+    ok:          true,
+    service:     'ClawDug Agent API',
+    version:     '1.0.0',
+    chainReady,
+    storage:     store.backend,
+    ...(indexer ? { indexer: indexer.status() } : {}),
+    ...(relayer ? { relay: relayer.status() } : {}),
+    verifier:    verifier.status(),
+    activeSessions: activeSessions.size,
+    timestamp:   Date.now()
+  });
+});
+
+// ---- Sign-in: challenge → signature → bearer token ----
+app.get('/auth/nonce', access.limit('auth'), (req, res) => {
+  const { wallet } = req.query;
+  if (!wallet || !ethers.isAddress(wallet)) {
+    return res.status(400).json({ error: 'valid wallet required' });
+  }
+  res.json({ ok: true, ...auth.issueChallenge(wallet, req.get('host')) });
+});
+
+app.post('/auth/login', access.limit('auth'), (req, res) => {
+  const signIn = auth.verifySignIn(req.body.message, req.body.signature);
+  if (signIn.error) return res.status(401).json({ error: signIn.error });
+  const denied = access.checkWallet(signIn.wallet);
+  if (denied) return access.deny(res, denied);
+  const { token, expiresAt } = auth.issueToken(signIn.wallet);
+  res.json({ ok: true, wallet: signIn.wallet, token, expiresAt });
+});
+
+// ---- API keys (minted with a sign-in token, not with another key) ----
+app.post('/auth/api-keys', requireAuth, async (req, res) => {
+  if (req.auth.via !== 'token') return res.status(403).json({ error: 'sign in with your wallet to create API keys' });
+  const { name, agentId } = req.body;
+  const key = await auth.createApiKey(req.auth.wallet, { name, agentId });
+  if (key.error) return res.status(400).json({ error: key.error });
+  res.json({ ok: true, ...key, message: 'Store this key now — it is not shown again.' });
+});
+
+app.get('/auth/api-keys', requireAuth, (req, res) => {
+  res.json({ ok: true, keys: auth.listApiKeys(req.auth.wallet) });
+});
+
+app.delete('/auth/api-keys/:id', requireAuth, async (req, res) => {
+  const revoked = await auth.revokeApiKey(req.auth.wallet, req.params.id);
+  if (!revoked) return res.status(404).json({ error: 'API key not found' });
+  res.json({ ok: true, id: req.params.id, revoked: true });
+});
+
+// ---- Register agent ----
+app.post('/agent/register', access.limit('auth'), async (req, res) => {
+  const { agentId, name, wallet, isAgent: requestedType = true, clock = 'realtime', host, message, signature } = req.body;
+  if (!agentId || !name || !wallet) {
+    return res.status(400).json({ error: 'agentId, name, wallet required' });
+  }
+  if (!ethers.isAddress(wallet)) {
+    return res.status(400).json({ error: 'invalid wallet address' });
+  }
+  const mode = parseClock({ mode: clock });
+  if (mode.error) return res.status(400).json({ error: mode.error });
+  const hosting = parseHost(host, mode.mode);
+  if (hosting.error) return res.status(400).json({ error: hosting.error });
+
+  // Proof of wallet ownership: a signed /auth/nonce message
+  const signIn = auth.verifySignIn(message, signature);
+  if (signIn.error) return res.status(401).json({ error: signIn.error });
+  if (signIn.wallet !== wallet.toLowerCase()) {
+    return res.status(401).json({ error: 'signature does not match wallet' });
+  }
+  const denied = access.checkWallet(signIn.wallet);
+  if (denied) return access.deny(res, denied);
+  // Agent or human: the registry's, else fixed when the wallet first
+  // registers here — the request only decides it for new wallets
+  const type = await playerType(res, wallet);
+  if (!type) return;
+  const isAgent = type.isAgent ?? requestedType;
+
+  try {
+    let registration = null;
+    if (chainReady && !type.onChain) {
+      // register() records msg.sender, so the player sends it from
+      // their own wallet — like submit-score, we hand back calldata
+      const agentIdBytes = ethers.zeroPadBytes(
+        ethers.toUtf8Bytes(agentId.slice(0, 32)), 32
+      );
+      registration = { contract: REGISTRY, function: 'register', args: [agentIdBytes, name, isAgent] };
+    }
+
+    // Local profile — the chain stays the source of truth when connected
+    if (!getPlayer(wallet)) {
+      await savePlayer({
+        wallet, agentId, name, isAgent,
+        registeredAt: Date.now(),
+        gamesPlayed:  0,
+        totalScore:   0,
+        bestScore:    0,
+      });
+    }
+
+    // Create session
+    const session = new GameSession(wallet, agentId, isAgent);
+    session.setClock(mode.mode);
+    session.host = hosting.host;
+    activeSessions.set(session.sessionId, session);
+    persistSession(session);
+
+    const { token, expiresAt } = auth.issueToken(wallet);
+    res.json({
+      ok:        true,
+      sessionId: session.sessionId,
+      seed:      session.seed,
+      clock:     session.clock,
+      host:      session.host,
+      token,
+      tokenExpiresAt: expiresAt,
+      ...(registration ? { registration } : {}),
+      ...(session.host === 'browser' ? { bridge: bridgeInfo(session) } : {}),
+      message:   isAgent
+        ? `Agent "${name}" registered. Use sessionId for all subsequent calls.`
+        : `Human player "${name}" registered.`,
+      endpoints: {
+        state:       `GET  /agent/state?session=${session.sessionId}`,
+        action:      `POST /agent/action`,
+        submitScore: `POST /agent/submit-score`,
+        stream:      `WS   /agent/stream?session=${session.sessionId}`,
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- New game session for an already-registered wallet ----
+// Each session is one seeded run, so clients ask for a fresh one per game.
+app.post('/agent/session', requireAuth, async (req, res) => {
+  const { agentId = req.auth.agentId, wallet = req.auth.wallet, clock = 'realtime', host } = req.body;
+  if (!agentId) {
+    return res.status(400).json({ error: 'agentId required' });
+  }
+  if (wallet.toLowerCase() !== req.auth.wallet) {
+    return res.status(403).json({ error: 'wallet does not match credentials' });
+  }
+  const mode = parseClock({ mode: clock });
+  if (mode.error) return res.status(400).json({ error: mode.error });
+  const hosting = parseHost(host, mode.mode);
+  if (hosting.error) return res.status(400).json({ error: hosting.error });
+
+  // Which leaderboard the run counts on comes from the registry or
+  // profile, not the request
+  const type = await playerType(res, wallet);
+  if (!type) return;
+  const isAgent = type.isAgent ?? true;
+  const session = new GameSession(ethers.getAddress(wallet), agentId, isAgent);
+  session.setClock(mode.mode);
+  session.host = hosting.host;
+  activeSessions.set(session.sessionId, session);
+  persistSession(session);
+  res.json({
+    ok: true, sessionId: session.sessionId, seed: session.seed, clock: session.clock, host: session.host, isAgent,
+    ...(session.host === 'browser' ? { bridge: bridgeInfo(session) } : {}),
+  });
+});
+
+// ---- Get game state ----
+app.get('/agent/state', requireAuth, (req, res) => {
+  const { session: sessionId } = req.query;
+  const session = ownSession(req, res, sessionId);
+  if (!session) return;
+
+  // ?obs=tensor — ClawDugState/2.0 binary observation, base64
+  if (req.query.obs === 'tensor') {
+    return res.json({
+      ok:       true,
+      session:  sessionId,
+      format:   STATE_FORMAT_V2,
+      channels: TENSOR_CHANNELS,
+      shape:    [TENSOR_CHANNELS.length, ROWS, COLS],
+      data:     Buffer.from(encodeObservation(session.gameState)).toString('base64'),
+    });
+  }
+
+  res.json({
+    ok:      true,
+    session: sessionId,
+    state:   session.gameState,
+    meta: {
+      score:     session.score,
+      kills:     session.kills,
+      round:     session.round,
+      alive:     session.alive,
+      seed:      session.publicSeed,
+      elapsed:   Date.now() - session.startTime,
+      clock:     session.clockInfo,
+    }
+  });
+});
+
+// ---- Send action ----
+app.post('/agent/action', requireAuth, access.limit('action'), async (req, res) => {
+  const { sessionId, action, frame } = req.body;
+  if (!sessionId || !action) {
+    return res.status(400).json({ error: 'sessionId and action required' });
+  }
+
+  if (!AGENT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `invalid action. Valid: ${AGENT_ACTIONS.join(', ')}` });
+  }
+  if (!validFrame(frame)) {
+    return res.status(400).json({ error: 'frame must be a non-negative integer' });
+  }
+
+  const session = ownSession(req, res, sessionId);
+  if (!session) return;
+
+  // `frame` is the frame the agent decided on; the receipt says when
+  // the action runs and how late it arrived
+  countAction('http');
+  const input = session.host === 'browser' ? await relayAction(session, action, frame) : submitAction(session, action, frame);
+  if (input.error) return res.status(input.status).json({ error: input.error });
+  const state = session.gameState;
+
+  res.json({
+    ok:     true,
+    frame:  state.frame,
+    action,
+    input,
+    lag:    session.clockInfo.lag,
+    state,
+  });
+});
+
+// ---- Session clock mode ----
+app.post('/agent/clock', requireAuth, (req, res) => {
+  const { sessionId, ...body } = req.body;
+  const session = ownSession(req, res, sessionId);
+  if (!session) return;
+
+  const clock = parseClock(body);
+  if (clock.error) return res.status(400).json({ error: clock.error });
+  const hosting = parseHost(session.host, clock.mode);
+  if (hosting.error) return res.status(400).json({ error: hosting.error });
+
+  session.setClock(clock.mode, clock.options);
+  syncBridge(session);
+  res.json({ ok: true, clock: session.clockInfo });
+});
+
+// ---- Gym-style step: action + frame skip → observation, reward, done ----
+app.post('/agent/step', requireAuth, access.limit('step'), async (req, res) => {
+  const { sessionId, action, frameSkip = FRAMES_PER_TICK } = req.body;
+  if (!sessionId || !action) {
+    return res.status(400).json({ error: 'sessionId and action required' });
+  }
+  if (!AGENT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `invalid action. Valid: ${AGENT_ACTIONS.join(', ')}` });
+  }
+  if (!Number.isInteger(frameSkip) || frameSkip < 1 || frameSkip > MAX_FRAME_SKIP) {
+    return res.status(400).json({ error: `frameSkip must be an integer 1-${MAX_FRAME_SKIP}` });
+  }
+
+  const session = ownSession(req, res, sessionId);
+  if (!session) return;
+  if (session.clock !== 'manual') {
+    return res.status(409).json({ error: `session clock is ${session.clock} — reset with "clock":"manual" to step it` });
+  }
+  if (!session.framesLeft) return res.status(409).json({ error: TIME_LIMIT_ERROR });
+
+  countAction('step');
+  let result;
+  if (session.host === 'browser') {
+    // The page runs the frames; its mirrored frames land before `done`
+    const before = session.progress;
+    const done = await callBridge(session, { op: 'step', action, frames: frameSkip });
+    if (done.error) return res.status(done.status).json({ error: done.error });
+    session.lastAction = Date.now();
+    session.actionLog.push([done.frame, action]);
+    result = session.stepResult(before, frameSkip);
+  } else {
+    result = session.step(action, frameSkip);
+  }
+  broadcast(session, 'state', result.observation, { action });
+
+  res.json({ ok: true, ...result });
+});
+
+// ---- Restart a session (optionally at a chosen seed / round) ----
+app.post('/agent/reset', requireAuth, (req, res) => {
+  const { sessionId, seed = null, round = 1, clock, levels = 'procedural', modifiers = [] } = req.body;
+  const session = ownSession(req, res, sessionId);
+  if (!session) return;
+  if (session.tournamentId) {
+    return res.status(409).json({ error: 'tournament attempt — start a new one with /tournaments/:id/attempt' });
+  }
+  if (session.challenge) {
+    return res.status(409).json({ error: 'daily challenge attempt — one run a day' });
+  }
+
+  const mode = clock ? parseClock({ mode: clock }) : null;
+  if (mode?.error) return res.status(400).json({ error: mode.error });
+  const hosting = mode ? parseHost(session.host, mode.mode) : {};
+  if (hosting.error) return res.status(400).json({ error: hosting.error });
+
+  if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)) {
+    return res.status(400).json({ error: 'seed must be a uint32' });
+  }
+  if (!Number.isInteger(round) || round < 1 || round > MAX_START_ROUND) {
+    return res.status(400).json({ error: `round must be an integer 1-${MAX_START_ROUND}` });
+  }
+  if (Array.isArray(levels) && levels.length > MAX_LEVEL_MAPS) {
+    return res.status(400).json({ error: `at most ${MAX_LEVEL_MAPS} maps per level set` });
+  }
+  let levelSet, rules;
+  try {
+    levelSet = resolveLevels(levels);
+    rules = parseModifiers(modifiers);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (mode) session.clock = mode.mode;
+  session.reset({ seed, round, levels: levelSet, modifiers: rules });
+  if (session.wsClients.size) session.startClock();
+  syncBridge(session);
+  const observation = session.gameState;
+  broadcast(session, 'reset', observation);
+
+  res.json({
+    ok:        true,
+    sessionId: session.sessionId,
+    seed:      session.seed,
+    round,
+    levels:    typeof levelSet === 'string' ? levelSet : levelSet.map(l => l.name),
+    modifiers: rules,
+    ranked:    session.ranked,
+    clock:     session.clock,
+    observation,
+  });
+});
+
+// Refused scores are counted by reason for /metrics
+function rejectScore(res, reason, status, body) {
+  stats.rejected.inc({ reason });
+  return res.status(status).json(body);
+}
+
+// ---- Update score from browser (game reports back to server) ----
+app.post('/agent/update-score', requireAuth, (req, res) => {
+  const { sessionId, score, kills, round, alive } = req.body;
+  const session = ownSession(req, res, sessionId);
+  if (!session) return;
+
+  // Anti-cheat: score can't jump unreasonably fast
+  const maxPossibleScore = (Date.now() - session.startTime) / 1000 * 500;
+  if (score > maxPossibleScore + 10000) {
+    return rejectScore(res, 'too_fast', 400, { error: 'score rejected: too high for elapsed time' });
+  }
+  // …and be something the game can actually award
+  const impossible = checkCombination({
+    score: score ?? session.score, kills: kills ?? session.kills, round: round ?? session.round, firstRound: session.game.firstRound,
+  });
+  if (impossible.length) {
+    return rejectScore(res, 'impossible', 400, { error: `score rejected: ${impossible[0]}` });
+  }
+
+  session.score = Math.max(session.score, score || 0);
+  session.kills = Math.max(session.kills, kills || 0);
+  session.round = Math.max(session.round, round || 1);
+  // A client can end its run but never bring it back
+  if (alive === false) session.alive = false;
+  session.dirty = true;
+
+  res.json({ ok: true, score: session.score });
+});
+
+// ---- Sign and submit score on-chain ----
+app.post('/agent/submit-score', requireAuth, async (req, res) => {
+  const { sessionId, inputs } = req.body;
+  const session = ownSession(req, res, sessionId);
+  if (!session) return;
+
+  if (session.score === 0) {
+    return rejectScore(res, 'no_score', 400, { error: 'no score to submit' });
+  }
+  if (session.submitted) {
+    return rejectScore(res, 'already_submitted', 400, { error: 'session already used' });
+  }
+  if (session.tournamentId) {
+    return rejectScore(res, 'tournament', 400, { error: `tournament attempt — report it to /tournaments/${session.tournamentId}/report` });
+  }
+  if (session.challenge) {
+    return rejectScore(res, 'challenge', 400, { error: 'daily challenge attempt — report it to /challenge/submit' });
+  }
+  if (!session.ranked) {
+    return rejectScore(res, 'unranked', 400, { error: 'training session (reset to a chosen seed/round) — not ranked' });
+  }
+  if (isRevoked(sessionId)) {
+    return rejectScore(res, 'revoked', 403, { error: 'score signature revoked by operator' });
+  }
+
+  // Anti-cheat: the score must be reproducible from seed + inputs
+  const verdict = await session.verifyReplay(inputs);
+  if (!verdict.ok) {
+    return rejectScore(res, verdict.code, verdict.status ?? 400, { error: `score rejected: ${verdict.reason}`, replay: verdict.replay });
+  }
+
+  // …and look like it was played the way the session says
+  if (await antiCheatBlocks(res, session)) return;
+
+  try {
+    const signed = await session.signScore();
+
+    if (chainReady && !signed.mock) {
+      // Player submits this themselves with their wallet
+      // We just return the signed payload for them to use
+      res.json({
         ok:      true,
         message: 'Score signed. Submit with your wallet using the payload below.',
         payload: signed,
@@ -405,14 +2396,27 @@ app.post('/agent/submit-score', async (req, res) => {
             signed.signedAt,
             signed.signature,
           ]
-        }
+        },
+        // No ETH? Sign this instead and POST it to /agent/relay-score
+        ...(relayer ? {
+          relay: {
+            endpoint:  '/agent/relay-score',
+            remaining: relayer.remaining(session.agentAddress),
+            typedData: relayer.typedData(relayAuthorization(session, Math.floor(Date.now() / 1000) + RELAY_DEADLINE_S)),
+          },
+        } : {}),
       });
     } else {
-      // Mock mode — return mock response
+      // Mock mode — record it on the off-chain leaderboard, once: another
+      // submit may have got this far while this one was being checked
+      if (session.submitted) return rejectScore(res, 'already_submitted', 400, { error: 'session already used' });
+      const entry = recordMockScore(session);
+      persistSession(session);
       res.json({
         ok:      true,
         mock:    true,
-        message: 'Mock score signed (chain not connected)',
+        message: 'Mock score recorded (chain not connected)',
+        epochId: entry.epochId,
         payload: signed,
         score:   session.score,
         round:   session.round,
@@ -424,31 +2428,89 @@ app.post('/agent/submit-score', async (req, res) => {
   }
 });
 
+// ---- Gasless submission ----
+// Body: { sessionId, deadline, authorization } — the EIP-712 signature
+// over relay.typedData from /agent/submit-score
+app.post('/agent/relay-score', requireAuth, (req, res) => {
+  if (!relayer) {
+    return res.status(503).json({ error: chainReady ? 'relaying is disabled' : 'mock mode — submit-score records scores directly' });
+  }
+  const { sessionId, deadline, authorization } = req.body;
+  const session = ownSession(req, res, sessionId);
+  if (!session) return;
+
+  if (!session.scoreVerified) {
+    return res.status(400).json({ error: 'score not signed yet — call /agent/submit-score first' });
+  }
+  if (isRevoked(sessionId)) {
+    return rejectScore(res, 'revoked', 403, { error: 'score signature revoked by operator' });
+  }
+  const existing = relayer.get(sessionId);
+  if (session.submitted || (existing && existing.status !== 'failed')) {
+    return res.status(409).json({ error: 'score already submitted', relay: existing });
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isInteger(deadline) || deadline <= now || deadline > now + RELAY_DEADLINE_S) {
+    return res.status(400).json({ error: `deadline must be a unix time within the next ${RELAY_DEADLINE_S}s` });
+  }
+  if (relayer.remaining(req.auth.wallet) === 0) {
+    return res.status(429).json({ error: `relay quota used up (${relayer.quota} per day)` });
+  }
+  const message = relayAuthorization(session, deadline);
+  const invalid = typeof authorization === 'string' ? relayer.checkAuthorization(message, authorization) : 'authorization required';
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  // A failed relay can be sent again; the session only counts as
+  // submitted once the transaction is mined
+  relayer.enqueue({ ...message, authorization });
+  res.status(202).json({ ok: true, relay: relayer.get(sessionId), remaining: relayer.remaining(req.auth.wallet) });
+});
+
+app.get('/agent/relay-score/:sessionId', requireAuth, (req, res) => {
+  const job = relayer?.get(req.params.sessionId);
+  if (!job || job.player !== req.auth.wallet) return res.status(404).json({ error: 'relay not found' });
+  res.json({ ok: true, relay: job });
+});
+
 // ---- Leaderboard ----
+// On-chain entries with registered names
+function formatBoard(entries) {
+  return entries
+    .filter(e => e.player !== ethers.ZeroAddress)
+    .map(e => ({
+      player:    e.player,
+      name:      displayName(e.player),
+      score:     Number(e.score),
+      round:     Number(e.round),
+      kills:     Number(e.kills),
+      isAgent:   e.isAgent,
+      timestamp: Number(e.timestamp) * 1000,
+      sessionId: e.sessionId,
+    }));
+}
+
 app.get('/leaderboard', async (req, res) => {
   try {
     if (!chainReady) {
-      return res.json({ ok: true, mock: true, ...mockLeaderboard });
+      const epoch = formatMockEpoch(currentMockEpoch());
+      return res.json({
+        ok:     true,
+        mock:   true,
+        agents: mockBoard(true),
+        humans: mockBoard(false),
+        epoch:  { ...epoch, humanLeader: epoch.humanWinner, agentLeader: epoch.agentWinner },
+      });
     }
     const [humans, agents, epoch] = await Promise.all([
       gameContract.getHumanLeaderboard(),
       gameContract.getAgentLeaderboard(),
       gameContract.getCurrentEpoch(),
+      syncRegistry(),
     ]);
-    const fmt = (entries) => entries
-      .filter(e => e.player !== ethers.ZeroAddress)
-      .map(e => ({
-        player:    e.player,
-        score:     Number(e.score),
-        round:     Number(e.round),
-        kills:     Number(e.kills),
-        isAgent:   e.isAgent,
-        timestamp: Number(e.timestamp) * 1000,
-      }));
     res.json({
       ok:     true,
-      agents: fmt(agents),
-      humans: fmt(humans),
+      agents: formatBoard(agents),
+      humans: formatBoard(humans),
       epoch: {
         id:            Number(epoch.id),
         prizePool:     ethers.formatEther(epoch.prizePool),
@@ -464,57 +2526,655 @@ app.get('/leaderboard', async (req, res) => {
   }
 });
 
-app.get('/leaderboard/agents', async (req, res) => {
+app.get('/leaderboard/agents', async (req, res) => {
+  try {
+    if (!chainReady) return res.json({ ok: true, mock: true, entries: mockBoard(true) });
+    const [agents] = await Promise.all([gameContract.getAgentLeaderboard(), syncRegistry()]);
+    res.json({ ok: true, entries: formatBoard(agents) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/leaderboard/humans', async (req, res) => {
+  try {
+    if (!chainReady) return res.json({ ok: true, mock: true, entries: mockBoard(false) });
+    const [humans] = await Promise.all([gameContract.getHumanLeaderboard(), syncRegistry()]);
+    res.json({ ok: true, entries: formatBoard(humans) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- Epoch info ----
+app.get('/epoch', async (req, res) => {
+  try {
+    if (!chainReady) {
+      return res.json({ ok: true, mock: true, epoch: formatMockEpoch(currentMockEpoch()) });
+    }
+    const [epoch, timeLeft] = await Promise.all([
+      gameContract.getCurrentEpoch(),
+      gameContract.timeUntilEpochEnd(),
+    ]);
+    res.json({
+      ok:    true,
+      epoch: {
+        id:            Number(epoch.id),
+        prizePool:     ethers.formatEther(epoch.prizePool),
+        burnAmount:    ethers.formatEther(epoch.burnAmount),
+        treasuryAmount:ethers.formatEther(epoch.treasuryAmount),
+        endsIn:        Number(timeLeft),
+        humanWinner:   epoch.humanWinner,
+        agentWinner:   epoch.agentWinner,
+        humanTopScore: Number(epoch.humanTopScore),
+        agentTopScore: Number(epoch.agentTopScore),
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- Epoch keeper ----
+app.get('/keeper/status', (req, res) => {
+  res.json({ ok: true, ...(keeper ? keeper.status() : { enabled: false }) });
+});
+
+// ---- History (chain indexer, or mock scores/epochs) ----
+function page(query) {
+  const limit  = Math.min(MAX_HISTORY_PAGE, Math.max(1, parseInt(query.limit, 10) || 20));
+  const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+  return { limit, offset };
+}
+
+// Where the answer came from: indexer progress, or mock mode
+const historySource = () => (indexer ? { indexer: indexer.status() } : { mock: true });
+
+app.get('/epochs', (req, res) => {
+  const { limit, offset } = page(req.query);
+  const epochs = indexer ? indexer.epochs() : mockEpochs();
+  res.json({ ok: true, ...historySource(), total: epochs.length, epochs: epochs.slice(offset, offset + limit) });
+});
+
+app.get('/epochs/:id', (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'invalid epoch id' });
+  const epoch = indexer ? indexer.epoch(id) : mockEpoch(id);
+  if (!epoch) return res.status(404).json({ error: 'epoch not found' });
+  res.json({ ok: true, ...historySource(), epoch });
+});
+
+// ---- Profiles (AgentRegistry + sessions played here) ----
+app.get('/players/:address', async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) return res.status(400).json({ error: 'invalid address' });
+  try {
+    const profile = await playerProfile(address);
+    if (!profile) return res.status(404).json({ error: 'player not found' });
+    res.json({ ok: true, ...(chainReady ? {} : { mock: true }), player: profile });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ?type=agent (default) | human | all, newest registrations first
+app.get('/agents', async (req, res) => {
+  const { type = 'agent' } = req.query;
+  if (!['agent', 'human', 'all'].includes(type)) return res.status(400).json({ error: 'type must be agent, human or all' });
+  const { limit, offset } = page(req.query);
+  const wanted = (p) => type === 'all' || p.isAgent === (type === 'agent');
+  try {
+    if (!chainReady) {
+      const players = store.players.all().filter(wanted).sort((a, b) => b.registeredAt - a.registeredAt);
+      const entries = players.slice(offset, offset + limit).map(p => ({
+        wallet: p.wallet.toLowerCase(), agentId: p.agentId, name: p.name, isAgent: p.isAgent,
+        gamesPlayed: p.gamesPlayed, totalScore: p.totalScore, bestScore: p.bestScore, registeredAt: p.registeredAt,
+        averageScore: p.gamesPlayed ? Math.round(p.totalScore / p.gamesPlayed) : 0,
+      }));
+      return res.json({ ok: true, mock: true, type, total: players.length, entries });
+    }
+    await syncRegistry();
+    const matches = registryIndex.filter(wanted).reverse();
+    // Counters change with every game, so the page itself is read fresh
+    const entries = await Promise.all(matches.slice(offset, offset + limit).map(async (p) => {
+      const profile = chainProfile(await registryContract.getProfile(p.wallet));
+      return { ...profile, averageScore: profile.gamesPlayed ? Math.round(profile.totalScore / profile.gamesPlayed) : 0 };
+    }));
+    res.json({ ok: true, type, total: matches.length, registered: registryIndex.length, entries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/players/:address/scores', (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) return res.status(400).json({ error: 'invalid address' });
+  const { limit, offset } = page(req.query);
+  const scores = indexer ? indexer.playerScores(address) : mockPlayerScores(address);
+  res.json({
+    ok:      true,
+    ...historySource(),
+    player:  address.toLowerCase(),
+    total:   scores.length,
+    best:    scores.reduce((best, s) => Math.max(best, s.score), 0),
+    scores:  scores.slice(offset, offset + limit),
+  });
+});
+
+app.get('/players/:address/rewards', (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) return res.status(400).json({ error: 'invalid address' });
+  // Nothing is minted in mock mode
+  const rewards = indexer ? indexer.playerRewards(address)
+    : { totals: { gameplay: '0.0', prizes: '0.0', total: '0.0' }, rewards: [] };
+  res.json({ ok: true, ...historySource(), player: address.toLowerCase(), ...rewards });
+});
+
+// ---- Replays ----
+// JSON by default; ?format=bin (or Accept: application/octet-stream) for .cdr
+// ---- Live games (watch them on /agent/stream?watch=) ----
+app.get('/sessions/live', (req, res) => {
+  const type = req.query.type ?? 'all';
+  if (!['agents', 'humans', 'all'].includes(type)) {
+    return res.status(400).json({ error: 'type must be agents, humans or all' });
+  }
+  const { limit, offset } = page(req.query);
+  const live = liveSessions(type);
+  res.json({ ok: true, total: live.length, sessions: live.slice(offset, offset + limit).map(liveSummary) });
+});
+
+app.get('/replay/:sessionId', (req, res) => {
+  const replay = findReplay(req.params.sessionId);
+  if (!replay) return res.status(404).json({ error: 'replay not found' });
+  if (challengeSealed(res, replay)) return;
+
+  const wantsBinary = req.query.format === 'bin' ||
+    req.accepts(['application/json', 'application/octet-stream']) === 'application/octet-stream';
+  if (wantsBinary) {
+    if (typeof replay.levels === 'object') {
+      return res.status(406).json({ error: 'replays on hand-made levels are only available as JSON' });
+    }
+    if (replay.modifiers?.length) {
+      return res.status(406).json({ error: 'replays with modifiers are only available as JSON' });
+    }
+    return res
+      .type('application/octet-stream')
+      .set('Content-Disposition', `attachment; filename="clawdug-${replay.sessionId.slice(2, 10)}.cdr"`)
+      .send(Buffer.from(encodeReplay(replay)));
+  }
+  res.json({ ok: true, replay });
+});
+
+// Reconstructed ClawDugState snapshots for frames [from, to]
+app.get('/replay/:sessionId/frames', async (req, res) => {
+  const replay = findReplay(req.params.sessionId);
+  if (!replay) return res.status(404).json({ error: 'replay not found' });
+  if (challengeSealed(res, replay)) return;
+
+  const from = parseInt(req.query.from ?? 0, 10);
+  const to   = parseInt(req.query.to ?? from + 60, 10);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+    return res.status(400).json({ error: 'from/to must be integers with 0 <= from <= to' });
+  }
+  if (to - from >= MAX_FRAME_WINDOW) {
+    return res.status(400).json({ error: `at most ${MAX_FRAME_WINDOW} frames per request` });
+  }
+
+  let result;
+  try {
+    result = await verifier.frames(replay, from, to);
+  } catch (err) {
+    return res.status(503).json({ error: err.message });
+  }
+  if (result.error) return res.status(400).json({ error: result.error });
+  const { frames } = result;
+  res.json({ ok: true, sessionId: replay.sessionId, from, to: from + frames.length - 1, total: replay.frames, frames });
+});
+
+// ---- Arena matches ----
+app.post('/arena', requireAuth, async (req, res) => {
+  const { maxPlayers = ARENA_MIN_PLAYERS, rounds = ARENA_ROUNDS, levels = 'procedural' } = req.body;
+  if (!Number.isInteger(maxPlayers) || maxPlayers < ARENA_MIN_PLAYERS || maxPlayers > ARENA_MAX_PLAYERS) {
+    return res.status(400).json({ error: `maxPlayers must be an integer ${ARENA_MIN_PLAYERS}-${ARENA_MAX_PLAYERS}` });
+  }
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ARENA_ROUNDS) {
+    return res.status(400).json({ error: `rounds must be an integer 1-${MAX_ARENA_ROUNDS}` });
+  }
+  if (Array.isArray(levels) && levels.length > MAX_LEVEL_MAPS) {
+    return res.status(400).json({ error: `at most ${MAX_LEVEL_MAPS} maps per level set` });
+  }
+  let levelSet;
+  try { levelSet = resolveLevels(levels); }
+  catch (err) { return res.status(400).json({ error: err.message }); }
+  if (!(await playerType(res, req.auth.wallet))) return;
+
+  const match = new ArenaMatch(arenaEntrant(req.auth.wallet, req.auth.agentId), {
+    maxPlayers, rounds, levels: levelSet, framesPerTick: FRAMES_PER_TICK,
+  });
+  arenas.set(match.matchId, match);
+  console.log(`[Arena] ${match.matchId.slice(0, 10)}... opened by ${req.auth.wallet} (${maxPlayers} seats)`);
+  res.json({ ok: true, seat: 0, ...match.summary() });
+});
+
+// Open lobbies first, then running and recently finished matches
+app.get('/arena', (req, res) => {
+  const order = { lobby: 0, running: 1, finished: 2 };
+  const status = req.query.status;
+  const matches = [...arenas.values()]
+    .filter(m => !status || m.status === status)
+    .sort((a, b) => order[a.status] - order[b.status] || b.createdAt - a.createdAt)
+    .map(m => m.summary());
+  res.json({ ok: true, matches });
+});
+
+app.get('/arena/:matchId', (req, res) => {
+  const match = arenas.get(req.params.matchId);
+  const summary = match ? match.summary() : store.arenas.get(req.params.matchId);
+  if (!summary) return res.status(404).json({ error: 'arena match not found' });
+  res.json({ ok: true, ...summary });
+});
+
+app.post('/arena/:matchId/join', requireAuth, async (req, res) => {
+  const match = liveArena(req, res);
+  if (!match) return;
+  if (!(await playerType(res, req.auth.wallet))) return;
+  const joined = match.join(arenaEntrant(req.auth.wallet, req.auth.agentId));
+  if (joined.error) return res.status(409).json({ error: joined.error });
+  res.json({ ok: true, seat: joined.seat, ...match.summary() });
+});
+
+app.post('/arena/:matchId/leave', requireAuth, (req, res) => {
+  const match = liveArena(req, res);
+  if (!match) return;
+  const left = match.leave(req.auth.wallet);
+  if (left.error) return res.status(409).json({ error: left.error });
+  res.json({ ok: true, ...match.summary() });
+});
+
+app.post('/arena/:matchId/start', requireAuth, (req, res) => {
+  const match = liveArena(req, res);
+  if (!match) return;
+  const started = match.start(req.auth.wallet);
+  if (started.error) return res.status(409).json({ error: started.error });
+  console.log(`[Arena] ${match.matchId.slice(0, 10)}... started with ${match.seats.length} players`);
+  broadcastArena(match, 'start');
+  res.json({ ok: true, ...match.summary() });
+});
+
+// Seat-scoped routes: the caller's own seat in a running match
+function arenaSeat(req, res) {
+  const match = liveArena(req, res);
+  if (!match) return null;
+  const seat = match.seatOf(req.auth.wallet);
+  if (seat === -1) {
+    res.status(403).json({ error: 'not a player in this match' });
+    return null;
+  }
+  if (match.status !== 'running') {
+    res.status(409).json({ error: `match is ${match.status}`, ...(match.result ? { result: match.result } : {}) });
+    return null;
+  }
+  return { match, seat };
+}
+
+app.get('/arena/:matchId/state', requireAuth, (req, res) => {
+  const found = arenaSeat(req, res);
+  if (!found) return;
+  res.json({ ok: true, matchId: found.match.matchId, seat: found.seat, state: found.match.view(found.seat) });
+});
+
+app.post('/arena/:matchId/action', requireAuth, access.limit('arena-action'), (req, res) => {
+  const { action } = req.body;
+  if (!AGENT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `invalid action. Valid: ${AGENT_ACTIONS.join(', ')}` });
+  }
+  const found = arenaSeat(req, res);
+  if (!found) return;
+  countAction('arena');
+  const input = found.match.queueAction(found.seat, action);
+  res.json({ ok: true, action, input, state: found.match.view(found.seat) });
+});
+
+// ---- Tournaments ----
+const parseTime = (value) => (typeof value === 'string' ? Date.parse(value) : value);
+
+app.post('/tournaments', requireAuth, (req, res) => {
+  if (!canOrganise(req.auth.wallet)) {
+    return res.status(403).json({ error: 'not a tournament organiser' });
+  }
+  const {
+    name, format, entry = 'mixed', attempts = 3, rounds = ARENA_ROUNDS, maxEntrants = 32,
+    seed = null, levels = 'procedural', payoutBps = [],
+  } = req.body;
+  const startsAt = parseTime(req.body.startsAt ?? Date.now());
+  const endsAt   = parseTime(req.body.endsAt);
+
+  if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+    return res.status(400).json({ error: 'name must be 1-64 characters' });
+  }
+  if (!TOURNAMENT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${TOURNAMENT_FORMATS.join(', ')}` });
+  }
+  if (!ENTRY_RULES.includes(entry)) {
+    return res.status(400).json({ error: `entry must be one of ${ENTRY_RULES.join(', ')}` });
+  }
+  if (!Number.isInteger(attempts) || attempts < 1 || attempts > MAX_TOURNAMENT_ATTEMPTS) {
+    return res.status(400).json({ error: `attempts must be an integer 1-${MAX_TOURNAMENT_ATTEMPTS}` });
+  }
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ARENA_ROUNDS) {
+    return res.status(400).json({ error: `rounds must be an integer 1-${MAX_ARENA_ROUNDS}` });
+  }
+  if (!Number.isInteger(maxEntrants) || maxEntrants < 2 || maxEntrants > MAX_TOURNAMENT_ENTRANTS) {
+    return res.status(400).json({ error: `maxEntrants must be an integer 2-${MAX_TOURNAMENT_ENTRANTS}` });
+  }
+  if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)) {
+    return res.status(400).json({ error: 'seed must be a uint32' });
+  }
+  if (!Number.isFinite(startsAt) || !Number.isFinite(endsAt) || endsAt <= startsAt || endsAt <= Date.now()) {
+    return res.status(400).json({ error: 'startsAt / endsAt must be times (ms or ISO 8601) with endsAt after both startsAt and now' });
+  }
+  if (endsAt - startsAt > MAX_TOURNAMENT_DAYS * EPOCH_DURATION) {
+    return res.status(400).json({ error: `tournaments last at most ${MAX_TOURNAMENT_DAYS} days` });
+  }
+  if (!Array.isArray(payoutBps) || payoutBps.length > maxEntrants
+      || !payoutBps.every(b => Number.isInteger(b) && b >= 0)
+      || payoutBps.reduce((sum, b) => sum + b, 0) > 10000) {
+    return res.status(400).json({ error: 'payoutBps must be per-place shares in basis points, 10000 at most in total' });
+  }
+  if (Array.isArray(levels) && levels.length > MAX_LEVEL_MAPS) {
+    return res.status(400).json({ error: `at most ${MAX_LEVEL_MAPS} maps per level set` });
+  }
+  let levelSet;
+  try { levelSet = resolveLevels(levels); }
+  catch (err) { return res.status(400).json({ error: err.message }); }
+
+  const t = new Tournament({
+    name: name.trim(), organiser: req.auth.wallet, format, entry, attempts, rounds, maxEntrants,
+    seed, levels: levelSet, startsAt, endsAt, payoutBps,
+  });
+  tournaments.set(t.id, t);
+  saveTournament(t);
+  console.log(`[Tournament] ${t.name} (${format}, ${entry}) created by ${req.auth.wallet}`);
+  res.json({ ok: true, ...t.summary() });
+});
+
+// Upcoming and running first, then the most recent
+app.get('/tournaments', (req, res) => {
+  const order = { registration: 0, running: 0, finished: 1, cancelled: 1 };
+  const status = req.query.status;
+  const list = [...tournaments.values()]
+    .filter(t => !status || t.status === status)
+    .sort((a, b) => order[a.status] - order[b.status] || b.startsAt - a.startsAt)
+    .map(t => t.summary());
+  res.json({ ok: true, tournaments: list });
+});
+
+function findTournament(req, res) {
+  const t = tournaments.get(req.params.id);
+  if (!t) res.status(404).json({ error: 'tournament not found' });
+  return t;
+}
+
+app.get('/tournaments/:id', (req, res) => {
+  const t = findTournament(req, res);
+  if (!t) return;
+  res.json({ ok: true, ...t.summary(), standings: t.standings() });
+});
+
+app.post('/tournaments/:id/register', requireAuth, async (req, res) => {
+  const t = findTournament(req, res);
+  if (!t) return;
+  if (!(await playerType(res, req.auth.wallet))) return;
+  const registered = t.register(arenaEntrant(req.auth.wallet));
+  if (registered.error) return res.status(409).json({ error: registered.error });
+  saveTournament(t);
+  res.json({ ok: true, tournamentId: t.id, ...registered.entrant, entrants: t.entrants.length });
+});
+
+app.post('/tournaments/:id/withdraw', requireAuth, (req, res) => {
+  const t = findTournament(req, res);
+  if (!t) return;
+  const withdrawn = t.withdraw(req.auth.wallet);
+  if (withdrawn.error) return res.status(409).json({ error: withdrawn.error });
+  saveTournament(t);
+  res.json({ ok: true, tournamentId: t.id, entrants: t.entrants.length });
+});
+
+// Organiser: start before startsAt
+app.post('/tournaments/:id/start', requireAuth, (req, res) => {
+  const t = findTournament(req, res);
+  if (!t) return;
+  if (t.organiser !== req.auth.wallet) return res.status(403).json({ error: 'only the organiser can start the tournament' });
+  const started = t.start();
+  if (started.error) return res.status(409).json({ error: started.error });
+  spawnTournamentMatches(t);
+  saveTournament(t);
+  console.log(`[Tournament] ${t.name} started early with ${t.entrants.length} entrants`);
+  res.json({ ok: true, ...t.summary() });
+});
+
+// best-of: a fresh session on the tournament seed / level set
+app.post('/tournaments/:id/attempt', requireAuth, async (req, res) => {
+  const t = findTournament(req, res);
+  if (!t) return;
+  const mode = parseClock({ mode: req.body.clock ?? 'realtime' });
+  if (mode.error) return res.status(400).json({ error: mode.error });
+  if (!(await playerType(res, req.auth.wallet))) return;
+  const player = arenaEntrant(req.auth.wallet, req.auth.agentId);
+
+  const session = new GameSession(ethers.getAddress(req.auth.wallet), player.agentId, player.isAgent);
+  const attempt = t.startAttempt(req.auth.wallet, session.sessionId);
+  if (attempt.error) return res.status(409).json({ error: attempt.error });
+  session.setClock(mode.mode);
+  session.reset({ seed: t.seed, levels: t.levels });
+  session.tournamentId = t.id;
+  activeSessions.set(session.sessionId, session);
+  persistSession(session);
+  saveTournament(t);
+  res.json({
+    ok: true, tournamentId: t.id, sessionId: session.sessionId, seed: session.seed, clock: session.clock,
+    attempt: attempt.attempt, attemptsLeft: t.attempts - attempt.attempt,
+  });
+});
+
+// best-of: { sessionId } — the run the server recorded is replayed and
+// judged like /challenge/submit; every entrant has the tournament seed,
+// so uploaded input logs aren't taken.
+// Arena formats: { matchId, scores } from the organiser (no-shows, disputes)
+app.post('/tournaments/:id/report', requireAuth, async (req, res) => {
+  const t = findTournament(req, res);
+  if (!t) return;
+  const { sessionId, matchId, scores } = req.body;
+
+  if (t.format === 'best-of') {
+    const session = ownSession(req, res, sessionId);
+    if (!session) return;
+    if (session.tournamentId !== t.id) return res.status(400).json({ error: 'not an attempt in this tournament' });
+    if (!session.game.inputLog.frames) {
+      return rejectScore(res, 'no_inputs', 400, { error: 'tournament runs must be played on the server or a browser host — input logs are not accepted' });
+    }
+    const verdict = await session.verifyReplay();
+    if (!verdict.ok) {
+      return rejectScore(res, verdict.code, verdict.status ?? 400, { error: `score rejected: ${verdict.reason}`, replay: verdict.replay });
+    }
+    if (await antiCheatBlocks(res, session)) return;
+    const reported = t.reportRun(req.auth.wallet, sessionId, session);
+    if (reported.error) return res.status(409).json({ error: reported.error });
+    persistSession(session);
+    saveTournament(t);
+    return res.json({ ok: true, tournamentId: t.id, run: reported.run, standings: t.standings() });
+  }
+
+  if (t.organiser !== req.auth.wallet) return res.status(403).json({ error: 'only the organiser can report arena matches' });
+  const m = t.matches.find(x => x.id === matchId);
+  if (m?.arenaId && arenas.get(m.arenaId)?.status === 'running') {
+    return res.status(409).json({ error: 'match is being played' });
+  }
+  const reported = t.reportMatch(matchId, scores, { reportedBy: req.auth.wallet });
+  if (reported.error) return res.status(409).json({ error: reported.error });
+  if (m.arenaId) arenas.delete(m.arenaId);
+  matchReported(t);
+  res.json({ ok: true, tournamentId: t.id, match: reported.match, status: t.status });
+});
+
+app.get('/tournaments/:id/bracket', (req, res) => {
+  const t = findTournament(req, res);
+  if (!t) return;
+  if (t.format === 'best-of') return res.status(400).json({ error: 'best-of tournaments have no bracket — see /tournaments/:id' });
+  res.json({ ok: true, tournamentId: t.id, format: t.format, status: t.status, rounds: t.bracket() });
+});
+
+app.get('/tournaments/:id/results', async (req, res) => {
+  const t = findTournament(req, res);
+  if (!t) return;
   try {
-    if (!chainReady) return res.json({ ok: true, mock: true, entries: mockLeaderboard.agents });
-    const agents = await gameContract.getAgentLeaderboard();
-    res.json({ ok: true, entries: agents.filter(e => e.player !== ethers.ZeroAddress) });
+    res.json({ ok: true, ...(await tournamentResults(t)) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/leaderboard/humans', async (req, res) => {
-  try {
-    if (!chainReady) return res.json({ ok: true, mock: true, entries: mockLeaderboard.humans });
-    const humans = await gameContract.getHumanLeaderboard();
-    res.json({ ok: true, entries: humans.filter(e => e.player !== ethers.ZeroAddress) });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// ---- Daily challenge ----
+app.get('/challenges', (req, res) => {
+  const { limit, offset } = page(req.query);
+  const days = challenges.history();
+  res.json({ ok: true, total: days.length, challenges: days.slice(offset, offset + limit) });
+});
+
+app.get('/challenge/:date', (req, res) => {
+  const record = findChallenge(req, res);
+  if (!record) return;
+  res.json({ ok: true, ...challengeView(req, record) });
+});
+
+app.get('/challenge/:date/leaderboard', (req, res) => {
+  const record = findChallenge(req, res);
+  if (!record) return;
+  const type = req.query.type ?? 'all';
+  if (!BOARD_TYPES.includes(type)) return res.status(400).json({ error: 'type must be agents, humans or all' });
+  const { limit, offset } = page(req.query);
+  const board = challenges.leaderboard(record.date, type);
+  res.json({ ok: true, date: record.date, type, total: board.length, entries: board.slice(offset, offset + limit) });
+});
+
+// Today's one attempt: a fresh session on the challenge seed and
+// modifiers. Starting it spends it.
+app.post('/challenge/attempt', requireAuth, async (req, res) => {
+  const mode = parseClock({ mode: req.body.clock ?? 'realtime' });
+  if (mode.error) return res.status(400).json({ error: mode.error });
+  const hosting = parseHost(req.body.host, mode.mode);
+  if (hosting.error) return res.status(400).json({ error: hosting.error });
+  if (!(await playerType(res, req.auth.wallet))) return;
+  const player = arenaEntrant(req.auth.wallet, req.auth.agentId);
+
+  const session = new GameSession(ethers.getAddress(req.auth.wallet), player.agentId, player.isAgent);
+  const started = challenges.startAttempt(req.auth.wallet, { sessionId: session.sessionId, name: player.name, isAgent: player.isAgent });
+  if (started.error) return res.status(409).json({ error: started.error });
+  const { challenge } = started;
+  session.setClock(mode.mode);
+  session.host = hosting.host;
+  session.reset({ seed: challenge.seed, levels: challenge.levels, modifiers: challenge.modifiers });
+  session.challenge = challenge.date;
+  activeSessions.set(session.sessionId, session);
+  persistSession(session);
+  res.json({
+    ok: true, date: challenge.date, sessionId: session.sessionId,
+    levels: challenge.levels, modifiers: challenge.modifiers, clock: session.clock, host: session.host,
+    endsAt: dayStart(challenge.date) + DAY_MS,
+    ...(session.host === 'browser' ? { bridge: bridgeInfo(session) } : {}),
+  });
+});
+
+// { sessionId } — the run the server recorded (played through the
+// API, or streamed by a browser host) is replayed like
+// /agent/submit-score, then ranked on the day's board. Uploaded
+// input logs aren't taken: everyone has the same seed, so one
+// run's log would score the same for anyone who sent it.
+app.post('/challenge/submit', requireAuth, async (req, res) => {
+  const { sessionId } = req.body;
+  const session = ownSession(req, res, sessionId);
+  if (!session) return;
+  if (!session.challenge) return res.status(400).json({ error: 'not a daily challenge attempt' });
+  if (challenges.attemptOf(session.challenge, req.auth.wallet)?.reportedAt) {
+    return res.status(409).json({ error: 'attempt already reported' });
   }
+  if (!session.game.inputLog.frames) {
+    return rejectScore(res, 'no_inputs', 400, { error: 'challenge runs must be played on the server or a browser host — input logs are not accepted' });
+  }
+  const verdict = await session.verifyReplay();
+  if (!verdict.ok) {
+    return rejectScore(res, verdict.code, verdict.status ?? 400, { error: `score rejected: ${verdict.reason}`, replay: verdict.replay });
+  }
+  if (await antiCheatBlocks(res, session)) return;
+
+  const reported = challenges.report(session.challenge, req.auth.wallet, sessionId, session);
+  if (reported.error) return res.status(409).json({ error: reported.error });
+  persistSession(session);
+  res.json({
+    ok: true, date: session.challenge, score: session.score, round: session.round, kills: session.kills,
+    rank: reported.rank, of: challenges.leaderboard(session.challenge).length,
+  });
 });
 
-// ---- Epoch info ----
-app.get('/epoch', async (req, res) => {
-  try {
-    if (!chainReady) {
-      return res.json({
-        ok:   true,
-        mock: true,
-        epoch: { id: 1, prizePool: '2500', endsIn: 43200, humanLeader: null, agentLeader: null }
-      });
-    }
-    const [epoch, timeLeft] = await Promise.all([
-      gameContract.getCurrentEpoch(),
-      gameContract.timeUntilEpochEnd(),
-    ]);
-    res.json({
-      ok:    true,
-      epoch: {
-        id:            Number(epoch.id),
-        prizePool:     ethers.formatEther(epoch.prizePool),
-        burnAmount:    ethers.formatEther(epoch.burnAmount),
-        treasuryAmount:ethers.formatEther(epoch.treasuryAmount),
-        endsIn:        Number(timeLeft),
-        humanWinner:   epoch.humanWinner,
-        agentWinner:   epoch.agentWinner,
-        humanTopScore: Number(epoch.humanTopScore),
-        agentTopScore: Number(epoch.agentTopScore),
-      }
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// ---- Webhooks ----
+// Body: { url, events?, description? } — the signing secret is
+// only in this response
+app.post('/webhooks', requireAuth, (req, res) => {
+  const { url, events = WEBHOOK_EVENTS, description = '' } = req.body;
+  const result = webhooks.subscribe({ owner: req.auth.wallet, url, events, description });
+  if (result.error) return res.status(400).json({ error: result.error });
+  console.log(`[Webhooks] ${result.hook.id} → ${url} (${result.hook.events.join(', ')}) for ${req.auth.wallet}`);
+  res.json({ ok: true, webhook: result.hook, secret: result.secret, events: WEBHOOK_EVENTS });
+});
+
+app.get('/webhooks', requireAuth, (req, res) => {
+  res.json({ ok: true, events: WEBHOOK_EVENTS, webhooks: webhooks.list(req.auth.wallet).map(webhooks.describe) });
+});
+
+function ownWebhook(req, res) {
+  const hook = webhooks.get(req.params.id);
+  if (!hook || hook.owner !== req.auth.wallet) {
+    res.status(404).json({ error: 'webhook not found' });
+    return null;
   }
+  return hook;
+}
+
+// Body: any of { url, events, description, active }
+app.patch('/webhooks/:id', requireAuth, (req, res) => {
+  if (!ownWebhook(req, res)) return;
+  const result = webhooks.update(req.params.id, req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json({ ok: true, webhook: result.hook });
+});
+
+app.delete('/webhooks/:id', requireAuth, async (req, res) => {
+  if (!ownWebhook(req, res)) return;
+  await webhooks.remove(req.params.id);
+  res.json({ ok: true });
+});
+
+app.post('/webhooks/:id/test', requireAuth, (req, res) => {
+  const hook = ownWebhook(req, res);
+  if (!hook) return;
+  res.json({ ok: true, delivery: webhooks.ping(hook) });
+});
+
+app.get('/webhooks/:id/deliveries', requireAuth, (req, res) => {
+  if (!ownWebhook(req, res)) return;
+  const { limit, offset } = page(req.query);
+  const status = req.query.status;
+  const list = webhooks.deliveries(req.params.id).filter(d => !status || d.status === status);
+  res.json({ ok: true, total: list.length, deliveries: list.slice(offset, offset + limit) });
+});
+
+app.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireAuth, (req, res) => {
+  if (!ownWebhook(req, res)) return;
+  const delivery = webhooks.deliveries(req.params.id).find(d => d.id === req.params.deliveryId);
+  if (!delivery) return res.status(404).json({ error: 'delivery not found' });
+  const result = webhooks.redeliver(delivery);
+  if (result.error) return res.status(409).json({ error: result.error });
+  res.json({ ok: true, delivery: result.delivery });
 });
 
 // ---- $DUG token info ----
@@ -536,11 +3196,356 @@ app.get('/token', async (req, res) => {
   }
 });
 
+// ---- Dev chain (CHAIN=dev only) ----
+// JSON-RPC for wallets and scripts: point them at /devchain/rpc
+// with chain id 31337 to send register / submitScore / approve
+function requireDevChain(req, res, next) {
+  if (!devChain) return res.status(404).json({ error: 'dev chain not enabled (CHAIN=dev)' });
+  next();
+}
+
+app.get('/devchain', requireDevChain, (req, res) => {
+  res.json({ ok: true, rpc: '/devchain/rpc', ...devChain.status() });
+});
+
+app.post('/devchain/rpc', requireDevChain, async (req, res) => {
+  const body = req.body;
+  if (Array.isArray(body)) return res.json(await Promise.all(body.map(r => devChain.rpc(r))));
+  if (!body?.method) return res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'invalid request' } });
+  res.json(await devChain.rpc(body));
+});
+
+app.post('/devchain/faucet', requireDevChain, (req, res) => {
+  const { address, amount = 1000 } = req.body;
+  if (!address || !ethers.isAddress(address)) return res.status(400).json({ error: 'valid address required' });
+  const dug = Number(amount);
+  if (!(dug > 0 && dug <= DEV_FAUCET_MAX)) return res.status(400).json({ error: `amount must be 1–${DEV_FAUCET_MAX} DUG` });
+  try {
+    const txHash = devChain.faucet(address, ethers.parseEther(String(dug)));
+    res.json({ ok: true, address, amount: String(dug), txHash });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ============================================================
+//  OPERATIONS  (/admin/* and /metrics)
+//  /admin takes ADMIN_TOKEN or an ADMIN_WALLETS sign-in token;
+//  every change it makes is written to store.adminLog.
+// ============================================================
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(credentialOf(req.headers) ?? '', METRICS_TOKEN)) {
+    return res.status(401).json({ error: 'metrics token required' });
+  }
+  res.set('Content-Type', metrics.contentType).send(metrics.render());
+});
+
+function adminSession(session) {
+  return {
+    ...liveSummary(session),
+    live:        isLive(session),
+    clockRunning: session.clockRunning,
+    lastAction:  session.lastAction,
+    inputStats:  session.inputStats,
+    submitted:   session.submitted,
+    scoreVerified: session.scoreVerified,
+    wsClients:   session.wsClients.size,
+    bridge:      !!session.bridge,
+  };
+}
+
+// ---- Sessions ----
+app.get('/admin/sessions', requireAdmin, (req, res) => {
+  const { limit, offset } = page(req.query);
+  const wallet = req.query.wallet?.toLowerCase();
+  const list = [...activeSessions.values()]
+    .filter(s => (!wallet || s.agentAddress.toLowerCase() === wallet) && (req.query.live !== 'true' || isLive(s)))
+    .sort((a, b) => b.lastAction - a.lastAction);
+  res.json({ ok: true, total: list.length, sessions: list.slice(offset, offset + limit).map(adminSession) });
+});
+
+app.get('/admin/sessions/:id', requireAdmin, (req, res) => {
+  const session  = activeSessions.get(req.params.id);
+  const archived = session ? null : store.archive.get(req.params.id);
+  if (!session && !archived) return res.status(404).json({ error: 'session not found' });
+  const { actions, inputs, ...record } = archived ?? {};
+  res.json({
+    ok: true,
+    ...(session ? { session: adminSession(session) } : { archived: record }),
+    signature: store.signatures.get(req.params.id) ?? null,
+    relay:     relayer?.get(req.params.id) ?? null,
+    verdict:   antiCheat.get(req.params.id),
+  });
+});
+
+app.delete('/admin/sessions/:id', requireAdmin, async (req, res) => {
+  const session = activeSessions.get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'session not found' });
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 200) : null;
+  const summary = adminSession(session);
+  await killSession(session, reason);
+  adminLog(req, 'session.kill', { sessionId: session.sessionId, wallet: summary.player, reason });
+  res.json({ ok: true, killed: summary });
+});
+
+// ---- Bans and throttles ----
+// Body: { wallet | ip, reason?, durationS? } (+ limit, windowS to throttle)
+function parseSubject(body) {
+  const kind = SUBJECT_KINDS.find(k => body[k] !== undefined);
+  if (!kind || SUBJECT_KINDS.filter(k => body[k] !== undefined).length > 1) return { error: 'one of wallet or ip required' };
+  if (kind === 'wallet' && !ethers.isAddress(body.wallet)) return { error: 'invalid wallet address' };
+  if (kind === 'ip' && !isIP(String(body.ip))) return { error: 'invalid ip address' };
+  const { durationS = null, reason = null } = body;
+  if (durationS !== null && !(Number.isInteger(durationS) && durationS > 0 && durationS <= MAX_BAN_DAYS * 86400)) {
+    return { error: `durationS must be an integer 1-${MAX_BAN_DAYS * 86400} (omit for no expiry)` };
+  }
+  if (reason !== null && typeof reason !== 'string') return { error: 'reason must be a string' };
+  return { kind, value: body[kind], reason: reason?.slice(0, 200) ?? null, durationMs: durationS && durationS * 1000 };
+}
+
+// A ban also drops the subject's open streams
+function disconnectSubject({ kind, value, reason }) {
+  for (const ws of wss.clients) {
+    if (!(kind === 'wallet' ? ws.wallet === value : ws.ip === value)) continue;
+    ws.send(JSON.stringify({ type: 'banned', ...(reason ? { reason } : {}) }));
+    ws.close(4003, 'banned');
+  }
+}
+
+app.get('/admin/access', requireAdmin, (req, res) => {
+  res.json({ ok: true, restrictions: access.restrictions() });
+});
+
+app.post('/admin/access/ban', requireAdmin, (req, res) => {
+  const subject = parseSubject(req.body);
+  if (subject.error) return res.status(400).json({ error: subject.error });
+  const record = access.ban({ ...subject, by: req.admin });
+  disconnectSubject(record);
+  adminLog(req, 'access.ban', { subject: record.subject, reason: record.reason, expiresAt: record.expiresAt });
+  res.json({ ok: true, restriction: record });
+});
+
+app.post('/admin/access/throttle', requireAdmin, (req, res) => {
+  const subject = parseSubject(req.body);
+  if (subject.error) return res.status(400).json({ error: subject.error });
+  const { limit, windowS = 60 } = req.body;
+  if (!(Number.isInteger(limit) && limit > 0)) return res.status(400).json({ error: 'limit must be a positive integer' });
+  if (!(Number.isInteger(windowS) && windowS >= 1 && windowS <= 86400)) return res.status(400).json({ error: 'windowS must be an integer 1-86400' });
+  const record = access.throttle({ ...subject, limit, windowMs: windowS * 1000, by: req.admin });
+  adminLog(req, 'access.throttle', { subject: record.subject, limit, windowS, reason: record.reason, expiresAt: record.expiresAt });
+  res.json({ ok: true, restriction: record });
+});
+
+// :subject is wallet:<address> or ip:<address>
+app.delete('/admin/access/:subject', requireAdmin, (req, res) => {
+  const [kind, ...rest] = req.params.subject.split(':');
+  if (!SUBJECT_KINDS.includes(kind) || !rest.length) return res.status(400).json({ error: 'subject must be wallet:<address> or ip:<address>' });
+  const lifted = access.lift(subjectOf(kind, rest.join(':')));
+  if (!lifted) return res.status(404).json({ error: 'no restriction for that subject' });
+  adminLog(req, 'access.lift', { subject: lifted.subject, mode: lifted.mode });
+  res.json({ ok: true, lifted });
+});
+
+// ---- Rate-limit policies ----
+app.get('/admin/rate-limits', requireAdmin, (req, res) => {
+  res.json({ ok: true, policies: access.policies() });
+});
+
+app.get('/admin/rate-limits/:name', requireAdmin, (req, res) => {
+  const policy = access.policy(req.params.name);
+  if (!policy) return res.status(404).json({ error: 'policy not found' });
+  res.json({ ok: true, policy });
+});
+
+// Body: { limit?, windowMs?, enabled? }
+app.patch('/admin/rate-limits/:name', requireAdmin, (req, res) => {
+  const { limit, windowMs, enabled } = req.body;
+  const result = access.setPolicy(req.params.name, { limit, windowMs, enabled });
+  if (result.error) return res.status(result.status ?? 400).json({ error: result.error });
+  adminLog(req, 'rate-limit.set', { policy: req.params.name, limit, windowMs, enabled });
+  res.json({ ok: true, policy: result.policy });
+});
+
+app.delete('/admin/rate-limits/:name', requireAdmin, (req, res) => {
+  const policy = access.resetPolicy(req.params.name);
+  if (!policy) return res.status(404).json({ error: 'policy not found' });
+  adminLog(req, 'rate-limit.reset', { policy: req.params.name });
+  res.json({ ok: true, policy });
+});
+
+// ---- Score signatures ----
+app.get('/admin/signatures', requireAdmin, (req, res) => {
+  const { limit, offset } = page(req.query);
+  const wallet = req.query.wallet?.toLowerCase();
+  const now = Date.now();
+  const list = store.signatures.all()
+    .filter(s => (!wallet || s.wallet === wallet) && (req.query.active !== 'true' || (!s.revokedAt && s.expiresAt > now)))
+    .sort((a, b) => b.signedAt - a.signedAt);
+  res.json({ ok: true, total: list.length, signatures: list.slice(offset, offset + limit) });
+});
+
+// Body: { sessionId } | { wallet } | { all: true } — stops re-signing
+// and relaying; queued relays are cancelled. A signature already
+// handed out stays valid on chain until it runs out (5 minutes)
+// unless the signer key is rotated.
+app.post('/admin/signatures/expire', requireAdmin, (req, res) => {
+  const { sessionId, wallet, all = false, reason = null } = req.body;
+  if ([sessionId !== undefined, wallet !== undefined, all === true].filter(Boolean).length !== 1) {
+    return res.status(400).json({ error: 'one of sessionId, wallet or all:true required' });
+  }
+  if (wallet !== undefined && !ethers.isAddress(wallet)) return res.status(400).json({ error: 'invalid wallet address' });
+  const now = Date.now();
+  const targets = store.signatures.all().filter(s => !s.revokedAt && (
+    all ? s.expiresAt > now : sessionId ? s.sessionId === sessionId : s.wallet === wallet.toLowerCase()
+  ));
+  if (sessionId && !targets.length) return res.status(404).json({ error: 'no unrevoked signature for that session' });
+  const note = typeof reason === 'string' ? reason.slice(0, 200) : null;
+  let cancelled = 0;
+  for (const record of targets) {
+    store.signatures.put(record.sessionId, { ...record, revokedAt: now, revokedReason: note });
+    if (relayer?.cancel(record.sessionId, 'score signature revoked by operator')) cancelled++;
+  }
+  adminLog(req, 'signatures.expire', { sessionId, wallet: wallet?.toLowerCase(), all, reason: note, revoked: targets.length });
+  res.json({
+    ok: true,
+    revoked: targets.length,
+    relaysCancelled: cancelled,
+    stillValidOnChainUntil: targets.length ? Math.max(...targets.map(s => s.expiresAt)) : null,
+  });
+});
+
+// ---- Score signer keys ----
+function requireSigners(req, res, next) {
+  if (!scoreSigners) return res.status(503).json({ error: 'mock mode — scores are not signed with real keys' });
+  next();
+}
+
+// Owner calls with calldata; the dev chain has no owner key to
+// hand out, so there the server sends them itself
+async function ownerCalls(calls) {
+  const withData = calls.map(c => ({ ...c, contract: GAME_CONTRACT, data: gameContract.interface.encodeFunctionData(c.function, c.args) }));
+  if (!devChain) return { calls: withData };
+  const txHashes = withData.map(c => devChain.asOwner(GAME_CONTRACT, c.data));
+  await scoreSigners.refresh();
+  return { calls: withData, txHashes, applied: true };
+}
+
+app.get('/admin/signers', requireAdmin, requireSigners, async (req, res) => {
+  await scoreSigners.refresh();
+  res.json({ ok: true, ...scoreSigners.status(), audited: store.signerAudit.all().length });
+});
+
+// Body: { from, to, startsAt?, overlapS? } — both signers must be in SCORE_SIGNERS
+app.post('/admin/signers/rotate', requireAdmin, requireSigners, async (req, res) => {
+  const { from, to, overlapS = SIGNER_OVERLAP_S } = req.body;
+  const startsAt = parseTime(req.body.startsAt ?? Date.now());
+  const plan = scoreSigners.rotate({ from, to, startsAt, overlapS, by: req.admin });
+  if (plan.error) return res.status(400).json({ error: plan.error });
+  try {
+    const owner = await ownerCalls(plan.calls);
+    adminLog(req, 'signers.rotate', { from: plan.rotation.from, to: plan.rotation.to, startsAt, retiresAt: plan.rotation.retiresAt });
+    res.json({
+      ok: true,
+      rotation: plan.rotation,
+      ...owner,
+      ...(owner.applied ? {} : { message: `Send these from the ClawDugGame owner before ${new Date(startsAt).toISOString()} — until ${plan.rotation.to} is a signer on chain the server keeps signing with ${plan.rotation.from}.` }),
+    });
+  } catch (err) {
+    scoreSigners.cancelRotation();
+    res.status(409).json({ error: err.message });
+  }
+});
+
+app.delete('/admin/signers/rotation', requireAdmin, requireSigners, async (req, res) => {
+  const rotation = scoreSigners.cancelRotation();
+  if (!rotation) return res.status(404).json({ error: 'no rotation planned' });
+  adminLog(req, 'signers.cancel-rotation', { from: rotation.from, to: rotation.to });
+  // addScoreSigner(from) takes back the scheduled retirement
+  try {
+    res.json({ ok: true, cancelled: rotation, ...await ownerCalls([{ function: 'addScoreSigner', args: [rotation.from] }]) });
+  } catch (err) {
+    res.json({ ok: true, cancelled: rotation, error: err.message });
+  }
+});
+
+app.get('/admin/signers/audit', requireAdmin, (req, res) => {
+  const { limit, offset } = page(req.query);
+  const { sessionId, kind } = req.query;
+  const signerAddress = req.query.signer?.toLowerCase();
+  const list = store.signerAudit.all()
+    .filter(a => (!sessionId || a.sessionId === sessionId) && (!kind || a.kind === kind)
+      && (!signerAddress || a.signers.includes(signerAddress)))
+    .reverse();
+  res.json({ ok: true, total: list.length, audit: list.slice(offset, offset + limit) });
+});
+
+// ---- Anti-cheat ----
+// ?verdict=allow|flag|refuse (after review), ?pending=true for flags
+// nobody has looked at yet, ?wallet=
+app.get('/admin/verdicts', requireAdmin, (req, res) => {
+  const { limit, offset } = page(req.query);
+  const { verdict } = req.query;
+  if (verdict && !VERDICTS.includes(verdict)) return res.status(400).json({ error: `verdict must be one of: ${VERDICTS.join(', ')}` });
+  const list = antiCheat.list({ verdict, wallet: req.query.wallet?.toLowerCase(), pending: req.query.pending === 'true' });
+  res.json({ ok: true, total: list.length, counts: antiCheat.counts(), verdicts: list.slice(offset, offset + limit) });
+});
+
+app.get('/admin/verdicts/:sessionId', requireAdmin, (req, res) => {
+  const record = antiCheat.get(req.params.sessionId);
+  if (!record) return res.status(404).json({ error: 'verdict not found' });
+  res.json({ ok: true, verdict: record, outcome: antiCheat.outcome(record) });
+});
+
+// Body: { decision: allow | refuse, note? } — the player submits
+// again to get an allowed score signed
+app.post('/admin/verdicts/:sessionId/review', requireAdmin, (req, res) => {
+  const { decision, note = null } = req.body;
+  if (note !== null && typeof note !== 'string') return res.status(400).json({ error: 'note must be a string' });
+  const result = antiCheat.review(req.params.sessionId, { decision, note: note?.slice(0, 200) ?? null, by: req.admin });
+  if (result.error) return res.status(result.status ?? 400).json({ error: result.error });
+  adminLog(req, 'verdict.review', { sessionId: req.params.sessionId, wallet: result.verdict.wallet, verdict: result.verdict.verdict, decision });
+  res.json({ ok: true, verdict: result.verdict });
+});
+
+app.get('/admin/anticheat', requireAdmin, (req, res) => {
+  res.json({ ok: true, mode: antiCheat.mode, thresholds: antiCheat.thresholds(), defaults: antiCheat.defaults, counts: antiCheat.counts() });
+});
+
+// Body: { <threshold>: value, … } — kept until DELETE resets them
+app.patch('/admin/anticheat', requireAdmin, (req, res) => {
+  const result = antiCheat.setThresholds(req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  adminLog(req, 'anticheat.set', { changes: req.body });
+  res.json({ ok: true, thresholds: result.thresholds });
+});
+
+app.delete('/admin/anticheat', requireAdmin, (req, res) => {
+  const thresholds = antiCheat.resetThresholds();
+  adminLog(req, 'anticheat.reset');
+  res.json({ ok: true, thresholds });
+});
+
+app.get('/admin/log', requireAdmin, (req, res) => {
+  const { limit, offset } = page(req.query);
+  const list = [...store.adminLog.all()].reverse();   // newest first
+  res.json({ ok: true, total: list.length, log: list.slice(offset, offset + limit) });
+});
+
 // ============================================================
 //  WEBSOCKET — Real-time 10Hz state stream
 // ============================================================
 wss.on('connection', (ws, req) => {
   const url       = new URL(req.url, 'ws://localhost');
+  ws.ip = req.socket.remoteAddress;
+  const blocked = access.checkIp(ws.ip);
+  if (blocked) {
+    ws.send(JSON.stringify({ error: blocked.error }));
+    ws.close();
+    return;
+  }
+  if (url.searchParams.has('arena')) return connectArena(ws, req, url);
+  if (url.searchParams.has('watch')) return connectSpectator(ws, url);
+  if (url.searchParams.has('bridge')) return connectBridge(ws, req, url);
   const sessionId = url.searchParams.get('session');
   const session   = activeSessions.get(sessionId);
 
@@ -550,31 +3555,72 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
-  session.wsClients.add(ws);
-  console.log(`[WS] Agent connected. Session: ${sessionId.slice(0, 10)}...`);
+  // Browsers can't set headers on a WS handshake, so ?token= works too
+  const who = auth.authenticate(url.searchParams.get('token') || credentialOf(req.headers));
+  if (!who || who.wallet !== session.agentAddress.toLowerCase()) {
+    ws.send(JSON.stringify({ error: 'unauthorized' }));
+    ws.close();
+    return;
+  }
+  const denied = access.checkWallet(who.wallet);
+  if (denied) {
+    ws.send(JSON.stringify({ error: denied.error }));
+    ws.close();
+    return;
+  }
 
-  // Send initial state
-  ws.send(JSON.stringify({
-    type:      'init',
-    sessionId: sessionId,
-    state:     session.gameState,
-    protocol: {
-      tickRate:    10,
-      stateFormat: 'ClawDugState/1.0',
-      actions:     ['move_up','move_down','move_left','move_right','fire_pump','release_pump','noop'],
+  // Protocol from the query string: ?format=ClawDugState/2.0&obs=delta|tensor&encoding=json|binary
+  const proto = negotiate(Object.fromEntries(url.searchParams));
+  if (proto.error) {
+    ws.send(JSON.stringify({ error: proto.error }));
+    ws.close();
+    return;
+  }
+  ws.proto  = proto;
+  ws.kind   = 'player';
+  ws.wallet = who.wallet;
+
+  session.wsClients.add(ws);
+  session.startClock();
+  console.log(`[WS] Agent connected. Session: ${sessionId.slice(0, 10)}... (${proto.format})`);
+
+  // Send initial state — 2.0 clients get the protocol, then a keyframe/tensor
+  const sendInit = () => {
+    const state = session.gameState;
+    if (proto.format === STATE_FORMAT) {
+      ws.send(JSON.stringify({ type: 'init', sessionId, state, protocol: describeProtocol(proto) }));
+    } else {
+      ws.send(JSON.stringify({ type: 'init', sessionId, protocol: describeProtocol(proto) }));
+      ws.send(encodeState(proto, 'init', state));
     }
-  }));
+  };
+  sendInit();
 
   ws.on('message', (data) => {
     try {
       const msg = JSON.parse(data.toString());
       if (msg.type === 'action' && msg.action) {
-        session.tick(msg.action);
-        ws.send(JSON.stringify({
-          type:  'ack',
-          frame: session.gameState.frame,
-          state: session.gameState,
-        }));
+        if (!AGENT_ACTIONS.includes(msg.action) || !validFrame(msg.frame)) {
+          return ws.send(JSON.stringify({ error: 'invalid action or frame' }));
+        }
+        countAction('ws');
+        // 1.0 acks carry the state; 2.0 clients get it from the stream
+        const ack = (input) => ws.send(input.error ? JSON.stringify({ error: input.error })
+          : ws.proto.format === STATE_FORMAT
+            ? encodeState(ws.proto, 'ack', session.gameState, { input })
+            : JSON.stringify({ type: 'ack', frame: session.game.frameCount, input }));
+        if (session.host === 'browser') relayAction(session, msg.action, msg.frame).then(ack);
+        else ack(submitAction(session, msg.action, msg.frame));
+      } else if (msg.type === 'keyframe') {
+        // Client lost track of its base frame
+        ws.proto.last = null;
+        ws.send(encodeState(ws.proto, 'keyframe', session.gameState));
+      } else if (msg.type === 'hello') {
+        // Renegotiate after connecting
+        const next = negotiate(msg);
+        if (next.error) return ws.send(JSON.stringify({ error: next.error }));
+        Object.assign(proto, { obs: undefined, encoding: undefined, last: null }, next);
+        sendInit();
       }
     } catch (e) {
       ws.send(JSON.stringify({ error: 'invalid message format' }));
@@ -587,46 +3633,261 @@ wss.on('connection', (ws, req) => {
   });
 });
 
-// 10Hz broadcast loop for all active sessions
+// Arena stream: ?arena=<matchId>&token=… — each seat sees its own
+// view (`you`) of the shared dungeon; actions go to that seat
+function connectArena(ws, req, url) {
+  const match = arenas.get(url.searchParams.get('arena'));
+  const who   = auth.authenticate(url.searchParams.get('token') || credentialOf(req.headers));
+  const seat  = match && who ? match.seatOf(who.wallet) : -1;
+  const proto = negotiate(Object.fromEntries(url.searchParams));
+  const error = !match ? 'invalid arena match' : !who ? 'unauthorized'
+    : seat === -1 ? 'not a player in this match' : proto.error ?? access.checkWallet(who.wallet)?.error;
+  if (error) {
+    ws.send(JSON.stringify({ error }));
+    ws.close();
+    return;
+  }
+  ws.proto  = proto;
+  ws.kind   = 'arena';
+  ws.wallet = who.wallet;
+  match.seats[seat].wsClients.add(ws);
+  const wallet = match.seats[seat].wallet;
+
+  const sendInit = () => {
+    const info = { type: 'init', matchId: match.matchId, seat, arena: match.summary(), protocol: describeProtocol(proto) };
+    if (match.status !== 'running') return ws.send(JSON.stringify(info));
+    if (proto.format === STATE_FORMAT) return ws.send(JSON.stringify({ ...info, state: match.view(seat) }));
+    ws.send(JSON.stringify(info));
+    ws.send(encodeState(proto, 'init', match.view(seat), { matchId: match.matchId }));
+  };
+  sendInit();
+
+  ws.on('message', (data) => {
+    try {
+      const msg = JSON.parse(data.toString());
+      // Seats can shift while the lobby is open
+      const current = match.seatOf(wallet);
+      if (msg.type === 'action' && msg.action) {
+        if (!AGENT_ACTIONS.includes(msg.action)) return ws.send(JSON.stringify({ error: 'invalid action' }));
+        if (match.status !== 'running') return ws.send(JSON.stringify({ error: `match is ${match.status}` }));
+        countAction('arena');
+        ws.send(JSON.stringify({ type: 'ack', input: match.queueAction(current, msg.action) }));
+      } else if (msg.type === 'keyframe' && match.status === 'running') {
+        ws.proto.last = null;
+        ws.send(encodeState(ws.proto, 'keyframe', match.view(current), { matchId: match.matchId }));
+      }
+    } catch (e) {
+      ws.send(JSON.stringify({ error: 'invalid message format' }));
+    }
+  });
+
+  ws.on('close', () => {
+    const current = match.seatOf(wallet);
+    if (current !== -1) match.seats[current].wsClients.delete(ws);
+  });
+}
+
+// Browser host: ?bridge=<sessionId>&token=… — the clawdug.html page
+// running a browser-hosted session (see BROWSER BRIDGE). One page
+// per session: a newer one (a reload) takes over.
+function connectBridge(ws, req, url) {
+  const session = activeSessions.get(url.searchParams.get('bridge'));
+  const who     = auth.authenticate(url.searchParams.get('token') || credentialOf(req.headers));
+  const error = !session ? 'invalid session'
+    : session.host !== 'browser' ? 'session is not browser-hosted'
+    : !who || who.wallet !== session.agentAddress.toLowerCase() ? 'unauthorized'
+    : access.checkWallet(who.wallet)?.error;
+  if (error) {
+    ws.send(JSON.stringify({ error }));
+    ws.close();
+    return;
+  }
+  session.bridge?.close(4009, 'replaced by another page');
+  ws.kind   = 'bridge';
+  ws.wallet = who.wallet;
+  ws.calls  = new Map();       // command id -> { resolve, timer }
+  session.bridge = ws;
+  console.log(`[WS] Browser host connected. Session: ${session.sessionId.slice(0, 10)}...`);
+  syncBridge(session);
+
+  ws.on('message', (data) => {
+    try {
+      bridgeMessage(session, ws, JSON.parse(data.toString()));
+    } catch (e) {
+      ws.send(JSON.stringify({ error: 'invalid message format' }));
+    }
+  });
+
+  ws.on('close', () => {
+    for (const { resolve, timer } of ws.calls.values()) {
+      clearTimeout(timer);
+      resolve({ error: 'browser host disconnected', status: 503 });
+    }
+    ws.calls.clear();
+    if (session.bridge === ws) session.bridge = null;
+    console.log(`[WS] Browser host disconnected. Session: ${session.sessionId.slice(0, 10)}...`);
+  });
+}
+
+// Spectator stream: ?watch=top[&count=4&type=agents|humans|all] or
+// ?watch=<sessionId>,<sessionId>… — no credentials, no actions
+function connectSpectator(ws, url) {
+  const watch = url.searchParams.get('watch');
+  const count = Number(url.searchParams.get('count') ?? 4);
+  const type  = url.searchParams.get('type') ?? 'all';
+  const ids   = watch === 'top' ? [] : watch.split(',').filter(Boolean);
+  const proto = negotiate(Object.fromEntries(url.searchParams));
+  const missing = ids.find(id => !activeSessions.has(id) || sealedChallenge(activeSessions.get(id).challenge));
+  const error = proto.error
+    ?? (proto.encoding === 'binary' ? 'spectator streams are JSON (states are tagged with sessionId)' : null)
+    ?? (watch === 'top' && !(Number.isInteger(count) && count >= 1 && count <= MAX_WATCH) ? `count must be an integer 1-${MAX_WATCH}` : null)
+    ?? (!['agents', 'humans', 'all'].includes(type) ? 'type must be agents, humans or all' : null)
+    ?? (watch !== 'top' && !ids.length ? 'watch=top or a list of session ids' : null)
+    ?? (ids.length > MAX_WATCH ? `at most ${MAX_WATCH} sessions per stream` : null)
+    ?? (missing ? `session not found: ${missing}` : null);
+  if (error) {
+    ws.send(JSON.stringify({ error }));
+    ws.close();
+    return;
+  }
+  ws.proto    = proto;
+  ws.kind     = 'spectator';
+  ws.watching = new Map();     // sessionId -> proto (delta base per session)
+  ws.follow   = watch === 'top' ? { count, type } : null;
+  spectators.add(ws);
+  console.log(`[WS] Spectator connected (${ws.follow ? `top ${count} ${type}` : `${ids.length} sessions`})`);
+
+  ws.send(JSON.stringify({ type: 'init', spectator: true, follow: ws.follow ?? ids, protocol: describeProtocol(proto) }));
+  for (const id of ids) watchSession(ws, activeSessions.get(id));
+  refreshSpectator(ws);
+
+  ws.on('message', (data) => {
+    try {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'action') return ws.send(JSON.stringify({ error: 'spectators can not send actions' }));
+      if (msg.type === 'keyframe') {
+        for (const [id, sessionProto] of ws.watching) {
+          sessionProto.last = null;
+          ws.send(encodeState(sessionProto, 'keyframe', activeSessions.get(id).gameState, { sessionId: id }));
+        }
+      }
+    } catch (e) {
+      ws.send(JSON.stringify({ error: 'invalid message format' }));
+    }
+  });
+
+  ws.on('close', () => {
+    for (const id of [...ws.watching.keys()]) unwatchSession(ws, id);
+    spectators.delete(ws);
+  });
+}
+
+// Session clock: realtime sessions advance every tick, lockstep ones
+// only once their input is overdue (the input itself advances them)
+let lastTick = Date.now();
 setInterval(() => {
+  const now = Date.now();
+  stats.tickLag.observe({}, Math.max(0, now - lastTick - TICK_MS) / 1000);
+  lastTick = now;
+  const endTick = stats.tickDuration.startTimer();
   for (const [, session] of activeSessions) {
-    if (session.wsClients.size === 0) continue;
-    session.tick(null); // advance frame
-    const msg = JSON.stringify({ type: 'tick', frame: session.gameState.frame, state: session.gameState });
-    for (const ws of session.wsClients) {
-      if (ws.readyState === 1) ws.send(msg);
+    if (!session.clockRunning) continue;
+    if (session.clock === 'lockstep') {
+      if (now - session.waitingSince < session.lockstepTimeout) continue;
+      session.inputStats.timeouts++;
     }
+    session.advance();
+    broadcast(session, 'tick', session.gameState);
   }
-}, 100); // 10Hz
+  for (const [, match] of arenas) {
+    if (match.status !== 'running') continue;
+    if (match.tick()) finishArena(match);
+    else broadcastArena(match, 'tick');
+  }
+  endTick();
+}, TICK_MS);
 
-// Cleanup stale sessions (>2hrs idle)
+// Archive stale sessions (>2hrs idle)
 setInterval(() => {
   const cutoff = Date.now() - 2 * 60 * 60 * 1000;
-  for (const [id, session] of activeSessions) {
-    if (session.lastAction < cutoff) activeSessions.delete(id);
+  for (const [, session] of activeSessions) {
+    if (session.lastAction < cutoff) archiveSession(session);
+  }
+  // Drop finished arenas (their result is in store.arenas) and dead lobbies
+  const now = Date.now();
+  for (const [id, match] of arenas) {
+    if (match.status === 'finished' && now - match.endedAt > ARENA_FINISHED_TTL) arenas.delete(id);
+    else if (match.status === 'lobby' && !match.tournament && now - match.lastActivity > ARENA_LOBBY_TTL) arenas.delete(id);
+  }
+  advanceTournaments(now);
+  for (const record of store.signatures.all()) {
+    if (record.expiresAt < now - SIGNATURE_LOG_MS) store.signatures.delete(record.sessionId);
   }
 }, 60000);
 
+// Spectator scoreboards (and ?watch=top line-ups)
+setInterval(() => {
+  for (const ws of spectators) if (ws.readyState === 1) refreshSpectator(ws);
+}, SPECTATE_REFRESH_MS);
+
+// Persist sessions that changed since the last pass
+setInterval(() => {
+  for (const [, session] of activeSessions) {
+    if (session.dirty) persistSession(session);
+  }
+}, SESSION_FLUSH_MS);
+
+// Write everything out before exiting so sessions survive restarts
+async function shutdown(signal) {
+  console.log(`[Storage] ${signal} — saving ${activeSessions.size} sessions`);
+  for (const [, session] of activeSessions) persistSession(session);
+  keeper?.stop();
+  scoreSigners?.stop();
+  await indexer?.stop();
+  await webhooks.stop();
+  await verifier.close();
+  await store.flush();
+  process.exit(0);
+}
+process.once('SIGINT',  () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 // ============================================================
 //  START
 // ============================================================
 server.listen(PORT, () => {
+  keeper?.start();
+  relayer?.resume();
+  webhooks.start();
   console.log(`
 ╔════════════════════════════════════════╗
 ║       CLAWDUG AGENT API v1.0          ║
 ╠════════════════════════════════════════╣
 ║  HTTP  : http://localhost:${PORT}         ║
 ║  WS    : ws://localhost:${PORT}/agent/stream
-║  Chain : ${chainReady ? 'Base Mainnet ✓' : 'Mock Mode (no env vars)'}
+║  Chain : ${!chainReady ? 'Mock Mode (no chain — see [Chain])' : DEV_CHAIN ? `Dev chain ${CHAIN_ID} ✓` : 'Base Mainnet ✓'}
 ╚════════════════════════════════════════╝
 
 Key endpoints:
   POST /agent/register     — Register agent
   GET  /agent/state        — Get game state
   POST /agent/action       — Send action
+  POST /agent/step         — Gym step (reward, done)
+  POST /agent/reset        — Restart session
   POST /agent/submit-score — Sign score
+  POST /agent/relay-score  — Gasless score submission
   GET  /leaderboard        — Full leaderboard
   GET  /epoch              — Prize pool info
+  GET  /epochs             — Epoch history
+  GET  /players/:address   — Player profile
+  GET  /sessions/live      — Games to spectate
+  GET  /keeper/status      — Epoch settlement keeper
+  POST /arena              — Open an arena match
+  GET  /tournaments        — Tournaments and brackets
+  GET  /challenge/today    — Daily challenge
+  POST /webhooks           — Event notifications
+  GET  /metrics            — Prometheus metrics
+  GET  /admin/sessions     — Operator admin API${ADMIN_TOKEN || ADMIN_WALLETS.length ? '' : ' (disabled)'}
 `);
 });
 
@@ -0,0 +1,270 @@
+// ============================================================
+//  CLAWDUG ANTI-CHEAT
+//  Behavioural analysis of a verified run before its score is
+//  signed. The replay check proves the score follows from the
+//  inputs; this looks at how the inputs were made:
+//
+//    impossible   score / kills / round that no run can produce
+//                 (points come in SCORE_PUMP_HIT, SCORE_INFLATE_KO,
+//                 SCORE_ROCK_KILL and SCORE_LEVEL_BONUS steps)
+//    score_rate   points per minute of play
+//    and for "human" sessions (isAgent: false):
+//    api_driven   played through /agent/action or /agent/step
+//    tick_aligned input changes on the API's 6-frame ticks
+//    regular_timing  input held for machine-regular stretches
+//    fast_reactions  median reaction to an enemy closing in
+//    rapid_taps   inputs held for a single frame
+//
+//  Each signal that trips adds its weight to the run's risk:
+//  refuseAt or more refuses to sign, flagAt or more holds the
+//  score until an operator reviews it, below that it's allowed.
+//  Impossible results are refused outright. Verdicts persist in
+//  store.verdicts; threshold overrides in store.antiCheat.
+// ============================================================
+
+import engine from './clawdug-engine.cjs';
+
+const {
+  GameCore, ReplayPlayer, STATE_PLAYING,
+  SCORE_PUMP_HIT, SCORE_INFLATE_KO, SCORE_ROCK_KILL, SCORE_LEVEL_BONUS,
+} = engine;
+
+export const VERDICTS        = ['allow', 'flag', 'refuse'];
+export const ANTICHEAT_MODES = ['enforce', 'monitor', 'off'];  // monitor: verdicts are kept, scores signed anyway
+
+const MIN_KILL_POINTS = Math.min(SCORE_PUMP_HIT + SCORE_INFLATE_KO, SCORE_ROCK_KILL);
+const SCORE_STEP      = 100;   // every award is a multiple of this
+const MIN_RATE_FRAMES = 60 * 60;  // a minute of play before score_rate counts
+const CONFIG_DOC      = 'thresholds';
+
+// Tunable at /admin/anticheat — [default, min, max]
+const THRESHOLDS = {
+  flagAt:            [2, 1, 100],        // risk that holds a score for review
+  refuseAt:          [4, 1, 100],        // risk that refuses it
+  minSamples:        [20, 1, 10000],     // input changes / threats before timing signals count
+  threatRadius:      [64, 16, 320],      // px between centres — an enemy this close is a threat
+  minReactionFrames: [8, 0, 120],        // median reaction below this is superhuman (~130ms)
+  maxTickAligned:    [0.9, 0, 1],        // share of input changes on a tick boundary
+  minTimingCv:       [0.3, 0, 10],       // spread of hold lengths (stddev / mean) below this is machine-regular
+  maxTapShare:       [0.25, 0, 1],       // share of inputs held for one frame
+  maxScorePerMinute: [30000, 1000, 1e7], // points per minute of play
+};
+
+export const DEFAULT_THRESHOLDS = Object.fromEntries(Object.entries(THRESHOLDS).map(([k, [v]]) => [k, v]));
+
+const WEIGHTS = {
+  score_rate:     2,
+  api_driven:     4,
+  tick_aligned:   2,
+  regular_timing: 1,
+  fast_reactions: 2,
+  rapid_taps:     1,
+};
+
+// ============================================================
+//  RULES
+// ============================================================
+// Reasons a score / kills / round combination can't happen ([] if it can)
+export function checkCombination({ score, kills, round, firstRound = 1 }) {
+  const reasons = [];
+  if (![score, kills, round].every(n => Number.isInteger(n) && n >= 0)) return ['score, kills and round must be non-negative integers'];
+  if (score % SCORE_STEP) reasons.push(`score ${score} is not a multiple of ${SCORE_STEP}`);
+  if (round < firstRound) reasons.push(`round ${round} is before the starting round ${firstRound}`);
+  const cleared = Math.max(0, round - firstRound);
+  // Clearing a round takes at least one kill and pays SCORE_LEVEL_BONUS × round
+  if (kills < cleared) reasons.push(`${cleared} rounds cleared with ${kills} kills`);
+  let bonus = 0;
+  for (let r = firstRound; r < round; r++) bonus += SCORE_LEVEL_BONUS * r;
+  const least = bonus + kills * MIN_KILL_POINTS;
+  if (score < least) reasons.push(`score ${score} is below the ${least} that ${kills} kills and ${cleared} cleared rounds pay`);
+  return reasons;
+}
+
+const median = (xs) => {
+  if (!xs.length) return null;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Hold lengths and where the input changed, from the [mask, count] runs
+function inputTiming(runs, tickFrames) {
+  const holds = runs.slice(0, -1).map(([, count]) => count);  // the last run is still open
+  let frame = 0, aligned = 0;
+  for (const count of holds) {
+    frame += count;
+    if (frame % tickFrames === 0) aligned++;
+  }
+  const mean = holds.reduce((a, b) => a + b, 0) / (holds.length || 1);
+  const sd = Math.sqrt(holds.reduce((a, b) => a + (b - mean) ** 2, 0) / (holds.length || 1));
+  return {
+    changes:     holds.length,
+    meanHold:    Math.round(mean * 10) / 10,
+    holdCv:      holds.length ? Math.round(sd / mean * 100) / 100 : null,
+    tickAligned: holds.length ? Math.round(aligned / holds.length * 100) / 100 : null,
+    tapShare:    holds.length ? Math.round(holds.filter(n => n === 1).length / holds.length * 100) / 100 : null,
+  };
+}
+
+// Replay the run and time the first input change after an enemy
+// comes within threatRadius (threats that pass first don't count)
+function reactionTimes(run, threatRadius) {
+  const game = new GameCore();
+  const player = new ReplayPlayer({
+    seed: run.seed, startRound: run.startRound, levels: run.levels, modifiers: run.modifiers, inputs: run.inputs,
+  }, game);
+  const reactions = [];
+  let near = false, pending = null;
+  while (!player.done) {
+    const mask = run.inputs[player.run][0];
+    if (pending && mask !== pending.mask) {
+      reactions.push(player.frame - pending.frame);
+      pending = null;
+    }
+    player.step();
+    const p = game.player;
+    const threatened = game.state === STATE_PLAYING && p.alive && game.enemies.some(e =>
+      e.alive && Math.hypot(e.cx - p.cx, e.cy - p.cy) < threatRadius);
+    if (threatened && !near) pending = { frame: player.frame, mask };
+    if (!threatened) pending = null;
+    near = threatened;
+  }
+  return reactions;
+}
+
+// ============================================================
+//  ANALYSIS
+// ============================================================
+// run: { seed, startRound, levels, modifiers, inputs, score, kills, round,
+//        isAgent, serverDriven, actions?, tickFrames? }
+// → { verdict, risk, reasons, signals, stats }
+export function analyseRun(run, thresholds = DEFAULT_THRESHOLDS) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const tickFrames = run.tickFrames ?? 6;
+  const frames = run.inputs.reduce((n, [, count]) => n + count, 0);
+  const timing = inputTiming(run.inputs, tickFrames);
+  const human = run.isAgent === false;
+  const reactions = human ? reactionTimes(run, t.threatRadius) : [];
+  const reactionMedian = median(reactions);
+  const perMinute = frames ? Math.round(run.score / (frames / 3600)) : 0;
+  const actionGaps = (run.actions ?? []).slice(1).map(([frame], i) => frame - run.actions[i][0]);
+
+  const signals = [];
+  const signal = (id, hit, value, limit) => signals.push({ id, hit, value, limit, weight: WEIGHTS[id] });
+  signal('score_rate', frames >= MIN_RATE_FRAMES && perMinute > t.maxScorePerMinute, perMinute, t.maxScorePerMinute);
+  if (human) {
+    const enough = timing.changes >= t.minSamples;
+    signal('api_driven', !!run.serverDriven, !!run.serverDriven, false);
+    signal('tick_aligned', enough && timing.tickAligned >= t.maxTickAligned, timing.tickAligned, t.maxTickAligned);
+    signal('regular_timing', enough && timing.holdCv < t.minTimingCv, timing.holdCv, t.minTimingCv);
+    signal('rapid_taps', enough && timing.tapShare > t.maxTapShare, timing.tapShare, t.maxTapShare);
+    signal('fast_reactions', reactions.length >= t.minSamples && reactionMedian < t.minReactionFrames, reactionMedian, t.minReactionFrames);
+  }
+
+  const impossible = checkCombination({ score: run.score, kills: run.kills, round: run.round, firstRound: run.startRound ?? 1 });
+  const tripped = signals.filter(s => s.hit);
+  const risk = tripped.reduce((n, s) => n + s.weight, 0);
+  return {
+    verdict: impossible.length || risk >= t.refuseAt ? 'refuse' : risk >= t.flagAt ? 'flag' : 'allow',
+    risk,
+    reasons: [...impossible.map(r => `impossible: ${r}`), ...tripped.map(s => `${s.id}: ${s.value} (limit ${s.limit})`)],
+    signals,
+    stats: {
+      frames,
+      scorePerMinute: perMinute,
+      inputs:    timing,
+      reactions: { samples: reactions.length, median: reactionMedian },
+      actions:   { count: run.actions?.length ?? 0, medianGap: median(actionGaps) },
+    },
+  };
+}
+
+// ============================================================
+//  VERDICTS
+// ============================================================
+// `analyse` runs analyseRun somewhere else (e.g. a worker —
+// clawdug-verifier.js); it may return a promise.
+export function createAntiCheat({ store, mode = 'enforce', analyse = analyseRun }) {
+  if (!ANTICHEAT_MODES.includes(mode)) throw new Error(`ANTICHEAT must be one of: ${ANTICHEAT_MODES.join(', ')}`);
+
+  const thresholds = () => ({ ...DEFAULT_THRESHOLDS, ...store.antiCheat.get(CONFIG_DOC)?.override });
+
+  // { name: value, … } — persisted until reset
+  function setThresholds(changes) {
+    const override = { ...store.antiCheat.get(CONFIG_DOC)?.override };
+    for (const [name, value] of Object.entries(changes ?? {})) {
+      const spec = THRESHOLDS[name];
+      if (!spec) return { error: `unknown threshold "${name}" (one of: ${Object.keys(THRESHOLDS).join(', ')})` };
+      const [, min, max] = spec;
+      if (typeof value !== 'number' || !(value >= min && value <= max)) return { error: `${name} must be a number ${min}-${max}` };
+      override[name] = value;
+    }
+    const merged = { ...DEFAULT_THRESHOLDS, ...override };
+    if (merged.refuseAt < merged.flagAt) return { error: 'refuseAt must be at least flagAt' };
+    store.antiCheat.put(CONFIG_DOC, { override, updatedAt: Date.now() });
+    return { thresholds: merged };
+  }
+
+  function resetThresholds() {
+    store.antiCheat.delete(CONFIG_DOC);
+    return thresholds();
+  }
+
+  // What the run's verdict is now: an operator's review stands,
+  // otherwise the run is (re)analysed with the current thresholds
+  async function assess(sessionId, run, meta = {}) {
+    let existing = store.verdicts.get(sessionId);
+    if (existing?.review) return existing;
+    const analysis = await analyse(run, thresholds());
+    existing = store.verdicts.get(sessionId);
+    if (existing?.review) return existing;   // an operator got there while it ran
+    const record = {
+      sessionId,
+      ...meta,
+      isAgent: run.isAgent,
+      ...analysis,
+      score: run.score, kills: run.kills, round: run.round,
+      mode,
+      assessedAt: Date.now(),
+      review: null,
+    };
+    store.verdicts.put(sessionId, record);
+    return record;
+  }
+
+  const outcome = (record) => record.review?.decision ?? record.verdict;
+
+  // Operator decision on a flagged (or any) run: allow | refuse
+  function review(sessionId, { decision, note = null, by = null }) {
+    const record = store.verdicts.get(sessionId);
+    if (!record) return { error: 'verdict not found', status: 404 };
+    if (decision !== 'allow' && decision !== 'refuse') return { error: 'decision must be allow or refuse' };
+    const reviewed = { ...record, review: { decision, note, by, at: Date.now() } };
+    store.verdicts.put(sessionId, reviewed);
+    return { verdict: reviewed };
+  }
+
+  // Newest first; ?verdict= matches the outcome, pending = flagged and not reviewed
+  function list({ verdict = null, wallet = null, pending = false } = {}) {
+    return store.verdicts.all()
+      .filter(r => (!verdict || outcome(r) === verdict) && (!wallet || r.wallet === wallet)
+        && (!pending || (r.verdict === 'flag' && !r.review)))
+      .sort((a, b) => b.assessedAt - a.assessedAt);
+  }
+
+  function counts() {
+    const totals = { allow: 0, flag: 0, refuse: 0, pending: 0 };
+    for (const r of store.verdicts.all()) {
+      totals[outcome(r)]++;
+      if (r.verdict === 'flag' && !r.review) totals.pending++;
+    }
+    return totals;
+  }
+
+  return {
+    mode, assess, outcome, review, list, counts,
+    get: (sessionId) => store.verdicts.get(sessionId) ?? null,
+    thresholds, setThresholds, resetThresholds,
+    defaults: DEFAULT_THRESHOLDS,
+  };
+}
@@ -0,0 +1,173 @@
+// ============================================================
+//  CLAWDUG ARENA
+//  Matches where 2–4 agents/humans share one dungeon
+//  (ArenaCore in clawdug-engine.cjs).
+//
+//  Lifecycle: lobby → running → finished
+//    lobby    — the host creates it, others join by matchId
+//    running  — the API clock calls tick() every 100ms; each
+//               seat's latest action is applied for that tick
+//    finished — standings are final and saved by the server
+//
+//  Seats are bound to wallets; the API checks auth before
+//  calling join / leave / start / queueAction.
+//
+//  Tournament matches (clawdug-tournament.js) are opened by the
+//  server with both seats filled: either player may start them
+//  and nobody can leave.
+// ============================================================
+
+import crypto from 'crypto';
+import engine from './clawdug-engine.cjs';
+
+const {
+  ArenaCore, ARENA_MIN_PLAYERS, ARENA_MAX_PLAYERS, STATE_GAMEOVER,
+  actionToInput, randomSeed,
+} = engine;
+
+export const ARENA_ROUNDS     = 3;     // default match length
+export const MAX_ARENA_ROUNDS = 10;
+export { ARENA_MIN_PLAYERS, ARENA_MAX_PLAYERS };
+
+export class ArenaMatch {
+  // `levels` is a resolved level set (engine resolveLevels);
+  // `tournament` is { id, matchId } for a tournament pairing
+  constructor(host, {
+    maxPlayers = ARENA_MIN_PLAYERS, rounds = ARENA_ROUNDS, levels = 'procedural', framesPerTick,
+    seed = null, tournament = null,
+  }) {
+    this.matchId       = '0x' + crypto.randomBytes(16).toString('hex');
+    this.maxPlayers    = maxPlayers;
+    this.rounds        = rounds;
+    this.levels        = levels;
+    this.framesPerTick = framesPerTick;
+    this.status        = 'lobby';
+    this.seed          = seed ?? randomSeed();
+    this.tournament    = tournament;
+    this.seats         = [];          // { wallet, agentId, name, isAgent, action, pumpHeld, wsClients }
+    this.core          = null;        // ArenaCore once started
+    this.createdAt     = Date.now();
+    this.startedAt     = null;
+    this.endedAt       = null;
+    this.lastActivity  = Date.now();
+    this.result        = null;
+    this.join(host);
+  }
+
+  seatOf(wallet) {
+    return this.seats.findIndex(s => s.wallet === wallet.toLowerCase());
+  }
+
+  get host() {
+    return this.seats[0]?.wallet ?? null;
+  }
+
+  join({ wallet, agentId, name, isAgent }) {
+    if (this.status !== 'lobby') return { error: 'match already started' };
+    if (this.seatOf(wallet) !== -1) return { error: 'already in this match' };
+    if (this.seats.length >= this.maxPlayers) return { error: 'match is full' };
+    this.seats.push({
+      wallet: wallet.toLowerCase(), agentId, name, isAgent: !!isAgent,
+      action: null, pumpHeld: false, wsClients: new Set(),
+    });
+    this.lastActivity = Date.now();
+    return { seat: this.seats.length - 1 };
+  }
+
+  // Leaving an open lobby frees the seat; the host leaving closes it
+  leave(wallet) {
+    if (this.status !== 'lobby') return { error: 'match already started' };
+    if (this.tournament) return { error: 'tournament matches can not be left' };
+    const seat = this.seatOf(wallet);
+    if (seat === -1) return { error: 'not in this match' };
+    if (seat === 0) {
+      this.status = 'finished';
+      this.endedAt = Date.now();
+      this.result = { cancelled: true };
+      return { closed: true };
+    }
+    this.seats.splice(seat, 1);
+    this.lastActivity = Date.now();
+    return { closed: false };
+  }
+
+  start(wallet) {
+    if (this.status !== 'lobby') return { error: 'match already started' };
+    const seat = this.seatOf(wallet);
+    if (this.tournament ? seat === -1 : seat !== 0) {
+      return { error: this.tournament ? 'not a player in this match' : 'only the host can start the match' };
+    }
+    if (this.seats.length < ARENA_MIN_PLAYERS) return { error: `need at least ${ARENA_MIN_PLAYERS} players` };
+    this.core = new ArenaCore({ seed: this.seed, players: this.seats.length, rounds: this.rounds, levels: this.levels });
+    this.core.startGame();
+    this.status = 'running';
+    this.startedAt = Date.now();
+    this.lastActivity = Date.now();
+    return { ok: true };
+  }
+
+  // Latest action per seat wins; it runs for the next tick
+  queueAction(seat, action) {
+    this.seats[seat].action = action;
+    this.lastActivity = Date.now();
+    return { seat, serverFrame: this.core.frameCount, frame: this.core.frameCount };
+  }
+
+  // One clock tick. Returns true once the match has ended.
+  tick() {
+    const inputs = this.seats.map(s => {
+      const input = actionToInput(s.action, s.pumpHeld);
+      s.pumpHeld = input.pump;
+      s.action = null;
+      return input;
+    });
+    for (let i = 0; i < this.framesPerTick; i++) this.core.update(inputs);
+    if (this.core.state !== STATE_GAMEOVER) return false;
+
+    this.status = 'finished';
+    this.endedAt = Date.now();
+    this.result = {
+      standings: this.core.standings().map((s, place) => ({
+        place: place + 1,
+        ...s,
+        wallet:  this.seats[s.index].wallet,
+        name:    this.seats[s.index].name,
+        isAgent: this.seats[s.index].isAgent,
+      })),
+      rounds: this.core.round,
+      frames: this.core.frameCount,
+    };
+    return true;
+  }
+
+  // ClawDugState for one seat, with names on every player
+  view(seat) {
+    const state = this.core.getAgentState(seat);
+    state.matchId = this.matchId;
+    state.players = state.players.map(p => ({
+      ...p,
+      name:    this.seats[p.index].name,
+      isAgent: this.seats[p.index].isAgent,
+    }));
+    return state;
+  }
+
+  summary() {
+    return {
+      matchId:    this.matchId,
+      status:     this.status,
+      maxPlayers: this.maxPlayers,
+      rounds:     this.rounds,
+      levels:     typeof this.levels === 'string' ? this.levels : this.levels.map(l => l.name),
+      seed:       this.status === 'lobby' ? undefined : this.seed,
+      players:    this.seats.map((s, seat) => ({ seat, wallet: s.wallet, name: s.name, isAgent: s.isAgent })),
+      humanVsAgent: this.seats.some(s => s.isAgent) && this.seats.some(s => !s.isAgent),
+      ...(this.tournament ? { tournament: this.tournament } : {}),
+      createdAt:  this.createdAt,
+      startedAt:  this.startedAt,
+      endedAt:    this.endedAt,
+      ...(this.core && this.status === 'running' ? { frame: this.core.frameCount, round: this.core.round } : {}),
+      ...(this.result ? { result: this.result } : {}),
+    };
+  }
+}
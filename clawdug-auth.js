@@ -0,0 +1,154 @@
+// ============================================================
+//  CLAWDUG AUTH
+//  Proves who is driving a session.
+//
+//  Sign-in:  GET /auth/nonce issues a one-time SIWE (EIP-4361)
+//            message; the wallet signs it (EIP-191 personal_sign)
+//            and gets back a bearer token bound to that wallet.
+//  Tokens:   stateless — base64url(payload).base64url(HMAC-SHA256)
+//            keyed by AUTH_SECRET, expiring after TOKEN_TTL_MS.
+//  API keys: long-lived, revocable keys for bots ("cdk_…").
+//            Only a SHA-256 hash is stored (store.apiKeys).
+// ============================================================
+
+import crypto     from 'crypto';
+import { ethers } from 'ethers';
+
+const NONCE_TTL_MS   = 5 * 60 * 1000;          // sign-in messages expire after 5 minutes
+const TOKEN_TTL_MS   = 24 * 60 * 60 * 1000;    // bearer tokens last a day
+const API_KEY_PREFIX = 'cdk_';
+const MAX_API_KEYS   = 20;                     // live keys per wallet
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+export function createAuth({ store, secret, chainId }) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('[Auth] AUTH_SECRET not set — tokens will not survive a restart');
+  }
+  const challenges = new Map();  // nonce -> { wallet, message, expiresAt }
+
+  const hmac = (data) => crypto.createHmac('sha256', secret).update(data).digest();
+
+  // ---- Sign-in challenge ----
+  function issueChallenge(wallet, domain) {
+    const now = Date.now();
+    for (const [nonce, c] of challenges) {
+      if (c.expiresAt < now) challenges.delete(nonce);
+    }
+    const nonce = crypto.randomBytes(12).toString('hex');
+    const address = ethers.getAddress(wallet);
+    const message = [
+      `${domain} wants you to sign in with your Ethereum account:`,
+      address,
+      '',
+      'Sign in to ClawDug to play and submit scores with this wallet.',
+      '',
+      `URI: https://${domain}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date(now).toISOString()}`,
+      `Expiration Time: ${new Date(now + NONCE_TTL_MS).toISOString()}`,
+    ].join('\n');
+    challenges.set(nonce, { wallet: address.toLowerCase(), message, expiresAt: now + NONCE_TTL_MS });
+    return { nonce, message, expiresAt: now + NONCE_TTL_MS };
+  }
+
+  // Check a signed challenge. The message must be one we issued,
+  // unused and unexpired, and signed by the wallet it names.
+  function verifySignIn(message, signature) {
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      return { error: 'message and signature required' };
+    }
+    const nonce = /^Nonce: (\w+)$/m.exec(message)?.[1];
+    const challenge = nonce && challenges.get(nonce);
+    if (!challenge || challenge.message !== message) return { error: 'unknown or already used sign-in message' };
+    challenges.delete(nonce);
+    if (challenge.expiresAt < Date.now()) return { error: 'sign-in message expired' };
+
+    let signer;
+    try { signer = ethers.verifyMessage(message, signature); }
+    catch { return { error: 'invalid signature' }; }
+    if (signer.toLowerCase() !== challenge.wallet) return { error: 'signature does not match wallet' };
+    return { wallet: challenge.wallet };
+  }
+
+  // ---- Bearer tokens ----
+  function issueToken(wallet) {
+    const expiresAt = Date.now() + TOKEN_TTL_MS;
+    const payload = b64url(JSON.stringify({ w: wallet.toLowerCase(), exp: expiresAt }));
+    return { token: `${payload}.${b64url(hmac(payload))}`, expiresAt };
+  }
+
+  function verifyToken(token) {
+    const [payload, mac] = token.split('.');
+    if (!payload || !mac) return null;
+    const expected = hmac(payload);
+    const given = Buffer.from(mac, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      const { w, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return exp > Date.now() ? { wallet: w, via: 'token' } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // ---- API keys ----
+  function listApiKeys(wallet) {
+    return store.apiKeys.all()
+      .filter(k => k.wallet === wallet.toLowerCase())
+      .map(({ hash, ...k }) => k);
+  }
+
+  async function createApiKey(wallet, { name = 'default', agentId = null } = {}) {
+    const live = listApiKeys(wallet).filter(k => !k.revokedAt);
+    if (live.length >= MAX_API_KEYS) return { error: `at most ${MAX_API_KEYS} live API keys per wallet` };
+    const key  = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const hash = sha256(key);
+    const record = {
+      id:         hash.slice(0, 16),
+      hash,
+      wallet:     wallet.toLowerCase(),
+      agentId,
+      name:       String(name).slice(0, 64),
+      createdAt:  Date.now(),
+      lastUsedAt: null,
+      revokedAt:  null,
+    };
+    await store.apiKeys.put(hash, record);
+    const { hash: _, ...info } = record;
+    return { key, ...info };
+  }
+
+  async function revokeApiKey(wallet, id) {
+    const record = store.apiKeys.all().find(k => k.id === id && k.wallet === wallet.toLowerCase());
+    if (!record) return false;
+    if (!record.revokedAt) await store.apiKeys.put(record.hash, { ...record, revokedAt: Date.now() });
+    return true;
+  }
+
+  function verifyApiKey(key) {
+    const hash = sha256(key);
+    const record = store.apiKeys.get(hash);
+    if (!record || record.revokedAt) return null;
+    // Coarse last-used stamp — no write on every request
+    if (Date.now() - (record.lastUsedAt || 0) > 60000) {
+      store.apiKeys.put(hash, { ...record, lastUsedAt: Date.now() });
+    }
+    return { wallet: record.wallet, via: 'apiKey', keyId: record.id, agentId: record.agentId };
+  }
+
+  // Bearer token or API key → { wallet, via, ... } or null
+  function authenticate(credential) {
+    if (!credential) return null;
+    return credential.startsWith(API_KEY_PREFIX) ? verifyApiKey(credential) : verifyToken(credential);
+  }
+
+  return {
+    issueChallenge, verifySignIn, issueToken, verifyToken,
+    createApiKey, listApiKeys, revokeApiKey, authenticate,
+  };
+}
@@ -0,0 +1,253 @@
+// ============================================================
+//  CLAWDUG BOTS
+//  Baseline policies for clawdug-client.js — smoke tests for the
+//  API and reference opponents for benchmarks:
+//    random        — random walk with some persistence, pumps
+//                    now and then
+//    greedy        — heads for the nearest enemy, lines up and
+//                    pumps it
+//    rock-dropper  — digs out the tile under rocks that have
+//                    enemies below them, greedy otherwise
+//  create*Bot() returns a fresh policy `(state) => action`; they
+//  keep a little memory between calls (pump latch, plans), so use
+//  one per game.
+//
+//  runLocal() plays a game on the headless engine, no server
+//  needed, stepping exactly like /agent/step.
+//
+//  CLI:
+//    node clawdug-bots.js greedy --games 5            # local engine
+//    node clawdug-bots.js all --games 3 --seed 42     # every bot on the same seeds
+//    node clawdug-bots.js greedy --url http://localhost:3847   # through the API
+// ============================================================
+
+import { fileURLToPath } from 'url';
+import engine from './clawdug-engine.cjs';
+import { ClawDugClient, GameState, MOVE_ACTIONS, DIR } from './clawdug-client.js';
+
+const { GameCore, STATE_GAMEOVER, actionToInput, createRng, randomSeed, ROWS, COLS } = engine;
+
+export const FRAME_SKIP      = 6;        // one decision per server tick (10Hz)
+export const MAX_LOCAL_STEPS = 20000;    // cap for runLocal (~33 minutes of play)
+
+// ---- Pump handling shared by the bots ----
+// The server latches the pump button: fire_pump holds it until
+// release_pump, and a new shot needs a release first. Returns the
+// pump action to take now, or null to let the bot move.
+function pumpControl(state, mem) {
+  const p = state.player;
+  if (mem.held) {
+    if (p.hasPump) return 'noop';     // beam out or inflating — keep holding
+    mem.held = false;
+    return 'release_pump';
+  }
+  const dir = state.lineOfFire();
+  if (dir === DIR.NONE) return null;
+  if (p.dir !== dir) return MOVE_ACTIONS[dir];   // turn to face it
+  mem.held = true;
+  return 'fire_pump';
+}
+
+// Toward a tile, lining up on the shorter axis first (a shared
+// row or column is what the pump needs)
+function chase(state, r, c) {
+  const p = state.player;
+  const dr = r - p.tileR, dc = c - p.tileC;
+  if (dr && dc) {
+    if (Math.abs(dr) <= Math.abs(dc)) return dr < 0 ? 'move_up' : 'move_down';
+    return dc < 0 ? 'move_left' : 'move_right';
+  }
+  return state.moveToward(r, c);
+}
+
+// Away from an enemy that can't be pumped right now (ghosting
+// through the dirt, or Fygar breathing fire) once it gets close
+function evade(state, e) {
+  const p = state.player;
+  const dr = p.tileR - e.tileR, dc = p.tileC - e.tileC;
+  if (Math.abs(dr) + Math.abs(dc) > 2 || !(e.ghost || e.flames?.length)) return null;
+  if (Math.abs(dc) >= Math.abs(dr) && p.tileC + Math.sign(dc || 1) >= 0 && p.tileC + Math.sign(dc || 1) < COLS) {
+    return dc >= 0 ? 'move_right' : 'move_left';
+  }
+  return dr >= 0 ? 'move_down' : 'move_up';
+}
+
+// Chase the nearest enemy, backing off from dangerous ones
+function pursue(state) {
+  const target = state.nearestEnemy();
+  if (!target) return 'noop';
+  return evade(state, target) ?? chase(state, target.tileR, target.tileC);
+}
+
+// ============================================================
+//  RANDOM
+// ============================================================
+export function createRandomBot({ seed = randomSeed(), pumpChance = 0.1, persistence = 4 } = {}) {
+  const rng = createRng(seed);
+  const mem = { held: false };
+  let move = 'move_down', left = 0;
+  return (state) => {
+    if (!state.playing) return 'noop';
+    if (mem.held) return pumpControl(state, mem);
+    if (rng() < pumpChance) {
+      mem.held = true;
+      return 'fire_pump';
+    }
+    if (left-- <= 0) {
+      move = MOVE_ACTIONS[Math.floor(rng() * 4)];
+      left = 1 + Math.floor(rng() * persistence);
+    }
+    return move;
+  };
+}
+
+// ============================================================
+//  GREEDY PURSUER
+// ============================================================
+export function createGreedyBot() {
+  const mem = { held: false };
+  return (state) => {
+    if (!state.playing) return 'noop';
+    return pumpControl(state, mem) ?? pursue(state);
+  };
+}
+
+// ============================================================
+//  ROCK DROPPER
+//  approach — get beside the tile under the rock
+//  undercut — step into it sideways (the rock starts to shake)
+//  escape   — straight back out and one tile further
+// ============================================================
+const ESCAPE_TICKS = 12;
+
+// Rocks worth dropping: enemies in the column (±1) below them
+function rockTargets(state) {
+  return state.rocks
+    .filter(rock => rock.active && !rock.falling && rock.r + 1 < ROWS && !state.isOpen(rock.r + 1, rock.c))
+    .map(rock => ({
+      rock,
+      victims: state.liveEnemies.filter(e => e.tileR > rock.r && Math.abs(e.tileC - rock.c) <= 1).length,
+      dist: Math.abs(rock.r - state.player.tileR) + Math.abs(rock.c - state.player.tileC),
+    }))
+    .filter(t => t.victims > 0)
+    .sort((a, b) => b.victims - a.victims || a.dist - b.dist);
+}
+
+export function createRockDropperBot() {
+  const mem = { held: false };
+  let plan = null;   // { r, c, side, stage, ticks }
+
+  return (state) => {
+    if (!state.playing) {
+      plan = null;
+      return 'noop';
+    }
+    const p = state.player;
+
+    if (!plan || plan.stage === 'approach') {
+      const pump = pumpControl(state, mem);
+      if (pump) return pump;
+    }
+    if (plan && plan.stage !== 'escape' && !state.rockAt(plan.r, plan.c)) plan = null;
+    if (!plan) {
+      const target = rockTargets(state)[0];
+      if (!target) return pursue(state);
+      const { r, c } = target.rock;
+      const side = c === 0 ? 1 : c === COLS - 1 ? -1 : p.tileC >= c ? 1 : -1;
+      plan = { r, c, side, stage: 'approach', ticks: 0 };
+    }
+
+    const below = plan.r + 1, beside = plan.c + plan.side;
+    if (plan.stage === 'approach') {
+      if (p.tileR === below && p.tileC === beside) plan.stage = 'undercut';
+      // Columns first, so we never walk up or down the rock's own column
+      else if (p.tileC !== beside) return p.tileC < beside ? 'move_right' : 'move_left';
+      else return below < p.tileR ? 'move_up' : 'move_down';
+    }
+    if (plan.stage === 'undercut') {
+      if (p.tileC !== plan.c) return plan.side > 0 ? 'move_left' : 'move_right';
+      plan.stage = 'escape';
+    }
+    const away = Math.max(0, Math.min(COLS - 1, plan.c + plan.side * 2));
+    if (p.tileC === away || ++plan.ticks > ESCAPE_TICKS) {
+      plan = null;
+      return 'noop';
+    }
+    return plan.side > 0 ? 'move_right' : 'move_left';
+  };
+}
+
+export const BOTS = {
+  'random':       createRandomBot,
+  'greedy':       createGreedyBot,
+  'rock-dropper': createRockDropperBot,
+};
+
+// ============================================================
+//  LOCAL RUNNER  (headless engine, same stepping as /agent/step)
+// ============================================================
+export async function runLocal(policy, { seed = randomSeed(), round = 1, levels, frameSkip = FRAME_SKIP, maxSteps = MAX_LOCAL_STEPS } = {}) {
+  const game = new GameCore({ seed, levels });
+  let pumpHeld = false, steps = 0, deaths = 0;
+  game.on('death', () => deaths++);
+  game.startGame(seed, round);
+  while (game.state !== STATE_GAMEOVER && steps < maxSteps) {
+    const action = await policy(new GameState(game.getAgentState()));
+    const input = actionToInput(action, pumpHeld);
+    pumpHeld = input.pump;
+    for (let i = 0; i < frameSkip; i++) game.update(input);
+    steps++;
+  }
+  return {
+    seed, score: game.score, kills: game.kills, round: game.round, deaths, steps, frames: game.frameCount,
+    finished: game.state === STATE_GAMEOVER,
+  };
+}
+
+// ============================================================
+//  CLI
+// ============================================================
+function parseArgs(argv) {
+  const args = { bot: argv[0] ?? 'greedy', games: 1, seed: null, url: null };
+  for (let i = 1; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, ''), value = argv[i + 1];
+    args[key] = key === 'url' ? value : Number(value);
+  }
+  return args;
+}
+
+async function viaApi(url, bot, create) {
+  const { ethers } = await import('ethers');
+  const client = new ClawDugClient({ url });
+  await client.register({ signer: ethers.Wallet.createRandom(), agentId: `bot-${bot}`, name: `${bot} bot`, clock: 'manual' });
+  const result = await client.play(create(), { frameSkip: FRAME_SKIP });
+  const submitted = await client.submitScore().catch(err => ({ error: err.message }));
+  return { ...result, submitted: submitted.error ?? (submitted.mock ? 'mock' : 'signed') };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const names = args.bot === 'all' ? Object.keys(BOTS) : [args.bot];
+  if (!names.every(name => BOTS[name])) {
+    console.error(`unknown bot "${args.bot}". Bots: ${Object.keys(BOTS).join(', ')}, all`);
+    process.exit(1);
+  }
+  const seeds = Array.from({ length: args.games }, (_, i) => (args.seed === null ? randomSeed() : (args.seed + i) >>> 0));
+  for (const name of names) {
+    const scores = [];
+    for (const seed of seeds) {
+      const result = args.url ? await viaApi(args.url, name, BOTS[name]) : await runLocal(BOTS[name]({ seed }), { seed });
+      scores.push(result.score);
+      console.log(`${name.padEnd(12)} ${args.url ? result.sessionId.slice(0, 10) + '...' : `seed ${result.seed}`}  score ${result.score}  round ${result.round}  kills ${result.kills}  steps ${result.steps}${result.submitted ? `  (${result.submitted})` : ''}`);
+    }
+    const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+    if (scores.length > 1) console.log(`${name.padEnd(12)} mean ${Math.round(mean)}  best ${Math.max(...scores)}\n`);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
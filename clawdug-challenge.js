@@ -0,0 +1,150 @@
+// ============================================================
+//  CLAWDUG DAILY CHALLENGE
+//  One run a day on the same seed and rules for every player and
+//  agent, ranked apart from the epoch leaderboards. The UTC date
+//  and a server secret decide the day's challenge:
+//    seed      — the first 4 bytes of sha256(secret:date)
+//    modifiers — engine MODIFIERS drawn from the same hash: an
+//                enemy rule or none, then no_rocks, one_life and
+//                fast_enemies 3 in 8 each — at least one a day
+//  The day is stored the first time it's asked for, so a restart
+//  (or a new secret) never changes a challenge already shown.
+//  Its seed stays hidden until the day is over, and so do the
+//  attempts' sessionIds and replays — every entrant plays the same
+//  dungeon, so one run's inputs would score the same for anyone.
+//
+//  Each wallet gets one attempt a day — starting it spends it.
+//  Attempts and results are kept per day in store.challenges.
+// ============================================================
+
+import crypto from 'crypto';
+import engine from './clawdug-engine.cjs';
+
+const { parseModifiers } = engine;
+
+export const DAY_MS             = 24 * 60 * 60 * 1000;
+export const CHALLENGE_GRACE_MS = 60 * 60 * 1000;   // a run started before midnight can be reported this long after
+export const BOARD_TYPES        = ['all', 'agents', 'humans'];
+
+const ENEMY_RULES = [null, 'fygar_only', 'pooka_only'];
+const EXTRA_RULES = ['no_rocks', 'one_life', 'fast_enemies'];
+
+export const dateOf   = (ms = Date.now()) => new Date(ms).toISOString().slice(0, 10);
+export const dayStart = (date) => Date.parse(`${date}T00:00:00Z`);
+
+// 'YYYY-MM-DD' naming a real day, else null
+export function parseDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const ms = dayStart(value);
+  return Number.isFinite(ms) && dateOf(ms) === value ? value : null;
+}
+
+export function challengeFor(date, secret) {
+  const hash = crypto.createHash('sha256').update(`${secret}:${date}`).digest();
+  const modifiers = [];
+  const enemies = ENEMY_RULES[hash[4] % ENEMY_RULES.length];
+  if (enemies) modifiers.push(enemies);
+  EXTRA_RULES.forEach((m, i) => { if ((hash[5 + i] & 7) < 3) modifiers.push(m); });
+  if (!modifiers.length) modifiers.push(EXTRA_RULES[hash[8] % EXTRA_RULES.length]);
+  return { date, seed: hash.readUInt32BE(0), levels: 'procedural', modifiers: parseModifiers(modifiers) };
+}
+
+// ============================================================
+//  CHALLENGES
+// ============================================================
+// Without a secret the server makes one up — fine for a single
+// server, since every day it has shown is already stored
+export function createChallenges({ store, secret = crypto.randomBytes(32).toString('hex') }) {
+  const today = (now = Date.now()) => dateOf(now);
+
+  // Today is created on first use; other days only exist if played
+  function day(date, now = Date.now()) {
+    const stored = store.challenges.get(date);
+    if (stored || date !== today(now)) return stored ?? null;
+    const record = { ...challengeFor(date, secret), createdAt: now, attempts: {} };
+    store.challenges.put(date, record);
+    return record;
+  }
+
+  function attemptOf(date, wallet) {
+    return store.challenges.get(date)?.attempts[wallet.toLowerCase()] ?? null;
+  }
+
+  // ---- Attempts ----
+  function startAttempt(wallet, { sessionId, name, isAgent }, now = Date.now()) {
+    const record = day(today(now), now);
+    const key = wallet.toLowerCase();
+    if (record.attempts[key]) {
+      return { error: `today's attempt already used — the next challenge starts at ${new Date(dayStart(record.date) + DAY_MS).toISOString()}` };
+    }
+    const attempt = { sessionId, name, isAgent: !!isAgent, startedAt: now, score: null, round: null, kills: null, reportedAt: null };
+    record.attempts[key] = attempt;
+    store.challenges.put(record.date, record);
+    return { challenge: record, attempt };
+  }
+
+  function report(date, wallet, sessionId, { score, round, kills }, now = Date.now()) {
+    const record = store.challenges.get(date);
+    const attempt = record?.attempts[wallet.toLowerCase()];
+    if (!attempt || attempt.sessionId !== sessionId) return { error: 'not your challenge attempt' };
+    if (attempt.reportedAt !== null) return { error: 'attempt already reported' };
+    if (now > dayStart(date) + DAY_MS + CHALLENGE_GRACE_MS) return { error: `the ${date} challenge is closed` };
+    Object.assign(attempt, { score, round, kills, reportedAt: now });
+    store.challenges.put(date, record);
+    const rank = ranking(record, 'all').findIndex(r => r.sessionId === sessionId) + 1;
+    return { attempt, rank };
+  }
+
+  // ---- Results ----
+  // Reported runs: score, then round, then whoever reported first
+  function ranking(record, type) {
+    const rows = Object.entries(record.attempts)
+      .filter(([, a]) => a.reportedAt !== null && (type === 'all' || a.isAgent === (type === 'agents')))
+      .map(([wallet, a]) => ({
+        wallet, name: a.name, isAgent: a.isAgent, score: a.score, round: a.round, kills: a.kills,
+        sessionId: a.sessionId, reportedAt: a.reportedAt,
+      }))
+      .sort((a, b) => b.score - a.score || b.round - a.round || a.reportedAt - b.reportedAt);
+    rows.forEach((r, i) => { r.rank = i + 1; });
+    return rows;
+  }
+
+  // The public board — sessionIds only once the day is over
+  function leaderboard(date, type = 'all', now = Date.now()) {
+    const record = store.challenges.get(date);
+    if (!record) return [];
+    const rows = ranking(record, type);
+    if (now >= dayStart(date) + DAY_MS) return rows;
+    return rows.map(({ sessionId, ...row }) => row);
+  }
+
+  function summary(record, now = Date.now()) {
+    const startsAt = dayStart(record.date);
+    const over = now >= startsAt + DAY_MS;
+    const board = leaderboard(record.date, 'all', now);
+    return {
+      date:      record.date,
+      status:    over ? 'closed' : 'open',
+      startsAt,
+      endsAt:    startsAt + DAY_MS,
+      levels:    record.levels,
+      modifiers: record.modifiers,
+      seed:      over ? record.seed : undefined,
+      players:   Object.keys(record.attempts).length,
+      reported:  board.length,
+      leaders: {
+        humans: board.find(r => !r.isAgent) ?? null,
+        agents: board.find(r => r.isAgent) ?? null,
+      },
+    };
+  }
+
+  // Every stored day, newest first
+  function history(now = Date.now()) {
+    return store.challenges.all()
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .map(record => summary(record, now));
+  }
+
+  return { today, day, attemptOf, startAttempt, report, leaderboard, summary, history };
+}
@@ -0,0 +1,305 @@
+// ============================================================
+//  CLAWDUG CHECKS
+//  Script-level checks for the paths that guard money and the
+//  network: run against in-memory stores and local servers, no
+//  chain or API server needed.
+//
+//  Checks:
+//    relay    — node errors are retried, reverts are final, a failed
+//               job can be sent again, the queue survives errors
+//    replay   — a recorded run replays to the same result, on a
+//               verifier worker too; tampered, malformed and oversized
+//               logs don't
+//    webhooks — private address filter, DNS answers and pinning
+//
+//  CLI:
+//    node clawdug-checks.js              — every check
+//    node clawdug-checks.js webhooks     — just the named ones
+//  Exits 1 when any check fails.
+// ============================================================
+
+import assert from 'assert/strict';
+import http from 'http';
+import engine from './clawdug-engine.cjs';
+import { BOTS, FRAME_SKIP } from './clawdug-bots.js';
+import { GameState } from './clawdug-client.js';
+import { createRelayer } from './clawdug-relayer.js';
+import { createStore } from './clawdug-storage.js';
+import { createVerifier } from './clawdug-verifier.js';
+import { createWebhooks } from './clawdug-webhooks.js';
+
+const { GameCore, STATE_GAMEOVER, actionToInput, replayGame } = engine;
+
+const OWNER = '0x00000000000000000000000000000000000000aa';
+
+// Resolves once fn() returns something truthy, polling every 10ms
+async function until(fn, ms = 5000) {
+  const end = Date.now() + ms;
+  for (;;) {
+    const value = fn();
+    if (value) return value;
+    if (Date.now() > end) throw new Error(`timed out after ${ms}ms`);
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+// A dns.lookup stand-in answering from a fixed table, counting calls
+function fakeLookup(table) {
+  const lookup = async (host) => {
+    lookup.calls.push(host);
+    const answer = table[host];
+    if (!answer) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+    return (typeof answer === 'function' ? answer() : answer).map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+  };
+  lookup.calls = [];
+  return lookup;
+}
+
+// The first attempt of a ping to a freshly subscribed hook
+async function pingOnce(webhooks, url) {
+  const { hook, error } = webhooks.subscribe({ owner: OWNER, url });
+  assert.equal(error, undefined, `subscribe ${url}: ${error}`);
+  const delivery = webhooks.ping(webhooks.get(hook.id));
+  return until(() => webhooks.deliveries(hook.id).find(d => d.id === delivery.id && d.attempts.length)?.attempts[0]);
+}
+
+// ============================================================
+//  RELAY
+//  A scripted provider stands in for the node: each call takes the
+//  next entry of its script ('ok', or an error to throw).
+// ============================================================
+
+const nodeError = (code, message = code) => Object.assign(new Error(message), { code, shortMessage: message });
+
+function fakeChain(script) {
+  const next = (method) => {
+    const step = (script[method] || []).shift() ?? 'ok';
+    if (step !== 'ok') throw step;
+  };
+  const sent = [];
+  const provider = {
+    async estimateGas()         { next('estimateGas'); return 100000n; },
+    async getTransactionCount() { return sent.length; },
+    async waitForTransaction()  { next('waitForTransaction'); return { status: 1, blockNumber: 7, gasUsed: 90000n }; },
+  };
+  const wallet = {
+    address: '0x00000000000000000000000000000000000000cc',
+    provider,
+    async sendTransaction(tx) { next('sendTransaction'); sent.push(tx); return { hash: '0x' + String(sent.length).padStart(64, '0') }; },
+  };
+  return { wallet, sent };
+}
+
+function relayJob(n) {
+  return {
+    player: OWNER, score: 1200, round: 2, kills: 5, sessionId: '0x' + String(n).padStart(64, '0'),
+    deadline: Math.floor(Date.now() / 1000) + 600, authorization: '0x',
+  };
+}
+
+async function checkRelay() {
+  const script = {
+    estimateGas: [nodeError('NETWORK_ERROR'), nodeError('SERVER_ERROR'), 'ok', nodeError('CALL_EXCEPTION', 'Game: session already used')],
+    waitForTransaction: [],
+  };
+  const { wallet, sent } = fakeChain(script);
+  const done = [];
+  let signError = null;
+  const relayer = createRelayer({
+    store: createStore({ backend: 'memory' }), wallet, address: '0x00000000000000000000000000000000000000dd', chainId: 31337,
+    sign: async () => {
+      if (signError) throw signError;
+      return { signedAt: 1, signature: '0x' + '00'.repeat(65) };
+    },
+    onDone: (job) => {
+      done.push([job.id, job.status]);
+      if (job.id === relayJob(3).sessionId) throw new Error('listener blew up');
+    },
+    retryDelayMs: 20,
+  });
+  const settled = (n) => until(() => done.find(([id]) => id === relayJob(n).sessionId)?.[1]);
+
+  // Two node errors are retried with backoff, then it goes out
+  relayer.enqueue(relayJob(1));
+  assert.equal(await settled(1), 'mined');
+  assert.equal(relayer.get(relayJob(1).sessionId).attempts, 2);
+  assert.equal(sent.length, 1);
+
+  // A revert is final; the same session can be relayed again after
+  relayer.enqueue(relayJob(2));
+  assert.equal(await settled(2), 'failed');
+  assert.match(relayer.get(relayJob(2).sessionId).error, /session already used/);
+  done.length = 0;
+  relayer.enqueue(relayJob(2));
+  assert.equal(await settled(2), 'mined');
+  assert.equal(sent.length, 2);
+
+  // A `final` error from sign() isn't retried
+  signError = Object.assign(new Error('score signature revoked by operator'), { final: true });
+  relayer.enqueue(relayJob(4));
+  assert.equal(await settled(4), 'failed');
+  assert.equal(relayer.get(relayJob(4).sessionId).attempts, undefined);
+  signError = null;
+
+  // A throwing listener doesn't wedge the queue
+  relayer.enqueue(relayJob(3));
+  relayer.enqueue(relayJob(5));
+  assert.equal(await settled(3), 'mined');
+  assert.equal(await settled(5), 'mined');
+  await until(() => !relayer.status().sending);
+
+  // A sent tx is watched through a node outage, never sent twice
+  script.waitForTransaction.push(nodeError('TIMEOUT'), nodeError('NETWORK_ERROR'));
+  const before = sent.length;
+  relayer.enqueue(relayJob(6));
+  assert.equal(await settled(6), 'mined', 'watched tx never recorded');
+  assert.equal(sent.length, before + 1);
+}
+
+// ============================================================
+//  REPLAY
+//  The check /agent/submit-score, /challenge/submit and best-of
+//  tournament reports rely on: the server's input log replays to
+//  the score it recorded, and nothing else does.
+// ============================================================
+
+// The greedy bot on the headless engine, stepped like /agent/step
+function playGreedy(seed, steps) {
+  const policy = BOTS.greedy({ seed });
+  const game = new GameCore({ seed });
+  game.startGame(seed, 1);
+  let pumpHeld = false;
+  for (let i = 0; i < steps && game.state !== STATE_GAMEOVER; i++) {
+    const input = actionToInput(policy(new GameState(game.getAgentState())), pumpHeld);
+    pumpHeld = input.pump;
+    for (let f = 0; f < FRAME_SKIP; f++) game.update(input);
+  }
+  return game;
+}
+
+async function checkReplay() {
+  const seed = 5;   // greedy scores on it
+  const game = playGreedy(seed, 1500);
+  const log = game.inputLog.toJSON();
+  const options = { levels: game.levels };   // as GameSession.verifyReplay passes them
+  assert.ok(game.score > 0, 'the greedy run scored nothing');
+
+  const replay = replayGame(seed, log, options);
+  assert.equal(replay.error, undefined, replay.error);
+  assert.deepEqual(
+    { score: replay.score, kills: replay.kills, round: replay.round, frames: replay.frames },
+    { score: game.score, kills: game.kills, round: game.round, frames: game.inputLog.frames });
+
+  // Another seed, or the run cut short, doesn't reproduce it
+  const other = replayGame(seed + 1, log, options);
+  assert.ok(other.score !== game.score || other.kills !== game.kills, 'another seed replayed to the same result');
+  const cut = replayGame(seed, log.slice(0, Math.floor(log.length / 2)), options);
+  assert.ok(cut.score < game.score, 'half the log replayed to the full score');
+
+  for (const [bad, why] of [
+    ['nope', /array/], [[[0]], /malformed/], [[[32, 1]], /mask/], [[[0, 0]], /run length/], [[[0, 1.5]], /run length/],
+  ]) {
+    assert.match(replayGame(seed, bad).error ?? '', why, `${JSON.stringify(bad)} accepted`);
+  }
+  assert.match(replayGame(seed, [[0, 101]], { maxFrames: 100 }).error ?? '', /exceeds 100 frames/);
+
+  // A worker replays it the same as the request path did, and a
+  // malformed log comes back as an error, not a dead worker
+  const verifier = createVerifier({ inlineFrames: 0 });
+  try {
+    assert.deepEqual(await verifier.replay(seed, log, options), replay);
+    assert.match((await verifier.replay(seed, [[0]])).error ?? '', /malformed/);
+    assert.equal(verifier.status().workers, 1);
+  } finally {
+    await verifier.close();
+  }
+}
+
+// ============================================================
+//  WEBHOOKS
+// ============================================================
+
+async function checkWebhooks() {
+  const store = createStore({ backend: 'memory' });
+
+  // IP literals and local names are refused at subscribe time,
+  // IPv4-mapped IPv6 forms included
+  const webhooks = createWebhooks({ store, lookup: fakeLookup({}) });
+  for (const url of [
+    'http://127.0.0.1/hook', 'http://localhost:3000/hook', 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]:3901/hook',
+    'http://[::ffff:a9fe:a9fe]/latest/meta-data', 'http://169.254.169.254/', 'http://100.100.100.200/', 'http://[fd00::1]/',
+    'http://10.1.2.3/', 'http://0.0.0.0/', 'http://[64:ff9b::7f00:1]/',
+  ]) {
+    assert.match(webhooks.subscribe({ owner: OWNER, url }).error ?? '', /private or loopback/, `${url} accepted`);
+  }
+  assert.ok(webhooks.subscribe({ owner: OWNER, url: 'https://hooks.example.com/x' }).hook, 'public name refused');
+
+  // A name with any private answer is refused at delivery, before
+  // anything is sent
+  let hits = 0;
+  const server = http.createServer((req, res) => { hits++; res.end('ok'); });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const { port } = server.address();
+  try {
+    const lookup = fakeLookup({
+      'mixed.example':  ['203.0.113.7', '127.0.0.1'],
+      'rebind.example': ['127.0.0.1'],
+      'cgnat.example':  ['100.64.0.1'],
+      'mapped.example': ['::ffff:7f00:1'],
+    });
+    const guarded = createWebhooks({ store: createStore({ backend: 'memory' }), lookup });
+    for (const host of ['mixed.example', 'rebind.example', 'cgnat.example', 'mapped.example']) {
+      const attempt = await pingOnce(guarded, `http://${host}:${port}/hook`);
+      assert.match(attempt.error, /private or loopback/, `${host}: ${attempt.error}`);
+      assert.equal(attempt.status, null);
+    }
+    assert.equal(hits, 0, 'a refused delivery reached the server');
+
+    // The request goes to the address that was checked: the name is
+    // looked up once per attempt, and the connection never asks again
+    let answers = 0;
+    const pinned = fakeLookup({ 'hooks.example': () => (answers++ ? ['192.0.2.1'] : ['127.0.0.1']) });
+    const local = createWebhooks({ store: createStore({ backend: 'memory' }), lookup: pinned, allowPrivate: true });
+    let host = null;
+    server.removeAllListeners('request');
+    server.on('request', (req, res) => { hits++; host = req.headers.host; res.end('ok'); });
+    const attempt = await pingOnce(local, `http://hooks.example:${port}/hook`);
+    assert.equal(attempt.error, null, attempt.error);
+    assert.equal(attempt.status, 200);
+    assert.equal(host, `hooks.example:${port}`);
+    assert.deepEqual(pinned.calls, ['hooks.example']);
+  } finally {
+    server.close();
+  }
+}
+
+// ============================================================
+//  RUNNER
+// ============================================================
+
+const CHECKS = {
+  relay:    checkRelay,
+  replay:   checkReplay,
+  webhooks: checkWebhooks,
+};
+
+const names = process.argv.slice(2);
+const unknown = names.filter(n => !CHECKS[n]);
+if (unknown.length) {
+  console.error(`Unknown check: ${unknown.join(', ')}. Valid: ${Object.keys(CHECKS).join(', ')}`);
+  process.exit(2);
+}
+
+let failed = 0;
+for (const name of names.length ? names : Object.keys(CHECKS)) {
+  const started = Date.now();
+  try {
+    await CHECKS[name]();
+    console.log(`✓ ${name} (${Date.now() - started}ms)`);
+  } catch (err) {
+    failed++;
+    console.log(`✗ ${name}: ${err.message}`);
+    if (process.env.DEBUG) console.error(err);
+  }
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,430 @@
+// ============================================================
+//  CLAWDUG CLIENT
+//  SDK for agents talking to clawdug-agent-api.js: sign-in,
+//  the session routes, the WS stream and a policy loop.
+//
+//    const client = new ClawDugClient({ url: 'http://localhost:3847' });
+//    await client.register({ signer: wallet, agentId: '0x…', name: 'MyBot' });
+//    const result = await client.play(createGreedyBot());
+//    await client.submitScore();
+//
+//  `signer` is anything with an address and signMessage() — an
+//  ethers Wallet works. A policy is `(state: GameState) => action`
+//  (sync or async), e.g. the bots in clawdug-bots.js.
+//
+//  play() drives the session one of two ways:
+//    step   — manual clock, POST /agent/step per decision;
+//             deterministic and as fast as the policy
+//    stream — WS /agent/stream at 10Hz (realtime / lockstep);
+//             reconnects with backoff and picks the session up
+//             where the server left it
+//
+//  With `host: 'browser'` the session is played by a clawdug.html
+//  page (res.bridge.page) instead of the server — same calls.
+//
+//  Requests that hit the API's per-minute rate limits (429) are
+//  retried with backoff before they throw.
+// ============================================================
+
+import engine from './clawdug-engine.cjs';
+
+const {
+  AGENT_ACTIONS, DIR, DX, DY, ROWS, COLS, TILE,
+  STATE_PLAYING, STATE_GAMEOVER, applyDelta,
+} = engine;
+
+export { AGENT_ACTIONS, DIR };
+
+export const DEFAULT_URL  = 'http://localhost:3847';
+export const PUMP_RANGE   = 5;                          // tiles — Pump.maxLength
+export const MOVE_ACTIONS = ['move_up', 'move_right', 'move_down', 'move_left'];  // by DIR
+
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 10000;
+const RATE_LIMIT_RETRIES = 6;     // 429s are retried with backoff: 2s, 4s … 30s
+const RATE_LIMIT_MIN_MS  = 2000;
+const RATE_LIMIT_MAX_MS  = 30000;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Non-2xx answers from the API; `status` is the HTTP status, `body` the JSON
+export class ClawDugError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'ClawDugError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// ============================================================
+//  STATE  (ClawDugState/1.0 with helpers for policies)
+//    frame, phase, score, kills, lives, round, level, modifiers
+//    player  — { x, y, tileR, tileC, dir, alive, invincible, hasPump }
+//    enemies — [{ type, x, y, tileR, tileC, alive, ghost, pumped, inflate, flames? }]
+//    rocks   — [{ r, c, x, y, falling, active }]
+//    grid    — ROWS × COLS, 1 = dirt, 0 = open (row 0 is sky)
+//  x / y are pixels (TILE = 32); tileR / tileC the nearest tile.
+// ============================================================
+export class GameState {
+  constructor(raw, sessionId = null) {
+    Object.assign(this, raw);
+    this.sessionId = sessionId;
+  }
+
+  get over()    { return this.phase === STATE_GAMEOVER; }
+  get playing() { return this.phase === STATE_PLAYING; }
+
+  isOpen(r, c) {
+    return r >= 0 && r < ROWS && c >= 0 && c < COLS && this.grid[r][c] === 0;
+  }
+
+  get liveEnemies() {
+    return this.enemies.filter(e => e.alive);
+  }
+
+  rockAt(r, c) {
+    return this.rocks.find(rock => rock.active && !rock.falling && rock.r === r && rock.c === c) ?? null;
+  }
+
+  // Closest live enemy by tile distance
+  nearestEnemy() {
+    const p = this.player;
+    let best = null, bestDist = Infinity;
+    for (const e of this.liveEnemies) {
+      const dist = Math.abs(e.tileR - p.tileR) + Math.abs(e.tileC - p.tileC);
+      if (dist < bestDist) { best = e; bestDist = dist; }
+    }
+    return best;
+  }
+
+  // Direction (DIR) a pump fired from here would hit an enemy in:
+  // same row or column, within range, open tunnel all the way. -1 if none.
+  lineOfFire(range = PUMP_RANGE) {
+    const p = this.player;
+    for (const dir of [DIR.UP, DIR.RIGHT, DIR.DOWN, DIR.LEFT]) {
+      // The beam leaves from the player's centre: off the row / column by
+      // more than a quarter tile and it misses
+      const offset = DX[dir] ? p.y - p.tileR * TILE : p.x - p.tileC * TILE;
+      if (Math.abs(offset) > TILE / 4) continue;
+      for (let i = 1; i <= range; i++) {
+        const r = p.tileR + DY[dir] * i, c = p.tileC + DX[dir] * i;
+        if (!this.isOpen(r, c)) break;
+        if (this.liveEnemies.some(e => !e.ghost && e.tileR === r && e.tileC === c)) return dir;
+      }
+    }
+    return DIR.NONE;
+  }
+
+  // One move toward a tile: rows first, then columns
+  moveToward(r, c) {
+    const p = this.player;
+    if (r !== p.tileR) return r < p.tileR ? 'move_up' : 'move_down';
+    if (c !== p.tileC) return c < p.tileC ? 'move_left' : 'move_right';
+    return 'noop';
+  }
+}
+
+// ============================================================
+//  CLIENT
+// ============================================================
+export class ClawDugClient {
+  constructor({ url = DEFAULT_URL, token = null, apiKey = null, sessionId = null, WebSocket = null } = {}) {
+    this.url       = url.replace(/\/$/, '');
+    this.token     = apiKey ?? token;    // bearer: session token or cdk_ API key
+    this.sessionId = sessionId;
+    this.wallet    = null;
+    this.WebSocket = WebSocket;          // defaults to the global, then the `ws` package
+  }
+
+  async request(method, path, body) {
+    for (let attempt = 0; ; attempt++) {
+      const res = await fetch(this.url + path, {
+        method,
+        headers: {
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const json = await res.json().catch(() => ({}));
+      if (res.ok) return json;
+      // The API's rate limits are per minute — a fast policy loop will hit them
+      if (res.status === 429 && attempt < RATE_LIMIT_RETRIES) {
+        await sleep(Math.min(RATE_LIMIT_MAX_MS, RATE_LIMIT_MIN_MS * 2 ** attempt));
+        continue;
+      }
+      throw new ClawDugError(json.error || `HTTP ${res.status}`, res.status, json);
+    }
+  }
+
+  get(path)        { return this.request('GET', path); }
+  post(path, body) { return this.request('POST', path, body ?? {}); }
+
+  _session(sessionId) {
+    const id = sessionId ?? this.sessionId;
+    if (!id) throw new Error('no session — register() or newSession() first');
+    return id;
+  }
+
+  // ---- Sign-in ----
+  async _signed(signer) {
+    const wallet = signer.address ?? await signer.getAddress();
+    const { message } = await this.get(`/auth/nonce?wallet=${wallet}`);
+    return { wallet, message, signature: await signer.signMessage(message) };
+  }
+
+  // Register the agent and open its first session
+  async register({ signer, agentId, name, isAgent = true, clock = 'realtime', host }) {
+    const signed = await this._signed(signer);
+    const res = await this.post('/agent/register', { agentId, name, isAgent, clock, host, ...signed });
+    this.token     = res.token;
+    this.sessionId = res.sessionId;
+    this.wallet    = signed.wallet;
+    return res;
+  }
+
+  // Bearer token for an already registered wallet
+  async login(signer) {
+    const { wallet, message, signature } = await this._signed(signer);
+    const res = await this.post('/auth/login', { message, signature });
+    this.token  = res.token;
+    this.wallet = wallet;
+    return res;
+  }
+
+  // Long-lived cdk_ key for unattended agents (needs a login() token)
+  createApiKey({ name, agentId } = {}) {
+    return this.post('/auth/api-keys', { name, agentId });
+  }
+
+  // ---- Sessions ----
+  // Agent or human comes from the wallet's registration
+  async newSession({ agentId, clock = 'realtime', host } = {}) {
+    const res = await this.post('/agent/session', { agentId, clock, host });
+    this.sessionId = res.sessionId;
+    return res;
+  }
+
+  async state(sessionId) {
+    const id = this._session(sessionId);
+    const res = await this.get(`/agent/state?session=${id}`);
+    return new GameState(res.state, id);
+  }
+
+  action(action, { sessionId, frame } = {}) {
+    return this.post('/agent/action', { sessionId: this._session(sessionId), action, frame });
+  }
+
+  // Gym step on the manual clock → { observation: GameState, reward, done, info }
+  async step(action, { sessionId, frameSkip } = {}) {
+    const id = this._session(sessionId);
+    const res = await this.post('/agent/step', { sessionId: id, action, frameSkip });
+    return { ...res, observation: new GameState(res.observation, id) };
+  }
+
+  async reset({ sessionId, seed, round, levels, modifiers, clock } = {}) {
+    const id = this._session(sessionId);
+    const res = await this.post('/agent/reset', { sessionId: id, seed, round, levels, modifiers, clock });
+    return { ...res, observation: new GameState(res.observation, id) };
+  }
+
+  setClock(mode, { sessionId, timeoutMs, inputDelay } = {}) {
+    return this.post('/agent/clock', { sessionId: this._session(sessionId), mode, timeoutMs, inputDelay });
+  }
+
+  // `inputs` only for runs played in the browser (the server has the rest)
+  submitScore({ sessionId, inputs } = {}) {
+    return this.post('/agent/submit-score', { sessionId: this._session(sessionId), inputs });
+  }
+
+  relayScore({ sessionId, deadline, authorization }) {
+    return this.post('/agent/relay-score', { sessionId: this._session(sessionId), deadline, authorization });
+  }
+
+  leaderboard() { return this.get('/leaderboard'); }
+  epoch()       { return this.get('/epoch'); }
+  profile(address = this.wallet) { return this.get(`/players/${address}`); }
+
+  // ---- Daily challenge ----
+  // One attempt a day: the session is on the day's seed and modifiers
+  async challengeAttempt({ clock = 'realtime', host } = {}) {
+    const res = await this.post('/challenge/attempt', { clock, host });
+    this.sessionId = res.sessionId;
+    return res;
+  }
+
+  // Only the run the server recorded counts — no input log is sent
+  challengeSubmit({ sessionId } = {}) {
+    return this.post('/challenge/submit', { sessionId: this._session(sessionId) });
+  }
+
+  challenge(date = 'today') { return this.get(`/challenge/${date}`); }
+  challengeLeaderboard(date = 'today', { type = 'all' } = {}) { return this.get(`/challenge/${date}/leaderboard?type=${type}`); }
+
+  // ---- Stream ----
+  async _WebSocket() {
+    this.WebSocket ??= globalThis.WebSocket ?? (await import('ws')).default;
+    return this.WebSocket;
+  }
+
+  // Live states for a session — see ClawDugStream
+  async stream({ sessionId, obs = null } = {}) {
+    const stream = new ClawDugStream({
+      url: this.url, token: this.token, sessionId: this._session(sessionId),
+      obs, WebSocket: await this._WebSocket(),
+    });
+    stream.connect();
+    return stream;
+  }
+
+  // ---- Policy loop ----
+  // Plays the session until it ends (game over, or the replay limit)
+  // or for maxSteps decisions, and returns
+  // { sessionId, score, kills, round, steps }. onStep(state, action) is
+  // called after every decision.
+  async play(policy, { sessionId, mode = 'step', frameSkip, maxSteps = Infinity, onStep } = {}) {
+    const id = this._session(sessionId);
+    if (mode === 'stream') return this._playStream(policy, { sessionId: id, maxSteps, onStep });
+    if (mode !== 'step') throw new Error('mode must be step or stream');
+
+    await this.setClock('manual', { sessionId: id });
+    let state = await this.state(id);
+    let steps = 0, done = state.over;
+    while (!done && steps < maxSteps) {
+      const action = await policy(state);
+      ({ observation: state, done } = await this.step(action, { sessionId: id, frameSkip }));
+      steps++;
+      onStep?.(state, action);
+    }
+    return { sessionId: id, score: state.score, kills: state.kills, round: state.round, steps };
+  }
+
+  async _playStream(policy, { sessionId, maxSteps, onStep }) {
+    const stream = await this.stream({ sessionId });
+    return new Promise((resolve, reject) => {
+      let steps = 0, busy = false;
+      const done = (state) => {
+        stream.close();
+        resolve({ sessionId, score: state.score, kills: state.kills, round: state.round, steps });
+      };
+      stream.on('state', async (state) => {
+        if (state.over || steps >= maxSteps) return done(state);
+        if (busy) return;    // still deciding on an older state — skip this one
+        busy = true;
+        try {
+          const action = await policy(state);
+          stream.send(action, state.frame);
+          steps++;
+          onStep?.(state, action);
+        } catch (err) {
+          stream.close();
+          reject(err);
+        } finally {
+          busy = false;
+        }
+      });
+      stream.on('ended', () => stream.last && done(new GameState(stream.last, sessionId)));
+      stream.on('error', (err) => {
+        if (err.fatal) reject(err);
+      });
+    });
+  }
+}
+
+// ============================================================
+//  STREAM
+//  Events: open, state (GameState), ack, ended ({ reason }: the
+//  run stopped short of game over — killed, or the replay limit),
+//  close, error.
+//  Deltas (obs: 'delta') are applied here, so listeners always
+//  get full states. Unexpected closes reconnect with backoff;
+//  errors the server sends before closing (bad session, bad
+//  credentials) are fatal and stop it.
+// ============================================================
+export class ClawDugStream {
+  constructor({ url, token, sessionId, obs, WebSocket }) {
+    this.url       = url.replace(/^http/, 'ws');
+    this.token     = token;
+    this.sessionId = sessionId;
+    this.obs       = obs;
+    this.WebSocket = WebSocket;
+    this.ws        = null;
+    this.last      = null;         // latest raw state (delta base)
+    this.listeners = new Map();
+    this.closed    = false;
+    this.retries   = 0;
+  }
+
+  on(event, fn) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(fn);
+    return this;
+  }
+
+  off(event, fn) {
+    this.listeners.get(event)?.delete(fn);
+    return this;
+  }
+
+  emit(event, ...args) {
+    for (const fn of this.listeners.get(event) ?? []) fn(...args);
+  }
+
+  connect() {
+    const query = new URLSearchParams({ session: this.sessionId, token: this.token });
+    if (this.obs) {
+      query.set('format', 'ClawDugState/2.0');
+      query.set('obs', this.obs);
+    }
+    const ws = this.ws = new this.WebSocket(`${this.url}/agent/stream?${query}`);
+    let ready = false;     // got a state on this connection
+    let fatal = false;
+
+    ws.onopen = () => this.emit('open');
+    ws.onmessage = (event) => {
+      const msg = JSON.parse(typeof event.data === 'string' ? event.data : event.data.toString());
+      if (msg.error) {
+        // Before the first state it's the server turning us away
+        fatal = !ready;
+        return this.emit('error', Object.assign(new Error(msg.error), { fatal }));
+      }
+      if (msg.type === 'ack') return this.emit('ack', msg);
+      if (msg.type === 'ended') return this.emit('ended', msg);
+      let raw = msg.state ?? null;
+      if (msg.type === 'delta') {
+        try {
+          raw = applyDelta(this.last, msg);
+        } catch {
+          // Missed a message (or reconnected): start over from a keyframe
+          return this.send({ type: 'keyframe' });
+        }
+      }
+      if (!raw) return;
+      ready = true;
+      this.retries = 0;
+      this.last = raw;
+      this.emit('state', new GameState(raw, this.sessionId), msg);
+    };
+    ws.onclose = () => {
+      this.emit('close');
+      if (this.closed || fatal) return;
+      const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** this.retries++);
+      this.last = null;
+      setTimeout(() => !this.closed && this.connect(), delay);
+    };
+    ws.onerror = () => {};      // onclose follows and handles the retry
+  }
+
+  // An action (optionally for a frame), or a raw protocol message
+  send(action, frame) {
+    if (this.ws?.readyState !== 1) return false;
+    this.ws.send(JSON.stringify(typeof action === 'string' ? { type: 'action', action, frame } : action));
+    return true;
+  }
+
+  close() {
+    this.closed = true;
+    this.ws?.close();
+  }
+}
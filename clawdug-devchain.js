@@ -0,0 +1,912 @@
+// ============================================================
+//  CLAWDUG DEV CHAIN
+//  In-process stand-in for Base with ClawDug.sol deployed, for
+//  offline development and integration tests (CHAIN=dev).
+//  DugToken, AgentRegistry and ClawDugGame are re-implemented in
+//  JS — same requires, entry-fee split, rewards, leaderboard
+//  insertion and epoch settlement — behind a JSON-RPC provider,
+//  so ethers Contracts, the keeper, relayer and indexer run
+//  against it unchanged.
+//
+//  - score signatures are checked with real ECDSA against the
+//    signer set: the API's score signers, or DEV_SIGNER_PK / a key
+//    generated on first start and kept with the chain state
+//  - transactions are mined as they arrive, into the current
+//    block; blocks are virtual, one per DEV_BLOCK_TIME_S of wall
+//    time, so heights and timestamps advance like a live chain
+//  - a reverted transaction is mined with status 0 and leaves no
+//    state behind; eth_call / eth_estimateGas reverts carry
+//    Error(string) data so ethers reports the contract's reason
+//  - contracts, transactions and logs persist in store.devchain
+//
+//  Not emulated: ETH balances and gas costs (every account can
+//  pay), a mempool (nonces must be exact). Nobody holds the owner
+//  key: owner-only functions are sent with asOwner(), and the
+//  faucet mints DUG outside the contract rules.
+// ============================================================
+
+import { ethers } from 'ethers';
+import { SCORE_AUTH_TYPES, scoreAuthDomain } from './clawdug-relayer.js';
+
+export const DEV_CHAIN_ID     = 31337;
+export const DEV_BLOCK_TIME_S = 2;
+
+const DOC_ID    = 'chain';
+const GAS_PRICE = 1_000_000_000n;           // 1 gwei, also the base fee
+const PRIORITY_FEE = 1_000_000n;
+const BLOCK_GAS_LIMIT = 30_000_000n;
+const EMPTY_BLOOM = '0x' + '00'.repeat(256);
+const HASH_CACHE  = 10000;                  // block hashes remembered for eth_getBlockByHash
+
+const devAddress = (label) => ethers.getAddress(ethers.dataSlice(ethers.id(`clawdug-dev:${label}`), 12));
+const DEPLOYER = devAddress('deployer');
+
+export const DEV_ADDRESSES = {
+  token:    ethers.getCreateAddress({ from: DEPLOYER, nonce: 0 }),
+  registry: ethers.getCreateAddress({ from: DEPLOYER, nonce: 1 }),
+  game:     ethers.getCreateAddress({ from: DEPLOYER, nonce: 2 }),
+  treasury: devAddress('treasury'),
+};
+
+// ---- ClawDug.sol constants ----
+const E18 = 10n ** 18n;
+const MAX_SUPPLY       = 100_000_000n * E18;
+const HUMAN_ENTRY_FEE  = 10n * E18;
+const AGENT_ENTRY_FEE  = 5n * E18;
+const PRIZE_POOL_BPS   = 7000n;
+const BURN_BPS         = 1000n;
+const TREASURY_BPS     = 2000n;
+const BPS_DENOM        = 10000n;
+const REWARD_PER_KILL  = 2n * E18;
+const REWARD_PER_ROUND = 10n * E18;
+const REWARD_MILESTONE = 50n * E18;
+const LB_SIZE          = 20;
+const SIGNATURE_TTL_S  = 300n;
+const DEFAULT_EPOCH_S  = 24 * 60 * 60;
+
+const ENTRY   = 'tuple(address player, uint256 score, uint256 round, uint256 kills, bool isAgent, uint256 timestamp, bytes32 sessionId)';
+const EPOCH   = 'tuple(uint256 id, uint256 startTime, uint256 endTime, uint256 prizePool, uint256 burnAmount, uint256 treasuryAmount, bool settled, address humanWinner, address agentWinner, uint256 humanTopScore, uint256 agentTopScore)';
+const PROFILE = 'tuple(bytes32 agentId, string name, address wallet, bool isAgent, uint256 gamesPlayed, uint256 totalScore, uint256 bestScore, uint256 registeredAt)';
+
+const TOKEN_IFACE = new ethers.Interface([
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function MAX_SUPPLY() view returns (uint256)',
+  'function gameContract() view returns (address)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+  'function burn(uint256 amount)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+]);
+
+const REGISTRY_IFACE = new ethers.Interface([
+  'function register(bytes32 agentId, string name, bool isAgent)',
+  `function getProfile(address wallet) view returns (${PROFILE})`,
+  'function agentCount() view returns (uint256)',
+  'function agentList(uint256 index) view returns (address)',
+  'function agentIdToWallet(bytes32 agentId) view returns (address)',
+  'event AgentRegistered(address indexed wallet, bytes32 indexed agentId, string name, bool isAgent)',
+  'event ProfileUpdated(address indexed wallet, uint256 gamesPlayed, uint256 totalScore)',
+]);
+
+const GAME_IFACE = new ethers.Interface([
+  'function submitScore(uint256 score, uint256 round, uint256 kills, bytes32 sessionId, uint256 signedAt, bytes signature)',
+  'function submitScoreFor(address player, uint256 score, uint256 round, uint256 kills, bytes32 sessionId, uint256 signedAt, bytes signature, uint256 deadline, bytes authorization)',
+  'function settleEpoch()',
+  `function getHumanLeaderboard() view returns (${ENTRY}[20])`,
+  `function getAgentLeaderboard() view returns (${ENTRY}[20])`,
+  `function getCurrentEpoch() view returns (${EPOCH})`,
+  `function getEpoch(uint256 epochId) view returns (${EPOCH})`,
+  'function timeUntilEpochEnd() view returns (uint256)',
+  'function usedSessions(bytes32 sessionId) view returns (bool)',
+  'function scoreSigner() view returns (address)',
+  'function scoreSigners(uint256 index) view returns (address)',
+  'function getScoreSigners() view returns (address[])',
+  'function isScoreSigner(address signer) view returns (bool)',
+  'function scoreSignerRetiresAt(address signer) view returns (uint256)',
+  'function signerThreshold() view returns (uint256)',
+  'function setScoreSigner(address signer)',
+  'function addScoreSigner(address signer)',
+  'function retireScoreSigner(address signer, uint256 retiresAt)',
+  'function setSignerThreshold(uint256 threshold)',
+  'function currentEpoch() view returns (uint256)',
+  'function epochDuration() view returns (uint256)',
+  'function humanEntryFee() view returns (uint256)',
+  'function agentEntryFee() view returns (uint256)',
+  'function treasury() view returns (address)',
+  'function treasuryBalance() view returns (uint256)',
+  'function dugToken() view returns (address)',
+  'function registry() view returns (address)',
+  'event ScoreSubmitted(address indexed player, uint256 score, uint256 round, uint256 kills, bool isAgent, uint256 epochId, bytes32 sessionId)',
+  'event LeaderboardUpdated(bool isAgent, uint8 rank, address player, uint256 score)',
+  'event EpochSettled(uint256 indexed epochId, address humanWinner, uint256 humanPrize, address agentWinner, uint256 agentPrize)',
+  'event RewardMinted(address indexed player, uint256 amount, string reason)',
+  'event EpochStarted(uint256 indexed epochId, uint256 startTime, uint256 endTime)',
+  'event ScoreSignerAdded(address indexed signer)',
+  'event ScoreSignerRetired(address indexed signer, uint256 retiresAt)',
+  'event SignerThresholdSet(uint256 threshold)',
+]);
+
+// Rough gas per call — estimates and receipts, never charged
+const GAS = {
+  register: 160000n, submitScore: 380000n, submitScoreFor: 410000n, settleEpoch: 260000n,
+  approve: 46000n, transfer: 52000n, transferFrom: 60000n, burn: 40000n,
+};
+
+class Revert extends Error {
+  constructor(reason) {
+    super(reason ?? 'reverted');
+    this.reason = reason ?? null;
+  }
+}
+const check = (condition, reason) => {
+  if (!condition) throw new Revert(reason);
+};
+
+// Error(string) revert data, as a node returns it
+function revertData(reason) {
+  if (reason == null) return '0x';
+  return ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])]);
+}
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// ---- State (de)serialization: bigints as { $n: "…" } ----
+const pack = (value) => JSON.parse(JSON.stringify(value, (k, v) => (typeof v === 'bigint' ? { $n: v.toString() } : v)));
+const unpack = (doc) => JSON.parse(JSON.stringify(doc), (k, v) =>
+  (v && typeof v === 'object' && typeof v.$n === 'string' && Object.keys(v).length === 1 ? BigInt(v.$n) : v));
+
+const q = (n) => ethers.toQuantity(n);
+const lower = (address) => address.toLowerCase();
+
+const emptyEntry = () => ({
+  player: ethers.ZeroAddress, score: 0n, round: 0n, kills: 0n, isAgent: false, timestamp: 0n, sessionId: ethers.ZeroHash,
+});
+const emptyProfile = () => ({
+  agentId: ethers.ZeroHash, name: '', wallet: ethers.ZeroAddress, isAgent: false,
+  gamesPlayed: 0n, totalScore: 0n, bestScore: 0n, registeredAt: 0n,
+});
+const emptyEpoch = () => ({
+  id: 0n, startTime: 0n, endTime: 0n, prizePool: 0n, burnAmount: 0n, treasuryAmount: 0n, settled: false,
+  humanWinner: ethers.ZeroAddress, agentWinner: ethers.ZeroAddress, humanTopScore: 0n, agentTopScore: 0n,
+});
+
+// ============================================================
+//  CONTRACTS
+//  Every function takes (s, ctx, ...args): s is the contract
+//  storage, ctx { sender, timestamp, emit }. Requires run before
+//  any write, like the Solidity they mirror.
+// ============================================================
+function createContracts(chainId) {
+  const game = lower(DEV_ADDRESSES.game);
+
+  // ---- DugToken ----
+  const balance = (s, who) => s.token.balances[lower(who)] ?? 0n;
+  const allowance = (s, owner, spender) => s.token.allowances[lower(owner)]?.[lower(spender)] ?? 0n;
+
+  function move(s, ctx, from, to, amount) {
+    check(balance(s, from) >= amount, 'ERC20InsufficientBalance');
+    s.token.balances[lower(from)] = balance(s, from) - amount;
+    s.token.balances[lower(to)] = balance(s, to) + amount;
+    ctx.emit(DEV_ADDRESSES.token, TOKEN_IFACE, 'Transfer', [from, to, amount]);
+  }
+
+  function approve(s, ctx, owner, spender, amount) {
+    (s.token.allowances[lower(owner)] ??= {})[lower(spender)] = amount;
+    ctx.emit(DEV_ADDRESSES.token, TOKEN_IFACE, 'Approval', [owner, spender, amount]);
+  }
+
+  function mint(s, ctx, to, amount) {
+    check(s.token.totalSupply + amount <= MAX_SUPPLY, 'DUG: max supply exceeded');
+    s.token.totalSupply += amount;
+    s.token.balances[lower(to)] = balance(s, to) + amount;
+    ctx.emit(DEV_ADDRESSES.token, TOKEN_IFACE, 'Transfer', [ethers.ZeroAddress, to, amount]);
+  }
+
+  function burn(s, ctx, from, amount) {
+    check(balance(s, from) >= amount, 'ERC20InsufficientBalance');
+    s.token.balances[lower(from)] = balance(s, from) - amount;
+    s.token.totalSupply -= amount;
+    ctx.emit(DEV_ADDRESSES.token, TOKEN_IFACE, 'Transfer', [from, ethers.ZeroAddress, amount]);
+  }
+
+  function spend(s, ctx, spender, from, to, amount) {
+    const allowed = allowance(s, from, spender);
+    check(allowed >= amount, 'ERC20InsufficientAllowance');
+    check(balance(s, from) >= amount, 'ERC20InsufficientBalance');
+    if (allowed !== ethers.MaxUint256) s.token.allowances[lower(from)][lower(spender)] = allowed - amount;
+    move(s, ctx, from, to, amount);
+  }
+
+  const token = {
+    name:         () => 'ClawDug Token',
+    symbol:       () => 'DUG',
+    decimals:     () => 18,
+    totalSupply:  (s) => s.token.totalSupply,
+    balanceOf:    (s, ctx, who) => balance(s, who),
+    allowance:    (s, ctx, owner, spender) => allowance(s, owner, spender),
+    MAX_SUPPLY:   () => MAX_SUPPLY,
+    gameContract: () => DEV_ADDRESSES.game,
+    approve(s, ctx, spender, amount) {
+      approve(s, ctx, ctx.sender, spender, amount);
+      return true;
+    },
+    transfer(s, ctx, to, amount) {
+      move(s, ctx, ctx.sender, to, amount);
+      return true;
+    },
+    transferFrom(s, ctx, from, to, amount) {
+      spend(s, ctx, ctx.sender, from, to, amount);
+      return true;
+    },
+    burn(s, ctx, amount) {
+      burn(s, ctx, ctx.sender, amount);
+    },
+  };
+
+  // ---- AgentRegistry ----
+  const profile = (s, who) => s.registry.profiles[lower(who)] ?? emptyProfile();
+
+  const registry = {
+    register(s, ctx, agentId, name, isAgent) {
+      check(profile(s, ctx.sender).registeredAt === 0n, 'Registry: already registered');
+      if (isAgent) {
+        check(!s.registry.agentIdToWallet[agentId], 'Registry: agentId taken');
+        s.registry.agentIdToWallet[agentId] = ctx.sender;
+      }
+      s.registry.profiles[ctx.sender] = {
+        agentId, name, wallet: ctx.sender, isAgent,
+        gamesPlayed: 0n, totalScore: 0n, bestScore: 0n, registeredAt: ctx.timestamp,
+      };
+      s.registry.agentList.push(ctx.sender);
+      ctx.emit(DEV_ADDRESSES.registry, REGISTRY_IFACE, 'AgentRegistered', [ctx.sender, agentId, name, isAgent]);
+    },
+    getProfile:      (s, ctx, who) => profile(s, who),
+    agentCount:      (s) => BigInt(s.registry.agentList.length),
+    agentList(s, ctx, index) {
+      check(index < BigInt(s.registry.agentList.length), null);
+      return s.registry.agentList[Number(index)];
+    },
+    agentIdToWallet: (s, ctx, agentId) => s.registry.agentIdToWallet[agentId] ?? ethers.ZeroAddress,
+  };
+
+  function recordGame(s, ctx, player, score) {
+    const p = { ...profile(s, player) };
+    p.gamesPlayed += 1n;
+    p.totalScore += score;
+    if (score > p.bestScore) p.bestScore = score;
+    s.registry.profiles[lower(player)] = p;
+    ctx.emit(DEV_ADDRESSES.registry, REGISTRY_IFACE, 'ProfileUpdated', [player, p.gamesPlayed, p.totalScore]);
+  }
+
+  // ---- ClawDugGame ----
+  function startNewEpoch(s, ctx) {
+    const g = s.game;
+    g.currentEpoch += 1n;
+    g.epochs[g.currentEpoch] = {
+      ...emptyEpoch(), id: g.currentEpoch, startTime: ctx.timestamp, endTime: ctx.timestamp + g.epochDuration,
+    };
+    ctx.emit(DEV_ADDRESSES.game, GAME_IFACE, 'EpochStarted', [g.currentEpoch, ctx.timestamp, ctx.timestamp + g.epochDuration]);
+  }
+
+  function updateLeaderboard(s, ctx, board, count, entry) {
+    const lb = s.game[board];
+    let insertAt = LB_SIZE;
+    const n = Math.min(count, LB_SIZE);
+    for (let i = 0; i < n; i++) {
+      if (entry.score > lb[i].score) { insertAt = i; break; }
+    }
+    if (insertAt === LB_SIZE && n < LB_SIZE) insertAt = n;
+    if (insertAt < LB_SIZE) {
+      for (let j = LB_SIZE - 1; j > insertAt; j--) lb[j] = lb[j - 1];
+      lb[insertAt] = entry;
+      ctx.emit(DEV_ADDRESSES.game, GAME_IFACE, 'LeaderboardUpdated', [entry.isAgent, insertAt, entry.player, entry.score]);
+    }
+  }
+
+  function mintGameplayRewards(s, ctx, player, kills, round) {
+    let total = kills * REWARD_PER_KILL + round * REWARD_PER_ROUND;
+    if (round >= 5n)  total += REWARD_MILESTONE;
+    if (round >= 10n) total += REWARD_MILESTONE * 2n;
+    if (round >= 20n) total += REWARD_MILESTONE * 5n;
+    if (total > 0n) {
+      mint(s, ctx, player, total);
+      ctx.emit(DEV_ADDRESSES.game, GAME_IFACE, 'RewardMinted', [player, total, 'gameplay']);
+    }
+  }
+
+  function submit(s, ctx, player, score, round, kills, sessionId, signedAt, signature) {
+    const g = s.game;
+    // 1. Replay protection
+    check(!g.usedSessions[lower(sessionId)], 'Game: session already used');
+    check(ctx.timestamp <= signedAt + SIGNATURE_TTL_S, 'Game: signature expired');
+
+    // 2. Verify server signatures: signerThreshold of them, ordered by signer address
+    const msgHash = ethers.solidityPackedKeccak256(
+      ['address', 'uint256', 'uint256', 'uint256', 'bytes32', 'uint256', 'uint256'],
+      [player, score, round, kills, sessionId, signedAt, chainId]
+    );
+    check(ethers.dataLength(signature) === Number(g.signerThreshold) * 65, 'Game: invalid signature');
+    let last = 0n;
+    for (let i = 0; i < Number(g.signerThreshold); i++) {
+      let recovered = null;
+      try {
+        recovered = lower(ethers.verifyMessage(ethers.getBytes(msgHash), ethers.dataSlice(signature, i * 65, (i + 1) * 65)));
+      } catch { /* malformed */ }
+      check(recovered && BigInt(recovered) > last && activeSigner(g, ctx, recovered), 'Game: invalid signature');
+      last = BigInt(recovered);
+    }
+
+    // 3. Mark session used
+    g.usedSessions[lower(sessionId)] = true;
+
+    // 4. Determine if agent
+    const isAgent = profile(s, player).isAgent;
+
+    // 5. Entry fee into the epoch's pools
+    const fee = isAgent ? g.agentEntryFee : g.humanEntryFee;
+    if (allowance(s, player, game) >= fee) {
+      spend(s, ctx, game, player, game, fee);
+      const epoch = g.epochs[g.currentEpoch];
+      epoch.prizePool      += (fee * PRIZE_POOL_BPS) / BPS_DENOM;
+      epoch.burnAmount     += (fee * BURN_BPS) / BPS_DENOM;
+      epoch.treasuryAmount += (fee * TREASURY_BPS) / BPS_DENOM;
+    }
+
+    // 6. Update registry
+    recordGame(s, ctx, player, score);
+
+    // 7. Mint gameplay rewards
+    mintGameplayRewards(s, ctx, player, kills, round);
+
+    // 8. Update leaderboard
+    const entry = { player: lower(player), score, round, kills, isAgent, timestamp: ctx.timestamp, sessionId };
+    const board = isAgent ? 'agent' : 'human';
+    updateLeaderboard(s, ctx, board, g[`${board}Count`], entry);
+    if (g[`${board}Count`] < LB_SIZE) g[`${board}Count`]++;
+
+    // 9. Update epoch top scores
+    const epoch = g.epochs[g.currentEpoch];
+    if (score > epoch[`${board}TopScore`]) {
+      epoch[`${board}TopScore`] = score;
+      epoch[`${board}Winner`] = lower(player);
+    }
+
+    ctx.emit(DEV_ADDRESSES.game, GAME_IFACE, 'ScoreSubmitted', [player, score, round, kills, isAgent, g.currentEpoch, sessionId]);
+  }
+
+  // ---- Score signer set ----
+  const onlyOwner = (ctx) => check(ctx.sender === lower(DEPLOYER), 'Ownable: caller is not the owner');
+
+  function activeSigner(g, ctx, signer) {
+    const retiresAt = g.signerRetiresAt[signer] ?? 0n;
+    return g.signers.includes(signer) && (retiresAt === 0n || ctx.timestamp < retiresAt);
+  }
+
+  function addSigner(g, ctx, signer) {
+    check(signer !== lower(ethers.ZeroAddress), 'Game: bad signer');
+    if (g.signers.includes(signer)) {
+      check((g.signerRetiresAt[signer] ?? 0n) !== 0n, 'Game: already a signer');
+      delete g.signerRetiresAt[signer];
+    } else {
+      g.signers.push(signer);
+    }
+    ctx.emit(DEV_ADDRESSES.game, GAME_IFACE, 'ScoreSignerAdded', [signer]);
+  }
+
+  function removeSigner(g, signer) {
+    const i = g.signers.indexOf(signer);
+    if (i !== -1) {
+      g.signers[i] = g.signers[g.signers.length - 1];
+      g.signers.pop();
+    }
+    delete g.signerRetiresAt[signer];
+  }
+
+  // Signers with no retirement scheduled
+  const lastingSigners = (g) => BigInt(g.signers.filter(a => !g.signerRetiresAt[a]).length);
+
+  // Drop signers whose retiresAt has passed
+  function pruneSigners(g, ctx) {
+    for (const signer of [...g.signers]) if (!activeSigner(g, ctx, signer)) removeSigner(g, signer);
+  }
+
+  const gameContract = {
+    submitScore(s, ctx, score, round, kills, sessionId, signedAt, signature) {
+      submit(s, ctx, ctx.sender, score, round, kills, sessionId, signedAt, signature);
+    },
+    submitScoreFor(s, ctx, player, score, round, kills, sessionId, signedAt, signature, deadline, authorization) {
+      check(ctx.timestamp <= deadline, 'Game: authorization expired');
+      let signer = null;
+      try {
+        signer = ethers.verifyTypedData(scoreAuthDomain(chainId, DEV_ADDRESSES.game), SCORE_AUTH_TYPES,
+          { player, score, round, kills, sessionId, deadline }, authorization);
+      } catch { /* malformed */ }
+      check(signer && lower(signer) === lower(player), 'Game: invalid authorization');
+      submit(s, ctx, player, score, round, kills, sessionId, signedAt, signature);
+    },
+    settleEpoch(s, ctx) {
+      const g = s.game;
+      const epoch = g.epochs[g.currentEpoch];
+      check(ctx.timestamp >= epoch.endTime, 'Game: epoch not ended');
+      check(!epoch.settled, 'Game: already settled');
+      epoch.settled = true;
+
+      // 50/50 between the human and agent winner; all of it if one side is empty
+      let humanPrize = 0n, agentPrize = 0n;
+      const human = epoch.humanWinner !== ethers.ZeroAddress, agent = epoch.agentWinner !== ethers.ZeroAddress;
+      if (epoch.prizePool > 0n) {
+        const half = epoch.prizePool / 2n;
+        if (human) {
+          humanPrize = half;
+          mint(s, ctx, epoch.humanWinner, humanPrize);
+        }
+        if (agent) {
+          agentPrize = half;
+          mint(s, ctx, epoch.agentWinner, agentPrize);
+        }
+        if (!human && agent) {
+          agentPrize = epoch.prizePool;
+          mint(s, ctx, epoch.agentWinner, half);
+        }
+        if (!agent && human) {
+          humanPrize = epoch.prizePool;
+          mint(s, ctx, epoch.humanWinner, half);
+        }
+      }
+      if (epoch.burnAmount > 0n) {
+        mint(s, ctx, DEV_ADDRESSES.game, epoch.burnAmount);
+        burn(s, ctx, DEV_ADDRESSES.game, epoch.burnAmount);
+      }
+      if (epoch.treasuryAmount > 0n) {
+        mint(s, ctx, DEV_ADDRESSES.treasury, epoch.treasuryAmount);
+        g.treasuryBalance += epoch.treasuryAmount;
+      }
+      ctx.emit(DEV_ADDRESSES.game, GAME_IFACE, 'EpochSettled',
+        [g.currentEpoch, epoch.humanWinner, humanPrize, epoch.agentWinner, agentPrize]);
+      startNewEpoch(s, ctx);
+    },
+    getHumanLeaderboard: (s) => s.game.human,
+    getAgentLeaderboard: (s) => s.game.agent,
+    getCurrentEpoch:     (s) => s.game.epochs[s.game.currentEpoch],
+    getEpoch:            (s, ctx, id) => s.game.epochs[id] ?? emptyEpoch(),
+    timeUntilEpochEnd(s, ctx) {
+      const end = s.game.epochs[s.game.currentEpoch].endTime;
+      return ctx.timestamp >= end ? 0n : end - ctx.timestamp;
+    },
+    usedSessions:    (s, ctx, id) => !!s.game.usedSessions[lower(id)],
+    scoreSigner:     (s) => s.game.signers[0] ?? ethers.ZeroAddress,
+    scoreSigners(s, ctx, i) {
+      check(i < BigInt(s.game.signers.length), null);
+      return s.game.signers[Number(i)];
+    },
+    getScoreSigners: (s) => s.game.signers,
+    isScoreSigner:   (s, ctx, signer) => s.game.signers.includes(lower(signer)),
+    scoreSignerRetiresAt: (s, ctx, signer) => s.game.signerRetiresAt[lower(signer)] ?? 0n,
+    signerThreshold: (s) => s.game.signerThreshold,
+    setScoreSigner(s, ctx, signer) {
+      onlyOwner(ctx);
+      const g = s.game;
+      while (g.signers.length) removeSigner(g, g.signers[g.signers.length - 1]);
+      g.signerThreshold = 1n;
+      ctx.emit(DEV_ADDRESSES.game, GAME_IFACE, 'SignerThresholdSet', [1n]);
+      addSigner(g, ctx, lower(signer));
+    },
+    addScoreSigner(s, ctx, signer) {
+      onlyOwner(ctx);
+      addSigner(s.game, ctx, lower(signer));
+    },
+    retireScoreSigner(s, ctx, signer, retiresAt) {
+      onlyOwner(ctx);
+      const g = s.game;
+      signer = lower(signer);
+      pruneSigners(g, ctx);
+      check(g.signers.includes(signer), 'Game: not a signer');
+      if (retiresAt <= ctx.timestamp) removeSigner(g, signer);
+      else g.signerRetiresAt[signer] = retiresAt;
+      check(lastingSigners(g) >= g.signerThreshold, 'Game: below threshold');
+      ctx.emit(DEV_ADDRESSES.game, GAME_IFACE, 'ScoreSignerRetired', [signer, retiresAt]);
+    },
+    setSignerThreshold(s, ctx, threshold) {
+      onlyOwner(ctx);
+      pruneSigners(s.game, ctx);
+      check(threshold > 0n && threshold <= lastingSigners(s.game), 'Game: bad threshold');
+      s.game.signerThreshold = threshold;
+      ctx.emit(DEV_ADDRESSES.game, GAME_IFACE, 'SignerThresholdSet', [threshold]);
+    },
+    currentEpoch:    (s) => s.game.currentEpoch,
+    epochDuration:   (s) => s.game.epochDuration,
+    humanEntryFee:   (s) => s.game.humanEntryFee,
+    agentEntryFee:   (s) => s.game.agentEntryFee,
+    treasury:        () => DEV_ADDRESSES.treasury,
+    treasuryBalance: (s) => s.game.treasuryBalance,
+    dugToken:        () => DEV_ADDRESSES.token,
+    registry:        () => DEV_ADDRESSES.registry,
+  };
+
+  // Constructor: storage for a fresh deployment, first epoch started
+  function deploy(ctx, signers, threshold, epochDuration) {
+    const s = {
+      token:    { totalSupply: 0n, balances: {}, allowances: {} },
+      registry: { profiles: {}, agentIdToWallet: {}, agentList: [] },
+      game: {
+        signers:       [],
+        signerRetiresAt: {},
+        signerThreshold: BigInt(threshold),
+        epochDuration: BigInt(epochDuration),
+        currentEpoch:  0n,
+        epochs:        {},
+        human:         Array.from({ length: LB_SIZE }, emptyEntry),
+        agent:         Array.from({ length: LB_SIZE }, emptyEntry),
+        humanCount:    0,
+        agentCount:    0,
+        usedSessions:  {},
+        treasuryBalance: 0n,
+        humanEntryFee: HUMAN_ENTRY_FEE,
+        agentEntryFee: AGENT_ENTRY_FEE,
+      },
+    };
+    for (const signer of signers) addSigner(s.game, ctx, lower(signer));
+    startNewEpoch(s, ctx);
+    return s;
+  }
+
+  return {
+    deploy, mint,
+    byAddress: {
+      [lower(DEV_ADDRESSES.token)]:    { iface: TOKEN_IFACE, fns: token },
+      [lower(DEV_ADDRESSES.registry)]: { iface: REGISTRY_IFACE, fns: registry },
+      [game]:                          { iface: GAME_IFACE, fns: gameContract },
+    },
+  };
+}
+
+// ============================================================
+//  PROVIDER  — an ethers JsonRpcProvider whose transport is the
+//  in-process chain instead of HTTP
+// ============================================================
+export class DevChainProvider extends ethers.JsonRpcProvider {
+  #rpc;
+
+  constructor(rpc, chainId) {
+    const network = new ethers.Network('clawdug-dev', chainId);
+    super(undefined, network, { staticNetwork: network, batchMaxCount: 1, pollingInterval: 1000 });
+    this.#rpc = rpc;
+  }
+
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return Promise.all(requests.map(r => this.#rpc(r)));
+  }
+}
+
+// ============================================================
+//  CHAIN
+// ============================================================
+// `signerKey` overrides the generated dev signer, `signers` /
+// `threshold` the whole signer set (the API's score signers);
+// `epochSeconds` sets ClawDugGame.epochDuration (from the next
+// epoch on an existing chain)
+export function createDevChain({
+  store, chainId = DEV_CHAIN_ID, signerKey = null, signers = null, threshold = 1, epochSeconds = DEFAULT_EPOCH_S,
+}) {
+  const contracts = createContracts(chainId);
+  const saved = store.devchain.get(DOC_ID);
+  let state = saved ? unpack(saved) : null;
+  const key = signerKey || state?.generatedKey || ethers.Wallet.createRandom().privateKey;
+  const signerAddresses = (signers ?? [new ethers.Wallet(key).address]).map(lower);
+  const hashes = new Map();     // block hash -> number
+  let pseudoTxs = 0;
+
+  const now = () => Math.floor(Date.now() / 1000);
+  const head = () => Math.floor((now() - state.genesis) / DEV_BLOCK_TIME_S);
+  const blockTime = (n) => state.genesis + n * DEV_BLOCK_TIME_S;
+
+  function blockHash(n) {
+    const hash = ethers.id(`clawdug-dev:${state.genesis}:${n}`);
+    hashes.set(hash, n);
+    if (hashes.size > HASH_CACHE) hashes.delete(hashes.keys().next().value);
+    return hash;
+  }
+
+  const save = () => store.devchain.put(DOC_ID, pack(state));
+
+  // Append a mined transaction (or the genesis / faucet pseudo ones) and its logs
+  function mine(tx, logs) {
+    const block = tx.block;
+    const txs = (state.blocks[block] ??= []);
+    tx.index = txs.length;
+    txs.push(tx.hash);
+    const first = state.logs.filter(l => l.block === block).length;
+    tx.logs = logs.map((log, i) => {
+      state.logs.push({ ...log, block, txHash: tx.hash, txIndex: tx.index, logIndex: first + i });
+      return first + i;
+    });
+    state.txs[tx.hash] = tx;
+  }
+
+  function context(sender, timestamp) {
+    const ctx = {
+      sender:    lower(sender),
+      timestamp: BigInt(timestamp),
+      logs:      [],
+      emit(address, iface, name, args) {
+        const { topics, data } = iface.encodeEventLog(name, args);
+        ctx.logs.push({ address: lower(address), topics, data });
+      },
+    };
+    return ctx;
+  }
+
+  if (!state) {
+    const genesis = now();
+    const ctx = context(DEPLOYER, genesis);
+    state = {
+      chainId, genesis,
+      generatedKey: signerKey ? null : key,
+      contracts:    contracts.deploy(ctx, signerAddresses, threshold, epochSeconds),
+      nonces:       {},
+      txs:          {},
+      blocks:       {},
+      logs:         [],
+    };
+    mine({ hash: ethers.id(`clawdug-dev:${genesis}:deploy`), from: lower(DEPLOYER), to: null, nonce: 0, block: 0, status: 1, gasUsed: 0n, raw: null }, ctx.logs);
+    save();
+    console.log(`[DevChain] New chain ${chainId} — game ${DEV_ADDRESSES.game}, score signers ${signerAddresses.join(', ')} (${threshold} needed)`);
+  } else {
+    const g = state.contracts.game;
+    if (g.scoreSigner !== undefined) {
+      // Chains saved before signer sets
+      Object.assign(g, { signers: [g.scoreSigner], signerRetiresAt: {}, signerThreshold: 1n });
+      delete g.scoreSigner;
+    }
+    // What the owner would do if the configured signers can't reach
+    // the threshold any more; a rotation sent through asOwner() stays
+    const usable = signerAddresses.filter(a => g.signers.includes(a) && !g.signerRetiresAt[a]).length;
+    if (usable < Math.max(Number(g.signerThreshold), threshold) || Number(g.signerThreshold) !== threshold) {
+      console.warn(`[DevChain] Score signers changed ${g.signers.join(', ')} → ${signerAddresses.join(', ')} (${threshold} needed)`);
+      Object.assign(g, { signers: signerAddresses, signerRetiresAt: {}, signerThreshold: BigInt(threshold) });
+    }
+    g.epochDuration = BigInt(epochSeconds);
+    save();
+  }
+
+  // Run a call against the contracts; state only changes on `commit` without a revert
+  function execute({ from, to, data }, { commit, timestamp }) {
+    const contract = to && contracts.byAddress[lower(to)];
+    if (!contract) return { result: '0x', logs: [], gas: 21000n };
+    let parsed = null;
+    try { parsed = contract.iface.parseTransaction({ data }); } catch { /* unknown selector */ }
+    if (!parsed) throw new Revert(null);
+
+    const view = parsed.fragment.constant;
+    const before = view || !commit ? null : structuredClone(state.contracts);
+    const s = view || commit ? state.contracts : structuredClone(state.contracts);
+    const ctx = context(from ?? ethers.ZeroAddress, timestamp);
+    try {
+      const out = contract.fns[parsed.name](s, ctx, ...parsed.args);
+      const result = contract.iface.encodeFunctionResult(parsed.fragment, out === undefined ? [] : [out]);
+      return { result, logs: ctx.logs, gas: GAS[parsed.name] ?? 100000n };
+    } catch (err) {
+      if (before) state.contracts = before;
+      throw err;
+    }
+  }
+
+  function sendRaw(raw) {
+    let tx;
+    try { tx = ethers.Transaction.from(raw); } catch { throw new RpcError(-32602, 'invalid raw transaction'); }
+    if (!tx.from) throw new RpcError(-32602, 'transaction is not signed');
+    if (tx.chainId && Number(tx.chainId) !== chainId) throw new RpcError(-32000, `invalid chain id (expected ${chainId})`);
+    if (!tx.to) throw new RpcError(-32000, 'contract deployment is not supported on the dev chain');
+    if (state.txs[tx.hash]) throw new RpcError(-32000, 'already known');
+    const from = lower(tx.from);
+    const nonce = state.nonces[from] ?? 0;
+    if (tx.nonce < nonce) throw new RpcError(-32000, `nonce too low: next nonce ${nonce}, tx nonce ${tx.nonce}`);
+    if (tx.nonce > nonce) throw new RpcError(-32000, `nonce too high: next nonce ${nonce}, tx nonce ${tx.nonce} (no mempool)`);
+
+    const block = head();
+    let status = 1, logs = [], gasUsed = 21000n, revert;
+    try {
+      ({ logs, gas: gasUsed } = execute({ from, to: tx.to, data: tx.data }, { commit: true, timestamp: blockTime(block) }));
+    } catch (err) {
+      if (!(err instanceof Revert)) throw err;
+      status = 0;
+      revert = err.reason;
+      gasUsed = tx.gasLimit;
+    }
+    state.nonces[from] = nonce + 1;
+    mine({ hash: tx.hash, from, to: lower(tx.to), nonce: tx.nonce, block, status, gasUsed, raw, ...(revert !== undefined ? { revert } : {}) }, logs);
+    save();
+    return tx.hash;
+  }
+
+  // ---- JSON-RPC formatting ----
+  function formatLog(l) {
+    return {
+      address: l.address, topics: l.topics, data: l.data,
+      blockNumber: q(l.block), blockHash: blockHash(l.block),
+      transactionHash: l.txHash, transactionIndex: q(l.txIndex), logIndex: q(l.logIndex), removed: false,
+    };
+  }
+
+  function formatTx(t) {
+    const base = {
+      hash: t.hash, blockHash: blockHash(t.block), blockNumber: q(t.block), transactionIndex: q(t.index),
+      from: t.from, to: t.to, nonce: q(t.nonce), value: '0x0', chainId: q(chainId),
+    };
+    if (!t.raw) {
+      return { ...base, gas: '0x0', gasPrice: '0x0', input: '0x', type: '0x0', v: '0x0', r: ethers.ZeroHash, s: ethers.ZeroHash };
+    }
+    const tx = ethers.Transaction.from(t.raw);
+    return {
+      ...base,
+      gas: q(tx.gasLimit), input: tx.data, value: q(tx.value), type: q(tx.type ?? 0),
+      gasPrice: q(tx.gasPrice ?? tx.maxFeePerGas ?? 0n),
+      ...(tx.type === 2 ? { maxFeePerGas: q(tx.maxFeePerGas), maxPriorityFeePerGas: q(tx.maxPriorityFeePerGas) } : {}),
+      accessList: tx.accessList ?? [],
+      v: q(tx.signature.v), r: tx.signature.r, s: tx.signature.s, yParity: q(tx.signature.yParity),
+    };
+  }
+
+  function formatReceipt(t) {
+    return {
+      transactionHash: t.hash, transactionIndex: q(t.index), blockHash: blockHash(t.block), blockNumber: q(t.block),
+      from: t.from, to: t.to, contractAddress: null,
+      cumulativeGasUsed: q(t.gasUsed), gasUsed: q(t.gasUsed), effectiveGasPrice: q(GAS_PRICE),
+      logs: t.logs.map(i => formatLog(state.logs.find(l => l.block === t.block && l.logIndex === i))),
+      logsBloom: EMPTY_BLOOM, status: q(t.status), type: t.raw ? q(ethers.Transaction.from(t.raw).type ?? 0) : '0x0',
+    };
+  }
+
+  function formatBlock(n, full) {
+    if (n < 0 || n > head()) return null;
+    const txs = (state.blocks[n] ?? []).map(h => state.txs[h]);
+    return {
+      number: q(n), hash: blockHash(n), parentHash: n ? blockHash(n - 1) : ethers.ZeroHash,
+      timestamp: q(blockTime(n)), nonce: '0x0000000000000000', difficulty: '0x0', mixHash: ethers.ZeroHash,
+      gasLimit: q(BLOCK_GAS_LIMIT), gasUsed: q(txs.reduce((sum, t) => sum + BigInt(t.gasUsed), 0n)),
+      miner: ethers.ZeroAddress, extraData: '0x', baseFeePerGas: q(GAS_PRICE),
+      stateRoot: ethers.ZeroHash, receiptsRoot: ethers.ZeroHash, transactionsRoot: ethers.ZeroHash,
+      sha3Uncles: ethers.ZeroHash, logsBloom: EMPTY_BLOOM, uncles: [], size: '0x0',
+      transactions: full ? txs.map(formatTx) : txs.map(t => t.hash),
+    };
+  }
+
+  function blockNumberOf(tag = 'latest') {
+    if (tag === 'earliest') return 0;
+    if (['latest', 'pending', 'safe', 'finalized'].includes(tag)) return head();
+    return Number(tag);
+  }
+
+  function matchTopics(log, topics = []) {
+    return topics.every((want, i) => want == null
+      || (Array.isArray(want) ? want.map(lower).includes(lower(log.topics[i] ?? '')) : lower(want) === lower(log.topics[i] ?? '')));
+  }
+
+  function getLogs(filter) {
+    let from, to;
+    if (filter.blockHash) {
+      from = to = hashes.get(filter.blockHash);
+      if (from === undefined) return [];
+    } else {
+      from = blockNumberOf(filter.fromBlock ?? 'latest');
+      to = blockNumberOf(filter.toBlock ?? 'latest');
+    }
+    const addresses = filter.address ? [].concat(filter.address).map(lower) : null;
+    return state.logs
+      .filter(l => l.block >= from && l.block <= to && (!addresses || addresses.includes(l.address)) && matchTopics(l, filter.topics))
+      .map(formatLog);
+  }
+
+  function revertError(err) {
+    const { reason } = err;
+    return new RpcError(3, reason ? `execution reverted: ${reason}` : 'execution reverted', revertData(reason));
+  }
+
+  const methods = {
+    web3_clientVersion: () => 'ClawDugDevChain/1.0',
+    net_version:        () => String(chainId),
+    eth_chainId:        () => q(chainId),
+    eth_blockNumber:    () => q(head()),
+    eth_accounts:       () => [],
+    eth_gasPrice:       () => q(GAS_PRICE),
+    eth_maxPriorityFeePerGas: () => q(PRIORITY_FEE),
+    eth_getBalance:     () => q(10_000n * E18),
+    eth_getCode:        ([address]) => (contracts.byAddress[lower(address)] ? '0x600160005260206000f3' : '0x'),
+    eth_getTransactionCount: ([address]) => q(state.nonces[lower(address)] ?? 0),
+    eth_getBlockByNumber: ([tag, full]) => formatBlock(blockNumberOf(tag), full),
+    eth_getBlockByHash:   ([hash, full]) => (hashes.has(hash) ? formatBlock(hashes.get(hash), full) : null),
+    eth_getTransactionByHash:  ([hash]) => (state.txs[hash] ? formatTx(state.txs[hash]) : null),
+    eth_getTransactionReceipt: ([hash]) => (state.txs[hash] ? formatReceipt(state.txs[hash]) : null),
+    eth_getLogs:          ([filter]) => getLogs(filter ?? {}),
+    eth_sendRawTransaction: ([raw]) => sendRaw(raw),
+    eth_call([tx, tag]) {
+      try {
+        return execute(tx, { commit: false, timestamp: blockTime(blockNumberOf(tag)) }).result;
+      } catch (err) {
+        if (err instanceof Revert) throw revertError(err);
+        throw err;
+      }
+    },
+    eth_estimateGas([tx]) {
+      try {
+        return q(execute(tx, { commit: false, timestamp: blockTime(head()) }).gas);
+      } catch (err) {
+        if (err instanceof Revert) throw revertError(err);
+        throw err;
+      }
+    },
+  };
+
+  // One JSON-RPC request → response object (never throws)
+  async function rpc({ id = null, method, params = [] }) {
+    const fn = methods[method];
+    if (!fn) return { jsonrpc: '2.0', id, error: { code: -32601, message: `method ${method} not supported by the dev chain` } };
+    try {
+      return { jsonrpc: '2.0', id, result: fn(params) };
+    } catch (err) {
+      if (err instanceof RpcError) return { jsonrpc: '2.0', id, error: { code: err.code, message: err.message, ...(err.data ? { data: err.data } : {}) } };
+      return { jsonrpc: '2.0', id, error: { code: -32603, message: err.message } };
+    }
+  }
+
+  // Dev-only DUG: minted straight into a wallet (outside the token's onlyGame rule)
+  function faucet(address, amount) {
+    const block = head();
+    const ctx = context(DEPLOYER, blockTime(block));
+    contracts.mint(state.contracts, ctx, address, amount);
+    const hash = ethers.id(`clawdug-dev:${state.genesis}:faucet:${Date.now()}:${pseudoTxs++}`);
+    mine({ hash, from: lower(DEPLOYER), to: lower(DEV_ADDRESSES.token), nonce: 0, block, status: 1, gasUsed: 0n, raw: null }, ctx.logs);
+    save();
+    return hash;
+  }
+
+  // An owner-only call (the dev chain's owner key isn't held by
+  // anyone): mined like a transaction, reverts throw with the reason
+  function asOwner(to, data) {
+    const block = head();
+    const { logs } = execute({ from: DEPLOYER, to, data }, { commit: true, timestamp: blockTime(block) });
+    const hash = ethers.id(`clawdug-dev:${state.genesis}:owner:${Date.now()}:${pseudoTxs++}`);
+    mine({ hash, from: lower(DEPLOYER), to: lower(to), nonce: 0, block, status: 1, gasUsed: 0n, raw: null }, logs);
+    save();
+    return hash;
+  }
+
+  function status() {
+    const epoch = state.contracts.game.epochs[state.contracts.game.currentEpoch];
+    return {
+      chainId,
+      block:        head(),
+      blockTimeS:   DEV_BLOCK_TIME_S,
+      addresses:    DEV_ADDRESSES,
+      scoreSigners: state.contracts.game.signers,
+      signerThreshold: Number(state.contracts.game.signerThreshold),
+      transactions: Object.keys(state.txs).length,
+      epoch:        { id: Number(epoch.id), endTime: Number(epoch.endTime), durationS: Number(state.contracts.game.epochDuration) },
+    };
+  }
+
+  return {
+    chainId,
+    addresses: DEV_ADDRESSES,
+    signerKey: key,
+    provider:  new DevChainProvider(rpc, chainId),
+    rpc,
+    faucet,
+    asOwner,
+    status,
+  };
+}
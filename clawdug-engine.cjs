@@ -0,0 +1,1716 @@
+// ============================================================
+//  CLAWDUG — Shared Game Engine (DOM-free)
+//
+//  The rules of the game: grid, player, pump, enemies, rocks,
+//  level generation and the round/lives state machine.
+//  Nothing in here touches the DOM or a canvas, so the same
+//  code runs in the browser (clawdug.html adds the renderer)
+//  and headless in the API server (GameSession).
+//
+//  Browser:  <script src="clawdug-engine.cjs"></script>
+//            → window.ClawDugEngine
+//  Node:     import engine from './clawdug-engine.cjs';
+// ============================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ClawDugEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// --- CONSTANTS ---
+const TILE = 32;
+const COLS = 15;
+const ROWS = 17;  // 1 header row + 16 play rows (dirt + surface)
+const W = COLS * TILE; // 480
+const H = ROWS * TILE; // 544 -> we use 560 canvas, bottom 16px is score bar
+
+// Ground starts at row 1 (row 0 is surface/sky)
+const SURFACE_ROW = 1;
+
+// Enemy types
+const ENEMY_POOKA = 'POOKA';
+const ENEMY_FYGAR = 'FYGAR';
+
+// Game states
+const STATE_TITLE   = 'title';
+const STATE_PLAYING = 'playing';
+const STATE_DYING   = 'dying';
+const STATE_ROUND_END = 'round_end';
+const STATE_GAMEOVER  = 'gameover';
+
+// Directions
+const DIR = { UP: 0, RIGHT: 1, DOWN: 2, LEFT: 3, NONE: -1 };
+const DX = [0, 1, 0, -1];
+const DY = [-1, 0, 1, 0];
+
+// Scoring
+const SCORE_PUMP_HIT   = 200;
+const SCORE_INFLATE_KO = 1000;
+const SCORE_ROCK_KILL  = 1500;
+const SCORE_LEVEL_BONUS = 500;
+
+// Agent action vocabulary (ClawDugState/1.0)
+const AGENT_ACTIONS = ['move_up','move_down','move_left','move_right','fire_pump','release_pump','noop'];
+
+// Neutral input — nothing pressed
+const NO_INPUT = Object.freeze({ up: false, down: false, left: false, right: false, pump: false });
+
+// Input frames are logged as 5-bit masks so a whole game can be
+// replayed from its seed (see InputLog / replayGame below).
+const INPUT_UP = 1, INPUT_DOWN = 2, INPUT_LEFT = 4, INPUT_RIGHT = 8, INPUT_PUMP = 16;
+
+// Replays longer than this are refused (60fps × 60 minutes); API
+// sessions end when their input log reaches it
+const MAX_REPLAY_FRAMES = 60 * 60 * 60;
+
+// Translate an agent action into an input frame. Moves last for the
+// frames they are applied to; the pump button latches until released,
+// because inflating an enemy means holding it down.
+function actionToInput(action, pumpHeld = false) {
+  return {
+    up:    action === 'move_up',
+    down:  action === 'move_down',
+    left:  action === 'move_left',
+    right: action === 'move_right',
+    pump:  action === 'fire_pump' ? true : action === 'release_pump' ? false : pumpHeld,
+  };
+}
+
+function encodeInput(input) {
+  return (input.up ? INPUT_UP : 0) | (input.down ? INPUT_DOWN : 0) |
+    (input.left ? INPUT_LEFT : 0) | (input.right ? INPUT_RIGHT : 0) |
+    (input.pump ? INPUT_PUMP : 0);
+}
+
+function decodeInput(mask) {
+  return {
+    up:    (mask & INPUT_UP) !== 0,
+    down:  (mask & INPUT_DOWN) !== 0,
+    left:  (mask & INPUT_LEFT) !== 0,
+    right: (mask & INPUT_RIGHT) !== 0,
+    pump:  (mask & INPUT_PUMP) !== 0,
+  };
+}
+
+// ============================================================
+// SEEDED RNG — mulberry32, so a seed + input log replays exactly
+// ============================================================
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// ============================================================
+// INPUT LOG — run-length encoded per-frame input: [[mask, count], ...]
+// ============================================================
+class InputLog {
+  constructor(runs = []) {
+    this.runs = runs.map(([mask, count]) => [mask, count]);
+    this.frames = this.runs.reduce((n, [, count]) => n + count, 0);
+  }
+  push(input) {
+    const mask = encodeInput(input);
+    const last = this.runs[this.runs.length - 1];
+    if (last && last[0] === mask) last[1]++;
+    else this.runs.push([mask, 1]);
+    this.frames++;
+  }
+  *[Symbol.iterator]() {
+    for (const [mask, count] of this.runs) {
+      const input = decodeInput(mask);
+      for (let i = 0; i < count; i++) yield input;
+    }
+  }
+  toJSON() { return this.runs; }
+
+  // Validate untrusted JSON (e.g. an uploaded log); returns an error string or null
+  static validate(runs, maxFrames = MAX_REPLAY_FRAMES) {
+    if (!Array.isArray(runs)) return 'input log must be an array of [mask, count] runs';
+    let frames = 0;
+    for (const run of runs) {
+      if (!Array.isArray(run) || run.length !== 2) return 'malformed input run';
+      const [mask, count] = run;
+      if (!Number.isInteger(mask) || mask < 0 || mask > 31) return 'invalid input mask';
+      if (!Number.isInteger(count) || count < 1) return 'invalid run length';
+      frames += count;
+      if (frames > maxFrames) return `input log exceeds ${maxFrames} frames`;
+    }
+    return null;
+  }
+}
+
+// ============================================================
+// GRID — tracks tunnels & dirt
+// ============================================================
+class Grid {
+  constructor() { this.reset(); }
+  reset() {
+    this.cells = [];
+    this.diggers = new Map();  // r * COLS + c -> Player who dug it (arena credit)
+    for (let r = 0; r < ROWS; r++) {
+      this.cells[r] = [];
+      for (let c = 0; c < COLS; c++) {
+        this.cells[r][c] = r < SURFACE_ROW ? 'sky' : 'dirt';
+      }
+    }
+  }
+  isDiggable(r, c) {
+    if (r < SURFACE_ROW || r >= ROWS || c < 0 || c >= COLS) return false;
+    return this.cells[r][c] === 'dirt';
+  }
+  isSolid(r, c) {
+    if (c < 0 || c >= COLS) return true;
+    if (r < 0) return false; // can walk on surface
+    if (r >= ROWS) return true;
+    return this.cells[r][c] === 'dirt';
+  }
+  dig(r, c, by = null) {
+    if (r >= SURFACE_ROW && r < ROWS && c >= 0 && c < COLS) {
+      this.cells[r][c] = 'tunnel';
+      if (by) this.diggers.set(r * COLS + c, by);
+    }
+  }
+  diggerAt(r, c) {
+    return this.diggers.get(r * COLS + c) ?? null;
+  }
+  isOpen(r, c) {
+    if (r < 0 || r >= ROWS || c < 0 || c >= COLS) return false;
+    return this.cells[r][c] !== 'dirt';
+  }
+}
+
+// ============================================================
+// PLAYER
+// ============================================================
+class Player {
+  constructor(grid, spawnC = 1) {
+    this.grid = grid;
+    this.spawnC = spawnC;
+    this.reset();
+  }
+  reset() {
+    this.x = this.spawnC * TILE;
+    this.y = SURFACE_ROW * TILE;
+    this.dir = DIR.RIGHT;
+    this.facingDir = DIR.RIGHT;
+    this.speed = 1.5;
+    this.alive = true;
+    this.pump = null; // active pump beam
+    this.pumpHeld = false;
+    this.pumpCooldown = 0;
+    this.invincible = 0;
+    this.animFrame = 0;
+    this.animTick = 0;
+    // Dig progress tracking for smooth animation
+    this.digProgress = 0;
+  }
+  get tileR() { return Math.round(this.y / TILE); }
+  get tileC() { return Math.round(this.x / TILE); }
+  get cx() { return this.x + TILE / 2; }
+  get cy() { return this.y + TILE / 2; }
+
+  update(input, enemies, rocks, game) {
+    if (!this.alive) return;
+    if (this.invincible > 0) this.invincible--;
+    if (this.pumpCooldown > 0) this.pumpCooldown--;
+
+    // Movement
+    let mx = 0, my = 0;
+    if (input.left)  { mx = -1; this.dir = DIR.LEFT;  this.facingDir = DIR.LEFT;  }
+    if (input.right) { mx =  1; this.dir = DIR.RIGHT; this.facingDir = DIR.RIGHT; }
+    if (input.up)    { my = -1; this.dir = DIR.UP;    this.facingDir = DIR.UP;    }
+    if (input.down)  { my =  1; this.dir = DIR.DOWN;  this.facingDir = DIR.DOWN;  }
+
+    // Normalize diagonal (Dig Dug is grid-locked, favor one axis)
+    if (mx !== 0 && my !== 0) { my = 0; }
+
+    // Move and dig
+    if (mx !== 0 || my !== 0) {
+      const nx = this.x + mx * this.speed;
+      const ny = this.y + my * this.speed;
+
+      // Snap to grid alignment on perpendicular axis for clean tunnel creation
+      const snapThreshold = this.speed + 1;
+      if (mx !== 0) {
+        // Moving horizontally — snap Y to tile center
+        const snapY = Math.round(this.y / TILE) * TILE;
+        if (Math.abs(this.y - snapY) < snapThreshold) this.y = snapY;
+        else { this.animTick++; return; } // wait for snap
+      }
+      if (my !== 0) {
+        // Moving vertically — snap X to tile center
+        const snapX = Math.round(this.x / TILE) * TILE;
+        if (Math.abs(this.x - snapX) < snapThreshold) this.x = snapX;
+        else { this.animTick++; return; }
+      }
+
+      // Bounds
+      const clampedX = Math.max(0, Math.min(W - TILE, nx));
+      const clampedY = Math.max(SURFACE_ROW * TILE - TILE / 2, Math.min(H - TILE, ny));
+
+      // Can we move into the target tile?
+      const targetR = Math.floor((clampedY + TILE / 2) / TILE);
+
+      // Moving into surface row is always ok; dig dirt tiles
+      if (my < 0 && targetR < SURFACE_ROW) {
+        // Emerge to surface
+        this.y = clampedY;
+      } else {
+        this.x = clampedX;
+        this.y = clampedY;
+        // Dig any dirt we pass through
+        const r = Math.floor((this.y + TILE / 2) / TILE);
+        const c = Math.floor((this.x + TILE / 2) / TILE);
+        if (r >= SURFACE_ROW) this.grid.dig(r, c, this);
+        // Also dig intermediate tiles for smooth movement
+        const prevR = Math.round((this.y - my * this.speed + TILE / 2) / TILE);
+        const prevC = Math.round((this.x - mx * this.speed + TILE / 2) / TILE);
+        if (prevR >= SURFACE_ROW) this.grid.dig(prevR, prevC, this);
+      }
+      this.animTick++;
+      if (this.animTick % 8 === 0) this.animFrame = (this.animFrame + 1) % 4;
+    }
+
+    // Pump
+    const pumpKey = input.pump;
+    if (pumpKey && !this.pumpHeld && this.pumpCooldown === 0 && !this.pump) {
+      this.pump = new Pump(this, this.facingDir, this.grid);
+      this.pumpHeld = true;
+    }
+    if (!pumpKey) { this.pumpHeld = false; }
+
+    if (this.pump) {
+      this.pump.update(enemies, input, game);
+      if (!pumpKey && this.pump.attached === null) {
+        this.pump = null;
+        this.pumpCooldown = 15;
+      }
+      if (this.pump && this.pump.done) {
+        this.pump = null;
+        this.pumpCooldown = 15;
+      }
+    }
+  }
+}
+
+// ============================================================
+// PUMP BEAM
+// ============================================================
+class Pump {
+  constructor(player, dir, grid) {
+    this.player = player;
+    this.dir = dir;
+    this.grid = grid;
+    this.length = 0;
+    this.maxLength = 5 * TILE;
+    this.attached = null; // enemy being inflated
+    this.pumpCount = 0;   // times pumped on this enemy
+    this.done = false;
+    this.retractTimer = 0;
+  }
+
+  get startX() {
+    const p = this.player;
+    if (this.dir === DIR.LEFT)  return p.cx - 12;
+    if (this.dir === DIR.RIGHT) return p.cx + 12;
+    return p.cx;
+  }
+  get startY() {
+    const p = this.player;
+    if (this.dir === DIR.UP)   return p.cy - 12;
+    if (this.dir === DIR.DOWN) return p.cy + 12;
+    return p.cy;
+  }
+
+  get tipX() { return this.startX + DX[this.dir] * this.length; }
+  get tipY() { return this.startY + DY[this.dir] * this.length; }
+
+  update(enemies, input, game) {
+    if (this.attached) {
+      // Pump inflates the enemy
+      if (input.pump) {
+        this.attached.inflate++;
+        if (this.attached.inflate >= this.attached.maxInflate) {
+          this.attached.die('pump');
+          game.addKill(this.attached, 'pump', this.player);
+          game.addScore(SCORE_INFLATE_KO * this.pumpCount, this.player);
+          this.attached = null;
+          this.done = true;
+        }
+      } else {
+        // Let go — enemy slowly deflates
+        this.attached.deflating = true;
+        this.attached = null;
+        this.done = true;
+      }
+      return;
+    }
+
+    if (this.length < this.maxLength) {
+      this.length += 8;
+      // Check for wall collision
+      const tipR = Math.floor(this.tipY / TILE);
+      const tipC = Math.floor(this.tipX / TILE);
+      if (this.grid.isSolid(tipR, tipC)) {
+        this.done = true;
+        return;
+      }
+    } else {
+      this.done = true;
+      return;
+    }
+
+    // Check enemy hit
+    for (const e of enemies) {
+      if (!e.alive) continue;
+      const ex = e.x + TILE / 2;
+      const ey = e.y + TILE / 2;
+      const dist = Math.sqrt((ex - this.tipX) ** 2 + (ey - this.tipY) ** 2);
+      if (dist < 18) {
+        this.attached = e;
+        e.pumped = true;
+        e.inflate = 0;
+        e.deflating = false;
+        this.pumpCount++;
+        game.addScore(SCORE_PUMP_HIT, this.player);
+        break;
+      }
+    }
+  }
+}
+
+// ============================================================
+// ENEMY BASE
+// ============================================================
+class Enemy {
+  // `difficulty` is the round's difficultyFor() entry (speed, ghostEvery, fireEvery)
+  constructor(grid, r, c, type, rng = Math.random, difficulty = difficultyFor(1, DIFFICULTY_CURVES.classic)) {
+    this.grid = grid;
+    this.rng = rng;
+    this.x = c * TILE;
+    this.y = r * TILE;
+    this.type = type;
+    this.alive = true;
+    this.speed = difficulty.speed + this.rng() * 0.4;
+    this.ghostEvery = difficulty.ghostEvery;
+    this.fireEvery = difficulty.fireEvery;
+    this.dir = DIR.LEFT;
+    this.ghost = false; // can move through dirt when ghosting
+    this.ghostTimer = 0;
+    this.inflate = 0;
+    this.maxInflate = 20;
+    this.pumped = false;
+    this.deflating = false;
+    this.deflateTimer = 0;
+    this.animFrame = 0;
+    this.animTick = 0;
+    this.thinkTimer = 0;
+    this.fireTimer = 0;
+  }
+  get tileR() { return Math.round(this.y / TILE); }
+  get tileC() { return Math.round(this.x / TILE); }
+  get cx() { return this.x + TILE / 2; }
+  get cy() { return this.y + TILE / 2; }
+
+  die(cause) {
+    this.alive = false;
+  }
+
+  update(player, enemies, game) {
+    if (!this.alive) return;
+
+    // Deflate
+    if (this.deflating) {
+      this.deflateTimer++;
+      this.inflate = Math.max(0, this.inflate - 0.3);
+      if (this.inflate <= 0) { this.deflating = false; this.pumped = false; }
+    }
+
+    // If pumped and not deflating, stay put
+    if (this.pumped && !this.deflating) return;
+
+    this.animTick++;
+    if (this.animTick % 12 === 0) this.animFrame = (this.animFrame + 1) % 2;
+
+    this.thinkTimer--;
+    if (this.thinkTimer <= 0) {
+      this.think(player);
+      this.thinkTimer = 30 + Math.floor(this.rng() * 30);
+    }
+
+    // Ghost mode: occasionally phase through walls
+    this.ghostTimer--;
+    if (this.ghostTimer <= 0) {
+      this.ghost = !this.ghost;
+      this.ghostTimer = this.ghost
+        ? 60 + Math.floor(this.rng() * 90)
+        : this.ghostEvery + Math.floor(this.rng() * this.ghostEvery);
+    }
+
+    this.move(player);
+  }
+
+  think(player) {
+    // Try to move toward player
+    const pr = player.tileR;
+    const pc = player.tileC;
+    const er = this.tileR;
+    const ec = this.tileC;
+
+    let best = this.dir;
+    let bestDist = Infinity;
+
+    const tryDirs = [DIR.UP, DIR.RIGHT, DIR.DOWN, DIR.LEFT];
+    for (const d of tryDirs) {
+      const nr = er + DY[d];
+      const nc = ec + DX[d];
+      if (!this.ghost && this.grid.isSolid(nr, nc)) continue;
+      if (nr < 0 || nr >= ROWS || nc < 0 || nc >= COLS) continue;
+      const dist = Math.abs(nr - pr) + Math.abs(nc - pc);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = d;
+      }
+    }
+    this.dir = best;
+  }
+
+  move(player) {
+    const nx = this.x + DX[this.dir] * this.speed;
+    const ny = this.y + DY[this.dir] * this.speed;
+    const nr = Math.floor((ny + TILE / 2) / TILE);
+    const nc = Math.floor((nx + TILE / 2) / TILE);
+
+    if (nr < 0 || nr >= ROWS || nc < 0 || nc >= COLS) {
+      this.dir = (this.dir + 2) % 4;
+      return;
+    }
+
+    if (this.ghost || !this.grid.isSolid(nr, nc)) {
+      this.x = Math.max(0, Math.min(W - TILE, nx));
+      this.y = Math.max(SURFACE_ROW * TILE, Math.min(H - TILE, ny));
+    } else {
+      // Try perpendicular
+      const alt = [1, 3].map(d => (this.dir + d) % 4);
+      let moved = false;
+      for (const d of alt) {
+        const ax = this.x + DX[d] * this.speed;
+        const ay = this.y + DY[d] * this.speed;
+        const ar = Math.floor((ay + TILE / 2) / TILE);
+        const ac = Math.floor((ax + TILE / 2) / TILE);
+        if (ar >= 0 && ar < ROWS && ac >= 0 && ac < COLS && !this.grid.isSolid(ar, ac)) {
+          this.x = Math.max(0, Math.min(W - TILE, ax));
+          this.y = Math.max(SURFACE_ROW * TILE, Math.min(H - TILE, ay));
+          this.dir = d;
+          moved = true;
+          break;
+        }
+      }
+      if (!moved) this.dir = (this.dir + 2) % 4;
+    }
+  }
+}
+
+class Pooka extends Enemy {
+  constructor(grid, r, c, rng, difficulty) {
+    super(grid, r, c, ENEMY_POOKA, rng, difficulty);
+    this.ghostTimer = 120;
+  }
+}
+
+class Fygar extends Enemy {
+  constructor(grid, r, c, rng, difficulty) {
+    super(grid, r, c, ENEMY_FYGAR, rng, difficulty);
+    this.fireTimer = Math.floor(this.fireEvery * 3 / 4) + Math.floor(this.rng() * this.fireEvery / 2);
+    this.flames = [];
+  }
+  update(player, enemies, game) {
+    super.update(player, enemies, game);
+    if (!this.alive) return;
+    this.fireTimer--;
+    if (this.fireTimer <= 0) {
+      this.fireTimer = this.fireEvery + Math.floor(this.rng() * this.fireEvery / 2);
+      // Breathe fire horizontally
+      if (!this.ghost && !this.pumped) {
+        this.flames.push({ x: this.cx, y: this.cy, dir: this.dir, len: 0, maxLen: TILE * 2 });
+      }
+    }
+    // Update flames
+    this.flames = this.flames.filter(f => f.len < f.maxLen);
+    for (const f of this.flames) {
+      f.len += 4;
+      // Check player hit
+      const tipX = f.x + DX[f.dir] * f.len;
+      const tipY = f.y + DY[f.dir] * f.len;
+      for (const p of game.livePlayers()) {
+        const dist = Math.sqrt((tipX - p.cx) ** 2 + (tipY - p.cy) ** 2);
+        if (dist < 16 && p.invincible === 0) game.killPlayer(p);
+      }
+    }
+  }
+}
+
+// ============================================================
+// ROCK
+// ============================================================
+class Rock {
+  constructor(grid, r, c) {
+    this.grid = grid;
+    this.r = r;
+    this.c = c;
+    this.x = c * TILE;
+    this.y = r * TILE;
+    this.falling = false;
+    this.fallSpeed = 0;
+    this.active = true;
+    this.shakeTimer = 0; // shake when player digs below
+    this.droppedBy = null; // whoever dug it loose (arena credit)
+  }
+  get cx() { return this.x + TILE / 2; }
+  get cy() { return this.y + TILE / 2; }
+
+  update(player, enemies, rocks, game) {
+    if (!this.active) return;
+
+    // Check if player is digging directly below
+    const belowR = Math.floor(this.y / TILE) + 1;
+    const belowC = Math.floor(this.x / TILE);
+    if (!this.falling && this.grid.isOpen(belowR, belowC)) {
+      this.shakeTimer++;
+      if (this.shakeTimer > 20) {
+        this.falling = true;
+        this.shakeTimer = 0;
+        this.droppedBy = this.grid.diggerAt(belowR, belowC);
+      }
+    } else if (!this.falling) {
+      this.shakeTimer = Math.max(0, this.shakeTimer - 1);
+    }
+
+    if (this.falling) {
+      this.fallSpeed = Math.min(this.fallSpeed + 0.4, 6);
+      this.y += this.fallSpeed;
+      const rocR = Math.floor((this.y + TILE) / TILE);
+      const rocC = Math.floor(this.x / TILE);
+
+      // Land on solid ground
+      if (this.grid.isSolid(rocR, rocC) || rocR >= ROWS) {
+        this.y = (rocR - 1) * TILE;
+        this.r = rocR - 1;
+        this.falling = false;
+        this.fallSpeed = 0;
+        // Crush enemies and player
+        this.crushCollisions(player, enemies, game);
+        return;
+      }
+
+      // Crush during fall
+      this.crushCollisions(player, enemies, game);
+    }
+  }
+
+  crushCollisions(player, enemies, game) {
+    // Check players
+    for (const p of game.livePlayers()) {
+      if (p.invincible !== 0) continue;
+      const dist = Math.sqrt((p.cx - this.cx) ** 2 + (p.cy - this.cy) ** 2);
+      if (dist < TILE * 0.75) {
+        game.killPlayer(p);
+      }
+    }
+    // Check enemies
+    for (const e of enemies) {
+      if (!e.alive) continue;
+      const dist = Math.sqrt((e.cx - this.cx) ** 2 + (e.cy - this.cy) ** 2);
+      if (dist < TILE * 0.8) {
+        e.die('rock');
+        game.addKill(e, 'rock', this.droppedBy);
+        game.addScore(SCORE_ROCK_KILL, this.droppedBy);
+      }
+    }
+  }
+}
+
+// ============================================================
+// LEVELS
+//  Each round's layout comes from the game's level set:
+//    'procedural' — seeded random dungeon every round (default):
+//                   enemy pockets away from the spawn, loose rocks
+//    'classic'    — the original fixed map (CLASSIC_LEVEL)
+//    hand-made    — one ClawDugLevel/1.0 map or an array of them,
+//                   cycled by round (see parseLevel)
+//  Enemy counts, speed, ghosting and Fygar fire rate follow a
+//  per-round difficulty curve; a map's `curve` overrides entries.
+//  Layouts only draw from the game RNG, so a seed still fixes
+//  every round of a run.
+// ============================================================
+const LEVEL_FORMAT = 'ClawDugLevel/1.0';
+const LEVEL_SETS   = ['procedural', 'classic'];
+const MAP_ROWS     = ROWS - SURFACE_ROW;   // a map covers the dirt rows only
+
+// Curve entries are a constant or { base, perRound, min, max }:
+// clamp(base + perRound × round). Counts round down, speed to
+// 0.01 and frame timers to the nearest frame.
+//   speed      — slowest enemy speed (px/frame, plus up to 0.4)
+//   ghostEvery — frames solid between ghost phases (up to twice that)
+//   fireEvery  — frames between Fygar breaths (up to 1.5× that)
+const DIFFICULTY_CURVES = {
+  classic: {
+    pookas:     { base: 2, perRound: 1, max: 6 },
+    fygars:     { base: 1, perRound: 0.5, max: 4 },
+    rocks:      15,
+    speed:      0.6,
+    ghostEvery: 180,
+    fireEvery:  120,
+  },
+  procedural: {
+    pookas:     { base: 2, perRound: 1, max: 6 },
+    fygars:     { base: 0.5, perRound: 0.5, max: 4 },
+    rocks:      { base: 4, perRound: 0.5, max: 9 },
+    speed:      { base: 0.5, perRound: 0.05, max: 1 },
+    ghostEvery: { base: 240, perRound: -15, min: 90 },
+    fireEvery:  { base: 150, perRound: -10, min: 60 },
+  },
+};
+const CURVE_COUNTS = ['pookas', 'fygars', 'rocks'];
+
+function difficultyFor(round, curve) {
+  const out = {};
+  for (const [key, entry] of Object.entries(curve)) {
+    let v = typeof entry === 'number' ? entry : entry.base + (entry.perRound || 0) * round;
+    if (entry.min !== undefined) v = Math.max(entry.min, v);
+    if (entry.max !== undefined) v = Math.min(entry.max, v);
+    out[key] = key === 'speed' ? Math.round(v * 100) / 100 : CURVE_COUNTS.includes(key) ? Math.floor(v) : Math.round(v);
+  }
+  return out;
+}
+
+// The original map: pre-dug rows, 15 rocks and 10 enemy slots
+// (filled with the curve's Pookas, then Fygars)
+const CLASSIC_LEVEL = {
+  format: LEVEL_FORMAT,
+  name: 'classic',
+  map: [
+    '###############',
+    '..............#',
+    '#####R####R####',
+    '......###.....#',
+    '###R###R####R##',
+    '###############',
+    '##R#####R####R#',
+    '..............#',
+    '####R#####R####',
+    '###############',
+    '######R####R###',
+    '..............#',
+    '###R#####R#####',
+    '#############R#',
+    '###############',
+    '###############',
+  ],
+  spawns: [
+    [4, 12], [6, 10], [8, 8], [10, 11], [12, 7],
+    [5, 2],  [7, 5],  [9, 13], [11, 3], [13, 10],
+  ],
+  enemies: [],
+  curve: DIFFICULTY_CURVES.classic,
+};
+
+// ClawDugLevel/1.0 — a hand-made map:
+//   { format, name, map, spawns, enemies, curve }
+//   map     — MAP_ROWS strings of COLS characters, top dirt row
+//             first: '#' dirt, '.' tunnel, 'R' rock
+//   spawns  — [[r, c], ...] enemy slots (grid rows), filled in
+//             order with the curve's Pookas, then Fygars
+//   enemies — [{ type: 'pooka' | 'fygar', r, c }] placed every round
+//   curve   — difficulty overrides on the procedural curve
+// Returns the normalized map; throws if it is malformed or fails
+// validateLevel().
+function parseLevel(json) {
+  const level = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!level || typeof level !== 'object') throw new Error('level must be an object');
+  if (level.format !== undefined && level.format !== LEVEL_FORMAT) {
+    throw new Error(`unsupported level format "${level.format}"`);
+  }
+  const map = level.map;
+  if (!Array.isArray(map) || map.length !== MAP_ROWS ||
+      !map.every(row => typeof row === 'string' && row.length === COLS && /^[#.R]+$/.test(row))) {
+    throw new Error(`map must be ${MAP_ROWS} rows of ${COLS} characters from "#.R"`);
+  }
+  const cell = (p) => Array.isArray(p) && p.length === 2 && p.every(Number.isInteger);
+  const spawns = level.spawns ?? [];
+  if (!Array.isArray(spawns) || !spawns.every(cell)) throw new Error('spawns must be [[r, c], ...]');
+  const enemies = level.enemies ?? [];
+  if (!Array.isArray(enemies) || !enemies.every(e =>
+    e && (e.type === 'pooka' || e.type === 'fygar') && Number.isInteger(e.r) && Number.isInteger(e.c))) {
+    throw new Error('enemies must be [{ type: "pooka" | "fygar", r, c }, ...]');
+  }
+  const curve = level.curve ?? {};
+  for (const [key, entry] of Object.entries(curve)) {
+    if (!(key in DIFFICULTY_CURVES.procedural)) throw new Error(`unknown curve entry "${key}"`);
+    if (typeof entry !== 'number' && !(entry && typeof entry.base === 'number')) {
+      throw new Error(`curve.${key} must be a number or { base, perRound, min, max }`);
+    }
+  }
+  const parsed = {
+    format: LEVEL_FORMAT,
+    name: String(level.name ?? 'custom').slice(0, 64),
+    map: [...map],
+    spawns: spawns.map(([r, c]) => [r, c]),
+    enemies: enemies.map(({ type, r, c }) => ({ type, r, c })),
+    curve,
+  };
+  const error = validateLevel(parsed);
+  if (error) throw new Error(error);
+  return parsed;
+}
+
+// Check a map is playable from the given spawn columns: enemies sit
+// on open ground in the dirt, none is walled off by rocks, and no
+// rock hangs in a spawn column. Returns an error string or null.
+function validateLevel(level, spawnCols = [1]) {
+  const at = (r, c) => level.map[r - SURFACE_ROW]?.[c];
+  const slots = [...level.spawns, ...level.enemies.map(e => [e.r, e.c])];
+  if (slots.length === 0) return 'level has no enemies or spawn slots';
+
+  for (const c of spawnCols) {
+    for (let r = SURFACE_ROW; r < ROWS; r++) {
+      if (at(r, c) === 'R') return `rock at (${r}, ${c}) is above a player spawn`;
+    }
+  }
+
+  // Flood fill from the spawns — the player can dig anything but rock
+  const reached = new Set();
+  const queue = spawnCols.map(c => [SURFACE_ROW, c]);
+  while (queue.length) {
+    const [r, c] = queue.pop();
+    const key = r * COLS + c;
+    if (reached.has(key) || at(r, c) === undefined || at(r, c) === 'R') continue;
+    reached.add(key);
+    for (let d = 0; d < 4; d++) queue.push([r + DY[d], c + DX[d]]);
+  }
+
+  const taken = new Set();
+  for (const [r, c] of slots) {
+    if (at(r, c) === undefined) return `enemy at (${r}, ${c}) is outside the dirt`;
+    if (at(r, c) === 'R') return `enemy at (${r}, ${c}) is inside a rock`;
+    if (taken.has(r * COLS + c)) return `two enemies at (${r}, ${c})`;
+    if (!reached.has(r * COLS + c)) return `enemy at (${r}, ${c}) can't be reached from the spawn`;
+    taken.add(r * COLS + c);
+  }
+  return null;
+}
+
+// 'procedural' | 'classic' | map | [maps] → the game's level set
+// (maps are parsed, so a bad one throws here rather than mid-game)
+function resolveLevels(levels = 'procedural') {
+  if (LEVEL_SETS.includes(levels)) return levels;
+  if (typeof levels === 'string') throw new Error(`unknown level set "${levels}". Valid: ${LEVEL_SETS.join(', ')} or level JSON`);
+  const maps = Array.isArray(levels) ? levels : [levels];
+  if (maps.length === 0) throw new Error('level set is empty');
+  return maps.map(parseLevel);
+}
+
+// One seeded random map: a pocket of tunnel per enemy, kept well
+// away from the spawns, and rocks resting on solid dirt
+function proceduralLevel(rng, difficulty, spawnCols) {
+  const rows = Array.from({ length: MAP_ROWS }, () => Array(COLS).fill('#'));
+  const open = (r, c) => rows[r - SURFACE_ROW]?.[c] === '.';
+  const randInt = (lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+  const farFromSpawn = (r, c) => spawnCols.every(sc => Math.abs(r - SURFACE_ROW) + Math.abs(c - sc) >= 6);
+
+  const spawns = [];
+  const enemyCount = difficulty.pookas + difficulty.fygars;
+  for (let tries = 0; spawns.length < enemyCount && tries < 200; tries++) {
+    const r = randInt(SURFACE_ROW + 3, ROWS - 2);
+    const c = randInt(1, COLS - 2);
+    if (!farFromSpawn(r, c)) continue;
+    const len = randInt(3, 5);
+    const vertical = rng() < 0.3;
+    const start = randInt(-(len - 1), 0);
+    const cells = [];
+    for (let i = start; i < start + len; i++) {
+      const cr = vertical ? r + i : r, cc = vertical ? c : c + i;
+      if (cr >= SURFACE_ROW + 2 && cr < ROWS && cc >= 0 && cc < COLS) cells.push([cr, cc]);
+    }
+    // Pockets don't touch, so every enemy starts in its own tunnel
+    const crowded = cells.some(([cr, cc]) =>
+      [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]].some(([dr, dc]) => open(cr + dr, cc + dc)));
+    if (crowded) continue;
+    for (const [cr, cc] of cells) rows[cr - SURFACE_ROW][cc] = '.';
+    spawns.push([r, c]);
+  }
+
+  let rocks = 0;
+  for (let tries = 0; rocks < difficulty.rocks && tries < 200; tries++) {
+    const r = randInt(SURFACE_ROW + 2, ROWS - 3);
+    const c = randInt(0, COLS - 1);
+    if (spawnCols.includes(c) || open(r, c) || open(r + 1, c) || rows[r - SURFACE_ROW][c] === 'R') continue;
+    rows[r - SURFACE_ROW][c] = 'R';
+    rocks++;
+  }
+
+  return { format: LEVEL_FORMAT, name: 'procedural', map: rows.map(row => row.join('')), spawns, enemies: [], curve: {} };
+}
+
+// Lay out `round` on `grid` from the level set; `spawnCols` are the
+// columns players start in (one per arena seat)
+function generateLevel(round, grid, rng = Math.random, levels = 'procedural', spawnCols = [1], modifiers = []) {
+  grid.reset();
+  let level, curve;
+  if (levels === 'procedural') {
+    curve = DIFFICULTY_CURVES.procedural;
+    const difficulty = modifyDifficulty(difficultyFor(round, curve), modifiers);
+    for (let attempt = 0; attempt < 10 && !level; attempt++) {
+      const candidate = proceduralLevel(rng, difficulty, spawnCols);
+      if (!validateLevel(candidate, spawnCols)) level = candidate;
+    }
+    // Rocks are all that can wall an enemy in — drop them
+    level = level ?? proceduralLevel(rng, { ...difficulty, rocks: 0 }, spawnCols);
+  } else {
+    const maps = levels === 'classic' ? [CLASSIC_LEVEL] : levels;
+    level = maps[(round - 1) % maps.length];
+    curve = { ...DIFFICULTY_CURVES.procedural, ...level.curve };
+  }
+  const difficulty = modifyDifficulty(difficultyFor(round, curve), modifiers);
+
+  const rocks = [];
+  level.map.forEach((row, i) => {
+    const r = SURFACE_ROW + i;
+    for (let c = 0; c < COLS; c++) {
+      if (row[c] === '.') grid.dig(r, c);
+      if (row[c] === 'R' && !modifiers.includes('no_rocks')) rocks.push(new Rock(grid, r, c));
+    }
+  });
+
+  // Spawn slots take the curve's Pookas, then Fygars
+  const enemies = [];
+  let si = 0;
+  for (let i = 0; i < difficulty.pookas && si < level.spawns.length; i++, si++) {
+    const [r, c] = level.spawns[si];
+    enemies.push(new Pooka(grid, r, c, rng, difficulty));
+  }
+  for (let i = 0; i < difficulty.fygars && si < level.spawns.length; i++, si++) {
+    const [r, c] = level.spawns[si];
+    enemies.push(new Fygar(grid, r, c, rng, difficulty));
+  }
+  for (const { type, r, c } of level.enemies) {
+    const fygar = modifiers.includes('fygar_only') || (type === 'fygar' && !modifiers.includes('pooka_only'));
+    enemies.push(new (fygar ? Fygar : Pooka)(grid, r, c, rng, difficulty));
+  }
+
+  return { enemies, rocks, level: level.name, difficulty };
+}
+
+// ============================================================
+// MODIFIERS — rule variants on top of any level set (daily
+// challenges, training)
+//   fygar_only   — every enemy is a Fygar
+//   pooka_only   — every enemy is a Pooka
+//   no_rocks     — maps are laid out without rocks
+//   one_life     — one life instead of three
+//   fast_enemies — enemies start FAST_ENEMY_SPEED× as fast
+//  A run's modifiers are part of its replay: the same seed with
+//  other modifiers is another game.
+// ============================================================
+const MODIFIERS = ['fygar_only', 'pooka_only', 'no_rocks', 'one_life', 'fast_enemies'];
+const FAST_ENEMY_SPEED = 1.5;
+
+// → the modifiers in canonical order; throws on unknown or clashing ones
+function parseModifiers(modifiers = []) {
+  if (!Array.isArray(modifiers)) throw new Error('modifiers must be an array');
+  for (const m of modifiers) {
+    if (!MODIFIERS.includes(m)) throw new Error(`unknown modifier "${m}". Valid: ${MODIFIERS.join(', ')}`);
+  }
+  if (modifiers.includes('fygar_only') && modifiers.includes('pooka_only')) {
+    throw new Error('fygar_only and pooka_only exclude each other');
+  }
+  return MODIFIERS.filter(m => modifiers.includes(m));
+}
+
+function modifyDifficulty(difficulty, modifiers) {
+  const out = { ...difficulty };
+  const enemies = out.pookas + out.fygars;
+  if (modifiers.includes('fygar_only')) Object.assign(out, { pookas: 0, fygars: enemies });
+  if (modifiers.includes('pooka_only')) Object.assign(out, { pookas: enemies, fygars: 0 });
+  if (modifiers.includes('no_rocks')) out.rocks = 0;
+  if (modifiers.includes('fast_enemies')) out.speed = Math.round(out.speed * FAST_ENEMY_SPEED * 100) / 100;
+  return out;
+}
+
+// ============================================================
+// GAME CORE — rules & state machine, no rendering
+//  Lifecycle hooks (addScore, addKill, killPlayer, startRound,
+//  gameOver) are methods so the browser can extend them, and
+//  each one emits an event for headless listeners:
+//    start, round_start, score, kill, death, round_clear, gameover
+//
+//  All randomness comes from a seeded RNG and every input frame
+//  after startGame() is logged, so replayGame(seed, inputLog)
+//  reproduces a run exactly.
+// ============================================================
+class GameCore {
+  constructor(options = {}) {
+    this.seed = options.seed ?? null;   // fixed seed for every run, or null for a fresh one each game
+    this.levels = resolveLevels(options.levels);  // level set — see LEVELS
+    this.modifiers = parseModifiers(options.modifiers);  // rule variants — see MODIFIERS
+    this.level = null;                  // name of the current round's map
+    this.runSeed = null;                // seed of the run in progress
+    this.firstRound = 1;                // round the run started on
+    this.rng = createRng(0);
+    this.inputLog = new InputLog();
+    this.state = STATE_TITLE;
+    this.grid = new Grid();
+    this.player = new Player(this.grid);
+    this.enemies = [];
+    this.rocks = [];
+    this.score = 0;
+    this.kills = 0;
+    this.lives = 3;
+    this.round = 1;
+    this.roundEndTimer = 0;
+    this.deathTimer = 0;
+    this.frameCount = 0;
+    this.lastScoreAdded = 0;
+    this.listeners = {};
+  }
+
+  on(type, fn) {
+    (this.listeners[type] = this.listeners[type] || []).push(fn);
+    return this;
+  }
+
+  emit(type, data) {
+    for (const fn of this.listeners[type] || []) fn(data);
+  }
+
+  startGame(seed = this.seed, startRound = 1) {
+    this.runSeed = seed ?? randomSeed();
+    this.firstRound = startRound;
+    this.rng = createRng(this.runSeed);
+    this.inputLog = new InputLog();
+    this.frameCount = 0;
+    this.score = 0;
+    this.kills = 0;
+    this.lives = this.modifiers.includes('one_life') ? 1 : 3;
+    this.round = startRound;
+    this.startRound();
+    this.state = STATE_PLAYING;
+    this.emit('start', { seed: this.runSeed, frame: this.frameCount });
+  }
+
+  startRound() {
+    this.grid = new Grid();
+    const { enemies, rocks, level } = generateLevel(this.round, this.grid, this.rng, this.levels, [1], this.modifiers);
+    this.player = new Player(this.grid);
+    this.enemies = enemies;
+    this.rocks = rocks;
+    this.level = level;
+    this.roundEndTimer = 0;
+    this.deathTimer = 0;
+    this.emit('round_start', { round: this.round, frame: this.frameCount });
+  }
+
+  addScore(pts) {
+    this.score += pts;
+    this.lastScoreAdded = pts;
+    this.emit('score', { points: pts, score: this.score, frame: this.frameCount });
+  }
+
+  addKill(enemy, cause) {
+    this.kills++;
+    this.emit('kill', { type: enemy.type, cause, kills: this.kills, frame: this.frameCount });
+  }
+
+  // Players enemies and rocks can hit (the arena has several)
+  livePlayers() {
+    return this.player.alive ? [this.player] : [];
+  }
+
+  killPlayer() {
+    if (this.player.invincible > 0) return;
+    this.lives--;
+    this.player.alive = false;
+    this.state = STATE_DYING;
+    this.deathTimer = 120;
+    this.emit('death', { lives: this.lives, frame: this.frameCount });
+  }
+
+  gameOver() {
+    this.state = STATE_GAMEOVER;
+    this.emit('gameover', { score: this.score, kills: this.kills, round: this.round, frame: this.frameCount });
+  }
+
+  checkCollisions() {
+    if (!this.player.alive || this.player.invincible > 0) return;
+    for (const e of this.enemies) {
+      if (!e.alive) continue;
+      const dist = Math.sqrt((e.cx - this.player.cx) ** 2 + (e.cy - this.player.cy) ** 2);
+      if (dist < 20) {
+        this.killPlayer();
+        return;
+      }
+    }
+  }
+
+  checkRoundEnd() {
+    const allDead = this.enemies.every(e => !e.alive);
+    if (allDead && this.enemies.length > 0) {
+      this.state = STATE_ROUND_END;
+      this.addScore(SCORE_LEVEL_BONUS * this.round);
+      this.roundEndTimer = 120;
+      this.emit('round_clear', { round: this.round, frame: this.frameCount });
+    }
+  }
+
+  // Advance one frame (1/60s) with the given input
+  update(input = NO_INPUT) {
+    this.frameCount++;
+
+    if (this.state === STATE_TITLE || this.state === STATE_GAMEOVER) return;
+    this.inputLog.push(input);
+
+    if (this.state === STATE_DYING) {
+      this.deathTimer--;
+      if (this.deathTimer <= 0) {
+        if (this.lives <= 0) {
+          this.gameOver();
+        } else {
+          // Respawn
+          this.player = new Player(this.grid);
+          this.player.invincible = 180;
+          this.state = STATE_PLAYING;
+        }
+      }
+      return;
+    }
+
+    if (this.state === STATE_ROUND_END) {
+      this.roundEndTimer--;
+      if (this.roundEndTimer <= 0) {
+        this.round++;
+        this.startRound();
+        this.state = STATE_PLAYING;
+      }
+      return;
+    }
+
+    // Playing
+    this.player.update(input, this.enemies, this.rocks, this);
+
+    for (const e of this.enemies) {
+      e.update(this.player, this.enemies, this);
+    }
+
+    for (const r of this.rocks) {
+      r.update(this.player, this.enemies, this.rocks, this);
+    }
+
+    this.checkCollisions();
+    this.checkRoundEnd();
+
+    // Speed increase over rounds
+    if (this.frameCount % 1200 === 0) {
+      for (const e of this.enemies) {
+        e.speed = Math.min(e.speed + 0.1, 2.0);
+      }
+    }
+  }
+
+  // ClawDugState/1.0 snapshot for agents
+  getAgentState() {
+    return {
+      frame: this.frameCount,
+      phase: this.state,
+      score: this.score,
+      kills: this.kills,
+      lives: this.lives,
+      round: this.round,
+      level: this.level,
+      modifiers: this.modifiers,
+      player: playerView(this.player),
+      enemies: this.enemies.map(enemyView),
+      rocks: this.rocks.map(rockView),
+      grid: gridView(this.grid),
+      actions: AGENT_ACTIONS
+    };
+  }
+}
+
+// ---- ClawDugState entity views (shared by GameCore and ArenaCore) ----
+function playerView(p) {
+  return {
+    x: p.x, y: p.y,
+    tileR: p.tileR, tileC: p.tileC,
+    dir: p.facingDir,
+    alive: p.alive,
+    invincible: p.invincible > 0,
+    hasPump: !!p.pump
+  };
+}
+
+function enemyView(e) {
+  return {
+    type: e.type, x: e.x, y: e.y,
+    tileR: e.tileR, tileC: e.tileC,
+    alive: e.alive, ghost: e.ghost,
+    pumped: e.pumped, inflate: e.inflate,
+    ...(e.flames ? { flames: e.flames.map(f => ({ x: f.x, y: f.y, dir: f.dir, len: f.len })) } : {})
+  };
+}
+
+function rockView(r) {
+  return {
+    r: r.r, c: r.c, x: r.x, y: r.y,
+    falling: r.falling, active: r.active
+  };
+}
+
+function gridView(grid) {
+  return grid.cells.map(row => row.map(c => c === 'dirt' ? 1 : 0));
+}
+
+// ============================================================
+// ARENA — 2–4 players in one shared dungeon
+//  Same grid, enemies and rocks for everyone. Pumps and rock
+//  drops are credited to the player who caused them (see
+//  Pump / Grid.dig / Rock.droppedBy). Each player has their own
+//  lives and respawns on their own; the match ends when everyone
+//  is out or after `rounds` rounds.
+//  update() takes one input frame per player, in join order.
+// ============================================================
+const ARENA_MIN_PLAYERS = 2;
+const ARENA_MAX_PLAYERS = 4;
+const ARENA_SPAWN_COLS  = [1, 13, 4, 10];
+
+class ArenaCore {
+  constructor({ seed = null, players = ARENA_MIN_PLAYERS, rounds = 3, levels } = {}) {
+    if (players < ARENA_MIN_PLAYERS || players > ARENA_MAX_PLAYERS) {
+      throw new Error(`arena needs ${ARENA_MIN_PLAYERS}-${ARENA_MAX_PLAYERS} players`);
+    }
+    this.seed = seed;
+    this.levels = resolveLevels(levels);
+    this.level = null;
+    this.runSeed = null;
+    this.playerCount = players;
+    this.maxRounds = rounds;
+    this.rng = createRng(0);
+    this.state = STATE_TITLE;
+    this.grid = new Grid();
+    this.players = [];
+    this.enemies = [];
+    this.rocks = [];
+    this.round = 1;
+    this.roundEndTimer = 0;
+    this.frameCount = 0;
+    this.listeners = {};
+  }
+
+  on(type, fn) {
+    (this.listeners[type] = this.listeners[type] || []).push(fn);
+    return this;
+  }
+
+  emit(type, data) {
+    for (const fn of this.listeners[type] || []) fn(data);
+  }
+
+  startGame(seed = this.seed) {
+    this.runSeed = seed ?? randomSeed();
+    this.rng = createRng(this.runSeed);
+    this.frameCount = 0;
+    this.round = 1;
+    this.players = [];
+    for (let i = 0; i < this.playerCount; i++) {
+      this.players.push({ index: i, player: null, score: 0, kills: 0, lives: 3, deathTimer: 0, out: false });
+    }
+    this.startRound();
+    this.state = STATE_PLAYING;
+    this.emit('start', { seed: this.runSeed, players: this.playerCount, frame: this.frameCount });
+  }
+
+  startRound() {
+    this.grid = new Grid();
+    const spawnCols = ARENA_SPAWN_COLS.slice(0, this.playerCount);
+    const { enemies, rocks, level } = generateLevel(this.round, this.grid, this.rng, this.levels, spawnCols);
+    this.enemies = enemies;
+    this.rocks = rocks;
+    this.level = level;
+    for (const p of this.players) {
+      p.player = new Player(this.grid, ARENA_SPAWN_COLS[p.index]);
+      p.player.alive = !p.out;
+      p.deathTimer = 0;
+    }
+    this.roundEndTimer = 0;
+    this.emit('round_start', { round: this.round, frame: this.frameCount });
+  }
+
+  participantOf(player) {
+    return this.players.find(p => p.player === player) ?? null;
+  }
+
+  addScore(pts, player) {
+    const p = this.participantOf(player);
+    if (!p) return;  // e.g. a rock nobody dug loose
+    p.score += pts;
+    this.emit('score', { player: p.index, points: pts, score: p.score, frame: this.frameCount });
+  }
+
+  addKill(enemy, cause, player) {
+    const p = this.participantOf(player);
+    if (p) p.kills++;
+    this.emit('kill', { player: p ? p.index : null, type: enemy.type, cause, frame: this.frameCount });
+  }
+
+  livePlayers() {
+    return this.players.filter(p => p.player.alive).map(p => p.player);
+  }
+
+  killPlayer(player) {
+    const p = this.participantOf(player);
+    if (!p || player.invincible > 0) return;
+    p.lives--;
+    player.alive = false;
+    p.deathTimer = 120;
+    this.emit('death', { player: p.index, lives: p.lives, frame: this.frameCount });
+  }
+
+  gameOver() {
+    this.state = STATE_GAMEOVER;
+    this.emit('gameover', { standings: this.standings(), round: this.round, frame: this.frameCount });
+  }
+
+  // Highest score first; ties go to kills, then join order
+  standings() {
+    return this.players
+      .map(p => ({ index: p.index, score: p.score, kills: p.kills, lives: Math.max(0, p.lives) }))
+      .sort((a, b) => b.score - a.score || b.kills - a.kills || a.index - b.index);
+  }
+
+  // Enemies chase whichever live player is closest
+  targetFor(enemy) {
+    let best = this.players[0].player, bestDist = Infinity;
+    for (const player of this.livePlayers()) {
+      const dist = Math.abs(player.tileR - enemy.tileR) + Math.abs(player.tileC - enemy.tileC);
+      if (dist < bestDist) { bestDist = dist; best = player; }
+    }
+    return best;
+  }
+
+  update(inputs = []) {
+    this.frameCount++;
+    if (this.state === STATE_TITLE || this.state === STATE_GAMEOVER) return;
+
+    if (this.state === STATE_ROUND_END) {
+      this.roundEndTimer--;
+      if (this.roundEndTimer <= 0) {
+        if (this.round >= this.maxRounds) return this.gameOver();
+        this.round++;
+        this.startRound();
+        this.state = STATE_PLAYING;
+      }
+      return;
+    }
+
+    // Deaths and respawns run per player — nobody waits for anyone
+    for (const p of this.players) {
+      if (p.player.alive || p.out || --p.deathTimer > 0) continue;
+      if (p.lives <= 0) {
+        p.out = true;
+        continue;
+      }
+      p.player = new Player(this.grid, ARENA_SPAWN_COLS[p.index]);
+      p.player.invincible = 180;
+    }
+    if (this.players.every(p => p.out)) return this.gameOver();
+
+    for (const p of this.players) {
+      p.player.update(inputs[p.index] || NO_INPUT, this.enemies, this.rocks, this);
+    }
+    for (const e of this.enemies) {
+      e.update(this.targetFor(e), this.enemies, this);
+    }
+    for (const r of this.rocks) {
+      r.update(this.players[0].player, this.enemies, this.rocks, this);
+    }
+
+    // Enemy contact
+    for (const player of this.livePlayers()) {
+      if (player.invincible > 0) continue;
+      if (this.enemies.some(e => e.alive && Math.sqrt((e.cx - player.cx) ** 2 + (e.cy - player.cy) ** 2) < 20)) {
+        this.killPlayer(player);
+      }
+    }
+
+    if (this.enemies.length > 0 && this.enemies.every(e => !e.alive)) {
+      this.state = STATE_ROUND_END;
+      this.roundEndTimer = 120;
+      // Level bonus for everyone still in the match
+      for (const p of this.players) {
+        if (!p.out) this.addScore(SCORE_LEVEL_BONUS * this.round, p.player);
+      }
+      this.emit('round_clear', { round: this.round, frame: this.frameCount });
+    }
+
+    if (this.frameCount % 1200 === 0) {
+      for (const e of this.enemies) {
+        e.speed = Math.min(e.speed + 0.1, 2.0);
+      }
+    }
+  }
+
+  // ClawDugState/1.0 from one player's seat, plus every player in `players`
+  getAgentState(viewer = 0) {
+    const me = this.players[viewer];
+    return {
+      mode: 'arena',
+      you: viewer,
+      frame: this.frameCount,
+      phase: this.state,
+      score: me.score,
+      kills: me.kills,
+      lives: me.lives,
+      round: this.round,
+      level: this.level,
+      maxRounds: this.maxRounds,
+      player: playerView(me.player),
+      players: this.players.map(p => ({
+        index: p.index, ...playerView(p.player),
+        score: p.score, kills: p.kills, lives: Math.max(0, p.lives), out: p.out,
+      })),
+      enemies: this.enemies.map(enemyView),
+      rocks: this.rocks.map(rockView),
+      grid: gridView(this.grid),
+      actions: AGENT_ACTIONS
+    };
+  }
+}
+
+// ============================================================
+// REPLAY — a run is fully described by seed, start round and
+// input log:
+//   { format, sessionId, seed, startRound, frames, inputs, ... }
+//  ReplayPlayer steps any GameCore (or the browser Game, to draw
+//  it) through that log frame by frame.
+// ============================================================
+const REPLAY_FORMAT = 'ClawDugReplay/1.0';
+
+class ReplayPlayer {
+  constructor(replay, game = new GameCore()) {
+    this.replay = replay;
+    this.game = game;
+    this.total = new InputLog(replay.inputs).frames;
+    this.reset();
+  }
+
+  reset() {
+    // Replays from before level sets were recorded are all classic
+    this.game.levels = resolveLevels(this.replay.levels ?? 'classic');
+    this.game.modifiers = parseModifiers(this.replay.modifiers);
+    this.game.startGame(this.replay.seed, this.replay.startRound || 1);
+    this.frame = 0;
+    this.run = 0;
+    this.offset = 0;
+  }
+
+  get done() {
+    return this.frame >= this.total || this.game.state === STATE_GAMEOVER;
+  }
+
+  // Advance one frame; false once the log (or the game) has ended
+  step() {
+    if (this.done) return false;
+    const [mask, count] = this.replay.inputs[this.run];
+    this.game.update(decodeInput(mask));
+    if (++this.offset >= count) { this.run++; this.offset = 0; }
+    this.frame++;
+    return true;
+  }
+
+  // Jump to a frame, restarting from the seed when going backwards
+  seek(frame) {
+    if (frame < this.frame) this.reset();
+    while (this.frame < frame && this.step());
+    return this.frame;
+  }
+}
+
+// Re-simulate a run from its seed and input log.
+// Returns the outcome, or { error } if the log is malformed.
+function replayGame(seed, runs, options = {}) {
+  const maxFrames = options.maxFrames ?? MAX_REPLAY_FRAMES;
+  const error = InputLog.validate(runs, maxFrames);
+  if (error) return { error };
+
+  const player = new ReplayPlayer({ seed, startRound: options.startRound, levels: options.levels, modifiers: options.modifiers, inputs: runs });
+  while (player.step());
+  const game = player.game;
+  return {
+    seed,
+    frames: player.frame,
+    score: game.score,
+    kills: game.kills,
+    round: game.round,
+    lives: game.lives,
+    finished: game.state === STATE_GAMEOVER,
+  };
+}
+
+// ---- Binary replay (.cdr) ----
+//  'CDR2' | sessionId bytes32 | seed u32 | startRound u16 | frames u32
+//  | score u32 | kills u16 | round u16 | runCount u32
+//  | levels u8 (index in LEVEL_SETS)
+//  | runs: mask u8 + count LEB128 varint
+//  'CDR1' files have no levels byte and are classic. Runs on
+//  hand-made maps or with modifiers only fit the JSON form.
+const REPLAY_MAGIC = [0x43, 0x44, 0x52, 0x32]; // 'CDR2'
+const REPLAY_MAGIC_V1 = 0x31;                  // '1' in place of the last magic byte
+
+function encodeReplay(replay) {
+  const runs = replay.inputs;
+  const levelSet = LEVEL_SETS.indexOf(replay.levels ?? 'classic');
+  if (levelSet === -1) throw new Error('replays on hand-made levels have no binary form');
+  if (replay.modifiers?.length) throw new Error('replays with modifiers have no binary form');
+  const bytes = new Uint8Array(60 + runs.length * 6);
+  const view = new DataView(bytes.buffer);
+  bytes.set(REPLAY_MAGIC, 0);
+  const id = (replay.sessionId || '').replace(/^0x/, '').padStart(64, '0');
+  for (let i = 0; i < 32; i++) bytes[4 + i] = parseInt(id.substr(i * 2, 2), 16);
+  const result = replay.result || {};
+  view.setUint32(36, replay.seed >>> 0);
+  view.setUint16(40, replay.startRound || 1);
+  view.setUint32(42, replay.frames || 0);
+  view.setUint32(46, result.score || 0);
+  view.setUint16(50, result.kills || 0);
+  view.setUint16(52, result.round || 0);
+  view.setUint32(54, runs.length);
+  bytes[58] = levelSet;
+  let p = 59;
+  for (const [mask, count] of runs) {
+    bytes[p++] = mask;
+    let n = count;
+    while (n >= 0x80) { bytes[p++] = (n & 0x7f) | 0x80; n >>>= 7; }
+    bytes[p++] = n;
+  }
+  return bytes.subarray(0, p);
+}
+
+function decodeReplay(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const v1 = bytes[3] === REPLAY_MAGIC_V1;
+  for (let i = 0; i < 3; i++) {
+    if (bytes[i] !== REPLAY_MAGIC[i]) throw new Error('not a ClawDug replay');
+  }
+  if (!v1 && bytes[3] !== REPLAY_MAGIC[3]) throw new Error('not a ClawDug replay');
+  let sessionId = '0x';
+  for (let i = 0; i < 32; i++) sessionId += bytes[4 + i].toString(16).padStart(2, '0');
+  const runCount = view.getUint32(54);
+  const levels = v1 ? 'classic' : LEVEL_SETS[bytes[58]];
+  if (!levels) throw new Error('unknown level set in replay');
+  const inputs = [];
+  let p = v1 ? 58 : 59;
+  for (let i = 0; i < runCount; i++) {
+    const mask = bytes[p++];
+    let count = 0, shift = 0, b;
+    do { b = bytes[p++]; count += (b & 0x7f) * 2 ** shift; shift += 7; } while (b & 0x80);
+    inputs.push([mask, count]);
+  }
+  return {
+    format:     REPLAY_FORMAT,
+    sessionId,
+    seed:       view.getUint32(36),
+    startRound: view.getUint16(40),
+    levels,
+    frames:     view.getUint32(42),
+    result: {
+      score: view.getUint32(46),
+      kills: view.getUint16(50),
+      round: view.getUint16(52),
+    },
+    inputs,
+  };
+}
+
+// ============================================================
+// OBSERVATIONS — ClawDugState/2.0
+//  Compact alternatives to the full 1.0 payload, built from it
+//  so clients can apply them to whatever they last received:
+//   keyframe — the 1.0 state without the static `actions` list
+//   delta    — only changed scalars/entities and dug cells, on top
+//              of the frame named by `base`
+//   tensor   — TENSOR_CHANNELS × ROWS × COLS occupancy planes
+//  encodeObservation packs scalars + bit-packed planes into
+//  one binary frame for fleets that don't need entity detail.
+// ============================================================
+const STATE_FORMAT    = 'ClawDugState/1.0';
+const STATE_FORMAT_V2 = 'ClawDugState/2.0';
+const TENSOR_CHANNELS = ['dirt', 'player', 'pooka', 'fygar', 'rock', 'fire'];
+const PHASES = [STATE_TITLE, STATE_PLAYING, STATE_DYING, STATE_ROUND_END, STATE_GAMEOVER];
+const STATE_SCALARS = ['phase', 'score', 'kills', 'lives', 'round', 'level'];
+const STATE_LISTS   = ['enemies', 'rocks', 'players'];  // players: arena only
+
+function keyframeState(state) {
+  const { actions, ...rest } = state;
+  return rest;
+}
+
+// Changes from prev to next, or null when they can't be expressed
+// as a delta (entity lists changed length, e.g. a new round)
+function diffState(prev, next) {
+  for (const key of STATE_LISTS) {
+    if ((prev[key] || []).length !== (next[key] || []).length) return null;
+  }
+  const delta = { frame: next.frame, base: prev.frame };
+  for (const key of STATE_SCALARS) {
+    if (prev[key] !== next[key]) delta[key] = next[key];
+  }
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  if (!same(prev.player, next.player)) delta.player = next.player;
+  for (const key of STATE_LISTS) {
+    if (!next[key]) continue;
+    const changed = {};
+    next[key].forEach((e, i) => { if (!same(prev[key][i], e)) changed[i] = e; });
+    if (Object.keys(changed).length) delta[key] = changed;
+  }
+  const dug = [];
+  for (let r = 0; r < next.grid.length; r++) {
+    for (let c = 0; c < next.grid[r].length; c++) {
+      if (prev.grid[r][c] !== next.grid[r][c]) dug.push([r, c, next.grid[r][c]]);
+    }
+  }
+  if (dug.length) delta.dug = dug;
+  return delta;
+}
+
+// Inverse of diffState. Throws if the delta is for another base
+// frame — the client missed something and should ask for a keyframe.
+function applyDelta(prev, delta) {
+  if (delta.base !== prev.frame) throw new Error(`delta base ${delta.base} != frame ${prev.frame}`);
+  const next = { ...prev, frame: delta.frame };
+  for (const key of STATE_SCALARS) {
+    if (key in delta) next[key] = delta[key];
+  }
+  if (delta.player) next.player = delta.player;
+  for (const key of STATE_LISTS) {
+    if (!delta[key]) continue;
+    next[key] = prev[key].slice();
+    for (const i in delta[key]) next[key][i] = delta[key][i];
+  }
+  if (delta.dug) {
+    next.grid = prev.grid.map(row => row.slice());
+    for (const [r, c, v] of delta.dug) next.grid[r][c] = v;
+  }
+  return next;
+}
+
+// One byte per cell, channel-major: tensor[(ch * ROWS + r) * COLS + c]
+function stateTensor(state) {
+  const tensor = new Uint8Array(TENSOR_CHANNELS.length * ROWS * COLS);
+  const mark = (ch, r, c) => {
+    if (r >= 0 && r < ROWS && c >= 0 && c < COLS) tensor[(ch * ROWS + r) * COLS + c] = 1;
+  };
+  state.grid.forEach((row, r) => row.forEach((v, c) => { if (v) mark(0, r, c); }));
+  if (state.player.alive) mark(1, state.player.tileR, state.player.tileC);
+  for (const e of state.enemies) {
+    if (!e.alive) continue;
+    mark(e.type === ENEMY_FYGAR ? 3 : 2, e.tileR, e.tileC);
+    for (const f of e.flames || []) {
+      for (let d = 0; d <= f.len; d += TILE / 2) {
+        mark(5, Math.floor((f.y + DY[f.dir] * d) / TILE), Math.floor((f.x + DX[f.dir] * d) / TILE));
+      }
+    }
+  }
+  for (const rock of state.rocks) {
+    if (rock.active) mark(4, Math.round(rock.y / TILE), Math.round(rock.x / TILE));
+  }
+  return tensor;
+}
+
+// 1 bit per cell, MSB first
+function packTensor(tensor) {
+  const bits = new Uint8Array(Math.ceil(tensor.length / 8));
+  for (let i = 0; i < tensor.length; i++) {
+    if (tensor[i]) bits[i >> 3] |= 0x80 >> (i & 7);
+  }
+  return bits;
+}
+
+function unpackTensor(bits, length = TENSOR_CHANNELS.length * ROWS * COLS) {
+  const tensor = new Uint8Array(length);
+  for (let i = 0; i < length; i++) tensor[i] = (bits[i >> 3] >> (7 - (i & 7))) & 1;
+  return tensor;
+}
+
+// ---- Binary observation ----
+//  'CDS2' | frame u32 | score u32 | kills u16 | lives u8 | round u16
+//  | phase u8 (index into PHASES) | channels u8 | rows u8 | cols u8
+//  | bit-packed tensor
+const OBS_MAGIC = [0x43, 0x44, 0x53, 0x32]; // 'CDS2'
+const OBS_HEADER = 21;
+
+function encodeObservation(state) {
+  const bits = packTensor(stateTensor(state));
+  const bytes = new Uint8Array(OBS_HEADER + bits.length);
+  const view = new DataView(bytes.buffer);
+  bytes.set(OBS_MAGIC, 0);
+  view.setUint32(4, state.frame);
+  view.setUint32(8, state.score);
+  view.setUint16(12, state.kills);
+  view.setUint8(14, Math.max(0, state.lives));
+  view.setUint16(15, state.round);
+  view.setUint8(17, PHASES.indexOf(state.phase));
+  bytes[18] = TENSOR_CHANNELS.length;
+  bytes[19] = ROWS;
+  bytes[20] = COLS;
+  bytes.set(bits, OBS_HEADER);
+  return bytes;
+}
+
+function decodeObservation(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let i = 0; i < 4; i++) {
+    if (bytes[i] !== OBS_MAGIC[i]) throw new Error('not a ClawDug observation');
+  }
+  const shape = [bytes[18], bytes[19], bytes[20]];
+  return {
+    format:   STATE_FORMAT_V2,
+    frame:    view.getUint32(4),
+    score:    view.getUint32(8),
+    kills:    view.getUint16(12),
+    lives:    view.getUint8(14),
+    round:    view.getUint16(15),
+    phase:    PHASES[view.getUint8(17)],
+    channels: TENSOR_CHANNELS,
+    shape,
+    tensor:   unpackTensor(bytes.subarray(OBS_HEADER), shape[0] * shape[1] * shape[2]),
+  };
+}
+
+return {
+  TILE, COLS, ROWS, W, H, SURFACE_ROW,
+  ENEMY_POOKA, ENEMY_FYGAR,
+  STATE_TITLE, STATE_PLAYING, STATE_DYING, STATE_ROUND_END, STATE_GAMEOVER,
+  DIR, DX, DY,
+  SCORE_PUMP_HIT, SCORE_INFLATE_KO, SCORE_ROCK_KILL, SCORE_LEVEL_BONUS,
+  AGENT_ACTIONS, NO_INPUT, MAX_REPLAY_FRAMES, actionToInput, encodeInput, decodeInput,
+  createRng, randomSeed, InputLog,
+  REPLAY_FORMAT, ReplayPlayer, replayGame, encodeReplay, decodeReplay,
+  STATE_FORMAT, STATE_FORMAT_V2, TENSOR_CHANNELS, keyframeState, diffState, applyDelta,
+  stateTensor, packTensor, unpackTensor, encodeObservation, decodeObservation,
+  Grid, Player, Pump, Enemy, Pooka, Fygar, Rock,
+  LEVEL_FORMAT, LEVEL_SETS, DIFFICULTY_CURVES, CLASSIC_LEVEL,
+  difficultyFor, parseLevel, validateLevel, resolveLevels, generateLevel,
+  MODIFIERS, FAST_ENEMY_SPEED, parseModifiers, GameCore,
+  ARENA_MIN_PLAYERS, ARENA_MAX_PLAYERS, ArenaCore,
+};
+});
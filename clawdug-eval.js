@@ -0,0 +1,329 @@
+// ============================================================
+//  CLAWDUG EVAL
+//  Offline benchmark for agents: plays a fixed suite of seeds on
+//  the headless engine (the same GameCore rules and stepping as
+//  GameSession's /agent/step), spread over worker threads and run
+//  as fast as the policy answers.
+//
+//  Agents:
+//    greedy | random | rock-dropper   — a bot from clawdug-bots.js
+//    ./my-agent.js                    — a module whose default export
+//                                       (or createPolicy) is a factory
+//                                       `({ seed }) => policy`
+//    http://host/act                  — POSTed { game, step, state } per
+//                                       decision, answers { action };
+//                                       { game, done, result } at the end
+//    ws://host/agent                  — one socket per game: sent
+//                                       { type: 'state', game, step, state },
+//                                       answers { action } (echo `step`
+//                                       to drop late answers); then
+//                                       { type: 'gameover', game, result }
+//  A decision that takes longer than --timeout ms plays as noop
+//  and is counted in the game's `timeouts`.
+//
+//  CLI:
+//    node clawdug-eval.js greedy --suite standard --workers 4
+//    node clawdug-eval.js ./my-agent.js --seeds 1,2,3 --out run.csv
+//    node clawdug-eval.js ./my-agent.js --out new.json --baseline old.json
+//  --baseline compares mean score on the seeds both runs share and
+//  exits 1 when it dropped by more than --tolerance percent.
+// ============================================================
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import engine from './clawdug-engine.cjs';
+import { BOTS, FRAME_SKIP, MAX_LOCAL_STEPS, runLocal } from './clawdug-bots.js';
+
+const { AGENT_ACTIONS, createRng, resolveLevels } = engine;
+
+export const SEED_SUITES = {          // name → [suite seed, games]
+  smoke:    [0xC1A5, 10],
+  standard: [0xD06, 50],
+  full:     [0xDEE9, 200],
+};
+export const DECISION_TIMEOUT_MS = 2000;
+const CSV_COLUMNS = ['seed', 'score', 'kills', 'round', 'deaths', 'steps', 'frames', 'finished', 'timeouts', 'ms', 'error'];
+
+// The seeds of a named suite — the same list on every machine
+export function suiteSeeds(name) {
+  const suite = SEED_SUITES[name];
+  if (!suite) throw new Error(`unknown suite "${name}". Suites: ${Object.keys(SEED_SUITES).join(', ')}`);
+  const rng = createRng(suite[0]);
+  return Array.from({ length: suite[1] }, () => Math.floor(rng() * 4294967296));
+}
+
+// ============================================================
+//  AGENTS  (resolved inside each worker)
+// ============================================================
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise.finally(() => clearTimeout(timer)),
+    new Promise(resolve => { timer = setTimeout(() => resolve(null), ms); }),
+  ]);
+}
+
+function checkAction(action) {
+  if (!AGENT_ACTIONS.includes(action)) throw new Error(`agent answered invalid action "${action}"`);
+  return action;
+}
+
+// Per-game policy for an HTTP endpoint
+function httpAgent(url, timeoutMs) {
+  const post = (body) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return (seed, stats) => {
+    let step = 0;
+    const policy = async (state) => {
+      const res = await withTimeout(post({ game: seed, step: step++, state }).then(async r => {
+        if (!r.ok) throw new Error(`agent endpoint answered HTTP ${r.status}`);
+        return r.json();
+      }), timeoutMs);
+      if (!res) {
+        stats.timeouts++;
+        return 'noop';
+      }
+      return checkAction(res.action);
+    };
+    policy.done = (result) => post({ game: seed, done: true, result }).catch(() => {});
+    return policy;
+  };
+}
+
+// Per-game policy for a WS endpoint: one socket for the whole game
+function wsAgent(url, timeoutMs, WebSocket) {
+  return async (seed, stats) => {
+    const ws = new WebSocket(url);
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    let pending = null, step = 0, failure = null;
+    ws.on('message', (data) => {
+      let msg;
+      try { msg = JSON.parse(data.toString()); } catch { return; }
+      if (msg.step !== undefined && msg.step !== step - 1) return;   // late answer to a timed-out step
+      pending?.(msg);
+      pending = null;
+    });
+    ws.on('error', (err) => { failure ??= err; });
+    ws.on('close', () => {
+      failure ??= new Error('agent endpoint closed the socket');
+      pending?.(null);
+    });
+    const policy = async (state) => {
+      if (failure) throw failure;
+      const reply = new Promise(resolve => { pending = resolve; });
+      ws.send(JSON.stringify({ type: 'state', game: seed, step: step++, state }));
+      const msg = await withTimeout(reply, timeoutMs);
+      if (failure) throw failure;
+      if (!msg) {
+        pending = null;
+        stats.timeouts++;
+        return 'noop';
+      }
+      return checkAction(msg.action);
+    };
+    policy.done = (result) => {
+      failure = new Error('game over');
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'gameover', game: seed, result }));
+      ws.close();
+    };
+    return policy;
+  };
+}
+
+// `agent` string → async (seed, stats) => policy
+async function loadAgent(agent, { timeoutMs }) {
+  if (BOTS[agent]) return (seed) => BOTS[agent]({ seed });
+  if (/^https?:\/\//.test(agent)) return httpAgent(agent, timeoutMs);
+  if (/^wss?:\/\//.test(agent)) return wsAgent(agent, timeoutMs, (await import('ws')).default);
+  if (!fs.existsSync(agent)) {
+    throw new Error(`unknown agent "${agent}". Use a bot (${Object.keys(BOTS).join(', ')}), a module path or an http(s):// / ws(s):// endpoint`);
+  }
+  const mod = await import(pathToFileURL(path.resolve(agent)).href);
+  const create = mod.createPolicy ?? mod.default;
+  if (typeof create !== 'function') throw new Error(`${agent} must export a policy factory (default or createPolicy)`);
+  return (seed) => create({ seed });
+}
+
+function loadLevels(levels) {
+  if (!levels || levels === 'procedural' || levels === 'classic') return resolveLevels(levels ?? 'procedural');
+  return resolveLevels(JSON.parse(fs.readFileSync(levels, 'utf8')));
+}
+
+// ============================================================
+//  WORKER  — plays the seeds the main thread hands it
+// ============================================================
+async function runWorker({ agent, options }) {
+  const create = await loadAgent(agent, options);
+  const levels = loadLevels(options.levels);
+  parentPort.on('message', async ({ seed }) => {
+    const stats = { timeouts: 0 };
+    const started = Date.now();
+    let result, policy = null;
+    try {
+      policy = await create(seed, stats);
+      result = await runLocal(policy, {
+        seed, levels, round: options.round, frameSkip: options.frameSkip, maxSteps: options.maxSteps,
+      });
+      await policy.done?.(result);
+    } catch (err) {
+      result = { seed, error: err.message };
+      await policy?.done?.(result);
+    }
+    parentPort.postMessage({ ...result, timeouts: stats.timeouts, ms: Date.now() - started });
+  });
+  parentPort.postMessage({ ready: true });
+}
+
+// ============================================================
+//  HARNESS
+// ============================================================
+// Plays every seed and returns { games, summary }. Games come
+// back in seed order whatever order the workers finish them in.
+export async function evaluate(agent, {
+  seeds = suiteSeeds('smoke'), workers = os.availableParallelism?.() ?? os.cpus().length,
+  levels = 'procedural', round = 1, frameSkip = FRAME_SKIP, maxSteps = MAX_LOCAL_STEPS,
+  timeoutMs = DECISION_TIMEOUT_MS, onGame,
+} = {}) {
+  const options = { levels, round, frameSkip, maxSteps, timeoutMs };
+  const queue = seeds.map((seed, index) => ({ seed, index }));
+  const games = new Array(seeds.length);
+  const count = Math.max(1, Math.min(workers, seeds.length));
+
+  const runOne = () => new Promise((resolve, reject) => {
+    const worker = new Worker(fileURLToPath(import.meta.url), { workerData: { agent, options } });
+    let current = null;
+    const next = () => {
+      current = queue.shift();
+      if (!current) return worker.terminate().then(() => resolve());
+      worker.postMessage({ seed: current.seed });
+    };
+    worker.on('message', (msg) => {
+      if (msg.ready) return next();
+      games[current.index] = msg;
+      onGame?.(msg);
+      next();
+    });
+    worker.on('error', reject);
+    worker.on('exit', (code) => {
+      if (current) reject(new Error(`eval worker exited (${code}) during seed ${current.seed}`));
+    });
+  });
+
+  await Promise.all(Array.from({ length: count }, runOne));
+  return { agent, levels, round, frameSkip, games, summary: summarize(games) };
+}
+
+export function summarize(games) {
+  const played = games.filter(g => !g.error);
+  const scores = played.map(g => g.score).sort((a, b) => a - b);
+  const mean = (key) => played.length ? played.reduce((sum, g) => sum + g[key], 0) / played.length : 0;
+  const avg = mean('score');
+  return {
+    games:     games.length,
+    errors:    games.length - played.length,
+    unfinished: played.filter(g => !g.finished).length,
+    meanScore: Math.round(avg),
+    medianScore: scores.length ? scores[Math.floor(scores.length / 2)] : 0,
+    minScore:  scores[0] ?? 0,
+    maxScore:  scores[scores.length - 1] ?? 0,
+    stdevScore: Math.round(Math.sqrt(played.reduce((sum, g) => sum + (g.score - avg) ** 2, 0) / (played.length || 1))),
+    meanKills:  +mean('kills').toFixed(2),
+    meanRound:  +mean('round').toFixed(2),
+    meanDeaths: +mean('deaths').toFixed(2),
+    timeouts:   played.reduce((sum, g) => sum + g.timeouts, 0),
+  };
+}
+
+// Mean score on the seeds both runs played; `regressed` when it
+// fell by more than `tolerance` percent
+export function compareRuns(run, baseline, tolerance = 5) {
+  const before = new Map(baseline.games.filter(g => !g.error).map(g => [g.seed, g.score]));
+  const shared = run.games.filter(g => !g.error && before.has(g.seed));
+  if (!shared.length) return { seeds: 0, regressed: false };
+  const now  = shared.reduce((sum, g) => sum + g.score, 0) / shared.length;
+  const then = shared.reduce((sum, g) => sum + before.get(g.seed), 0) / shared.length;
+  const change = then ? ((now - then) / then) * 100 : 0;
+  return {
+    seeds: shared.length, baseline: Math.round(then), current: Math.round(now),
+    changePct: +change.toFixed(1), regressed: change < -tolerance,
+  };
+}
+
+export function toCsv(games) {
+  const cell = (v) => (v === undefined || v === null ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return [CSV_COLUMNS.join(','), ...games.map(g => CSV_COLUMNS.map(k => cell(g[k])).join(','))].join('\n') + '\n';
+}
+
+// ============================================================
+//  CLI
+// ============================================================
+function parseArgs(argv) {
+  const args = {
+    agent: argv[0], suite: 'smoke', seeds: null, workers: null, levels: 'procedural', round: 1,
+    frameSkip: FRAME_SKIP, maxSteps: MAX_LOCAL_STEPS, timeout: DECISION_TIMEOUT_MS,
+    out: null, format: null, baseline: null, tolerance: 5,
+  };
+  for (let i = 1; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '').replace(/-(\w)/g, (_, ch) => ch.toUpperCase());
+    if (!(key in args)) throw new Error(`unknown option ${argv[i]}`);
+    args[key] = argv[i + 1];
+  }
+  for (const key of ['workers', 'round', 'frameSkip', 'maxSteps', 'timeout', 'tolerance']) {
+    if (args[key] !== null) args[key] = Number(args[key]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.agent) {
+    console.error(`usage: node clawdug-eval.js <${Object.keys(BOTS).join('|')}|module.js|http(s)://…|ws(s)://…> [--suite ${Object.keys(SEED_SUITES).join('|')}] [--seeds 1,2,3] [--workers N] [--levels procedural|classic|maps.json] [--round N] [--frame-skip N] [--timeout ms] [--out file.json|file.csv] [--baseline run.json] [--tolerance pct]`);
+    process.exit(1);
+  }
+  const seeds = args.seeds ? args.seeds.split(',').map(s => Number(s) >>> 0) : suiteSeeds(args.suite);
+  const format = args.format ?? (args.out?.endsWith('.csv') ? 'csv' : 'json');
+
+  const run = { suite: args.seeds ? null : args.suite, ...await evaluate(args.agent, {
+    seeds, workers: args.workers ?? undefined, levels: args.levels, round: args.round,
+    frameSkip: args.frameSkip, maxSteps: args.maxSteps, timeoutMs: args.timeout,
+    onGame: (g) => console.error(g.error
+      ? `seed ${g.seed}  error: ${g.error}`
+      : `seed ${g.seed}  score ${g.score}  kills ${g.kills}  round ${g.round}  deaths ${g.deaths}  ${g.ms}ms`),
+  }) };
+
+  const output = format === 'csv' ? toCsv(run.games) : JSON.stringify(run, null, 2) + '\n';
+  if (args.out) fs.writeFileSync(args.out, output);
+  else process.stdout.write(output);
+
+  const s = run.summary;
+  console.error(`\n${args.agent}: ${s.games} games  mean ${s.meanScore}  median ${s.medianScore}  min ${s.minScore}  max ${s.maxScore}  ±${s.stdevScore}  kills ${s.meanKills}  round ${s.meanRound}  deaths ${s.meanDeaths}${s.errors ? `  errors ${s.errors}` : ''}${s.timeouts ? `  timeouts ${s.timeouts}` : ''}`);
+
+  if (args.baseline) {
+    const cmp = compareRuns(run, JSON.parse(fs.readFileSync(args.baseline, 'utf8')), args.tolerance);
+    if (!cmp.seeds) {
+      console.error('baseline shares no seeds with this run');
+      process.exit(1);
+    }
+    console.error(`baseline: ${cmp.baseline} → ${cmp.current} (${cmp.changePct > 0 ? '+' : ''}${cmp.changePct}%) on ${cmp.seeds} seeds${cmp.regressed ? `  REGRESSION (> ${args.tolerance}%)` : ''}`);
+    if (cmp.regressed) process.exit(1);
+  }
+  if (s.errors) process.exit(1);
+}
+
+if (!isMainThread && workerData?.agent) {
+  runWorker(workerData);
+} else if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
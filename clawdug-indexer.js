@@ -0,0 +1,312 @@
+// ============================================================
+//  CLAWDUG CHAIN INDEXER
+//  Follows ClawDugGame's events into local storage so history
+//  the contract doesn't keep (past epochs, per-player scores,
+//  rewards) can be served without eth_calls.
+//
+//  Events:   ScoreSubmitted, LeaderboardUpdated, EpochStarted,
+//            EpochSettled, RewardMinted → store.chainEvents
+//  Cursor:   store.indexer — next block to fetch plus the hashes
+//            of recently indexed blocks
+//  Reorgs:   each pass re-reads the newest remembered block hash;
+//            on a mismatch it walks back to the last block that
+//            still matches, drops the events above it and
+//            re-indexes from there
+//
+//  Source:   anything with getBlockNumber(), getBlock(n) and
+//            getLogs(filter) — an ethers provider (Base, a local
+//            dev node) or fixtureSource() for a recorded log file.
+//            `record` writes what was fetched out in that format.
+//  onEvent:  called with each newly stored event (confirmed, so
+//            re-indexing after a reorg doesn't repeat it unless it
+//            moved)
+// ============================================================
+
+import fs         from 'fs';
+import { ethers } from 'ethers';
+
+export const INDEXED_EVENTS = [
+  'event ScoreSubmitted(address indexed player, uint256 score, uint256 round, uint256 kills, bool isAgent, uint256 epochId, bytes32 sessionId)',
+  'event LeaderboardUpdated(bool isAgent, uint8 rank, address player, uint256 score)',
+  'event EpochStarted(uint256 indexed epochId, uint256 startTime, uint256 endTime)',
+  'event EpochSettled(uint256 indexed epochId, address humanWinner, uint256 humanPrize, address agentWinner, uint256 agentPrize)',
+  'event RewardMinted(address indexed player, uint256 amount, string reason)',
+];
+
+const REORG_WINDOW = 64;      // block hashes remembered for reorg checks
+const CURSOR_ID    = 'game';
+
+const iface = new ethers.Interface(INDEXED_EVENTS);
+const TOPICS = iface.fragments.map(f => f.topicHash);
+
+// Decoded args as plain JSON: addresses lowercased, uint256 as strings
+function plainArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const v = parsed.args[i];
+    args[input.name] = typeof v === 'bigint' ? v.toString()
+      : input.type === 'address' ? v.toLowerCase() : v;
+  });
+  return args;
+}
+
+const eventId  = (blockNumber, logIndex) => `${blockNumber}:${logIndex}`;
+const byChainOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+const eth = (wei) => ethers.formatEther(wei);
+
+// ---- Recorded log fixture ----
+//  { address, head, blocks: { "<n>": { hash, timestamp } }, logs: [raw logs] }
+//  Blocks that aren't listed get a stable made-up hash and time.
+export function fixtureSource(file) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const blocks = fixture.blocks || {};
+  const head = fixture.head ?? Math.max(0, ...fixture.logs.map(l => l.blockNumber));
+  return {
+    address: fixture.address,
+    async getBlockNumber() { return head; },
+    async getBlock(n) {
+      if (n > head) return null;
+      return blocks[n] ?? { hash: ethers.id(`fixture:${n}`), timestamp: n };
+    },
+    async getLogs({ fromBlock, toBlock, topics }) {
+      return fixture.logs.filter(l =>
+        l.blockNumber >= fromBlock && l.blockNumber <= toBlock && (!topics || topics[0].includes(l.topics[0])));
+    },
+  };
+}
+
+export function createIndexer({
+  store, source, address, startBlock = null, confirmations = 3,
+  batchSize = 2000, pollMs = 4000, record = null, onEvent = null,
+}) {
+  address = address.toLowerCase();
+  let timer   = null;
+  let syncing = null;
+  let head    = null;
+  let lastError = null;
+  const recorded = record ? { address, head: 0, blocks: {}, logs: [] } : null;
+
+  const cursor = () => store.indexer.get(CURSOR_ID);
+
+  async function blockInfo(n) {
+    const block = await source.getBlock(n);
+    if (!block) throw new Error(`block ${n} not available`);
+    if (recorded) recorded.blocks[n] = { hash: block.hash, timestamp: block.timestamp };
+    return { hash: block.hash, timestamp: block.timestamp };
+  }
+
+  // Forget everything above `block`
+  async function rollback(state, block) {
+    const dropped = store.chainEvents.all().filter(e => e.blockNumber > block);
+    await Promise.all(dropped.map(e => store.chainEvents.delete(e.id)));
+    console.warn(`[Indexer] Reorg — rolled back to block ${block} (${dropped.length} events dropped)`);
+    return { ...state, next: block + 1, recent: state.recent.filter(([n]) => n <= block) };
+  }
+
+  // Newest remembered block first; stop at the first hash that still matches
+  async function checkReorg(state) {
+    for (let i = state.recent.length - 1; i >= 0; i--) {
+      const [n, hash] = state.recent[i];
+      const block = await source.getBlock(n);
+      if (block?.hash === hash) return i === state.recent.length - 1 ? state : rollback(state, n);
+    }
+    // Deeper than the window — start over
+    return state.recent.length ? rollback(state, state.start - 1) : state;
+  }
+
+  async function indexRange(from, to) {
+    const logs = await source.getLogs({ address, fromBlock: from, toBlock: to, topics: [TOPICS] });
+    const blocks = new Map();
+    for (const log of logs) {
+      if (!blocks.has(log.blockNumber)) blocks.set(log.blockNumber, await blockInfo(log.blockNumber));
+      const parsed = iface.parseLog(log);
+      if (!parsed) continue;
+      if (recorded) {
+        recorded.logs.push({
+          blockNumber: log.blockNumber, blockHash: log.blockHash, transactionHash: log.transactionHash,
+          logIndex: log.index ?? log.logIndex, address: log.address, topics: [...log.topics], data: log.data,
+        });
+      }
+      const logIndex = log.index ?? log.logIndex;
+      const id = eventId(log.blockNumber, logIndex);
+      const known = store.chainEvents.get(id);
+      const event = {
+        id,
+        event:       parsed.name,
+        blockNumber: log.blockNumber,
+        logIndex,
+        txHash:      log.transactionHash,
+        timestamp:   blocks.get(log.blockNumber).timestamp,
+        args:        plainArgs(parsed),
+      };
+      await store.chainEvents.put(id, event);
+      if (onEvent && known?.txHash !== event.txHash) {
+        try { onEvent(event); }
+        catch (err) { console.error('[Indexer] onEvent failed:', err.message); }
+      }
+    }
+    return logs.length;
+  }
+
+  // One pass: reorg check, then index up to head - confirmations
+  async function syncOnce() {
+    head = await source.getBlockNumber();
+    const safe = head - confirmations;
+    let state = cursor();
+    if (!state || state.address !== address) {
+      // Events from another contract (GAME_CONTRACT changed) don't belong here
+      if (state) await Promise.all(store.chainEvents.all().map(e => store.chainEvents.delete(e.id)));
+      const start = startBlock ?? safe;
+      if (startBlock === null) console.warn(`[Indexer] No start block — indexing from ${start}; set INDEXER_START_BLOCK to backfill`);
+      state = { address, start, next: start, recent: [] };
+    }
+    state = await checkReorg(state);
+
+    while (state.next <= safe) {
+      const from = state.next;
+      const to = Math.min(from + batchSize - 1, safe);
+      const count = await indexRange(from, to);
+      const { hash } = await blockInfo(to);
+      state = { ...state, next: to + 1, recent: [...state.recent, [to, hash]].slice(-REORG_WINDOW) };
+      await store.indexer.put(CURSOR_ID, state);
+      if (count) console.log(`[Indexer] ${count} events in blocks ${from}–${to}`);
+    }
+    await store.indexer.put(CURSOR_ID, state);
+
+    if (recorded) {
+      recorded.head = Math.max(recorded.head, head);
+      await fs.promises.writeFile(record, JSON.stringify(recorded, null, 1));
+    }
+    lastError = null;
+  }
+
+  function sync() {
+    // Passes never overlap; a caller during one waits for it
+    syncing = syncing || syncOnce()
+      .catch(err => {
+        lastError = err.message;
+        console.error('[Indexer] Sync failed:', err.message);
+      })
+      .finally(() => { syncing = null; });
+    return syncing;
+  }
+
+  // ---- Queries (from store.chainEvents) ----
+  const events = (name) => store.chainEvents.all().filter(e => e.event === name).sort(byChainOrder);
+
+  function scoreEntry(e) {
+    const a = e.args;
+    return {
+      player: a.player, score: Number(a.score), round: Number(a.round), kills: Number(a.kills),
+      isAgent: a.isAgent, epochId: Number(a.epochId), sessionId: a.sessionId,
+      timestamp: e.timestamp, block: e.blockNumber, txHash: e.txHash,
+    };
+  }
+
+  function epochs() {
+    const byId = new Map();
+    const epoch = (id) => {
+      if (!byId.has(id)) {
+        byId.set(id, {
+          id, startTime: null, endTime: null, settled: false, scores: 0,
+          humanTopScore: 0, agentTopScore: 0, humanWinner: null, agentWinner: null,
+        });
+      }
+      return byId.get(id);
+    };
+    for (const e of events('EpochStarted')) {
+      Object.assign(epoch(Number(e.args.epochId)), { startTime: Number(e.args.startTime), endTime: Number(e.args.endTime) });
+    }
+    for (const e of events('ScoreSubmitted')) {
+      const s = scoreEntry(e);
+      const ep = epoch(s.epochId);
+      const side = s.isAgent ? 'agent' : 'human';
+      ep.scores++;
+      if (s.score > ep[`${side}TopScore`]) {
+        ep[`${side}TopScore`] = s.score;
+        ep[`${side}Winner`] = s.player;
+      }
+    }
+    for (const e of events('EpochSettled')) {
+      const a = e.args;
+      Object.assign(epoch(Number(a.epochId)), {
+        settled:     true,
+        settledAt:   e.timestamp,
+        humanWinner: a.humanWinner === ethers.ZeroAddress ? null : a.humanWinner,
+        agentWinner: a.agentWinner === ethers.ZeroAddress ? null : a.agentWinner,
+        humanPrize:  eth(a.humanPrize),
+        agentPrize:  eth(a.agentPrize),
+        txHash:      e.txHash,
+      });
+    }
+    return [...byId.values()].sort((a, b) => b.id - a.id);
+  }
+
+  function epochDetail(id) {
+    const summary = epochs().find(e => e.id === id);
+    if (!summary) return null;
+    const scores = events('ScoreSubmitted').map(scoreEntry).filter(s => s.epochId === id)
+      .sort((a, b) => b.score - a.score || a.timestamp - b.timestamp);
+    return {
+      ...summary,
+      humans: scores.filter(s => !s.isAgent),
+      agents: scores.filter(s => s.isAgent),
+    };
+  }
+
+  function playerScores(player) {
+    player = player.toLowerCase();
+    return events('ScoreSubmitted').map(scoreEntry).filter(s => s.player === player).reverse();
+  }
+
+  function playerRewards(player) {
+    player = player.toLowerCase();
+    const rewards = events('RewardMinted').filter(e => e.args.player === player).map(e => ({
+      kind: 'gameplay', reason: e.args.reason, amount: eth(e.args.amount),
+      wei: e.args.amount, timestamp: e.timestamp, txHash: e.txHash,
+    }));
+    for (const e of events('EpochSettled')) {
+      for (const side of ['human', 'agent']) {
+        if (e.args[`${side}Winner`] !== player || e.args[`${side}Prize`] === '0') continue;
+        rewards.push({
+          kind: 'prize', epochId: Number(e.args.epochId), category: side, amount: eth(e.args[`${side}Prize`]),
+          wei: e.args[`${side}Prize`], timestamp: e.timestamp, txHash: e.txHash,
+        });
+      }
+    }
+    rewards.sort((a, b) => b.timestamp - a.timestamp);
+    const sum = (kind) => rewards.filter(r => !kind || r.kind === kind).reduce((t, r) => t + BigInt(r.wei), 0n);
+    return {
+      totals: { gameplay: eth(sum('gameplay')), prizes: eth(sum('prize')), total: eth(sum()) },
+      rewards: rewards.map(({ wei, ...r }) => r),
+    };
+  }
+
+  function status() {
+    const state = cursor();
+    return {
+      address,
+      block:   state ? state.next - 1 : null,
+      head,
+      lag:     state && head !== null ? Math.max(0, head - confirmations - state.next + 1) : null,
+      events:  store.chainEvents.size,
+      syncing: !!syncing,
+      ...(lastError ? { error: lastError } : {}),
+    };
+  }
+
+  return {
+    sync,
+    start() {
+      if (timer) return;
+      sync();
+      timer = setInterval(sync, pollMs);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      return syncing || Promise.resolve();
+    },
+    status, epochs, epoch: epochDetail, playerScores, playerRewards,
+  };
+}
@@ -0,0 +1,204 @@
+// ============================================================
+//  CLAWDUG EPOCH KEEPER
+//  ClawDugGame.settleEpoch() pays the epoch winners and starts
+//  the next epoch, but only once someone calls it after
+//  endTime. The keeper watches the epoch clock (block time, not
+//  ours) and sends that transaction from its own wallet.
+//
+//  Per settlement:
+//    - re-read the epoch; if its id moved on, someone else
+//      settled it and the run is recorded as "skipped"
+//    - estimate gas (+GAS_HEADROOM_PCT) and price from fee data
+//    - the nonce is fetched once per run; a tx that doesn't
+//      confirm within txTimeoutMs is replaced at the same nonce
+//      with fees bumped by FEE_BUMP_PCT per attempt
+//    - outcome (winners and prizes from EpochSettled, gas used)
+//      goes to store.settlements
+// ============================================================
+
+import { ethers } from 'ethers';
+
+export const KEEPER_ABI = [
+  'function settleEpoch() external',
+  'function getCurrentEpoch() external view returns (tuple(uint256 id, uint256 startTime, uint256 endTime, uint256 prizePool, uint256 burnAmount, uint256 treasuryAmount, bool settled, address humanWinner, address agentWinner, uint256 humanTopScore, uint256 agentTopScore))',
+  'event EpochSettled(uint256 indexed epochId, address humanWinner, uint256 humanPrize, address agentWinner, uint256 agentPrize)',
+  'event EpochStarted(uint256 indexed epochId, uint256 startTime, uint256 endTime)',
+];
+
+const GAS_HEADROOM_PCT = 20n;   // on top of estimateGas
+const FEE_BUMP_PCT     = 25n;   // per replacement (nodes want ≥ 10%)
+const RETRY_DELAY_MS   = 15000;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const orNull = (address) => (address === ethers.ZeroAddress ? null : address.toLowerCase());
+
+function epochInfo(epoch) {
+  return {
+    id:        Number(epoch.id),
+    startTime: Number(epoch.startTime),
+    endTime:   Number(epoch.endTime),
+    settled:   epoch.settled,
+  };
+}
+
+// `wallet` is an ethers Signer with a provider; `onRollover` hears
+// about every new epoch, whoever settled the previous one
+export function createKeeper({
+  store, wallet, address, pollMs = 30000, maxAttempts = 5, txTimeoutMs = 120000, onRollover,
+}) {
+  const provider = wallet.provider;
+  const game = new ethers.Contract(address, KEEPER_ABI, wallet);
+  const data = game.interface.encodeFunctionData('settleEpoch');
+
+  let timer     = null;
+  let checking  = null;
+  let epoch     = null;       // last epoch seen
+  let running   = null;       // settlement in flight
+  let lastCheck = null;
+  let lastError = null;
+  let lastRun   = store.settlements.all().at(-1) ?? null;
+
+  async function currentEpoch() {
+    return epochInfo(await game.getCurrentEpoch());
+  }
+
+  // Track the epoch id; a higher one means a rollover
+  function observe(next) {
+    const previous = epoch;
+    epoch = next;
+    if (previous && next.id > previous.id) {
+      onRollover?.({
+        epochId:    previous.id,
+        next,
+        settlement: lastRun?.epochId === previous.id ? lastRun : null,
+      });
+    }
+  }
+
+  async function record(run, status, extra = {}) {
+    Object.assign(run, { status, finishedAt: Date.now() }, extra);
+    running = null;
+    lastRun = run;
+    await store.settlements.add(run);
+    const note = run.result ? ` — human ${run.result.humanPrize} / agent ${run.result.agentPrize} $DUG` : '';
+    console.log(`[Keeper] Epoch ${run.epochId} ${status}${run.txHash ? ` (${run.txHash.slice(0, 10)}...)` : ''}${note}`);
+    return run;
+  }
+
+  // What a mined settleEpoch did, from its logs
+  async function fromReceipt(run, receipt) {
+    const extra = {
+      txHash:   receipt.hash,
+      block:    receipt.blockNumber,
+      gasUsed:  receipt.gasUsed.toString(),
+      cost:     ethers.formatEther(receipt.gasUsed * (receipt.gasPrice ?? 0n)),
+    };
+    if (receipt.status !== 1) {
+      // Lost a race: someone settled it in an earlier tx of the same block
+      const now = await currentEpoch();
+      return record(run, now.id !== run.epochId ? 'skipped' : 'reverted', extra);
+    }
+    for (const log of receipt.logs) {
+      const parsed = game.interface.parseLog(log);
+      if (parsed?.name !== 'EpochSettled') continue;
+      extra.result = {
+        humanWinner: orNull(parsed.args.humanWinner),
+        humanPrize:  ethers.formatEther(parsed.args.humanPrize),
+        agentWinner: orNull(parsed.args.agentWinner),
+        agentPrize:  ethers.formatEther(parsed.args.agentPrize),
+      };
+    }
+    return record(run, 'settled', extra);
+  }
+
+  async function settle(epochId) {
+    const run = { epochId, wallet: wallet.address.toLowerCase(), status: 'pending', startedAt: Date.now(), attempts: [] };
+    running = run;
+    let nonce = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        // A previous attempt may have been mined after we stopped waiting
+        for (const { hash } of run.attempts) {
+          const receipt = hash && await provider.getTransactionReceipt(hash);
+          if (receipt) return fromReceipt(run, receipt);
+        }
+        if ((await currentEpoch()).id !== epochId) return record(run, 'skipped');
+
+        const gas  = await provider.estimateGas({ from: wallet.address, to: address, data });
+        const fees = await provider.getFeeData();
+        if (nonce === null) nonce = await provider.getTransactionCount(wallet.address, 'pending');
+        const bump = (fee) => fee * (100n + FEE_BUMP_PCT) ** BigInt(attempt - 1) / 100n ** BigInt(attempt - 1);
+
+        const tx = await wallet.sendTransaction({
+          to: address, data, nonce,
+          gasLimit: gas * (100n + GAS_HEADROOM_PCT) / 100n,
+          maxFeePerGas:         bump(fees.maxFeePerGas),
+          maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas),
+        });
+        run.attempts.push({ hash: tx.hash, nonce, maxFeePerGas: tx.maxFeePerGas.toString(), sentAt: Date.now() });
+
+        // Throws on timeout → the next attempt replaces it at the same nonce
+        const receipt = await provider.waitForTransaction(tx.hash, 1, txTimeoutMs);
+        if (receipt) return fromReceipt(run, receipt);
+      } catch (err) {
+        const message = err.shortMessage || err.message;
+        run.attempts.push({ error: message, at: Date.now() });
+        console.warn(`[Keeper] Epoch ${epochId} attempt ${attempt} failed: ${message}`);
+        // Our nonce was used by another tx from this wallet
+        if (err.code === 'NONCE_EXPIRED') nonce = null;
+        if (attempt < maxAttempts) await sleep(RETRY_DELAY_MS);
+      }
+    }
+    return record(run, 'failed', { error: run.attempts.at(-1)?.error });
+  }
+
+  async function checkOnce() {
+    lastCheck = Date.now();
+    const [now, block] = await Promise.all([currentEpoch(), provider.getBlock('latest')]);
+    observe(now);
+    if (!now.settled && block.timestamp >= now.endTime) {
+      await settle(now.id);
+      observe(await currentEpoch());
+    }
+    lastError = null;
+  }
+
+  function check() {
+    checking = checking || checkOnce()
+      .catch(err => {
+        lastError = err.shortMessage || err.message;
+        console.error('[Keeper] Check failed:', lastError);
+      })
+      .finally(() => { checking = null; });
+    return checking;
+  }
+
+  function status() {
+    return {
+      enabled:  true,
+      wallet:   wallet.address,
+      pollMs,
+      lastCheck,
+      epoch:    epoch && { ...epoch, endsIn: Math.max(0, epoch.endTime - Math.floor(Date.now() / 1000)) },
+      running,
+      lastRun,
+      settled:  store.settlements.all().filter(r => r.status === 'settled').length,
+      ...(lastError ? { error: lastError } : {}),
+    };
+  }
+
+  return {
+    check, status,
+    start() {
+      if (timer) return;
+      check();
+      timer = setInterval(check, pollMs);
+    },
+    // A settlement in flight carries on; its outcome is recorded when it lands
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,208 @@
+// ============================================================
+//  CLAWDUG METRICS
+//  A small Prometheus registry for GET /metrics — counters,
+//  gauges and histograms with labels, rendered in the text
+//  exposition format (0.0.4). No client library needed.
+//
+//  Gauges can take a collect() callback that runs at scrape time
+//  (WS clients, live sessions) instead of being kept up to date.
+//  instrumentContract() wraps an ethers Contract so every method
+//  call is timed and its failures counted; instrumentProvider()
+//  does the same per JSON-RPC method for everything else that
+//  talks to the node (keeper, relayer, indexer).
+// ============================================================
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText(names, values) {
+  if (!names.length) return '';
+  return `{${names.map((n, i) => `${n}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+const formatValue = (v) => (Number.isFinite(v) ? String(v) : v > 0 ? '+Inf' : v < 0 ? '-Inf' : 'NaN');
+
+// ============================================================
+//  REGISTRY
+// ============================================================
+export function createMetrics({ prefix = 'clawdug_' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, labelNames) {
+    const metric = { type, name: prefix + name, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Series are keyed by their label values in labelNames order
+  function series(metric, labels = {}, init) {
+    const values = metric.labelNames.map(n => labels[n] ?? '');
+    const key = values.join('\u0000');
+    let s = metric.series.get(key);
+    if (!s) {
+      s = { values, ...init() };
+      metric.series.set(key, s);
+    }
+    return s;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    return {
+      inc(labels, n = 1) {
+        series(metric, labels, () => ({ value: 0 })).value += n;
+      },
+      get: (labels) => metric.series.get(metric.labelNames.map(n => labels?.[n] ?? '').join('\u0000'))?.value ?? 0,
+    };
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const metric = register('gauge', name, help, labelNames);
+    metric.collect = collect;
+    return {
+      set(labels, value) {
+        if (value === undefined) [labels, value] = [{}, labels];
+        series(metric, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+    const observe = (labels, value) => {
+      const s = series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    };
+    return {
+      observe,
+      // Returns end(): records the seconds since startTimer()
+      startTimer(labels) {
+        const start = process.hrtime.bigint();
+        return (more) => observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      if (metric.collect) {
+        metric.series.clear();
+        const collected = metric.collect();
+        const entries = typeof collected === 'number' ? [[{}, collected]] : Object.entries(collected ?? {})
+          .map(([value, v]) => [{ [metric.labelNames[0]]: value }, v]);
+        for (const [labels, value] of entries) series(metric, labels, () => ({ value: 0 })).value = value;
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const s of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${labelText(metric.labelNames, s.values)} ${formatValue(s.value)}`);
+          continue;
+        }
+        const names = [...metric.labelNames, 'le'];
+        metric.buckets.forEach((le, i) => {
+          lines.push(`${metric.name}_bucket${labelText(names, [...s.values, le])} ${s.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${labelText(names, [...s.values, '+Inf'])} ${s.count}`);
+        lines.push(`${metric.name}_sum${labelText(metric.labelNames, s.values)} ${formatValue(s.sum)}`);
+        lines.push(`${metric.name}_count${labelText(metric.labelNames, s.values)} ${s.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+// ============================================================
+//  RATE METER  (events per second over a sliding window)
+// ============================================================
+export function createRateMeter(windowS = 10) {
+  const buckets = new Array(windowS).fill(0);
+  let current = Math.floor(Date.now() / 1000);
+
+  function roll() {
+    const now = Math.floor(Date.now() / 1000);
+    for (let t = current + 1; t <= Math.min(now, current + windowS); t++) buckets[t % windowS] = 0;
+    if (now - current > windowS) buckets.fill(0);
+    current = now;
+  }
+
+  return {
+    mark(n = 1) {
+      roll();
+      buckets[current % windowS] += n;
+    },
+    // Completed seconds only, so the rate doesn't dip at each second's start
+    rate() {
+      roll();
+      const total = buckets.reduce((a, b) => a + b, 0) - buckets[current % windowS];
+      return total / (windowS - 1);
+    },
+  };
+}
+
+// ============================================================
+//  CHAIN INSTRUMENTATION
+// ============================================================
+// Every ABI method called through the returned proxy is timed into
+// `duration` and counted into `errors` when it throws
+export function instrumentContract(contract, name, { duration, errors }) {
+  return new Proxy(contract, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof prop !== 'string' || typeof value !== 'function') return value;
+      let fragment = null;
+      try { fragment = target.interface.getFunction(prop); } catch { /* not an ABI method */ }
+      // ethers keeps contract internals in a WeakMap keyed by the contract
+      if (!fragment) return value.bind(target);
+      return async (...args) => {
+        const labels = { contract: name, method: prop };
+        const end = duration.startTimer(labels);
+        try {
+          return await value(...args);
+        } catch (err) {
+          errors.inc(labels);
+          throw err;
+        } finally {
+          end();
+        }
+      };
+    },
+  });
+}
+
+// Per JSON-RPC method, from the provider's debug events (batches
+// are timed as a whole and attributed to each method in them)
+export function instrumentProvider(provider, { duration, errors }) {
+  const pending = new Map();   // request id -> { method, batch }
+
+  function finish(id, failed) {
+    const req = pending.get(id);
+    if (!req) return;
+    pending.delete(id);
+    duration.observe({ method: req.method }, Number(process.hrtime.bigint() - req.batch.start) / 1e9);
+    if (failed) errors.inc({ method: req.method });
+  }
+
+  provider.on('debug', (event) => {
+    if (event.action === 'sendRpcPayload') {
+      const batch = { start: process.hrtime.bigint(), ids: [] };
+      for (const p of [].concat(event.payload)) {
+        batch.ids.push(p.id);
+        pending.set(p.id, { method: p.method, batch });
+      }
+    } else if (event.action === 'receiveRpcResult') {
+      for (const r of [].concat(event.result)) finish(r.id, 'error' in r);
+    } else if (event.action === 'receiveRpcError') {
+      // Transport failure: no ids to go on, so it's the oldest batch in flight
+      const oldest = pending.values().next().value;
+      for (const id of oldest?.batch.ids ?? []) finish(id, true);
+    }
+  });
+}
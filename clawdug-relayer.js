@@ -0,0 +1,268 @@
+// ============================================================
+//  CLAWDUG SCORE RELAYER
+//  Gasless submission: the player signs an EIP-712
+//  ScoreAuthorization and the server sends
+//  ClawDugGame.submitScoreFor() from its own wallet.
+//
+//  Jobs (store.relays, keyed by sessionId):
+//    queued → sent → mined
+//                  ↘ failed   (reverted, rejected or expired)
+//  Only a revert is final: network and node errors put the job
+//  back in the queue, retried with backoff until its
+//  authorization deadline. A failed job can be enqueued again
+//  for the same session.
+//  One wallet sends them one at a time, so the nonce is just
+//  the wallet's pending count when each job goes out. The
+//  server's score signature is made right before sending —
+//  the contract only accepts it for 5 minutes.
+//
+//  Quota: `quota` jobs per wallet per QUOTA_WINDOW_MS (failed
+//  jobs don't count).
+// ============================================================
+
+import { ethers } from 'ethers';
+
+export const RELAY_ABI = [
+  'function submitScoreFor(address player, uint256 score, uint256 round, uint256 kills, bytes32 sessionId, uint256 signedAt, bytes signature, uint256 deadline, bytes authorization) external',
+];
+
+// Must match ClawDugGame's EIP712("ClawDugGame", "1") and SCORE_AUTH_TYPEHASH
+export const SCORE_AUTH_TYPES = {
+  ScoreAuthorization: [
+    { name: 'player',    type: 'address' },
+    { name: 'score',     type: 'uint256' },
+    { name: 'round',     type: 'uint256' },
+    { name: 'kills',     type: 'uint256' },
+    { name: 'sessionId', type: 'bytes32' },
+    { name: 'deadline',  type: 'uint256' },
+  ],
+};
+
+export function scoreAuthDomain(chainId, address) {
+  return { name: 'ClawDugGame', version: '1', chainId, verifyingContract: address };
+}
+
+// Ready for eth_signTypedData_v4 (or ethers signer.signTypedData)
+export function scoreAuthTypedData(chainId, address, message) {
+  return {
+    types: {
+      EIP712Domain: [
+        { name: 'name',              type: 'string' },
+        { name: 'version',           type: 'string' },
+        { name: 'chainId',           type: 'uint256' },
+        { name: 'verifyingContract', type: 'address' },
+      ],
+      ...SCORE_AUTH_TYPES,
+    },
+    domain:      scoreAuthDomain(chainId, address),
+    primaryType: 'ScoreAuthorization',
+    message,
+  };
+}
+
+const QUOTA_WINDOW_MS    = 24 * 60 * 60 * 1000;
+const GAS_HEADROOM_PCT   = 20n;
+const RETRY_DELAY_MS     = 5000;     // doubled per attempt…
+const MAX_RETRY_DELAY_MS = 60000;    // …up to this
+
+// A contract revert can't go better next time; an error `sign` marks
+// `final` (e.g. a revoked signature) can't either
+const isFinal = (err) => err.code === 'CALL_EXCEPTION' || err.final === true;
+
+// `sign(job)` returns the server's { signedAt, signature } for the job's score;
+// `onDone(job)` hears about every job that ends, mined or failed
+export function createRelayer({
+  store, wallet, address, chainId, sign, onDone = () => {}, quota = 20, txTimeoutMs = 120000, retryDelayMs = RETRY_DELAY_MS,
+}) {
+  const retryDelay = (attempts) => Math.min(MAX_RETRY_DELAY_MS, retryDelayMs * 2 ** (attempts - 1));
+  const provider = wallet.provider;
+  const iface = new ethers.Interface(RELAY_ABI);
+  const queue = [];
+  let working = false;
+  let timer = null;               // wakes work() for the next retry
+
+  const save = (job) => store.relays.put(job.id, job);
+
+  function used(player) {
+    const since = Date.now() - QUOTA_WINDOW_MS;
+    return store.relays.all()
+      .filter(j => j.player === player && j.queuedAt > since && j.status !== 'failed').length;
+  }
+
+  function remaining(player) {
+    return Math.max(0, quota - used(player.toLowerCase()));
+  }
+
+  // Check a ScoreAuthorization; returns an error string or null
+  function checkAuthorization(message, authorization) {
+    try {
+      const signer = ethers.verifyTypedData(scoreAuthDomain(chainId, address), SCORE_AUTH_TYPES, message, authorization);
+      return signer.toLowerCase() === message.player.toLowerCase() ? null : 'authorization not signed by the player';
+    } catch {
+      return 'malformed authorization';
+    }
+  }
+
+  async function fail(job, error) {
+    Object.assign(job, { status: 'failed', error, finishedAt: Date.now() });
+    await save(job);
+    console.warn(`[Relay] ${job.id.slice(0, 10)}... failed: ${error}`);
+    onDone(job);
+  }
+
+  async function mined(job, receipt) {
+    Object.assign(job, {
+      status:     receipt.status === 1 ? 'mined' : 'failed',
+      block:      receipt.blockNumber,
+      gasUsed:    receipt.gasUsed.toString(),
+      finishedAt: Date.now(),
+      ...(receipt.status === 1 ? {} : { error: 'transaction reverted' }),
+    });
+    await save(job);
+    console.log(`[Relay] ${job.id.slice(0, 10)}... ${job.status} in block ${receipt.blockNumber}`);
+    onDone(job);
+  }
+
+  // A tx that outlived txTimeoutMs is still tracked until it lands —
+  // through node outages too, since it may land meanwhile
+  function watch(job, attempts = 0) {
+    provider.waitForTransaction(job.txHash, 1)
+      .then(receipt => receipt && mined(job, receipt))
+      .catch((err) => {
+        console.warn(`[Relay] ${job.id.slice(0, 10)}... lost track of ${job.txHash}: ${err.shortMessage || err.message}`);
+        setTimeout(() => watch(job, attempts + 1), retryDelay(attempts + 1)).unref?.();
+      });
+  }
+
+  // Back in the queue for another try after the backoff
+  async function retry(job, err) {
+    job.attempts = (job.attempts || 0) + 1;
+    job.lastError = err.shortMessage || err.message;
+    job.retryAt = Date.now() + retryDelay(job.attempts);
+    await save(job);
+    queue.push(job);
+    queue.sort((a, b) => a.queuedAt - b.queuedAt);
+    console.warn(`[Relay] ${job.id.slice(0, 10)}... attempt ${job.attempts} failed, retrying in ${job.retryAt - Date.now()}ms: ${job.lastError}`);
+  }
+
+  async function send(job) {
+    try {
+      const { signedAt, signature } = await sign({ ...job, sessionId: job.id });
+      const data = iface.encodeFunctionData('submitScoreFor', [
+        job.player, job.score, job.round, job.kills, job.id, signedAt, signature, job.deadline, job.authorization,
+      ]);
+      // A revert here (session used, expired authorization) is final
+      const gas = await provider.estimateGas({ from: wallet.address, to: address, data });
+      const nonce = await provider.getTransactionCount(wallet.address, 'pending');
+      const tx = await wallet.sendTransaction({ to: address, data, nonce, gasLimit: gas * (100n + GAS_HEADROOM_PCT) / 100n });
+      Object.assign(job, { status: 'sent', txHash: tx.hash, nonce, sentAt: Date.now(), retryAt: undefined });
+      await save(job);
+
+      try {
+        const receipt = await provider.waitForTransaction(tx.hash, 1, txTimeoutMs);
+        if (receipt) return mined(job, receipt);
+      } catch (err) {
+        if (err.code !== 'TIMEOUT') throw err;
+      }
+      return watch(job);
+    } catch (err) {
+      // Once a tx is out, never send a second one for the job
+      if (job.status === 'sent') return watch(job);
+      if (isFinal(err)) return fail(job, err.reason || err.shortMessage || err.message);
+      return retry(job, err);
+    }
+  }
+
+  // Jobs go out one at a time, oldest first, skipping those waiting
+  // out a retry; the timer comes back for the next one due
+  async function work() {
+    if (working) return;
+    working = true;
+    clearTimeout(timer);
+    try {
+      for (;;) {
+        const i = queue.findIndex(j => !(j.retryAt > Date.now()));
+        if (i === -1) break;
+        const [job] = queue.splice(i, 1);
+        if (Date.now() / 1000 > job.deadline) {
+          await fail(job, job.lastError
+            ? `authorization expired before it could be sent (last error: ${job.lastError})`
+            : 'authorization expired before it could be sent');
+          continue;
+        }
+        await send(job).catch(err => console.error(`[Relay] ${job.id.slice(0, 10)}... not recorded:`, err.message));
+      }
+    } finally {
+      working = false;
+    }
+    if (queue.length) {
+      const next = Math.min(...queue.map(j => j.retryAt ?? 0));
+      timer = setTimeout(work, Math.max(0, next - Date.now()));
+      timer.unref?.();
+    }
+  }
+
+  // { player, score, round, kills, sessionId, deadline, authorization }
+  function enqueue(request) {
+    const job = {
+      id:            request.sessionId,
+      player:        request.player.toLowerCase(),
+      score:         request.score,
+      round:         request.round,
+      kills:         request.kills,
+      deadline:      request.deadline,
+      authorization: request.authorization,
+      status:        'queued',
+      queuedAt:      Date.now(),
+    };
+    save(job);
+    queue.push(job);
+    work();
+    return job;
+  }
+
+  // Drop a job that hasn't been sent yet; sent ones can only land or fail
+  function cancel(sessionId, reason) {
+    const i = queue.findIndex(j => j.id === sessionId);
+    if (i === -1) return false;
+    const [job] = queue.splice(i, 1);
+    fail(job, reason);
+    return true;
+  }
+
+  // Public view of a job (no signatures)
+  function describe(job) {
+    if (!job) return null;
+    const { authorization, ...rest } = job;
+    return { ...rest, position: job.status === 'queued' ? queue.indexOf(job) + 1 : undefined };
+  }
+
+  // Pick up where a restart left off
+  function resume() {
+    for (const job of store.relays.all()) {
+      if (job.status === 'queued') queue.push(job);
+      else if (job.status === 'sent') watch(job);
+    }
+    queue.sort((a, b) => a.queuedAt - b.queuedAt);
+    if (queue.length) console.log(`[Relay] Resuming ${queue.length} queued jobs`);
+    work();
+  }
+
+  return {
+    wallet: wallet.address,
+    quota,
+    remaining,
+    checkAuthorization,
+    typedData: (message) => scoreAuthTypedData(chainId, address, message),
+    enqueue,
+    cancel,
+    resume,
+    get: (sessionId) => describe(store.relays.get(sessionId)),
+    status: () => ({
+      wallet:  wallet.address,
+      queued:  queue.length,
+      sending: working,
+      quota,
+    }),
+  };
+}
@@ -0,0 +1,403 @@
+// ============================================================
+//  CLAWDUG SCORE SIGNERS
+//  The keys that sign scores (and tournament results) for
+//  ClawDugGame, behind one interface.
+//
+//  Backends — each signs a 32-byte digest EIP-191 style, which is
+//  what _submitScore recovers:
+//    env[:NAME]      raw key from the environment (SCORE_SIGNER_PK
+//                    by default) — development
+//    keystore:<file> encrypted JSON keystore, password from
+//                    SCORE_SIGNER_PASSWORD
+//    socket:<path>   signing daemon on a Unix socket, so the key
+//                    lives in another process — the stand-in for an
+//                    HSM / KMS. `node clawdug-signers.js serve` is one.
+//
+//  The signer set signs with `threshold` of its signers (M-of-N:
+//  the contract wants signerThreshold signatures, concatenated in
+//  ascending signer-address order) and runs planned rotations:
+//  from startsAt the new key signs instead of the old one, which
+//  the contract keeps accepting until retiresAt so scores signed
+//  just before the switch can still land. With a chain view it
+//  only uses signers the contract accepts for a signature's whole
+//  5 minutes. Every signature issued goes to store.signerAudit.
+// ============================================================
+
+import fs   from 'fs';
+import net  from 'net';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+
+export const SIGNER_BACKENDS = ['env', 'keystore', 'socket'];
+export const SIGNATURE_TTL_S = 5 * 60;      // ClawDugGame: signedAt + 5 minutes
+export const MIN_OVERLAP_S   = SIGNATURE_TTL_S;
+
+const SOCKET_TIMEOUT_MS = 5000;
+const CHAIN_REFRESH_MS  = 60000;
+const STATE_DOC         = 'state';
+
+const lower = (address) => address.toLowerCase();
+const isDigest = (value) => typeof value === 'string' && ethers.isHexString(value, 32);
+
+// ============================================================
+//  BACKENDS
+//  { backend, ref, address, sign(digest) → 65-byte signature, close() }
+// ============================================================
+export function walletSigner(wallet, backend = 'env', ref = null) {
+  return {
+    backend,
+    ref,
+    address: lower(wallet.address),
+    sign:    (digest) => wallet.signMessage(ethers.getBytes(digest)),
+    close() {},
+  };
+}
+
+// Newline-delimited JSON: {"id":1,"method":"address"} / {"id":2,"method":"sign","digest":"0x…"}
+// → {"id":…,"result":…} or {"id":…,"error":"…"}. Reconnects on the next call.
+export async function socketSigner(path, { timeoutMs = SOCKET_TIMEOUT_MS } = {}) {
+  let socket = null;
+  let nextId = 1;
+  const pending = new Map();   // id -> { resolve, reject, timer }
+
+  function settle(id, error, result) {
+    const p = pending.get(id);
+    if (!p) return;
+    pending.delete(id);
+    clearTimeout(p.timer);
+    if (error) p.reject(new Error(error));
+    else p.resolve(result);
+  }
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const s = net.createConnection(path);
+      let buffer = '';
+      let connected = false;
+      s.setEncoding('utf8');
+      s.on('connect', () => {
+        connected = true;
+        socket = s;
+        resolve(s);
+      });
+      s.on('data', (chunk) => {
+        buffer += chunk;
+        let nl;
+        while ((nl = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, nl);
+          buffer = buffer.slice(nl + 1);
+          try {
+            const msg = JSON.parse(line);
+            settle(msg.id, msg.error, msg.result);
+          } catch { /* not ours */ }
+        }
+      });
+      s.on('error', (err) => {
+        if (!connected) reject(new Error(`signing daemon at ${path}: ${err.code ?? err.message}`));
+      });
+      s.on('close', () => {
+        if (socket === s) socket = null;
+        for (const id of [...pending.keys()]) settle(id, 'signing daemon disconnected');
+      });
+    });
+  }
+
+  async function call(method, params = {}) {
+    const s = socket ?? await connect();
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => settle(id, `signing daemon timed out after ${timeoutMs}ms`), timeoutMs);
+      pending.set(id, { resolve, reject, timer });
+      s.write(JSON.stringify({ id, method, ...params }) + '\n');
+    });
+  }
+
+  const address = await call('address');
+  if (!ethers.isAddress(address)) throw new Error(`signing daemon at ${path} returned no address`);
+  return {
+    backend: 'socket',
+    ref:     path,
+    address: lower(address),
+    sign:    (digest) => call('sign', { digest }),
+    close()  { socket?.end(); },
+  };
+}
+
+export async function loadSigner(spec, { env = process.env } = {}) {
+  const [backend, ...rest] = spec.trim().split(':');
+  const ref = rest.join(':');
+  if (backend === 'env') {
+    const name = ref || 'SCORE_SIGNER_PK';
+    if (!env[name]) throw new Error(`${name} is not set`);
+    return walletSigner(new ethers.Wallet(env[name]), 'env', name);
+  }
+  if (backend === 'keystore') {
+    if (!ref) throw new Error('keystore:<file> needs a path');
+    if (!env.SCORE_SIGNER_PASSWORD) throw new Error('SCORE_SIGNER_PASSWORD is not set');
+    const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(ref, 'utf8'), env.SCORE_SIGNER_PASSWORD);
+    return walletSigner(wallet, 'keystore', ref);
+  }
+  if (backend === 'socket') {
+    if (!ref) throw new Error('socket:<path> needs a path');
+    return socketSigner(ref);
+  }
+  throw new Error(`unknown signer backend "${backend}" (${SIGNER_BACKENDS.join(', ')})`);
+}
+
+// ============================================================
+//  SIGNER SET
+// ============================================================
+// `chainView()` resolves { threshold, signers: { address: retiresAt (unix s, 0 = none) } }
+// from the contract; without it every loaded signer counts as accepted
+export function createSignerSet({ store, signers, threshold = 1, chainView = null, refreshMs = CHAIN_REFRESH_MS }) {
+  const byAddress = new Map(signers.map(s => [s.address, s]));
+  if (byAddress.size !== signers.length) throw new Error('the same score signer is configured twice');
+  const health = new Map(signers.map(s => [s.address, { signed: 0, failures: 0, lastError: null }]));
+  let onChain = null;          // last chainView(), null until read (or without a chain)
+  let chainError = null;
+  let timer = null;
+
+  const state = () => store.signerState.get(STATE_DOC) ?? { rotation: null, retired: [] };
+  const saveState = (next) => store.signerState.put(STATE_DOC, { ...state(), ...next });
+  const required = () => onChain?.threshold ?? threshold;
+
+  // The contract takes it now and for a whole signature lifetime
+  function accepted(address, now = Date.now()) {
+    if (!onChain) return true;
+    if (!(address in onChain.signers)) return false;
+    const retiresAt = onChain.signers[address];
+    return retiresAt === 0 || retiresAt * 1000 - now >= SIGNATURE_TTL_S * 1000;
+  }
+
+  // Signers to use, in configured order
+  function usable(now = Date.now()) {
+    const { rotation, retired } = state();
+    const switched = rotation && now >= rotation.startsAt && accepted(rotation.to, now);
+    return signers.filter(s => accepted(s.address, now)
+      && !retired.includes(s.address)
+      && !(rotation && s.address === (switched ? rotation.from : rotation.to)));
+  }
+
+  function finishRotation(now = Date.now()) {
+    const { rotation, retired } = state();
+    if (!rotation || now < rotation.retiresAt) return;
+    saveState({ rotation: null, retired: [...new Set([...retired, rotation.from])] });
+    console.log(`[Signers] Rotation ${rotation.from} → ${rotation.to} complete`);
+  }
+
+  async function refresh() {
+    finishRotation();
+    if (!chainView) return;
+    try {
+      const view = await chainView();
+      onChain = { threshold: view.threshold, signers: Object.fromEntries(Object.entries(view.signers).map(([a, t]) => [lower(a), t])) };
+      chainError = null;
+      const ready = usable().length;
+      if (ready < onChain.threshold) {
+        console.warn(`[Signers] ${ready} usable score signers, the contract wants ${onChain.threshold}`);
+      }
+    } catch (err) {
+      chainError = err.message;
+      console.warn('[Signers] Could not read the contract signer set:', err.message);
+    }
+  }
+
+  async function signWith(signer, digest) {
+    const h = health.get(signer.address);
+    try {
+      const signature = await signer.sign(digest);
+      // A daemon could answer with someone else's key
+      if (lower(ethers.verifyMessage(ethers.getBytes(digest), signature)) !== signer.address) {
+        throw new Error('signature does not recover to the signer');
+      }
+      h.signed++;
+      return { address: signer.address, signature };
+    } catch (err) {
+      h.failures++;
+      h.lastError = { message: err.message, at: Date.now() };
+      console.warn(`[Signers] ${signer.backend} signer ${signer.address} failed:`, err.message);
+      return null;
+    }
+  }
+
+  // → { signature, signers }: `required()` signatures, ascending by signer
+  async function sign(digest, context = {}) {
+    if (!isDigest(digest)) throw new Error('digest must be 32 bytes of hex');
+    finishRotation();
+    const need = required();
+    const candidates = usable();
+    // The first `need` in parallel, then the rest one at a time for any that failed
+    const results = (await Promise.all(candidates.slice(0, need).map(s => signWith(s, digest)))).filter(Boolean);
+    for (const s of candidates.slice(need)) {
+      if (results.length >= need) break;
+      const r = await signWith(s, digest);
+      if (r) results.push(r);
+    }
+    if (results.length < need) {
+      throw new Error(`score signers unavailable: ${results.length} of ${need} signed (${candidates.length} usable)`);
+    }
+    results.sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+    const used = results.map(r => r.address);
+    store.signerAudit.add({ at: Date.now(), digest, signers: used, ...context });
+    return { signature: ethers.concat(results.map(r => r.signature)), signers: used };
+  }
+
+  // Planned rotation: `to` takes over from `from` at startsAt; the
+  // owner adds `to` on chain and retires `from` at retiresAt
+  function rotate({ from, to, startsAt = Date.now(), overlapS = MIN_OVERLAP_S * 3, by = null }) {
+    from = from && lower(from);
+    to = to && lower(to);
+    if (state().rotation) return { error: 'a rotation is already planned — cancel it first' };
+    if (!byAddress.has(from)) return { error: 'from must be a configured signer' };
+    if (!byAddress.has(to)) return { error: 'to must be a configured signer (add its backend to SCORE_SIGNERS first)' };
+    if (from === to) return { error: 'from and to must differ' };
+    if (!usable().some(s => s.address === from)) return { error: 'from is not signing now' };
+    if (!Number.isInteger(startsAt) || startsAt < Date.now() - 1000) return { error: 'startsAt must be now or later (ms)' };
+    if (!Number.isInteger(overlapS) || overlapS < MIN_OVERLAP_S) return { error: `overlapS must be an integer ≥ ${MIN_OVERLAP_S}` };
+    const rotation = { from, to, startsAt, retiresAt: startsAt + overlapS * 1000, overlapS, createdAt: Date.now(), by };
+    saveState({ rotation, retired: state().retired.filter(a => a !== to) });
+    return { rotation, calls: ownerCalls(rotation) };
+  }
+
+  // What the contract owner sends for a rotation, in order
+  function ownerCalls(rotation) {
+    return [
+      ...(onChain?.signers[rotation.to] === 0 ? [] : [{ function: 'addScoreSigner', args: [rotation.to] }]),
+      { function: 'retireScoreSigner', args: [rotation.from, Math.floor(rotation.retiresAt / 1000)] },
+    ];
+  }
+
+  function cancelRotation() {
+    const { rotation } = state();
+    if (!rotation) return null;
+    saveState({ rotation: null });
+    return rotation;
+  }
+
+  function status() {
+    const now = Date.now();
+    const { rotation, retired } = state();
+    const using = usable(now).slice(0, required()).map(s => s.address);
+    return {
+      threshold: required(),
+      configuredThreshold: threshold,
+      signers: signers.map(s => ({
+        address: s.address,
+        backend: s.backend,
+        ref:     s.ref,
+        signing: using.includes(s.address),
+        onChain: onChain ? { accepted: s.address in onChain.signers, retiresAt: onChain.signers[s.address] || null } : null,
+        retired: retired.includes(s.address),
+        ...health.get(s.address),
+      })),
+      rotation: rotation ? { ...rotation, switched: using.includes(rotation.to), calls: ownerCalls(rotation) } : null,
+      chain: chainView ? { read: !!onChain, error: chainError, signers: onChain && Object.keys(onChain.signers) } : null,
+    };
+  }
+
+  return {
+    sign, rotate, cancelRotation, refresh, status,
+    usable: () => usable().map(s => s.address),
+    get threshold() { return required(); },
+    start() {
+      timer = setInterval(refresh, refreshMs);
+      return refresh();
+    },
+    stop() {
+      clearInterval(timer);
+      for (const s of signers) s.close();
+    },
+  };
+}
+
+// ============================================================
+//  SIGNING DAEMON
+//  Holds one key and signs digests for whoever can open the
+//  socket (mode 0600 — same user only). Logs every signature.
+//  stop() also drops open connections, so clients see it go.
+// ============================================================
+export function serveSigner({ socketPath, signer }) {
+  const connections = new Set();
+  if (fs.existsSync(socketPath)) {
+    if (!fs.statSync(socketPath).isSocket()) throw new Error(`${socketPath} exists and is not a socket`);
+    fs.unlinkSync(socketPath);
+  }
+  const server = net.createServer((conn) => {
+    connections.add(conn);
+    conn.on('close', () => connections.delete(conn));
+    let buffer = '';
+    conn.setEncoding('utf8');
+    conn.on('error', () => {});
+    conn.on('data', async (chunk) => {
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 1);
+        let msg;
+        try { msg = JSON.parse(line); } catch { msg = null; }
+        const reply = (body) => conn.writable && conn.write(JSON.stringify({ id: msg?.id ?? null, ...body }) + '\n');
+        if (!msg) reply({ error: 'invalid JSON' });
+        else if (msg.method === 'address') reply({ result: signer.address });
+        else if (msg.method !== 'sign') reply({ error: `unknown method ${msg.method}` });
+        else if (!isDigest(msg.digest)) reply({ error: 'digest must be 32 bytes of hex' });
+        else {
+          try {
+            const signature = await signer.sign(msg.digest);
+            console.log(`[Signer] ${new Date().toISOString()} signed ${msg.digest}`);
+            reply({ result: signature });
+          } catch (err) {
+            reply({ error: err.message });
+          }
+        }
+      }
+    });
+  });
+  server.listen(socketPath, () => fs.chmodSync(socketPath, 0o600));
+  return {
+    stop: () => new Promise((resolve) => {
+      server.close(resolve);
+      for (const conn of connections) conn.destroy();
+    }),
+  };
+}
+
+// ============================================================
+//  CLI
+//    node clawdug-signers.js new <keystore.json>   — new key, encrypted with SCORE_SIGNER_PASSWORD
+//    node clawdug-signers.js address <spec>        — address behind a signer spec
+//    node clawdug-signers.js serve <socket> <spec> — signing daemon for an env / keystore key
+// ============================================================
+async function main() {
+  const [command, a, b] = process.argv.slice(2);
+  if (command === 'new' && a) {
+    if (!process.env.SCORE_SIGNER_PASSWORD) throw new Error('SCORE_SIGNER_PASSWORD is not set');
+    if (fs.existsSync(a)) throw new Error(`${a} already exists`);
+    const wallet = ethers.Wallet.createRandom();
+    fs.writeFileSync(a, await wallet.encrypt(process.env.SCORE_SIGNER_PASSWORD), { mode: 0o600 });
+    console.log(wallet.address);
+  } else if (command === 'address' && a) {
+    const signer = await loadSigner(a);
+    console.log(ethers.getAddress(signer.address));
+    signer.close();
+  } else if (command === 'serve' && a && b) {
+    const signer = await loadSigner(b);
+    if (signer.backend === 'socket') throw new Error('serve a key, not another daemon');
+    const daemon = serveSigner({ socketPath: a, signer });
+    console.log(`[Signer] ${ethers.getAddress(signer.address)} on ${a}`);
+    const stop = () => daemon.stop().then(() => process.exit(0));
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  } else {
+    console.error('usage: node clawdug-signers.js new <keystore.json> | address <spec> | serve <socket> <spec>\n'
+      + '  spec: env[:NAME] | keystore:<file> | socket:<path>   (keystores read SCORE_SIGNER_PASSWORD)');
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
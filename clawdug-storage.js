@@ -0,0 +1,204 @@
+// ============================================================
+//  CLAWDUG STORAGE
+//  Small repository layer behind the API server.
+//
+//  Collections:
+//    sessions — live GameSession records (restored on restart)
+//    archive  — finished sessions: replay + final result
+//    players  — registered wallets / agent profiles
+//    scores   — submitted scores (append-only)
+//    epochs   — off-chain epoch records (mock mode)
+//    apiKeys  — hashed agent API keys (see clawdug-auth.js)
+//    arenas   — finished arena matches and their standings
+//    chainEvents — contract events (see clawdug-indexer.js)
+//    indexer  — the indexer's block cursor
+//    settlements — epoch keeper runs (see clawdug-keeper.js)
+//    relays   — gasless score submissions (see clawdug-relayer.js)
+//    tournaments — scheduled events (see clawdug-tournament.js)
+//    webhooks — webhook subscriptions (see clawdug-webhooks.js)
+//    webhookDeliveries — webhook deliveries and their attempts
+//    devchain — the dev chain's contracts, txs and logs (CHAIN=dev)
+//    restrictions — wallet / IP bans and throttles (see clawdug-access.js)
+//    rateLimits — operator overrides of rate-limit policies
+//    signatures — score signatures issued, and revocations
+//    adminLog — admin API actions (append-only)
+//    signerState — planned score-signer rotation (see clawdug-signers.js)
+//    signerAudit — every score / result signature and who signed it (append-only)
+//    verdicts — anti-cheat verdicts per session, and their reviews (see clawdug-anticheat.js)
+//    antiCheat — operator overrides of the anti-cheat thresholds
+//    challenges — daily challenges by date, with each wallet's attempt (see clawdug-challenge.js)
+//
+//  Every collection keeps its data in memory and reads are
+//  synchronous; writes go through to the backend and return a
+//  promise. Backends:
+//    memory — nothing persisted (tests, throwaway dev runs)
+//    file   — DATA_DIR/<collection>/<id>.json per document,
+//             DATA_DIR/<collection>.jsonl for append-only logs
+//  Anything with the same shape (e.g. a SQLite backend) can be
+//  returned from createStore().
+// ============================================================
+
+import fs   from 'fs';
+import path from 'path';
+
+// ---- Document collection: keyed records ----
+class DocCollection {
+  constructor(dir) {
+    this.dir    = dir;        // null = memory only
+    this.docs   = new Map();
+    this.writes = new Map();  // id -> pending write, so writes land in order
+    if (dir) this._load();
+  }
+
+  _load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const doc = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        this.docs.set(decodeURIComponent(file.slice(0, -5)), doc);
+      } catch (err) {
+        console.warn(`[Storage] Skipping unreadable ${file}:`, err.message);
+      }
+    }
+  }
+
+  _file(id) {
+    return path.join(this.dir, encodeURIComponent(id) + '.json');
+  }
+
+  get(id)  { return this.docs.get(id) ?? null; }
+  has(id)  { return this.docs.has(id); }
+  all()    { return [...this.docs.values()]; }
+  get size() { return this.docs.size; }
+
+  // Writes never reject — a failed write is logged and the
+  // in-memory copy stays authoritative until the next put
+  _queue(id, task) {
+    const prev = this.writes.get(id) || Promise.resolve();
+    const next = prev.then(task).catch(err => {
+      console.error(`[Storage] Write failed (${id}):`, err.message);
+    });
+    this.writes.set(id, next);
+    next.then(() => {
+      if (this.writes.get(id) === next) this.writes.delete(id);
+    });
+    return next;
+  }
+
+  put(id, doc) {
+    this.docs.set(id, doc);
+    if (!this.dir) return Promise.resolve();
+    // Write-then-rename so a crash never leaves half a document
+    const file = this._file(id);
+    const json = JSON.stringify(doc);
+    return this._queue(id, async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, json);
+      await fs.promises.rename(tmp, file);
+    });
+  }
+
+  delete(id) {
+    this.docs.delete(id);
+    if (!this.dir) return Promise.resolve();
+    return this._queue(id, () => fs.promises.rm(this._file(id), { force: true }));
+  }
+
+  flush() {
+    return Promise.all([...this.writes.values()]);
+  }
+}
+
+// ---- Log collection: append-only records ----
+class LogCollection {
+  constructor(file) {
+    this.file    = file;      // null = memory only
+    this.entries = [];
+    this.tail    = Promise.resolve();
+    if (file) this._load();
+  }
+
+  _load() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    if (!fs.existsSync(this.file)) return;
+    for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try { this.entries.push(JSON.parse(line)); }
+      catch { console.warn(`[Storage] Skipping bad line in ${this.file}`); }
+    }
+  }
+
+  all() { return this.entries; }
+  get size() { return this.entries.length; }
+
+  add(entry) {
+    this.entries.push(entry);
+    if (!this.file) return Promise.resolve();
+    const line = JSON.stringify(entry) + '\n';
+    this.tail = this.tail
+      .then(() => fs.promises.appendFile(this.file, line))
+      .catch(err => console.error(`[Storage] Append failed (${this.file}):`, err.message));
+    return this.tail;
+  }
+
+  flush() {
+    return this.tail;
+  }
+}
+
+// ============================================================
+//  FACTORY
+// ============================================================
+export function createStore({ backend = 'file', dir = './data' } = {}) {
+  if (backend !== 'file' && backend !== 'memory') {
+    throw new Error(`unknown storage backend "${backend}"`);
+  }
+  const root = backend === 'file' ? path.resolve(dir) : null;
+  const docs = (name) => new DocCollection(root && path.join(root, name));
+  const log  = (name) => new LogCollection(root && path.join(root, name + '.jsonl'));
+
+  const store = {
+    backend,
+    dir:      root,
+    sessions: docs('sessions'),
+    archive:  docs('archive'),
+    players:  docs('players'),
+    scores:   log('scores'),
+    epochs:   docs('epochs'),
+    apiKeys:  docs('apiKeys'),
+    arenas:   docs('arenas'),
+    chainEvents: docs('chainEvents'),
+    indexer:  docs('indexer'),
+    settlements: log('settlements'),
+    relays:   docs('relays'),
+    tournaments: docs('tournaments'),
+    webhooks: docs('webhooks'),
+    webhookDeliveries: docs('webhookDeliveries'),
+    devchain: docs('devchain'),
+    restrictions: docs('restrictions'),
+    rateLimits: docs('rateLimits'),
+    signatures: docs('signatures'),
+    adminLog: log('adminLog'),
+    signerState: docs('signerState'),
+    signerAudit: log('signerAudit'),
+    verdicts: docs('verdicts'),
+    antiCheat: docs('antiCheat'),
+    challenges: docs('challenges'),
+
+    // Wait for every queued write (shutdown, tests)
+    async flush() {
+      await Promise.all([
+        store.sessions.flush(), store.archive.flush(), store.players.flush(),
+        store.scores.flush(), store.epochs.flush(), store.apiKeys.flush(),
+        store.arenas.flush(), store.chainEvents.flush(), store.indexer.flush(),
+        store.settlements.flush(), store.relays.flush(), store.tournaments.flush(),
+        store.webhooks.flush(), store.webhookDeliveries.flush(), store.devchain.flush(),
+        store.restrictions.flush(), store.rateLimits.flush(), store.signatures.flush(), store.adminLog.flush(),
+        store.signerState.flush(), store.signerAudit.flush(), store.verdicts.flush(), store.antiCheat.flush(),
+        store.challenges.flush(),
+      ]);
+    },
+  };
+  return store;
+}
@@ -0,0 +1,362 @@
+// ============================================================
+//  CLAWDUG TOURNAMENTS
+//  Scheduled events on a fixed seed / level set, separate from
+//  the epoch leaderboard.
+//
+//  Lifecycle: registration → running → finished (or cancelled)
+//    registration — until startsAt; entry rules are checked here
+//    running      — startsAt → endsAt (or until every match is in)
+//    finished     — standings are final; results() is the export
+//
+//  Formats:
+//    best-of      — each entrant gets `attempts` solo runs on the
+//                   tournament seed; best score counts
+//    bracket      — single elimination, 1v1 arena matches; seeds
+//                   by registration order, byes for the top seeds
+//    round-robin  — every pair meets once in a 1v1 arena match;
+//                   3 points a win, 1 a draw
+//
+//  Everything here is plain data so a tournament round-trips
+//  through store.tournaments; the API creates the sessions and
+//  arena matches and reports their outcomes back.
+// ============================================================
+
+import crypto from 'crypto';
+import engine from './clawdug-engine.cjs';
+
+const { randomSeed } = engine;
+
+export const TOURNAMENT_FORMATS      = ['best-of', 'bracket', 'round-robin'];
+export const ENTRY_RULES             = ['agents', 'humans', 'mixed'];
+export const MAX_TOURNAMENT_ENTRANTS = 64;
+export const MAX_TOURNAMENT_ATTEMPTS = 10;
+
+const POINTS = { win: 3, draw: 1 };
+
+// Bracket slots for `size` (a power of two): 1 v size, 2 v size-1, …
+// arranged so the top seeds can only meet in the late rounds
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const sum = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, sum - seed]);
+  }
+  return order;
+}
+
+// Circle method: every pair once, nobody twice in the same round
+function roundRobinRounds(players) {
+  const list = players.length % 2 ? [...players, null] : [...players];
+  const rounds = [];
+  for (let r = 0; r < list.length - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < list.length / 2; i++) {
+      const a = list[i], b = list[list.length - 1 - i];
+      if (a && b) pairs.push([a, b]);
+    }
+    rounds.push(pairs);
+    list.splice(1, 0, list.pop());
+  }
+  return rounds;
+}
+
+export class Tournament {
+  // `levels` is a resolved level set (engine resolveLevels); times in ms
+  constructor({
+    name, organiser, format, entry = 'mixed', attempts = 3, rounds, maxEntrants = 32,
+    seed = null, levels = 'procedural', startsAt, endsAt, payoutBps = [],
+  }) {
+    this.id          = '0x' + crypto.randomBytes(32).toString('hex');
+    this.name        = name;
+    this.organiser   = organiser.toLowerCase();
+    this.format      = format;
+    this.entry       = entry;
+    this.attempts    = format === 'best-of' ? attempts : null;
+    this.rounds      = format === 'best-of' ? null : rounds;   // game rounds per arena match
+    this.maxEntrants = maxEntrants;
+    this.seed        = seed ?? randomSeed();
+    this.levels      = levels;
+    this.startsAt    = startsAt;
+    this.endsAt      = endsAt;
+    this.payoutBps   = payoutBps;     // share per place, for an on-chain payout
+    this.status      = 'registration';
+    this.createdAt   = Date.now();
+    this.startedAt   = null;
+    this.endedAt     = null;
+    this.entrants    = [];            // { wallet, name, isAgent, seed, registeredAt }
+    this.matches     = [];            // bracket / round-robin
+    this.runs        = {};            // best-of: wallet -> [{ sessionId, startedAt, score, round, kills, reportedAt }]
+    this.signedPayout = null;         // { digest, signers, signature, signedAt } — signed once, when finished
+  }
+
+  static fromRecord(record) {
+    return Object.assign(Object.create(Tournament.prototype), record);
+  }
+
+  toRecord() {
+    return JSON.parse(JSON.stringify(this));
+  }
+
+  entrantOf(wallet) {
+    return this.entrants.find(e => e.wallet === wallet.toLowerCase()) ?? null;
+  }
+
+  // ---- Registration ----
+  register({ wallet, name, isAgent }) {
+    if (this.status !== 'registration') return { error: 'registration is closed' };
+    if (this.entry === 'agents' && !isAgent) return { error: 'this tournament is for agents only' };
+    if (this.entry === 'humans' && isAgent) return { error: 'this tournament is for humans only' };
+    if (this.entrantOf(wallet)) return { error: 'already registered' };
+    if (this.entrants.length >= this.maxEntrants) return { error: 'tournament is full' };
+    const entrant = {
+      wallet: wallet.toLowerCase(), name, isAgent: !!isAgent,
+      seed: this.entrants.length + 1, registeredAt: Date.now(),
+    };
+    this.entrants.push(entrant);
+    return { entrant };
+  }
+
+  withdraw(wallet) {
+    if (this.status !== 'registration') return { error: 'tournament already started' };
+    const index = this.entrants.findIndex(e => e.wallet === wallet.toLowerCase());
+    if (index === -1) return { error: 'not registered' };
+    this.entrants.splice(index, 1);
+    this.entrants.forEach((e, i) => { e.seed = i + 1; });
+    return { ok: true };
+  }
+
+  // ---- Start: draw the bracket / schedule ----
+  start(now = Date.now()) {
+    if (this.status !== 'registration') return { error: `tournament is ${this.status}` };
+    if (this.entrants.length < 2) return { error: 'need at least 2 entrants' };
+    this.status = 'running';
+    this.startedAt = now;
+    const wallets = this.entrants.map(e => e.wallet);
+
+    if (this.format === 'bracket') {
+      const size = 2 ** Math.ceil(Math.log2(wallets.length));
+      const order = bracketOrder(size);
+      for (let round = 1; size >> round >= 1; round++) {
+        for (let slot = 0; slot < size >> round; slot++) {
+          const players = round === 1
+            ? [wallets[order[slot * 2] - 1] ?? null, wallets[order[slot * 2 + 1] - 1] ?? null]
+            : [null, null];
+          this.matches.push(this._match(round, slot, players));
+        }
+      }
+      // Byes go straight through
+      for (const m of this.matches.filter(m => m.round === 1 && !(m.players[0] && m.players[1]))) {
+        this._resolve(m, { winner: m.players[0] ?? m.players[1], bye: true });
+      }
+    } else if (this.format === 'round-robin') {
+      roundRobinRounds(wallets).forEach((pairs, r) => {
+        pairs.forEach((players, slot) => this.matches.push(this._match(r + 1, slot, players)));
+      });
+    }
+    return { ok: true };
+  }
+
+  _match(round, slot, players) {
+    return { id: `r${round}m${slot}`, round, slot, players, arenaId: null, result: null };
+  }
+
+  matchStatus(m) {
+    if (m.result) return 'done';
+    if (m.arenaId) return 'playing';
+    return m.players[0] && m.players[1] ? 'ready' : 'waiting';
+  }
+
+  // Matches that can be played now and have no arena yet
+  readyMatches() {
+    return this.status === 'running' ? this.matches.filter(m => this.matchStatus(m) === 'ready') : [];
+  }
+
+  _resolve(m, result) {
+    m.result = { ...result, reportedAt: Date.now() };
+    if (this.format !== 'bracket' || !result.winner) return;
+    const next = this.matches.find(n => n.round === m.round + 1 && n.slot === m.slot >> 1);
+    if (next) next.players[m.slot % 2] = result.winner;
+  }
+
+  // Scores for players[0] / players[1]; bracket ties go to the higher seed
+  reportMatch(matchId, scores, { arenaId = null, reportedBy } = {}) {
+    if (this.status !== 'running') return { error: `tournament is ${this.status}` };
+    const m = this.matches.find(x => x.id === matchId);
+    if (!m) return { error: 'match not found' };
+    if (m.result) return { error: 'match already reported' };
+    if (!(m.players[0] && m.players[1])) return { error: 'match is still waiting for players' };
+    if (!Array.isArray(scores) || scores.length !== 2 || !scores.every(s => Number.isInteger(s) && s >= 0)) {
+      return { error: 'scores must be two non-negative integers' };
+    }
+    let winner = scores[0] > scores[1] ? m.players[0] : scores[1] > scores[0] ? m.players[1] : null;
+    if (!winner && this.format === 'bracket') {
+      const [a, b] = m.players.map(w => this.entrantOf(w).seed);
+      winner = a < b ? m.players[0] : m.players[1];
+    }
+    this._resolve(m, { scores, winner, draw: !winner, arenaId, reportedBy });
+    // Matches are listed round by round, so a bracket's final is the last one
+    const done = this.format === 'bracket' ? !!this.matches.at(-1).result : this.matches.every(x => x.result);
+    if (done) this.finish();
+    return { match: m };
+  }
+
+  // ---- best-of runs ----
+  startAttempt(wallet, sessionId) {
+    if (this.format !== 'best-of') return { error: 'this tournament is played in arena matches' };
+    if (this.status !== 'running') return { error: `tournament is ${this.status}` };
+    if (!this.entrantOf(wallet)) return { error: 'not registered' };
+    const runs = this.runs[wallet.toLowerCase()] ||= [];
+    if (runs.some(r => r.reportedAt === null)) return { error: 'report your current attempt first' };
+    if (runs.length >= this.attempts) return { error: `all ${this.attempts} attempts used` };
+    const run = { sessionId, startedAt: Date.now(), score: null, round: null, kills: null, reportedAt: null };
+    runs.push(run);
+    return { run, attempt: runs.length };
+  }
+
+  runOf(wallet, sessionId) {
+    return this.runs[wallet.toLowerCase()]?.find(r => r.sessionId === sessionId) ?? null;
+  }
+
+  reportRun(wallet, sessionId, { score, round, kills }) {
+    if (this.status !== 'running') return { error: `tournament is ${this.status}` };
+    const run = this.runOf(wallet, sessionId);
+    if (!run) return { error: 'not an attempt in this tournament' };
+    if (run.reportedAt !== null) return { error: 'attempt already reported' };
+    Object.assign(run, { score, round, kills, reportedAt: Date.now() });
+    return { run };
+  }
+
+  // Close out at endsAt: unplayed bracket matches go to the higher
+  // seed (or whoever is there), unplayed round-robin ones score nothing
+  finish(now = Date.now()) {
+    for (const m of [...this.matches].sort((a, b) => a.round - b.round)) {
+      if (m.result) continue;
+      const present = m.players.filter(Boolean);
+      if (this.format === 'bracket' && present.length) {
+        const winner = present.sort((a, b) => this.entrantOf(a).seed - this.entrantOf(b).seed)[0];
+        this._resolve(m, { winner, walkover: true });
+      } else if (this.format === 'round-robin') {
+        this._resolve(m, { noContest: true });
+      }
+    }
+    this.status = 'finished';
+    this.endedAt = now;
+  }
+
+  cancel(now = Date.now()) {
+    this.status = 'cancelled';
+    this.endedAt = now;
+  }
+
+  // ---- Standings ----
+  standings() {
+    const rows = this.entrants.map(e => ({ wallet: e.wallet, name: e.name, isAgent: e.isAgent, seed: e.seed }));
+    if (this.format === 'best-of') {
+      for (const row of rows) {
+        const scored = (this.runs[row.wallet] || []).filter(r => r.reportedAt !== null);
+        row.attempts = (this.runs[row.wallet] || []).length;
+        row.best = scored.reduce((best, r) => Math.max(best, r.score), 0);
+        row.bestRound = scored.reduce((best, r) => Math.max(best, r.round), 0);
+      }
+      rows.sort((a, b) => b.best - a.best || b.bestRound - a.bestRound || a.seed - b.seed);
+    } else if (this.format === 'round-robin') {
+      for (const row of rows) Object.assign(row, { points: 0, wins: 0, draws: 0, losses: 0, scoreFor: 0 });
+      const byWallet = new Map(rows.map(r => [r.wallet, r]));
+      for (const m of this.matches) {
+        if (!m.result?.scores) continue;
+        m.players.forEach((w, i) => {
+          const row = byWallet.get(w);
+          row.scoreFor += m.result.scores[i];
+          if (m.result.draw) { row.draws++; row.points += POINTS.draw; }
+          else if (m.result.winner === w) { row.wins++; row.points += POINTS.win; }
+          else row.losses++;
+        });
+      }
+      rows.sort((a, b) => b.points - a.points || b.scoreFor - a.scoreFor || a.seed - b.seed);
+    } else {
+      // Bracket: how far each entrant got
+      const lastRound = Math.max(0, ...this.matches.map(m => m.round));
+      for (const row of rows) {
+        const lost = this.matches.find(m => m.result?.winner && m.result.winner !== row.wallet && m.players.includes(row.wallet));
+        const final = this.matches.find(m => m.round === lastRound);
+        row.champion = final?.result?.winner === row.wallet;
+        row.reached = lost ? lost.round : Math.max(0, ...this.matches.filter(m => m.players.includes(row.wallet)).map(m => m.round));
+      }
+      rows.sort((a, b) => b.champion - a.champion || b.reached - a.reached || a.seed - b.seed);
+      // Losers of the same round share a place (3rd, 5th, …)
+      rows.forEach((row, i) => {
+        row.place = row.champion || this.status !== 'finished' ? i + 1 : 2 ** (lastRound - row.reached) + 1;
+      });
+      return rows;
+    }
+    rows.forEach((row, i) => { row.place = i + 1; });
+    return rows;
+  }
+
+  bracket() {
+    const names = new Map(this.entrants.map(e => [e.wallet, e]));
+    const rounds = [];
+    for (const m of this.matches) {
+      (rounds[m.round - 1] ||= { round: m.round, matches: [] }).matches.push({
+        id:      m.id,
+        status:  this.matchStatus(m),
+        players: m.players.map(w => w && { wallet: w, name: names.get(w).name, seed: names.get(w).seed }),
+        arenaId: m.arenaId,
+        result:  m.result,
+      });
+    }
+    return rounds;
+  }
+
+  // Final standings and payout shares — the input for an on-chain payout
+  results() {
+    const standings = this.standings();
+    return {
+      tournamentId: this.id,
+      name:         this.name,
+      format:       this.format,
+      status:       this.status,
+      endedAt:      this.endedAt,
+      standings,
+      payout:       this.payout(standings),
+    };
+  }
+
+  // Entrants sharing a place (bracket losers of the same round) split
+  // the shares of the positions they fill equally; the odd basis
+  // point left over by the split isn't paid out
+  payout(standings = this.standings()) {
+    const payout = [];
+    for (let i = 0; i < standings.length && i < this.payoutBps.length;) {
+      const tied = standings.filter(row => row.place === standings[i].place);
+      const pool = this.payoutBps.slice(i, i + tied.length).reduce((sum, bps) => sum + bps, 0);
+      const shareBps = Math.floor(pool / tied.length);
+      for (const row of tied) payout.push({ place: row.place, wallet: row.wallet, shareBps });
+      i += tied.length;
+    }
+    return payout.filter(p => p.shareBps > 0);
+  }
+
+  summary() {
+    return {
+      id:          this.id,
+      name:        this.name,
+      organiser:   this.organiser,
+      format:      this.format,
+      entry:       this.entry,
+      attempts:    this.attempts,
+      rounds:      this.rounds,
+      maxEntrants: this.maxEntrants,
+      entrants:    this.entrants.length,
+      levels:      typeof this.levels === 'string' ? this.levels : this.levels.map(l => l.name),
+      // Nobody gets to practise the seed before the start
+      seed:        this.status === 'registration' ? undefined : this.seed,
+      startsAt:    this.startsAt,
+      endsAt:      this.endsAt,
+      payoutBps:   this.payoutBps,
+      status:      this.status,
+      startedAt:   this.startedAt,
+      endedAt:     this.endedAt,
+    };
+  }
+}
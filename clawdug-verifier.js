@@ -0,0 +1,121 @@
+// ============================================================
+//  CLAWDUG VERIFIER
+//  Re-simulation off the request path. A run can be up to
+//  MAX_REPLAY_FRAMES (60 minutes) long, and replaying one takes
+//  seconds of CPU — on the main thread that would stall every
+//  request and every live session's tick. Jobs go to a small
+//  pool of worker threads instead; logs of up to inlineFrames are
+//  cheaper to replay in place than to hand to a worker.
+//
+//  Jobs:
+//    replay(seed, inputs, options) — replayGame()
+//    analyse(run, thresholds)      — analyseRun() (clawdug-anticheat.js)
+//    frames(replay, from, to)      — ReplayPlayer states for frames from..to
+//  At most MAX_QUEUED jobs wait for a worker; past that they're
+//  refused (err.code 'BUSY'). A worker that dies fails the job it
+//  was running and is replaced by the next job.
+// ============================================================
+
+import { fileURLToPath } from 'url';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import engine from './clawdug-engine.cjs';
+import { analyseRun } from './clawdug-anticheat.js';
+
+const { ReplayPlayer, replayGame } = engine;
+
+export const INLINE_FRAMES = 60 * 60;   // one minute of play
+const MAX_QUEUED = 100;
+
+// The work itself — the same code inline and on a worker
+const JOBS = {
+  replay:  ({ seed, inputs, options }) => replayGame(seed, inputs, options),
+  analyse: ({ run, thresholds }) => analyseRun(run, thresholds),
+  frames:  ({ replay, from, to }) => {
+    const player = new ReplayPlayer(replay);
+    if (player.seek(from) < from) return { error: `from is past the end of the replay (${player.frame} frames)` };
+    const frames = [player.game.getAgentState()];
+    while (player.frame < to && player.step()) frames.push(player.game.getAgentState());
+    return { frames };
+  },
+};
+
+// Frames an (untrusted) input log claims to hold
+function logFrames(runs) {
+  if (!Array.isArray(runs)) return 0;
+  return runs.reduce((n, run) => n + (Array.isArray(run) && Number.isInteger(run[1]) && run[1] > 0 ? run[1] : 0), 0);
+}
+
+export function createVerifier({ workers = 1, inlineFrames = INLINE_FRAMES } = {}) {
+  if (!Number.isInteger(workers) || workers < 1) throw new Error('REPLAY_WORKERS must be a positive integer');
+  const pool  = [];     // { worker, job } — job is the one it's running
+  const queue = [];     // { type, data, resolve, reject }
+  let closed = false;
+
+  function spawn() {
+    const slot = { worker: new Worker(fileURLToPath(import.meta.url), { workerData: { verifier: true } }), job: null, failure: null };
+    slot.worker.on('message', ({ result, error }) => {
+      const { job } = slot;
+      slot.job = null;
+      slot.worker.unref();
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+      next();
+    });
+    slot.worker.on('error', (err) => { slot.failure = err; });
+    slot.worker.on('exit', (code) => {
+      pool.splice(pool.indexOf(slot), 1);
+      if (slot.job) slot.job.reject(slot.failure ?? new Error(`replay worker exited (${code})`));
+      if (!closed && code !== 0) console.warn(`[Verifier] worker exited (${code})${slot.failure ? `: ${slot.failure.message}` : ''}`);
+      next();
+    });
+    slot.worker.unref();
+    pool.push(slot);
+    return slot;
+  }
+
+  function next() {
+    while (!closed && queue.length) {
+      const slot = pool.find(s => !s.job) ?? (pool.length < workers ? spawn() : null);
+      if (!slot) return;
+      slot.job = queue.shift();
+      slot.worker.ref();   // idle workers don't keep the process up, busy ones do
+      slot.worker.postMessage({ type: slot.job.type, data: slot.job.data });
+    }
+  }
+
+  function submit(type, data, frames) {
+    if (closed) return Promise.reject(new Error('verifier closed'));
+    if (frames <= inlineFrames) return Promise.resolve().then(() => JOBS[type](data));
+    if (queue.length >= MAX_QUEUED) {
+      return Promise.reject(Object.assign(new Error('too many replays waiting — try again shortly'), { code: 'BUSY' }));
+    }
+    // copied now: a live session's log keeps growing while it waits
+    return new Promise((resolve, reject) => {
+      queue.push({ type, data: structuredClone(data), resolve, reject });
+      next();
+    });
+  }
+
+  return {
+    replay:  (seed, inputs, options = {}) => submit('replay', { seed, inputs, options }, logFrames(inputs)),
+    analyse: (run, thresholds) => submit('analyse', { run, thresholds }, logFrames(run.inputs)),
+    frames:  (replay, from, to) => submit('frames', { replay, from, to }, Math.min(to, logFrames(replay.inputs))),
+    status:  () => ({ workers: pool.length, busy: pool.filter(s => s.job).length, queued: queue.length }),
+    close() {
+      closed = true;
+      for (const job of queue.splice(0)) job.reject(new Error('verifier closed'));
+      return Promise.all(pool.map(s => s.worker.terminate()));
+    },
+  };
+}
+
+// Worker side: run jobs until terminated
+if (!isMainThread && workerData?.verifier) {
+  parentPort.on('message', ({ type, data }) => {
+    try {
+      parentPort.postMessage({ result: JOBS[type](data) });
+    } catch (err) {
+      parentPort.postMessage({ error: err.message });
+    }
+  });
+}
@@ -0,0 +1,372 @@
+// ============================================================
+//  CLAWDUG WEBHOOKS
+//  Push notifications for integrators instead of polling.
+//
+//  Events:
+//    session.ended       — a session's game is over (or it expired)
+//    score.signed        — signScore() produced a score payload
+//    leaderboard.updated — a score entered the top LB_SIZE
+//    epoch.settled       — an epoch closed and paid out
+//  session.* and score.* only go to subscriptions owned by the
+//  session's wallet; the rest go to every subscriber.
+//
+//  Each delivery is a POST of { id, event, createdAt, data } with
+//    X-ClawDug-Event:     the event name
+//    X-ClawDug-Delivery:  delivery id (the same on every retry)
+//    X-ClawDug-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256
+//                         of "<t>.<body>" with the hook's secret>
+//  Anything but a 2xx within timeoutMs is retried after
+//  RETRY_DELAYS_MS; a hook whose last MAX_FAILED_DELIVERIES
+//  deliveries all failed is switched off. Deliveries are kept in
+//  store.webhookDeliveries for DELIVERY_RETENTION_MS (the log),
+//  and pending ones resume after a restart.
+//
+//  Hooks can't reach private networks (unless allowPrivate): the
+//  host is resolved before every attempt, any private address
+//  refuses it, and the request is pinned to the address checked.
+// ============================================================
+
+import crypto from 'crypto';
+import dns    from 'dns/promises';
+import http   from 'http';
+import https  from 'https';
+import net    from 'net';
+
+export const WEBHOOK_EVENTS = ['session.ended', 'score.signed', 'leaderboard.updated', 'epoch.settled'];
+export const RETRY_DELAYS_MS = [10e3, 60e3, 5 * 60e3, 30 * 60e3, 2 * 60 * 60e3];   // then give up
+export const MAX_FAILED_DELIVERIES = 10;
+export const SIGNATURE_TOLERANCE_S = 300;
+
+const DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const OWNED_EVENTS = ['session.ended', 'score.signed'];
+const MAX_RESPONSE_LOG = 500;     // characters of the response body kept per attempt
+
+const newId = (prefix) => prefix + crypto.randomBytes(12).toString('hex');
+
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// For receivers: check an X-ClawDug-Signature header against the raw body
+export function verifySignature(secret, header, body, toleranceS = SIGNATURE_TOLERANCE_S) {
+  const parts = Object.fromEntries(String(header).split(',').map(p => p.split('=')));
+  const t = Number(parts.t);
+  if (!t || !parts.v1 || Math.abs(Date.now() / 1000 - t) > toleranceS) return false;
+  const expected = Buffer.from(signPayload(secret, t, body), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and
+// reserved ranges. BlockList checks IPv4-mapped IPv6 addresses
+// (::ffff:127.0.0.1) against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6');
+
+export function privateAddress(ip) {
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Names and IP literals that are private without a lookup
+function privateHost(host) {
+  host = host.replace(/^\[|\]$/g, '');
+  return host === 'localhost' || host.endsWith('.localhost') || privateAddress(host);
+}
+
+// POST to one already-checked address: `lookup` hands the connection
+// that address whatever the resolver says now, so a name can't be
+// re-pointed at a private one between the check and the request
+function post(url, { headers, body, address, timeoutMs }) {
+  const target = new URL(url);
+  return new Promise((resolve, reject) => {
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method:  'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup:  (hostname, options, cb) => (options.all ? cb(null, [address]) : cb(null, address.address, address.family)),
+      timeout: timeoutMs,
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { if (text.length < MAX_RESPONSE_LOG) text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, text: text.slice(0, MAX_RESPONSE_LOG) }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(Object.assign(new Error(`no response in ${timeoutMs}ms`), { code: 'TIMEOUT' })));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// `allowPrivate` lets hooks point at local addresses (dev only);
+// `lookup` is dns.lookup's promise form
+export function createWebhooks({
+  store, timeoutMs = 10000, maxPerOwner = 10, allowPrivate = false, pollMs = 5000, lookup = dns.lookup,
+}) {
+  const due = new Set();          // delivery ids waiting for their next attempt
+  let timer   = null;
+  let working = null;
+
+  const save = (delivery) => store.webhookDeliveries.put(delivery.id, delivery);
+
+  function checkUrl(url) {
+    let parsed;
+    try { parsed = new URL(url); } catch { return 'url must be an absolute http(s) URL'; }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return 'url must be an absolute http(s) URL';
+    if (!allowPrivate && privateHost(parsed.hostname)) return 'url must not point at a private or loopback address';
+    return null;
+  }
+
+  // The address a delivery goes to. Every address the name resolves
+  // to is checked — one private answer refuses the lot.
+  async function resolve(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const family = net.isIP(host);
+    const addresses = family ? [{ address: host, family }] : await lookup(host, { all: true });
+    if (!addresses.length) throw Object.assign(new Error(`no address for ${host}`), { code: 'ENOTFOUND' });
+    if (!allowPrivate && (privateHost(host) || addresses.some(a => privateAddress(a.address)))) {
+      throw Object.assign(new Error('url resolves to a private or loopback address'), { code: 'EPRIVATE' });
+    }
+    return addresses[0];
+  }
+
+  // Public view — the secret is only shown once, on create
+  function describe(hook) {
+    if (!hook) return null;
+    const { secret, ...rest } = hook;
+    return rest;
+  }
+
+  function subscribe({ owner, url, events = WEBHOOK_EVENTS, description = '' }) {
+    const error = checkUrl(url)
+      ?? (!Array.isArray(events) || !events.length ? 'events must be a non-empty list' : null)
+      ?? (events.find(e => !WEBHOOK_EVENTS.includes(e)) ? `unknown event. Valid: ${WEBHOOK_EVENTS.join(', ')}` : null)
+      ?? (typeof description !== 'string' || description.length > 200 ? 'description must be a string of at most 200 characters' : null)
+      ?? (list(owner).length >= maxPerOwner ? `at most ${maxPerOwner} webhooks per wallet` : null);
+    if (error) return { error };
+    const hook = {
+      id:          newId('wh_'),
+      owner:       owner.toLowerCase(),
+      url,
+      events:      [...new Set(events)],
+      description,
+      secret:      'whsec_' + crypto.randomBytes(24).toString('hex'),
+      active:      true,
+      failures:    0,              // failed deliveries in a row
+      createdAt:   Date.now(),
+      lastDeliveryAt: null,
+    };
+    store.webhooks.put(hook.id, hook);
+    return { hook: describe(hook), secret: hook.secret };
+  }
+
+  function get(id) {
+    return store.webhooks.get(id);
+  }
+
+  function list(owner) {
+    return store.webhooks.all().filter(h => h.owner === owner.toLowerCase()).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // { events, url, active, description }; re-activating clears the failure count
+  function update(id, changes) {
+    const hook = get(id);
+    if (changes.url !== undefined) {
+      const error = checkUrl(changes.url);
+      if (error) return { error };
+    }
+    if (changes.events !== undefined
+      && (!Array.isArray(changes.events) || !changes.events.length || changes.events.some(e => !WEBHOOK_EVENTS.includes(e)))) {
+      return { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    const next = {
+      ...hook,
+      ...(changes.url !== undefined ? { url: changes.url } : {}),
+      ...(changes.events !== undefined ? { events: [...new Set(changes.events)] } : {}),
+      ...(typeof changes.description === 'string' ? { description: changes.description.slice(0, 200) } : {}),
+      ...(typeof changes.active === 'boolean' ? { active: changes.active, disabledReason: undefined } : {}),
+      ...(changes.active === true ? { failures: 0 } : {}),
+    };
+    store.webhooks.put(id, next);
+    return { hook: describe(next) };
+  }
+
+  function remove(id) {
+    for (const d of store.webhookDeliveries.all()) {
+      if (d.webhookId === id) {
+        due.delete(d.id);
+        store.webhookDeliveries.delete(d.id);
+      }
+    }
+    return store.webhooks.delete(id);
+  }
+
+  // ---- Delivery ----
+  function enqueue(hook, event, data) {
+    const delivery = {
+      id:        newId('dlv_'),
+      webhookId: hook.id,
+      event,
+      payload:   { id: null, event, createdAt: Date.now(), data },
+      status:    'pending',
+      attempts:  [],
+      nextAttemptAt: Date.now(),
+      createdAt: Date.now(),
+    };
+    delivery.payload.id = delivery.id;
+    save(delivery);
+    due.add(delivery.id);
+    return delivery;
+  }
+
+  // Fan an event out to matching hooks; `owner` limits it to one wallet's
+  function emit(event, data, { owner = null } = {}) {
+    if (OWNED_EVENTS.includes(event) && !owner) throw new Error(`${event} needs an owner`);
+    const hooks = store.webhooks.all().filter(h =>
+      h.active && h.events.includes(event) && (!owner || h.owner === owner.toLowerCase()));
+    const deliveries = hooks.map(h => enqueue(h, event, data));
+    if (deliveries.length) work();
+    return deliveries.length;
+  }
+
+  // A signed `ping` to one hook, whatever its filters (POST /webhooks/:id/test)
+  function ping(hook) {
+    const delivery = enqueue(hook, 'ping', { webhookId: hook.id, url: hook.url });
+    work();
+    return delivery;
+  }
+
+  async function attempt(delivery, hook) {
+    const body = JSON.stringify(delivery.payload);
+    const t = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const record = { at: started, status: null, ms: null, error: null };
+    try {
+      // Redirects aren't followed — a 3xx is a failed attempt
+      const res = await post(hook.url, {
+        headers: {
+          'Content-Type':        'application/json',
+          'User-Agent':          'ClawDug-Webhooks/1.0',
+          'X-ClawDug-Event':     delivery.event,
+          'X-ClawDug-Delivery':  delivery.id,
+          'X-ClawDug-Signature': `t=${t},v1=${signPayload(hook.secret, t, body)}`,
+        },
+        body,
+        address: await resolve(hook.url),
+        timeoutMs,
+      });
+      record.status = res.status;
+      record.response = res.text;
+      if (res.status < 200 || res.status > 299) record.error = `HTTP ${res.status}`;
+    } catch (err) {
+      record.error = err.code === 'TIMEOUT' || err.code === 'EPRIVATE' ? err.message : (err.code ?? err.message);
+    }
+    record.ms = Date.now() - started;
+    return record;
+  }
+
+  async function deliver(delivery) {
+    const hook = get(delivery.webhookId);
+    if (!hook) return;
+    const record = await attempt(delivery, hook);
+    delivery.attempts.push(record);
+
+    const current = get(hook.id);
+    if (!current) return;
+    if (!record.error) {
+      Object.assign(delivery, { status: 'delivered', nextAttemptAt: null, deliveredAt: Date.now() });
+      store.webhooks.put(hook.id, { ...current, failures: 0, lastDeliveryAt: Date.now() });
+    } else if (delivery.attempts.length <= RETRY_DELAYS_MS.length && current.active) {
+      delivery.nextAttemptAt = Date.now() + RETRY_DELAYS_MS[delivery.attempts.length - 1];
+      due.add(delivery.id);
+    } else {
+      Object.assign(delivery, { status: 'failed', nextAttemptAt: null });
+      const failures = current.failures + 1;
+      const off = failures >= MAX_FAILED_DELIVERIES;
+      store.webhooks.put(hook.id, {
+        ...current, failures,
+        ...(off ? { active: false, disabledReason: `${failures} deliveries failed in a row` } : {}),
+      });
+      if (off) console.warn(`[Webhooks] ${hook.id} switched off after ${failures} failed deliveries`);
+    }
+    await save(delivery);
+  }
+
+  // Deliveries run one at a time, oldest due first
+  function work() {
+    working = working || (async () => {
+      for (;;) {
+        const now = Date.now();
+        const next = [...due].map(id => store.webhookDeliveries.get(id))
+          .filter(d => d && d.nextAttemptAt <= now)
+          .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+        if (!next) break;
+        due.delete(next.id);
+        await deliver(next).catch(err => console.error('[Webhooks] Delivery failed:', err.message));
+      }
+    })().finally(() => { working = null; });
+    return working;
+  }
+
+  function prune() {
+    const cutoff = Date.now() - DELIVERY_RETENTION_MS;
+    for (const d of store.webhookDeliveries.all()) {
+      if (d.status !== 'pending' && d.createdAt < cutoff) store.webhookDeliveries.delete(d.id);
+    }
+  }
+
+  // Newest first
+  function deliveries(webhookId) {
+    return store.webhookDeliveries.all()
+      .filter(d => d.webhookId === webhookId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Send a finished delivery again (same id and payload, fresh attempt list)
+  function redeliver(delivery) {
+    if (delivery.status === 'pending') return { error: 'delivery is still pending' };
+    Object.assign(delivery, { status: 'pending', nextAttemptAt: Date.now(), attempts: [], redelivered: (delivery.redelivered ?? 0) + 1 });
+    save(delivery);
+    due.add(delivery.id);
+    work();
+    return { delivery };
+  }
+
+  // Pick up retries that were waiting when the server stopped
+  function start() {
+    for (const d of store.webhookDeliveries.all()) {
+      if (d.status === 'pending') due.add(d.id);
+    }
+    prune();
+    work();
+    timer = setInterval(() => {
+      work();
+      prune();
+    }, pollMs);
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    await working;
+  }
+
+  function status() {
+    return {
+      webhooks: store.webhooks.all().length,
+      active:   store.webhooks.all().filter(h => h.active).length,
+      pending:  due.size,
+    };
+  }
+
+  return {
+    subscribe, get, list, update, remove, describe, emit, ping,
+    deliveries, redeliver, start, stop, status,
+  };
+}